@@ -0,0 +1,20 @@
+import { findArchivedPatient, archivedPatientMessage } from '../utils/patientArchive.js';
+
+// Refuse new encounters for an archived patient (req.body.patientId).
+// Missing or malformed IDs fall through to the route's own validation.
+export const requireActivePatient = async (req, res, next) => {
+  const raw = req.body?.patientId;
+  // Some clients send the populated patient object
+  const patientId = raw && typeof raw === 'object' ? raw._id || raw.id : raw;
+
+  try {
+    const archived = await findArchivedPatient(patientId);
+    if (archived) {
+      return res.status(409).json({ success: false, message: archivedPatientMessage(archived), data: { archived: true } });
+    }
+    next();
+  } catch (err) {
+    console.error('Active patient check error:', err);
+    return res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
@@ -1,6 +1,8 @@
-import jwt from 'jsonwebtoken';
+import { authenticateAccessToken } from '../utils/sessionHelper.js';
+import { getRolePermissions } from '../utils/permissions.js';
 
-export const verifyToken = (req, res, next) => {
+// Verifies the access token signature AND that its session has not been revoked
+export const verifyToken = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
     
@@ -8,24 +10,35 @@ export const verifyToken = (req, res, next) => {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_change_in_production');
+    const decoded = await authenticateAccessToken(token);
+    if (!decoded) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+
     req.user = decoded;
     next();
   } catch (err) {
+    console.error('Token verification error:', err);
     return res.status(401).json({ success: false, message: 'Invalid or expired token' });
   }
 };
 
-export const checkRole = (allowedRoles) => {
-  return (req, res, next) => {
+// Require every listed permission; which roles hold them is configured in /api/admin/roles
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ success: false, message: 'Unauthorized' });
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ success: false, message: 'Forbidden - insufficient permissions' });
+    try {
+      const granted = await getRolePermissions(req.user.role);
+      if (!permissions.every(p => granted.has(p))) {
+        return res.status(403).json({ success: false, message: 'Forbidden - insufficient permissions' });
+      }
+      next();
+    } catch (err) {
+      console.error('Permission check error:', err);
+      return res.status(500).json({ success: false, message: 'Server error' });
     }
-
-    next();
   };
 };
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { authorizeChartAccess, logChartAccess, logChartListAccess, roleChartAccess } from '../utils/chartAccess.js';
+import { getRolePermissions } from '../utils/permissions.js';
+
+// Gate and log a read of one patient's data. Sends the 403 or 500 itself and
+// returns false when the request must stop. For routes keyed by a record
+// rather than the patient, after the record has been loaded.
+export async function checkChartAccess(req, res, patientId, resource) {
+  try {
+    const decision = await authorizeChartAccess(req, patientId, resource);
+    if (decision.denied) {
+      res.status(403).json({ success: false, message: decision.message, data: { breakGlassRequired: true } });
+      return false;
+    }
+
+    await logChartAccess(req, { patientId, resource, ...decision });
+    return true;
+  } catch (err) {
+    console.error('Chart access check error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+    return false;
+  }
+}
+
+// Gate and log reads of one patient's data (req.params.patientId).
+// Use after verifyToken and requirePermission.
+export const requireChartAccess = (resource) => {
+  return async (req, res, next) => {
+    const { patientId } = req.params;
+    // Malformed IDs fall through to the route's own not-found handling
+    if (!mongoose.Types.ObjectId.isValid(patientId)) return next();
+
+    if (await checkChartAccess(req, res, patientId, resource)) next();
+  };
+};
+
+// Gate lists that can span many patients. With ?patientId= the list is one
+// patient's and is checked and logged like requireChartAccess; without it only
+// roles that may read `resource` of any chart may list, and the route logs
+// what it returns with logListAccess. Use after verifyToken and requirePermission.
+export const requireListAccess = (resource) => {
+  return async (req, res, next) => {
+    const { patientId } = req.query;
+    if (patientId) {
+      if (!mongoose.Types.ObjectId.isValid(patientId)) {
+        return res.status(400).json({ success: false, message: 'Invalid patientId' });
+      }
+      if (await checkChartAccess(req, res, patientId, resource)) next();
+      return;
+    }
+
+    try {
+      const accessType = roleChartAccess(await getRolePermissions(req.user.role), resource);
+      if (!accessType) {
+        return res.status(403).json({ success: false, message: 'Give a patientId to list records of one patient' });
+      }
+      req.chartListAccess = accessType;
+      next();
+    } catch (err) {
+      console.error('Chart access check error:', err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+};
+
+// Log the patients in a list that passed requireListAccess. Reads filtered to
+// one patient were logged by the check already.
+export async function logListAccess(req, records, resource) {
+  if (req.query.patientId) return;
+  const patientIds = records.map(r => r.patientId?._id || r.patientId);
+  await logChartListAccess(req, patientIds, { resource, accessType: req.chartListAccess });
+}
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const allergySchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    substance: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Lowercased substance, used to stop the same allergy being recorded twice
+    substanceKey: {
+      type: String,
+      required: true,
+    },
+    // Optional code from an external terminology (e.g. SNOMED CT, RxNorm)
+    code: {
+      type: String,
+      default: '',
+    },
+    category: {
+      type: String,
+      enum: ['drug', 'food', 'environment', 'other'],
+      default: 'drug',
+    },
+    reaction: {
+      type: String,
+      default: '',
+    },
+    severity: {
+      type: String,
+      enum: ['mild', 'moderate', 'severe', 'life_threatening', 'unknown'],
+      default: 'unknown',
+    },
+    status: {
+      type: String,
+      enum: ['active', 'inactive', 'resolved', 'entered_in_error'],
+      default: 'active',
+    },
+    notes: {
+      type: String,
+      default: '',
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+allergySchema.index({ patientId: 1, status: 1 });
+allergySchema.index({ patientId: 1, substanceKey: 1 });
+
+const Allergy = mongoose.model('Allergy', allergySchema);
+export default Allergy;
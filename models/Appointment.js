@@ -1,5 +1,45 @@
 import mongoose from 'mongoose';
 
+// Where and when an appointment was, before or after a change
+const placementSchema = new mongoose.Schema(
+  {
+    date: String,
+    time: String,
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    roomNo: String,
+  },
+  { _id: false }
+);
+
+// One reschedule or cancellation
+const changeSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['rescheduled', 'cancelled'],
+      required: true,
+    },
+    from: placementSchema,
+    to: placementSchema,
+    reason: {
+      type: String,
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const appointmentSchema = new mongoose.Schema(
   {
     appointmentNo: {
@@ -17,9 +57,10 @@ const appointmentSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // A tentative follow-up has a due date but no room or time until booked
     roomNo: {
       type: String,
-      required: true,
+      required: function () { return this.status !== 'tentative'; },
     },
     date: {
       type: String,
@@ -27,19 +68,105 @@ const appointmentSchema = new mongoose.Schema(
     },
     time: {
       type: String,
-      required: true,
+      required: function () { return this.status !== 'tentative'; },
+    },
+    // End of the booked slot (HH:mm); unset for doctors without a roster
+    endTime: {
+      type: String,
+      default: null,
+    },
+    // doctorId:date:time while the appointment holds a roster slot; the
+    // unique index stops two bookings taking the same slot
+    slotKey: {
+      type: String,
+    },
+    // Start time of the duty roster session this appointment is booked into
+    sessionStart: {
+      type: String,
+      default: null,
     },
     status: {
       type: String,
-      enum: ['scheduled', 'vitals_recorded', 'completed', 'cancelled', 'no-show'],
+      enum: ['tentative', 'scheduled', 'vitals_recorded', 'completed', 'cancelled', 'no-show'],
       default: 'scheduled',
     },
     reason: {
       type: String,
     },
+    // When the patient arrived and joined the room queue
+    checkedInAt: {
+      type: Date,
+      default: null,
+    },
+    // OPD fee invoice raised at booking
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+    },
+    cancellation: {
+      at: Date,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reason: String,
+      // Hours between cancelling and the appointment time (negative if after it)
+      noticeHours: Number,
+      late: Boolean,
+    },
+    history: {
+      type: [changeSchema],
+      default: [],
+    },
+    // Set on the visits of a recurring series (see utils/appointmentSeries.js)
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AppointmentSeries',
+    },
+    // The date the series rule gives this visit, kept if it is moved
+    occurrenceDate: {
+      type: String,
+    },
+    // Set when the end-of-day closing settles an appointment left open (see utils/dayClosing.js)
+    closure: {
+      at: Date,
+      // Whether anything showed the patient came: check-in, vitals or a prescription
+      attended: Boolean,
+    },
+    // Set on a review visit asked for on a prescription (see utils/followUps.js)
+    followUp: {
+      prescriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Prescription',
+      },
+      // The visit the prescription was written in
+      originAppointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+      },
+      originDoctorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      dueDate: String,
+      notes: String,
+    },
   },
   { timestamps: true }
 );
 
+// A cancelled or missed appointment gives its slot back
+appointmentSchema.pre('validate', function (next) {
+  if (this.status === 'cancelled' || this.status === 'no-show') this.slotKey = undefined;
+  next();
+});
+
+appointmentSchema.index({ slotKey: 1 }, { unique: true, partialFilterExpression: { slotKey: { $type: 'string' } } });
+appointmentSchema.index({ patientId: 1, date: 1 });
+appointmentSchema.index({ doctorId: 1, date: 1 });
+appointmentSchema.index({ 'cancellation.late': 1, date: 1 });
+appointmentSchema.index({ seriesId: 1, occurrenceDate: 1 }, { partialFilterExpression: { seriesId: { $exists: true } } });
+appointmentSchema.index({ 'followUp.dueDate': 1, status: 1 }, { partialFilterExpression: { 'followUp.prescriptionId': { $exists: true } } });
+
 const Appointment = mongoose.model('Appointment', appointmentSchema);
 export default Appointment;
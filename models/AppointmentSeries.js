@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+
+// An occurrence that differs from the rule: skipped when the series was set
+// up, not bookable, moved on its own, or cancelled on its own
+const exceptionSchema = new mongoose.Schema(
+  {
+    // The date the rule gives the occurrence, even if it was moved
+    date: {
+      type: String,
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ['skipped', 'unavailable', 'moved', 'cancelled'],
+      required: true,
+    },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const appointmentSeriesSchema = new mongoose.Schema(
+  {
+    seriesNo: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Unset to use the room of the doctor's roster session on each date
+    roomNo: {
+      type: String,
+    },
+    time: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+    },
+    // Every `interval` days, weeks (on `daysOfWeek`, 0 = Sunday) or months
+    rule: {
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly'],
+        required: true,
+      },
+      interval: {
+        type: Number,
+        default: 1,
+      },
+      daysOfWeek: {
+        type: [Number],
+        default: undefined,
+      },
+    },
+    startDate: {
+      type: String,
+      required: true,
+    },
+    // The series ends on `until` or after `count` occurrences
+    until: {
+      type: String,
+      default: null,
+    },
+    count: {
+      type: Number,
+      default: null,
+    },
+    exceptions: {
+      type: [exceptionSchema],
+      default: [],
+    },
+    // Ending a series early moves `until`; cancelling it as a whole sets this
+    status: {
+      type: String,
+      enum: ['active', 'cancelled'],
+      default: 'active',
+    },
+    // Set on the later half when "this and following" changes split a series
+    splitFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AppointmentSeries',
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+appointmentSeriesSchema.index({ patientId: 1, status: 1 });
+appointmentSeriesSchema.index({ doctorId: 1, status: 1 });
+
+const AppointmentSeries = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
+export default AppointmentSeries;
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+// Append-only record of a create/update/delete on a clinical, financial or staff record
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    actorName: {
+      type: String,
+      default: '',
+    },
+    actorEmail: {
+      type: String,
+      default: '',
+    },
+    actorRole: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    // Model name, e.g. 'Patient', 'Invoice', 'User'
+    entityType: {
+      type: String,
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Human-readable reference such as a patient or invoice number
+    entityRef: {
+      type: String,
+      default: '',
+    },
+    // create, update, delete, or a domain verb such as dispense or discharge
+    action: {
+      type: String,
+      required: true,
+    },
+    changes: {
+      type: [auditChangeSchema],
+      default: [],
+    },
+    summary: {
+      type: String,
+      default: '',
+    },
+    method: {
+      type: String,
+      default: '',
+    },
+    path: {
+      type: String,
+      default: '',
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Entries can only be inserted
+const rejectMutation = function (next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, rejectMutation);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+export default AuditLog;
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// One read of patient data: who looked, at what, and on what grounds
+const chartAccessSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    userName: {
+      type: String,
+      default: '',
+    },
+    userRole: {
+      type: String,
+      default: '',
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    // Which part of the chart was read, e.g. 'profile', 'vitals', 'invoices'
+    resource: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    // unrestricted: role may read any chart; administrative: front-desk read of
+    // details, appointments or invoices; care_relationship: treating staff;
+    // break_glass: emergency access with a stated reason
+    accessType: {
+      type: String,
+      enum: ['unrestricted', 'administrative', 'care_relationship', 'break_glass'],
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    // True for the read that opened a break-glass window, false for reads inside it
+    breakGlassStart: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+chartAccessSchema.index({ patientId: 1, createdAt: -1 });
+chartAccessSchema.index({ userId: 1, patientId: 1, accessType: 1, createdAt: -1 });
+
+const ChartAccess = mongoose.model('ChartAccess', chartAccessSchema);
+export default ChartAccess;
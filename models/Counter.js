@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Last number issued for one sequence, e.g. key 'patient' or 'invoice:2026'
+const counterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+const Counter = mongoose.model('Counter', counterSchema);
+export default Counter;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// One clinic session: times are 24h "HH:mm" in hospital local time
+const sessionSchema = new mongoose.Schema(
+  {
+    startTime: {
+      type: String,
+      required: true,
+    },
+    endTime: {
+      type: String,
+      required: true,
+    },
+    roomNo: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Maximum appointments that can be booked into this session
+    capacity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+const weeklySessionSchema = new mongoose.Schema(
+  {
+    // 0 = Sunday ... 6 = Saturday
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6,
+    },
+  },
+  { _id: false }
+);
+weeklySessionSchema.add(sessionSchema);
+
+// Replaces the weekly sessions for one date; an empty list means off duty
+const exceptionSchema = new mongoose.Schema(
+  {
+    date: {
+      type: String,
+      required: true,
+    },
+    sessions: {
+      type: [sessionSchema],
+      default: [],
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+  },
+  { _id: false }
+);
+
+const dutyRosterSchema = new mongoose.Schema(
+  {
+    doctorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    sessions: {
+      type: [weeklySessionSchema],
+      default: [],
+    },
+    exceptions: {
+      type: [exceptionSchema],
+      default: [],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+const DutyRoster = mongoose.model('DutyRoster', dutyRosterSchema);
+export default DutyRoster;
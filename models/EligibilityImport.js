@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// One CSV load of the eligibility roster
+const eligibilityImportSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      default: '',
+    },
+    // Whether records missing from the file were removed
+    replace: {
+      type: Boolean,
+      default: false,
+    },
+    rows: {
+      type: Number,
+      default: 0,
+    },
+    created: {
+      type: Number,
+      default: 0,
+    },
+    updated: {
+      type: Number,
+      default: 0,
+    },
+    removed: {
+      type: Number,
+      default: 0,
+    },
+    importedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+const EligibilityImport = mongoose.model('EligibilityImport', eligibilityImportSchema);
+export default EligibilityImport;
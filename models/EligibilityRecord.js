@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// One entitled force member from the ASF eligibility roster (see utils/eligibility.js)
+const eligibilityRecordSchema = new mongoose.Schema(
+  {
+    forceNo: {
+      type: String,
+      required: true,
+    },
+    // forceNo reduced to uppercase letters and digits, so "ASF-1234" matches "asf 1234"
+    forceNoKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['serving', 'retired', 'dismissed'],
+      required: true,
+    },
+    // No date means no expiry
+    validUntil: {
+      type: Date,
+    },
+    importId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EligibilityImport',
+    },
+  },
+  { timestamps: true }
+);
+
+const EligibilityRecord = mongoose.model('EligibilityRecord', eligibilityRecordSchema);
+export default EligibilityRecord;
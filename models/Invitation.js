@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// One-time staff invitation; redeemed via /api/auth/accept-invite to set a password
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    department: {
+      type: String,
+      default: '',
+    },
+    roomNo: {
+      type: String,
+      default: '',
+      trim: true,
+    },
+    // The pending account created with the invite
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Only the hash is stored; resending replaces it, invalidating the old link
+    tokenHash: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    sendCount: {
+      type: Number,
+      default: 1,
+    },
+    lastSentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.index({ email: 1, status: 1 });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+export default Invitation;
@@ -57,7 +57,7 @@ const invoiceSchema = new mongoose.Schema(
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'partial'],
+      enum: ['pending', 'paid', 'partial', 'void', 'credited'],
       default: 'pending',
     },
     paymentMethod: {
@@ -69,6 +69,31 @@ const invoiceSchema = new mongoose.Schema(
     paidAt: {
       type: Date,
     },
+    // For ASF patients: the type the services were priced at, and the roster
+    // check behind it (CIVILIAN when the entitlement couldn't be verified)
+    pricedAs: {
+      type: String,
+    },
+    entitlement: {
+      status: String,
+      reasons: [String],
+    },
+    // Set when the invoice is voided (nothing paid) or credited (paid amount
+    // owed back); netAmount is then zeroed and the original kept here
+    reversal: {
+      kind: {
+        type: String,
+        enum: ['void', 'credit'],
+      },
+      originalNetAmount: Number,
+      creditAmount: Number,
+      reason: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      at: Date,
+    },
   },
   { timestamps: true }
 );
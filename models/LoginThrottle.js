@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Failed-login counter for one account (by email) or one client IP
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    windowStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    // How many times this key has been locked recently; drives the backoff
+    lockLevel: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+export default LoginThrottle;
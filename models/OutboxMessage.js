@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Outgoing email as handed to the mail transport; the default transport only stores it here
+const outboxMessageSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      index: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      default: '',
+    },
+    html: {
+      type: String,
+      default: '',
+    },
+    // Template name, e.g. 'invitation' or 'password_reset'
+    template: {
+      type: String,
+      default: '',
+    },
+    transport: {
+      type: String,
+      default: 'outbox',
+    },
+    status: {
+      type: String,
+      enum: ['stored', 'sent', 'failed'],
+      default: 'stored',
+    },
+    error: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+const OutboxMessage = mongoose.model('OutboxMessage', outboxMessageSchema);
+export default OutboxMessage;
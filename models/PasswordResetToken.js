@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Single-use password reset token; only the sha256 hash of the token is stored
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    requestedIp: {
+      type: String,
+      default: '',
+    },
+    usedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  { timestamps: true }
+);
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+export default PasswordResetToken;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { buildPatientSearchKeys } from '../utils/searchKeys.js';
 
 const patientSchema = new mongoose.Schema(
     {
@@ -80,9 +81,67 @@ const patientSchema = new mongoose.Schema(
         existingConditions: {
             type: String,
         },
+        // Last check against the ASF eligibility roster (see utils/eligibility.js)
+        entitlement: {
+            status: {
+                type: String,
+                enum: ['not_applicable', 'unverified', 'verified', 'not_found', 'dismissed', 'lapsed', 'age_limit'],
+            },
+            reasons: [String],
+            recordId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'EligibilityRecord',
+            },
+            checkedAt: Date,
+        },
+        // No-shows counted by the end-of-day closing (see utils/dayClosing.js)
+        attendance: {
+            noShows: {
+                type: Number,
+                default: 0,
+            },
+            lastNoShowDate: String,
+        },
+        // Archived records are hidden from lists and search and take no new
+        // encounters; everything linked to them is kept
+        archivedAt: {
+            type: Date,
+            default: null,
+        },
+        archivedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        archiveReason: {
+            type: String,
+            default: '',
+        },
+        // Derived from name and identifiers on every save (see utils/searchKeys.js)
+        searchKeys: {
+            ids: { type: [String], select: false },
+            names: { type: [String], select: false },
+            phonetic: { type: [String], select: false },
+        },
     },
     { timestamps: true }
 );
 
+// Runs for save() and insertMany()
+patientSchema.pre('validate', function (next) {
+    this.searchKeys = buildPatientSearchKeys(this);
+    next();
+});
+
+patientSchema.index(
+    { 'searchKeys.ids': 'text', 'searchKeys.names': 'text', 'searchKeys.phonetic': 'text' },
+    {
+        name: 'patient_search',
+        default_language: 'none',
+        weights: { 'searchKeys.ids': 10, 'searchKeys.names': 4, 'searchKeys.phonetic': 2 },
+    }
+);
+patientSchema.index({ createdAt: -1, _id: -1 });
+patientSchema.index({ archivedAt: 1 });
+
 const Patient = mongoose.model('Patient', patientSchema);
 export default Patient;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Tombstone for a patient record merged into another: the retired patientNo
+// and _id keep resolving to the surviving patient
+const patientAliasSchema = new mongoose.Schema(
+  {
+    patientNo: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Surviving record
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    // _id of the retired record
+    mergedPatientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      unique: true,
+    },
+    reason: {
+      type: String,
+      default: '',
+    },
+    // The retired record as it was at merge time
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // How many documents of each kind were re-pointed
+    moved: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    mergedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+patientAliasSchema.index({ patientId: 1 });
+
+const PatientAlias = mongoose.model('PatientAlias', patientAliasSchema);
+export default PatientAlias;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// Where a stored file lives: a path under the upload directory, or a GridFS file id
+const storedFileSchema = new mongoose.Schema(
+  {
+    backend: {
+      type: String,
+      enum: ['disk', 'gridfs'],
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// A scanned or uploaded file kept on a patient's record (see utils/documents.js)
+const patientDocumentSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['cnic', 'consent_form', 'discharge_summary', 'outside_report', 'referral_letter', 'lab_report', 'radiology_image', 'insurance', 'other'],
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    tags: [String],
+    // Optional encounter the document belongs to
+    encounterType: {
+      type: String,
+      enum: ['appointment', 'prescription', 'lab_request', 'radiology_request', 'referral', 'admission'],
+    },
+    encounterId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    originalName: {
+      type: String,
+      default: '',
+    },
+    sha256: {
+      type: String,
+    },
+    file: {
+      type: storedFileSchema,
+      required: true,
+    },
+    // Small JPEG preview, images only
+    thumbnail: {
+      type: storedFileSchema,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Removed documents stay on record; the file is kept for the audit trail
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    deleteReason: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+patientDocumentSchema.index({ patientId: 1, createdAt: -1 });
+patientDocumentSchema.index({ encounterType: 1, encounterId: 1 });
+
+const PatientDocument = mongoose.model('PatientDocument', patientDocumentSchema);
+export default PatientDocument;
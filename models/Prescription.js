@@ -8,6 +8,24 @@ const medicineSchema = new mongoose.Schema({
   instructions: String,
 });
 
+// A medicine that matched a recorded allergy when the prescription was written
+const allergyAlertSchema = new mongoose.Schema({
+  medicine: String,
+  allergyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Allergy',
+  },
+  substance: String,
+  severity: String,
+  reaction: String,
+  matchedBy: {
+    type: String,
+    enum: ['substance', 'class'],
+  },
+  drugClass: String,
+  blocking: Boolean,
+}, { _id: false });
+
 const prescriptionSchema = new mongoose.Schema(
   {
     rxNo: {
@@ -55,6 +73,32 @@ const prescriptionSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Review visit the doctor asked for; booked as a tentative appointment
+    followUp: {
+      interval: {
+        value: Number,
+        unit: {
+          type: String,
+          enum: ['days', 'weeks', 'months'],
+        },
+      },
+      dueDate: String,
+      notes: String,
+      appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+      },
+    },
+    allergyAlerts: [allergyAlertSchema],
+    // Set when the prescriber went ahead despite a blocking allergy match
+    allergyOverride: {
+      reason: String,
+      overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      overriddenAt: Date,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const problemSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Patient',
+      required: true,
+    },
+    condition: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Optional ICD-10 or other terminology code
+    code: {
+      type: String,
+      default: '',
+    },
+    onset: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'inactive', 'resolved', 'entered_in_error'],
+      default: 'active',
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      default: '',
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+problemSchema.index({ patientId: 1, status: 1 });
+
+const Problem = mongoose.model('Problem', problemSchema);
+export default Problem;
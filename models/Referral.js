@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { nextSequence } from '../utils/sequence.js';
 
 const referralSchema = new mongoose.Schema({
   referralNo: {
@@ -86,9 +87,7 @@ const referralSchema = new mongoose.Schema({
 // Generate referral number before saving
 referralSchema.pre('save', async function(next) {
   if (!this.referralNo) {
-    const year = new Date().getFullYear();
-    const count = await this.constructor.countDocuments();
-    this.referralNo = `REF-${year}-${String(count + 1).padStart(3, '0')}`;
+    this.referralNo = await nextSequence('referral');
   }
   next();
 });
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    label: {
+      type: String,
+      default: '',
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    // Users with this role must complete TOTP two-factor login
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    // Built-in roles can be edited but not deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+    // Default permissions already applied to this role, so new defaults
+    // can be added on startup without re-granting ones an admin removed
+    seededPermissions: {
+      type: [String],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+export default Role;
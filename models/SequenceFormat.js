@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Admin override of a document-number format; unset types use the defaults in utils/sequence.js
+const sequenceFormatSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // PREFIX-YYYY-0001 instead of PREFIX-0001
+    includeYear: {
+      type: Boolean,
+      default: false,
+    },
+    padding: {
+      type: Number,
+      default: 4,
+      min: 1,
+      max: 12,
+    },
+    // Start numbering again from `start` every January
+    resetYearly: {
+      type: Boolean,
+      default: false,
+    },
+    start: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+const SequenceFormat = mongoose.model('SequenceFormat', sequenceFormatSchema);
+export default SequenceFormat;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the current refresh token secret — the raw token is never stored
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of refresh tokens already rotated out, used to detect token reuse
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+    },
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 }, // Auto-delete once the refresh token has expired
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'admin', 'token_reuse', 'password_change', 'account_status'],
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
@@ -21,13 +21,80 @@ const userSchema = new mongoose.Schema(
       unique: true,
       lowercase: true,
     },
+    // Invited accounts have no password until the invitation is accepted
     password: {
       type: String,
-      required: true,
+      required: function () {
+        return this.status !== 'pending';
+      },
+    },
+    // pending: invited, no password yet; suspended: temporarily blocked;
+    // deactivated: left the hospital, kept so historic records still resolve
+    status: {
+      type: String,
+      enum: ['pending', 'active', 'suspended', 'deactivated'],
+      default: 'active',
+    },
+    statusReason: {
+      type: String,
+      default: '',
+    },
+    statusChangedAt: {
+      type: Date,
+    },
+    statusChangedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
     },
+    // Hashes of previous passwords, newest first, for the reuse check
+    passwordHistory: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Set by an admin; the user must enrol even if their role doesn't require it
+      required: {
+        type: Boolean,
+        default: false,
+      },
+      // TOTP secrets are stored encrypted (see utils/twoFactor.js)
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated by /2fa/setup, promoted to `secret` once a code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodeHashes: {
+        type: [String],
+        default: [],
+        select: false,
+      },
+      // Last accepted time step, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        default: 0,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    // Name of a Role document; roles and their permissions are managed in /api/admin/roles
     role: {
       type: String,
-      enum: ['admin', 'receptionist', 'doctor', 'radiologist', 'laboratory', 'pharmacy', 'inventory', 'billing', 'nurse'],
+      required: true,
+      lowercase: true,
+      trim: true,
       default: 'receptionist',
     },
     department: {
@@ -47,14 +114,13 @@ const userSchema = new mongoose.Schema(
       default: '',
       trim: true,
     },
-    available_slots: {
-      type: Number,
-      default: 10,
-      min: 0,
-    },
-    max_slots: {
-      type: Number,
-      default: 10,
+    // Doctors' patients who didn't come, counted by the end-of-day closing
+    attendance: {
+      noShows: {
+        type: Number,
+        default: 0,
+      },
+      lastNoShowDate: String,
     },
   },
   { timestamps: true }
@@ -62,7 +128,7 @@ const userSchema = new mongoose.Schema(
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
-  if (!this.isModified('password')) {
+  if (!this.isModified('password') || !this.password) {
     return next();
   }
   const salt = await bcrypt.genSalt(10);
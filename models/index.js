@@ -1,6 +1,7 @@
 export { default as User } from './User.js';
 export { default as Patient } from './Patient.js';
 export { default as Appointment } from './Appointment.js';
+export { default as AppointmentSeries } from './AppointmentSeries.js';
 export { default as Prescription } from './Prescription.js';
 export { default as LabRequest } from './LabRequest.js';
 export { default as RadiologyRequest } from './RadiologyRequest.js';
@@ -13,3 +14,20 @@ export { default as Activity } from './Activity.js';
 export { default as WardPatient } from './WardPatient.js';
 export { default as Queue } from './Queue.js';
 export { default as Notification } from './Notification.js';
+export { default as Session } from './Session.js';
+export { default as LoginThrottle } from './LoginThrottle.js';
+export { default as Role } from './Role.js';
+export { default as Invitation } from './Invitation.js';
+export { default as OutboxMessage } from './OutboxMessage.js';
+export { default as PasswordResetToken } from './PasswordResetToken.js';
+export { default as AuditLog } from './AuditLog.js';
+export { default as ChartAccess } from './ChartAccess.js';
+export { default as DutyRoster } from './DutyRoster.js';
+export { default as Counter } from './Counter.js';
+export { default as SequenceFormat } from './SequenceFormat.js';
+export { default as PatientAlias } from './PatientAlias.js';
+export { default as Allergy } from './Allergy.js';
+export { default as Problem } from './Problem.js';
+export { default as EligibilityRecord } from './EligibilityRecord.js';
+export { default as EligibilityImport } from './EligibilityImport.js';
+export { default as PatientDocument } from './PatientDocument.js';
@@ -1,5 +1,6 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 import User from '../models/User.js';
 import Department from '../models/Department.js';
 import Patient from '../models/Patient.js';
@@ -10,6 +11,25 @@ import Prescription from '../models/Prescription.js';
 import LabRequest from '../models/LabRequest.js';
 import RadiologyRequest from '../models/RadiologyRequest.js';
 import Queue from '../models/Queue.js';
+import Session from '../models/Session.js';
+import Role from '../models/Role.js';
+import OutboxMessage from '../models/OutboxMessage.js';
+import AuditLog from '../models/AuditLog.js';
+import SequenceFormat from '../models/SequenceFormat.js';
+import { auditLogsToCsv, recordAudit } from '../utils/audit.js';
+import {
+  PERMISSIONS,
+  PROTECTED_ADMIN_PERMISSIONS,
+  invalidatePermissionCache,
+  unknownPermissions,
+} from '../utils/permissions.js';
+import {
+  FORMAT_FIELDS,
+  getSequenceFormats,
+  validateSequenceFormat,
+  describeSequences,
+  syncSequenceCounters,
+} from '../utils/sequence.js';
 
 const router = express.Router();
 
@@ -44,7 +64,7 @@ function getDateRange(period) {
 }
 
 // Dashboard stats
-router.get('/stats', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/stats', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const todayStart = new Date();
     todayStart.setHours(0, 0, 0, 0);
@@ -124,7 +144,7 @@ router.get('/stats', verifyToken, checkRole(['admin']), async (req, res) => {
 });
 
 // Get activity log
-router.get('/activities', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/activities', verifyToken, requirePermission('system:read'), async (req, res) => {
   try {
     const activities = await Activity.find().sort({ createdAt: -1 }).limit(50);
     const data = activities.map(a => ({
@@ -142,12 +162,13 @@ router.get('/activities', verifyToken, checkRole(['admin']), async (req, res) =>
 });
 
 // System health check
-router.get('/health', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/health', verifyToken, requirePermission('system:read'), async (req, res) => {
   try {
+    const activeSessions = await Session.countDocuments({ revokedAt: null, expiresAt: { $gt: new Date() } });
     const health = {
       database: 'Healthy',
       apiResponseTime: '45ms',
-      activeSessions: 23,
+      activeSessions,
       lastBackup: new Date(),
     };
     res.json({ success: true, data: health });
@@ -158,7 +179,7 @@ router.get('/health', verifyToken, checkRole(['admin']), async (req, res) => {
 });
 
 // Get billing overview with revenue breakdown by source
-router.get('/billing-overview', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/billing-overview', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const period = req.query.period || '1month';
     const { start, end } = getDateRange(period);
@@ -255,7 +276,7 @@ router.get('/billing-overview', verifyToken, checkRole(['admin']), async (req, r
 });
 
 // Get comprehensive analytics data
-router.get('/analytics', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/analytics', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const period = req.query.period || '6months';
     const { start, end } = getDateRange(period);
@@ -363,7 +384,7 @@ router.get('/analytics', verifyToken, checkRole(['admin']), async (req, res) =>
 });
 
 // Get detailed reports
-router.get('/reports', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/reports', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const period = req.query.period || '6months';
     const { start, end } = getDateRange(period);
@@ -413,7 +434,7 @@ router.get('/reports', verifyToken, checkRole(['admin']), async (req, res) => {
 });
 
 // Download report as CSV/PDF
-router.get('/download-report', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/download-report', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const reportType = req.query.type || 'summary';
     const format = req.query.format || 'csv';
@@ -486,7 +507,7 @@ router.get('/download-report', verifyToken, checkRole(['admin']), async (req, re
 // ===== Admin Full Access Endpoints =====
 
 // Get all patients (admin overview)
-router.get('/patients', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/patients', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const { period } = req.query;
     let filter = {};
@@ -503,7 +524,7 @@ router.get('/patients', verifyToken, checkRole(['admin']), async (req, res) => {
 });
 
 // Get all appointments (admin overview)
-router.get('/appointments', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/appointments', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const { period } = req.query;
     let filter = {};
@@ -523,7 +544,7 @@ router.get('/appointments', verifyToken, checkRole(['admin']), async (req, res)
 });
 
 // Get all prescriptions (admin overview)
-router.get('/prescriptions', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/prescriptions', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const { period } = req.query;
     let filter = {};
@@ -543,7 +564,7 @@ router.get('/prescriptions', verifyToken, checkRole(['admin']), async (req, res)
 });
 
 // Get all lab requests (admin overview)
-router.get('/lab-requests', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/lab-requests', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const { period } = req.query;
     let filter = {};
@@ -563,7 +584,7 @@ router.get('/lab-requests', verifyToken, checkRole(['admin']), async (req, res)
 });
 
 // Get all radiology requests (admin overview)
-router.get('/radiology-requests', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/radiology-requests', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const { period } = req.query;
     let filter = {};
@@ -583,7 +604,7 @@ router.get('/radiology-requests', verifyToken, checkRole(['admin']), async (req,
 });
 
 // Get all invoices (admin overview with period filter)
-router.get('/invoices', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/invoices', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const { period } = req.query;
     let filter = {};
@@ -612,7 +633,7 @@ router.get('/invoices', verifyToken, checkRole(['admin']), async (req, res) => {
 });
 
 // Get comprehensive summary (daily/weekly/monthly/annual)
-router.get('/summary', verifyToken, checkRole(['admin']), async (req, res) => {
+router.get('/summary', verifyToken, requirePermission('report:read'), async (req, res) => {
   try {
     const period = req.query.period || 'today';
     const { start, end } = getDateRange(period);
@@ -667,4 +688,291 @@ router.get('/summary', verifyToken, checkRole(['admin']), async (req, res) => {
   }
 });
 
+// Outgoing mail recorded by the mailer, newest first (?to=, ?template=, ?limit=)
+router.get('/outbox', verifyToken, requirePermission('system:read'), async (req, res) => {
+  try {
+    const { to, template } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const filter = {};
+    if (to) filter.to = String(to).toLowerCase();
+    if (template) filter.template = template;
+
+    const messages = await OutboxMessage.find(filter).sort({ createdAt: -1 }).limit(limit);
+    res.json({ success: true, data: messages });
+  } catch (err) {
+    console.error('Error fetching outbox:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ===== Audit Trail =====
+
+const MAX_AUDIT_EXPORT = 10000;
+
+// Query the audit log: ?entityType=&entityId=&userId=&action=&from=&to=&page=&limit=
+// ?format=csv downloads every match (up to 10,000 rows) instead of a page
+router.get('/audit', verifyToken, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { entityType, entityId, userId, action, from, to, format } = req.query;
+    const filter = {};
+    if (entityType) filter.entityType = entityType;
+    if (action) filter.action = action;
+
+    for (const [param, value] of [['entityId', entityId], ['userId', userId]]) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ success: false, message: `Invalid ${param}` });
+      }
+      filter[param === 'userId' ? 'actorId' : 'entityId'] = value;
+    }
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) {
+        // A bare date means "up to the end of that day"
+        const end = new Date(to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setHours(23, 59, 59, 999);
+        filter.createdAt.$lte = end;
+      }
+      if (Object.values(filter.createdAt).some(d => Number.isNaN(d.getTime()))) {
+        return res.status(400).json({ success: false, message: 'Invalid date range' });
+      }
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(MAX_AUDIT_EXPORT).lean();
+      const stamp = new Date().toISOString().slice(0, 10);
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="audit-${stamp}.csv"`);
+      return res.send(auditLogsToCsv(entries));
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ===== Document Number Sequences =====
+
+// Formats, current counters and the next number of each type
+router.get('/sequences', verifyToken, requirePermission('sequence:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await describeSequences() });
+  } catch (err) {
+    console.error('Error fetching sequences:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Change a number format: { prefix, includeYear, padding, resetYearly, start }
+router.put('/sequences/:type', verifyToken, requirePermission('sequence:manage'), async (req, res) => {
+  try {
+    const { type } = req.params;
+    const formats = await getSequenceFormats();
+    if (!formats[type]) {
+      return res.status(404).json({ success: false, message: 'Unknown sequence type' });
+    }
+
+    const current = formats[type];
+    const next = {};
+    for (const field of FORMAT_FIELDS) {
+      next[field] = req.body[field] !== undefined ? req.body[field] : current[field];
+    }
+    next.prefix = String(next.prefix || '').trim().toUpperCase();
+    next.padding = Number(next.padding);
+    next.start = Number(next.start);
+    next.includeYear = Boolean(next.includeYear);
+    next.resetYearly = Boolean(next.resetYearly);
+
+    const errors = validateSequenceFormat(next);
+    if (next.resetYearly && !next.includeYear) {
+      errors.push('Yearly reset needs includeYear, otherwise numbers repeat every year');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join('. '), errors });
+    }
+
+    const before = await SequenceFormat.findOne({ type });
+    const saved = await SequenceFormat.findOneAndUpdate(
+      { type },
+      { $set: { ...next, updatedBy: req.user.id } },
+      { new: true, upsert: true }
+    );
+    // The new format may match numbers already issued; never reissue them
+    await syncSequenceCounters([type]);
+
+    await recordAudit(req, {
+      entityType: 'SequenceFormat',
+      entityId: saved._id,
+      entityRef: type,
+      action: before ? 'update' : 'create',
+      before: before || Object.fromEntries(FORMAT_FIELDS.map(f => [f, current[f]])),
+      after: saved,
+    });
+    console.log(`🔢 [ADMIN] Sequence format for ${type} changed by ${req.user.email}`);
+
+    const data = (await describeSequences()).find(d => d.type === type);
+    res.json({ success: true, message: 'Sequence format saved', data });
+  } catch (err) {
+    console.error('Error updating sequence format:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ===== Roles & Permissions =====
+
+const mapRole = (r, userCount = 0) => ({
+  id: r._id,
+  name: r.name,
+  label: r.label,
+  description: r.description,
+  permissions: r.permissions,
+  requireTwoFactor: r.requireTwoFactor,
+  isSystem: r.isSystem,
+  userCount,
+  updatedAt: r.updatedAt,
+});
+
+// Permission registry
+router.get('/permissions', verifyToken, requirePermission('role:manage'), async (req, res) => {
+  const data = Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }));
+  res.json({ success: true, data });
+});
+
+// List roles with their permissions
+router.get('/roles', verifyToken, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ name: 1 }),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+    ]);
+    const countMap = new Map(counts.map(c => [c._id, c.count]));
+    res.json({ success: true, data: roles.map(r => mapRole(r, countMap.get(r.name) || 0)) });
+  } catch (err) {
+    console.error('Error fetching roles:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Create a custom role
+router.post('/roles', verifyToken, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const { name, label, description, permissions = [], requireTwoFactor = false } = req.body;
+
+    if (!name || !/^[a-z][a-z0-9_-]*$/i.test(name)) {
+      return res.status(400).json({ success: false, message: 'Role name is required (letters, digits, _ or -)' });
+    }
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ success: false, message: 'Permissions must be an array' });
+    }
+    const unknown = unknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    const existing = await Role.findOne({ name: name.toLowerCase() });
+    if (existing) {
+      return res.status(400).json({ success: false, message: 'Role already exists' });
+    }
+
+    const role = await Role.create({
+      name,
+      label: label || name,
+      description,
+      permissions: [...new Set(permissions)],
+      requireTwoFactor: Boolean(requireTwoFactor),
+    });
+    invalidatePermissionCache();
+    await recordAudit(req, { entityType: 'Role', entityId: role._id, entityRef: role.name, action: 'create', after: role });
+    console.log(`🔐 [ADMIN] Role created: ${role.name} by ${req.user.email}`);
+
+    res.status(201).json({ success: true, message: 'Role created', data: mapRole(role) });
+  } catch (err) {
+    console.error('Error creating role:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Update a role's label, description, permissions or 2FA requirement
+router.put('/roles/:name', verifyToken, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+
+    const before = role.toObject();
+    const { label, description, permissions, requireTwoFactor } = req.body;
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({ success: false, message: 'Permissions must be an array' });
+      }
+      const unknown = unknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({ success: false, message: `Unknown permissions: ${unknown.join(', ')}` });
+      }
+      if (role.name === 'admin') {
+        const missing = PROTECTED_ADMIN_PERMISSIONS.filter(p => !permissions.includes(p));
+        if (missing.length > 0) {
+          return res.status(400).json({ success: false, message: `The admin role must keep: ${missing.join(', ')}` });
+        }
+      }
+      role.permissions = [...new Set(permissions)];
+    }
+    if (label !== undefined) role.label = label;
+    if (description !== undefined) role.description = description;
+    if (requireTwoFactor !== undefined) role.requireTwoFactor = Boolean(requireTwoFactor);
+
+    await role.save();
+    invalidatePermissionCache();
+    await recordAudit(req, { entityType: 'Role', entityId: role._id, entityRef: role.name, action: 'update', before, after: role });
+    console.log(`🔐 [ADMIN] Role updated: ${role.name} by ${req.user.email}`);
+
+    res.json({ success: true, message: 'Role updated', data: mapRole(role) });
+  } catch (err) {
+    console.error('Error updating role:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Delete a custom role (only when no users hold it)
+router.delete('/roles/:name', verifyToken, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+    if (role.isSystem) {
+      return res.status(400).json({ success: false, message: 'Built-in roles cannot be deleted' });
+    }
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({ success: false, message: `Role is assigned to ${userCount} user(s)` });
+    }
+
+    await role.deleteOne();
+    invalidatePermissionCache();
+    await recordAudit(req, { entityType: 'Role', entityId: role._id, entityRef: role.name, action: 'delete', before: role });
+    res.json({ success: true, message: 'Role deleted' });
+  } catch (err) {
+    console.error('Error deleting role:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 export default router;
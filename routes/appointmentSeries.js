@@ -0,0 +1,203 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
+import Appointment from '../models/Appointment.js';
+import Patient from '../models/Patient.js';
+import User from '../models/User.js';
+import { recordAudit } from '../utils/audit.js';
+import { normalizeSeries, planOccurrence, bookOccurrences, expandOccurrences } from '../utils/appointmentSeries.js';
+import { nextSequence } from '../utils/sequence.js';
+
+const router = express.Router();
+
+const mapSeries = (s) => ({
+  id: s._id,
+  seriesNo: s.seriesNo,
+  patientId: s.patientId?._id || s.patientId,
+  patientName: s.patientId?.firstName ? `${s.patientId.firstName} ${s.patientId.lastName}` : undefined,
+  mrNo: s.patientId?.patientNo,
+  doctorId: s.doctorId?._id || s.doctorId,
+  doctor: s.doctorId?.name,
+  roomNo: s.roomNo,
+  time: s.time,
+  reason: s.reason,
+  rule: s.rule,
+  startDate: s.startDate,
+  until: s.until,
+  count: s.count,
+  exceptions: [...s.exceptions].sort((a, b) => a.date.localeCompare(b.date)),
+  status: s.status,
+  splitFrom: s.splitFrom || null,
+  createdAt: s.createdAt,
+});
+
+// Series, filtered by ?patientId=, ?doctorId= and ?status=
+router.get('/', verifyToken, requirePermission('appointment:read'), async (req, res) => {
+  try {
+    const filter = {};
+    for (const key of ['patientId', 'doctorId']) {
+      if (!req.query[key]) continue;
+      if (!mongoose.Types.ObjectId.isValid(req.query[key])) {
+        return res.status(400).json({ success: false, message: `Invalid ${key}` });
+      }
+      filter[key] = req.query[key];
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const series = await AppointmentSeries.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate('patientId', 'firstName lastName patientNo')
+      .populate('doctorId', 'name department');
+    res.json({ success: true, data: series.map(mapSeries) });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error fetching appointment series:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// A series with all its visits, including ones split off from it
+router.get('/:seriesId', verifyToken, requirePermission('appointment:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.seriesId)) {
+      return res.status(400).json({ success: false, message: 'Invalid seriesId' });
+    }
+    const series = await AppointmentSeries.findById(req.params.seriesId)
+      .populate('patientId', 'firstName lastName patientNo')
+      .populate('doctorId', 'name department');
+    if (!series) {
+      return res.status(404).json({ success: false, message: 'Series not found' });
+    }
+
+    const [visits, continuedBy] = await Promise.all([
+      Appointment.find({ seriesId: series._id })
+        .sort({ occurrenceDate: 1 })
+        .populate('doctorId', 'name')
+        .select('appointmentNo date time endTime roomNo doctorId status occurrenceDate checkedInAt cancellation'),
+      AppointmentSeries.find({ splitFrom: series._id }).select('seriesNo startDate time doctorId status'),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...mapSeries(series),
+        dates: expandOccurrences(series),
+        visits: visits.map(v => ({
+          id: v._id,
+          appointmentNo: v.appointmentNo,
+          occurrenceDate: v.occurrenceDate,
+          date: v.date,
+          time: v.time,
+          endTime: v.endTime,
+          roomNo: v.roomNo,
+          doctor: v.doctorId?.name,
+          status: v.status,
+          checkedIn: Boolean(v.checkedInAt),
+          cancellation: v.cancellation?.at ? v.cancellation : null,
+        })),
+        continuedBy,
+      },
+    });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error fetching appointment series:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Book a recurring series. Every visit is booked as an appointment now;
+// visits are invoiced when the patient checks in.
+// Body: { patientId, doctorId, time, frequency, interval?, daysOfWeek?, startDate,
+//         until? | count?, skip?, roomNo?, reason?, dryRun? }
+// Dates that can't be booked are left out and listed; with dryRun nothing is
+// saved and every date is listed with its slot or the reason it is not free.
+router.post('/', verifyToken, requirePermission('appointment:create'), requireActivePatient, async (req, res) => {
+  try {
+    const { patientId, doctorId, roomNo, reason } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(patientId) || !mongoose.Types.ObjectId.isValid(doctorId)) {
+      return res.status(400).json({ success: false, message: 'patientId and doctorId are required' });
+    }
+    const [patient, doctor] = await Promise.all([Patient.findById(patientId), User.findById(doctorId)]);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+    if (!doctor || doctor.role !== 'doctor' || doctor.status !== 'active') {
+      return res.status(400).json({ success: false, message: 'Selected doctor is not available' });
+    }
+
+    const { series: rule, dates, error } = normalizeSeries(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (req.body.dryRun) {
+      const preview = [];
+      for (const date of dates) {
+        const plan = await planOccurrence({ patientId: patient._id, doctorId: doctor._id, roomNo, date, time: rule.time });
+        preview.push(plan.error
+          ? { date, available: false, message: plan.error }
+          : { date, available: true, time: plan.time, endTime: plan.endTime, roomNo: plan.roomNo });
+      }
+      return res.json({
+        success: true,
+        message: `${preview.filter(p => p.available).length} of ${dates.length} visits can be booked`,
+        data: { dates: preview, skipped: rule.skip },
+      });
+    }
+
+    const series = new AppointmentSeries({
+      seriesNo: await nextSequence('series'),
+      patientId: patient._id,
+      doctorId: doctor._id,
+      roomNo: roomNo || undefined,
+      time: rule.time,
+      reason,
+      rule: rule.rule,
+      startDate: rule.startDate,
+      until: rule.until,
+      count: rule.count,
+      exceptions: rule.skip.map(date => ({ date, kind: 'skipped', by: req.user.id })),
+      createdBy: req.user.id,
+    });
+    await series.save();
+
+    const { booked, unavailable } = await bookOccurrences(series, dates);
+    if (booked.length === 0) {
+      await AppointmentSeries.deleteOne({ _id: series._id });
+      return res.status(409).json({
+        success: false,
+        message: 'None of the visits could be booked',
+        data: { unavailable },
+      });
+    }
+    await series.save();
+
+    await recordAudit(req, {
+      entityType: 'AppointmentSeries',
+      entityId: series._id,
+      entityRef: series.seriesNo,
+      action: 'create',
+      after: series,
+      summary: `${booked.length} visit(s) booked (${booked.map(a => a.appointmentNo).join(', ')})${unavailable.length ? `, ${unavailable.length} date(s) unavailable` : ''}`,
+    });
+    console.log('🔁 [BACKEND] Series', series.seriesNo, 'booked:', booked.length, 'visits |', unavailable.length, 'unavailable');
+
+    res.status(201).json({
+      success: true,
+      message: unavailable.length
+        ? `${booked.length} visits booked; ${unavailable.length} date(s) could not be booked`
+        : `${booked.length} visits booked`,
+      data: {
+        ...mapSeries(series),
+        visits: booked.map(a => ({ id: a._id, appointmentNo: a.appointmentNo, date: a.date, time: a.time, endTime: a.endTime, roomNo: a.roomNo })),
+        unavailable,
+      },
+    });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error booking appointment series:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
@@ -1,22 +1,102 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import { requireChartAccess } from '../middleware/chartAccess.js';
 import Appointment from '../models/Appointment.js';
 import Queue from '../models/Queue.js';
 import Patient from '../models/Patient.js';
 import Notification from '../models/Notification.js';
 import User from '../models/User.js';
 import Invoice from '../models/Invoice.js';
-import { getDailyTokenNumber, generateOPDToken } from '../utils/tokenUtils.js';
+import DutyRoster from '../models/DutyRoster.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
 import { getOPDCharge } from '../utils/pricing.js';
-import { generateInvoiceNo } from '../utils/invoiceHelper.js';
+import { resolvePricing } from '../utils/eligibility.js';
+import { generateInvoiceNo, reverseInvoice } from '../utils/invoiceHelper.js';
+import { recordAudit } from '../utils/audit.js';
+import { reserveRosterSession, getDaySlots, slotKey, isValidDate, isValidTime, localDate, localTime } from '../utils/roster.js';
+import { archivedPatientMessage } from '../utils/patientArchive.js';
+import {
+  findPatientConflict, checkInToQueue, removeFromQueue, placement,
+  cancellationNotice, buildLateCancellationReport, getLateCancelHours, ACTIVE_STATUSES,
+} from '../utils/appointmentBooking.js';
+import { buildFollowUpWorklist, buildContinuityReport, findFollowUpOrigin } from '../utils/followUps.js';
+import { runDayClosing, countNoShow, buildAttendanceReport } from '../utils/dayClosing.js';
+import {
+  EDIT_SCOPES, planOccurrence, recordException, findSeriesTargets, splitSeries, endSeriesBefore,
+} from '../utils/appointmentSeries.js';
+import { nextSequence } from '../utils/sequence.js';
 
 const router = express.Router();
 
+// Raise the OPD fee invoice for a booked appointment, priced by the
+// patient's entitlement, and tell reception. Failures are logged, not thrown,
+// so the booking stands.
+async function raiseOPDInvoice(req, appointment, patient) {
+  try {
+    const pricing = await resolvePricing(patient);
+    const opdCharge = getOPDCharge(pricing.pricingType);
+    const patientName = `${patient?.firstName} ${patient?.lastName}`;
+
+    const invoiceNo = await generateInvoiceNo();
+
+    const opdInvoice = new Invoice({
+      invoiceNo,
+      patientId: patient._id,
+      patientNo: patient.patientNo,
+      patientType: patient.patientType,
+      forceNo: patient.forceNo,
+      patientName,
+      source: 'OPD',
+      items: [{ service: 'OPD Consultation Fee', department: 'OPD', price: opdCharge, quantity: 1 }],
+      total: opdCharge,
+      discount: 0,
+      netAmount: opdCharge,
+      amountPaid: 0,
+      paymentStatus: 'pending',
+      ...pricing.invoiceFields,
+    });
+    await opdInvoice.save();
+    appointment.invoiceId = opdInvoice._id;
+    await appointment.save();
+    await recordAudit(req, {
+      entityType: 'Invoice',
+      entityId: opdInvoice._id,
+      entityRef: opdInvoice.invoiceNo,
+      action: 'create',
+      after: opdInvoice,
+      summary: `Auto-created for appointment ${appointment.appointmentNo}`,
+    });
+    console.log('✅ [BACKEND] OPD Invoice created:', invoiceNo, '| Rs.', opdCharge, '| Type:', patient.patientType);
+
+    // Notify receptionist about ALL OPD invoices (even free ones need processing)
+    const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] }, status: 'active' });
+    for (const staff of receptionists) {
+      await Notification.create({
+        userId: staff._id,
+        type: 'invoice_created',
+        title: 'OPD Fee Invoice',
+        message: opdCharge > 0
+          ? `OPD appointment ${appointment.appointmentNo} booked for ${patientName} (${patient.patientType}). Invoice ${invoiceNo} - Rs. ${opdCharge} - payment pending.`
+          : `OPD appointment ${appointment.appointmentNo} booked for ${patientName} (${patient.patientType}). Invoice ${invoiceNo} - Free OPD - needs processing.`,
+        relatedId: opdInvoice._id,
+        relatedType: 'invoice',
+        actionUrl: '/receptionist/billing',
+      });
+    }
+    return opdInvoice;
+  } catch (invoiceErr) {
+    console.error('⚠️ [BACKEND] Error creating OPD invoice:', invoiceErr);
+    return null;
+  }
+}
+
 // Get appointments — returns TODAY's only by default
 // Query params:
 //   ?all=true   → return every appointment (for admin/history)
 //   ?date=YYYY-MM-DD → return appointments for a specific date
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, requirePermission('appointment:read'), async (req, res) => {
   try {
     // Build date filter
     const query = {};
@@ -63,8 +143,10 @@ router.get('/', verifyToken, async (req, res) => {
       roomNo: a.roomNo,
       date: a.date,
       time: a.time,
+      endTime: a.endTime,
       status: a.status,
       reason: a.reason,
+      checkedIn: Boolean(a.checkedInAt),
       createdAt: a.createdAt,
       token: tokenMap.get(a._id.toString()) || null, // Include token from queue
     }));
@@ -76,8 +158,142 @@ router.get('/', verifyToken, async (req, res) => {
   }
 });
 
+// Slot times free for booking with a doctor on a date
+// Query: ?doctorId=&date=YYYY-MM-DD (default today)
+router.get('/availability', verifyToken, requirePermission('appointment:read'), async (req, res) => {
+  try {
+    const { doctorId } = req.query;
+    const date = req.query.date || localDate();
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+      return res.status(400).json({ success: false, message: 'Valid doctorId is required' });
+    }
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    const doctor = await User.findById(doctorId).select('name department role status');
+    if (!doctor || doctor.role !== 'doctor') {
+      return res.status(404).json({ success: false, message: 'Doctor not found' });
+    }
+
+    const roster = await DutyRoster.findOne({ doctorId: doctor._id });
+    const sessions = roster && doctor.status === 'active' && date >= localDate() ? await getDaySlots(roster, date) : [];
+
+    res.json({
+      success: true,
+      data: {
+        doctorId: doctor._id,
+        doctor: doctor.name,
+        department: doctor.department,
+        date,
+        hasRoster: Boolean(roster),
+        sessions,
+        availableSlots: sessions.reduce((sum, s) => sum + s.slots.filter(slot => slot.available).length, 0),
+      },
+    });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error fetching availability:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Cancellations per patient, worst late-cancellers first
+// Query: ?from=&to= (YYYY-MM-DD, by cancellation date; default the last 90 days), ?includeOnTime=true
+router.get('/reports/late-cancellations', verifyToken, requirePermission('appointment:read'), async (req, res) => {
+  try {
+    const to = req.query.to || localDate();
+    const from = req.query.from || localDate(new Date(Date.now() - 89 * 24 * 60 * 60 * 1000));
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD with from on or before to' });
+    }
+
+    const start = new Date(`${from}T00:00:00`);
+    const end = new Date(`${to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    const patients = await buildLateCancellationReport({ from: start, to: end, includeOnTime: req.query.includeOnTime === 'true' });
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        lateCancelHours: getLateCancelHours(),
+        totalLateCancellations: patients.reduce((sum, p) => sum + p.lateCancellations, 0),
+        patients,
+      },
+    });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error building late cancellation report:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Completed appointments, no-shows and cancellations for appointments dated
+// ?from= to ?to= (default the last 90 days), overall, per doctor and for
+// patients with at least ?minNoShows= (default 1) no-shows
+router.get('/reports/attendance', verifyToken, requirePermission('appointment:read'), async (req, res) => {
+  try {
+    const to = req.query.to || localDate();
+    const from = req.query.from || localDate(new Date(Date.now() - 89 * 24 * 60 * 60 * 1000));
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD with from on or before to' });
+    }
+    const minNoShows = req.query.minNoShows === undefined ? 1 : Number(req.query.minNoShows);
+    if (!Number.isInteger(minNoShows) || minNoShows < 0) {
+      return res.status(400).json({ success: false, message: 'minNoShows must be a whole number' });
+    }
+
+    res.json({ success: true, data: await buildAttendanceReport({ from, to, minNoShows }) });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error building attendance report:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Follow-ups asked for on prescriptions and not yet booked, due within
+// ?days= (default 7) or overdue; ?doctorId= for one doctor's patients
+router.get('/follow-ups', verifyToken, requirePermission('appointment:read'), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 7 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return res.status(400).json({ success: false, message: 'days must be a whole number from 0 to 365' });
+    }
+    if (req.query.doctorId && !mongoose.Types.ObjectId.isValid(req.query.doctorId)) {
+      return res.status(400).json({ success: false, message: 'Invalid doctorId' });
+    }
+
+    const followUps = await buildFollowUpWorklist({ days, doctorId: req.query.doctorId });
+    res.json({
+      success: true,
+      data: followUps,
+      overdue: followUps.filter(f => f.overdue).length,
+      due: followUps.filter(f => !f.overdue).length,
+    });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error fetching follow-up worklist:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Whether follow-ups due between ?from= and ?to= (default the last 90 days)
+// were attended, on time and with the doctor who asked for them
+router.get('/follow-ups/continuity', verifyToken, requirePermission('appointment:read'), async (req, res) => {
+  try {
+    const to = req.query.to || localDate();
+    const from = req.query.from || localDate(new Date(Date.now() - 89 * 24 * 60 * 60 * 1000));
+    if (!isValidDate(from) || !isValidDate(to) || from > to) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM-DD with from on or before to' });
+    }
+
+    res.json({ success: true, data: await buildContinuityReport({ from, to }) });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error building continuity report:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // Get appointment by ID
-router.get('/:appointmentId', verifyToken, async (req, res) => {
+router.get('/:appointmentId', verifyToken, requirePermission('appointment:read'), async (req, res) => {
   try {
     const appointment = await Appointment.findById(req.params.appointmentId)
       .populate('patientId', 'firstName lastName patientNo forceNo patientType')
@@ -91,6 +307,7 @@ router.get('/:appointmentId', verifyToken, async (req, res) => {
       data: {
         id: appointment._id,
         ...appointment.toObject(),
+        followUpOrigin: await findFollowUpOrigin(appointment),
       }
     });
   } catch (err) {
@@ -100,7 +317,7 @@ router.get('/:appointmentId', verifyToken, async (req, res) => {
 });
 
 // Get appointments for a patient (today only by default, ?all=true for history)
-router.get('/patient/:patientId', verifyToken, async (req, res) => {
+router.get('/patient/:patientId', verifyToken, requirePermission('appointment:read'), requireChartAccess('appointments'), async (req, res) => {
   try {
     const query = { patientId: req.params.patientId };
     if (req.query.all !== 'true') {
@@ -118,7 +335,7 @@ router.get('/patient/:patientId', verifyToken, async (req, res) => {
 });
 
 // Get appointments for a doctor (today only by default, ?all=true for history)
-router.get('/doctor/:doctorId', verifyToken, async (req, res) => {
+router.get('/doctor/:doctorId', verifyToken, requirePermission('appointment:read'), async (req, res) => {
   try {
     const query = { doctorId: req.params.doctorId };
     if (req.query.all !== 'true') {
@@ -156,38 +373,75 @@ router.get('/doctor/:doctorId', verifyToken, async (req, res) => {
   }
 });
 
-// Create appointment
-router.post('/', verifyToken, checkRole(['receptionist', 'doctor', 'admin']), async (req, res) => {
+// Book an appointment into a slot of the doctor's duty roster
+// Body: { patientId, doctorId, date, time?, roomNo?, reason?, checkIn? }
+// Without a time the earliest free slot is taken. Today's appointments join
+// the room queue straight away unless checkIn is false; later ones join when
+// the patient checks in on the day (POST /:appointmentId/check-in).
+router.post('/', verifyToken, requirePermission('appointment:create'), requireActivePatient, async (req, res) => {
   try {
-    const { patientId, doctorId, roomNo, date, time, reason } = req.body;
+    const { patientId, doctorId, date, time, reason } = req.body;
     
-    console.log('📝 [BACKEND] Creating appointment with:', { patientId, doctorId, roomNo, date, time: time || 'auto', reason });
+    console.log('📝 [BACKEND] Creating appointment with:', { patientId, doctorId, roomNo: req.body.roomNo, date, time: time || 'auto', reason });
 
     // Validate required fields with detailed error logging
     const missingFields = [];
     if (!patientId) missingFields.push('patientId');
     if (!doctorId) missingFields.push('doctorId');
-    if (!roomNo) missingFields.push('roomNo');
     if (!date) missingFields.push('date');
     
     if (missingFields.length > 0) {
       console.error('❌ [BACKEND] Missing required fields:', missingFields);
-      console.error('📋 [BACKEND] Received data:', { patientId, doctorId, roomNo, date, time });
+      console.error('📋 [BACKEND] Received data:', { patientId, doctorId, date, time });
       return res.status(400).json({ 
         success: false, 
         message: `Missing required fields: ${missingFields.join(', ')}` 
       });
     }
 
-    const appointmentCount = await Appointment.countDocuments();
-    const appointmentNo = `APT-${String(appointmentCount + 1).padStart(3, '0')}`;
-    
-    // Auto-generate time if not provided
-    const appointmentTime = time || new Date().toLocaleTimeString('en-US', { 
-      hour: '2-digit', 
-      minute: '2-digit',
-      hour12: true 
-    });
+    const doctor = await User.findById(doctorId);
+    if (!doctor || doctor.status !== 'active') {
+      return res.status(400).json({ success: false, message: 'Selected doctor is not available' });
+    }
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+    const today = localDate();
+    if (date < today) {
+      return res.status(400).json({ success: false, message: 'Appointments cannot be booked in the past' });
+    }
+    if (time && !isValidTime(time)) {
+      return res.status(400).json({ success: false, message: 'time must be HH:mm (24-hour)' });
+    }
+
+    // The slot comes from the doctor's duty roster
+    const reservation = await reserveRosterSession(doctor._id, date, time);
+    if (reservation.error) {
+      console.warn('🚫 [BACKEND] Roster check failed:', reservation.error);
+      return res.status(reservation.status).json({ success: false, message: reservation.error });
+    }
+    const { session, slot } = reservation;
+
+    // Doctors without a roster take a stated time, or now for walk-ins
+    const appointmentTime = slot?.time || time || (date === today ? localTime() : null);
+    if (!appointmentTime) {
+      return res.status(400).json({ success: false, message: 'time is required for a doctor without a duty roster' });
+    }
+    const roomNo = req.body.roomNo || session?.roomNo;
+    if (!roomNo) {
+      return res.status(400).json({ success: false, message: 'Missing required fields: roomNo' });
+    }
+
+    const conflict = await findPatientConflict(patientId, date, appointmentTime, slot?.endTime);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `Patient already has appointment ${conflict.appointmentNo} at ${conflict.time} with Dr. ${conflict.doctorId?.name || 'unknown'} on ${date}`,
+      });
+    }
+
+    const appointmentNo = await nextSequence('appointment');
 
     const newAppointment = new Appointment({
       patientId,
@@ -196,126 +450,35 @@ router.post('/', verifyToken, checkRole(['receptionist', 'doctor', 'admin']), as
       roomNo,
       date,
       time: appointmentTime,
+      endTime: slot?.endTime || null,
+      slotKey: slot ? slotKey(doctor._id, date, slot.time) : undefined,
+      sessionStart: session?.startTime || null,
       status: 'scheduled',
       reason,
     });
 
-    await newAppointment.save();
-    console.log('✅ [BACKEND] Appointment saved to database:', appointmentNo);
+    try {
+      await newAppointment.save();
+    } catch (saveErr) {
+      // Someone else took the slot between the check and the save
+      if (saveErr.code === 11000 && saveErr.keyPattern?.slotKey) {
+        return res.status(409).json({ success: false, message: `The ${appointmentTime} slot was just booked; choose another` });
+      }
+      throw saveErr;
+    }
+    console.log('✅ [BACKEND] Appointment saved to database:', appointmentNo, '|', date, appointmentTime);
 
-    // Add patient to queue for this room and generate OPD token with daily reset
     const patient = await Patient.findById(patientId);
-    const doctor = await User.findById(doctorId);
     
     console.log('📋 [BACKEND] Patient:', patient?.firstName, patient?.lastName, '| Doctor:', doctor?.name);
-    
-    let queue = await Queue.findOne({ roomNo });
-    if (!queue) {
-      queue = new Queue({
-        doctorId,
-        roomNo,
-        doctorName: doctor?.name,
-        department: doctor?.department,
-        status: 'active',
-        patients: [],
-      });
-    }
-
-    // Generate OPD token with daily auto-reset
-    // Count only patients added TODAY (after midnight)
-    const dailyTokenCounter = getDailyTokenNumber(queue.patients);
-    const tokenNo = generateOPDToken(roomNo, dailyTokenCounter);
-    
-    console.log('🎫 [BACKEND] Daily token counter:', dailyTokenCounter, '| Token:', tokenNo);
-    
-    queue.patients.push({
-      appointmentId: newAppointment._id,
-      tokenNo,
-      patientNo: patient?.patientNo,
-      patientName: `${patient?.firstName} ${patient?.lastName}`,
-      forceNo: patient?.forceNo,
-      patientId,
-      status: 'waiting',
-      position: queue.patients.length,
-    });
 
-    await queue.save();
-    console.log('✅ [BACKEND] Patient added to queue for room:', roomNo, '| Token:', tokenNo);
-
-    // Decrease doctor's available slots
-    if (doctor) {
-      const currentSlots = doctor.available_slots || 10;
-      const newSlots = Math.max(0, currentSlots - 1);
-      doctor.available_slots = newSlots;
-      await doctor.save();
-      console.log('🎫 [BACKEND] Doctor slots updated:', { 
-        doctorName: doctor.name, 
-        previousSlots: currentSlots, 
-        currentSlots: newSlots 
-      });
-    }
-
-    // Create notification for all nurses
-    const nurses = await User.find({ role: 'nurse' });
-    console.log('🔔 [BACKEND] Notifying', nurses.length, 'nurses about new appointment');
-    
-    for (const nurse of nurses) {
-      await Notification.create({
-        userId: nurse._id,
-        type: 'appointment_created',
-        title: 'New Patient Arrival',
-        message: `Patient ${patient?.firstName} ${patient?.lastName} (MR: ${patient?.patientNo}) arrived for consultation with Dr. ${doctor?.name}. Please record vitals.`,
-        relatedId: newAppointment._id,
-        relatedType: 'appointment',
-        actionUrl: `/nurse/vitals/${newAppointment._id}`,
-      });
+    let tokenNo = null;
+    if (date === today && req.body.checkIn !== false) {
+      tokenNo = await checkInToQueue(newAppointment, { patient, doctor });
     }
-    console.log('✅ [BACKEND] Notifications created for nurses');
 
     // Generate OPD fee invoice based on patient type
-    let opdInvoice = null;
-    try {
-      const opdCharge = getOPDCharge(patient?.patientType);
-      const patientName = `${patient?.firstName} ${patient?.lastName}`;
-
-      const invoiceNo = await generateInvoiceNo();
-
-      opdInvoice = new Invoice({
-        invoiceNo,
-        patientId: patient._id,
-        patientNo: patient.patientNo,
-        patientType: patient.patientType,
-        forceNo: patient.forceNo,
-        patientName,
-        source: 'OPD',
-        items: [{ service: 'OPD Consultation Fee', department: 'OPD', price: opdCharge, quantity: 1 }],
-        total: opdCharge,
-        discount: 0,
-        netAmount: opdCharge,
-        amountPaid: 0,
-        paymentStatus: 'pending',
-      });
-      await opdInvoice.save();
-      console.log('✅ [BACKEND] OPD Invoice created:', invoiceNo, '| Rs.', opdCharge, '| Type:', patient.patientType);
-
-      // Notify receptionist about ALL OPD invoices (even free ones need processing)
-      const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] } });
-      for (const staff of receptionists) {
-        await Notification.create({
-          userId: staff._id,
-          type: 'invoice_created',
-          title: 'OPD Fee Invoice',
-          message: opdCharge > 0
-            ? `OPD token generated for ${patientName} (${patient.patientType}). Invoice ${invoiceNo} - Rs. ${opdCharge} - payment pending.`
-            : `OPD token generated for ${patientName} (${patient.patientType}). Invoice ${invoiceNo} - Free OPD - needs processing.`,
-          relatedId: opdInvoice._id,
-          relatedType: 'invoice',
-          actionUrl: '/receptionist/billing',
-        });
-      }
-    } catch (invoiceErr) {
-      console.error('⚠️ [BACKEND] Error creating OPD invoice:', invoiceErr);
-    }
+    const opdInvoice = await raiseOPDInvoice(req, newAppointment, patient);
 
     // Format the response to match the GET endpoint format
     const formattedAppointment = {
@@ -332,7 +495,9 @@ router.post('/', verifyToken, checkRole(['receptionist', 'doctor', 'admin']), as
       roomNo: newAppointment.roomNo,
       date: newAppointment.date,
       time: newAppointment.time,
+      endTime: newAppointment.endTime,
       token: tokenNo,
+      checkedIn: Boolean(newAppointment.checkedInAt),
       status: newAppointment.status,
       reason: newAppointment.reason,
       createdAt: newAppointment.createdAt,
@@ -349,7 +514,7 @@ router.post('/', verifyToken, checkRole(['receptionist', 'doctor', 'admin']), as
 
     res.status(201).json({ 
       success: true, 
-      message: 'Appointment created and added to queue', 
+      message: tokenNo ? 'Appointment created and added to queue' : `Appointment booked for ${date} at ${newAppointment.time}`, 
       data: formattedAppointment
     });
   } catch (err) {
@@ -359,7 +524,7 @@ router.post('/', verifyToken, checkRole(['receptionist', 'doctor', 'admin']), as
 });
 
 // Update appointment status
-router.put('/:appointmentId', verifyToken, async (req, res) => {
+router.put('/:appointmentId', verifyToken, requirePermission('appointment:update'), async (req, res) => {
   try {
     const appointment = await Appointment.findById(req.params.appointmentId)
       .populate('doctorId');
@@ -369,32 +534,29 @@ router.put('/:appointmentId', verifyToken, async (req, res) => {
 
     const { status, time, date } = req.body;
     const previousStatus = appointment.status;
+
+    // Moves and cancellations keep a history, so they have their own actions
+    if ((date && date !== appointment.date) || (time && time !== appointment.time)) {
+      return res.status(400).json({ success: false, message: 'Use POST /api/appointments/:appointmentId/reschedule to move an appointment' });
+    }
+    if (status === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'Use POST /api/appointments/:appointmentId/cancel to cancel an appointment' });
+    }
+    if (status && previousStatus === 'cancelled') {
+      return res.status(400).json({ success: false, message: 'A cancelled appointment can\'t be reopened; book a new one' });
+    }
+    if (status && previousStatus === 'tentative') {
+      return res.status(400).json({ success: false, message: 'Book the follow-up first with POST /api/appointments/:appointmentId/confirm' });
+    }
     
     if (status) appointment.status = status;
-    if (time) appointment.time = time;
-    if (date) appointment.date = date;
 
     await appointment.save();
     console.log('📝 [BACKEND] Appointment status updated:', appointment.appointmentNo, '| From:', previousStatus, 'To:', status);
 
-    // Handle slot restoration when appointment is completed or cancelled
-    if (status && (status === 'completed' || status === 'cancelled' || status === 'no-show')) {
-      if (appointment.doctorId) {
-        const doctor = await User.findById(appointment.doctorId._id);
-        if (doctor) {
-          const previousSlots = doctor.available_slots || 0;
-          const maxSlots = doctor.max_slots || 10;
-          const restoredSlots = Math.min(maxSlots, previousSlots + 1);
-          doctor.available_slots = restoredSlots;
-          await doctor.save();
-          console.log('🎫 [BACKEND] Slot restored:', {
-            doctorName: doctor.name,
-            previousSlots: previousSlots,
-            currentSlots: restoredSlots,
-            maxSlots: maxSlots
-          });
-        }
-      }
+    // Keep the patient's and doctor's no-show counters in step with manual corrections
+    if (status && (status === 'no-show') !== (previousStatus === 'no-show')) {
+      await countNoShow(appointment, status === 'no-show' ? 1 : -1);
     }
 
     // Sync update to queue - find and update the patient in queue
@@ -407,7 +569,7 @@ router.put('/:appointmentId', verifyToken, async (req, res) => {
           // Map appointment status to queue status
           if (status === 'completed') {
             patientInQueue.status = 'completed';
-          } else if (status === 'cancelled' || status === 'no-show') {
+          } else if (status === 'no-show') {
             patientInQueue.status = 'skipped';
           } else if (status === 'vitals_recorded') {
             patientInQueue.status = 'vitals_recorded';
@@ -433,7 +595,7 @@ router.put('/:appointmentId', verifyToken, async (req, res) => {
 });
 
 // Delete appointment
-router.delete('/:appointmentId', verifyToken, checkRole(['receptionist', 'admin']), async (req, res) => {
+router.delete('/:appointmentId', verifyToken, requirePermission('appointment:delete'), async (req, res) => {
   try {
     const appointmentId = req.params.appointmentId;
     console.log('🔍 [BACKEND] Deleting appointment:', appointmentId);
@@ -444,261 +606,627 @@ router.delete('/:appointmentId', verifyToken, checkRole(['receptionist', 'admin'
       return res.status(404).json({ success: false, message: 'Appointment not found' });
     }
 
-    const roomNo = appointment.roomNo;
-    const appointmentIdStr = appointment._id.toString();
-    console.log('📍 [BACKEND] Appointment details - Room:', roomNo, '| AppointmentId:', appointmentIdStr);
-
-    // Find and update queue BEFORE deleting the appointment
-    const queue = await Queue.findOne({ roomNo });
-    console.log('🔎 [BACKEND] Queue lookup for room:', roomNo, '| Found:', !!queue);
-    
-    if (queue) {
-      console.log('📊 [BACKEND] Queue has', queue.patients.length, 'patients');
-      
-      // Find the patient by appointmentId
-      const patientIndex = queue.patients.findIndex(p => {
-        const pAppId = p.appointmentId?.toString();
-        console.log('  ↳ Checking patient:', p.patientName, '| AppointmentId:', pAppId, '| Match:', pAppId === appointmentIdStr);
-        return pAppId === appointmentIdStr;
-      });
-
-      console.log('🔎 [BACKEND] Patient index found:', patientIndex);
-
-      if (patientIndex !== -1) {
-        const removedPatient = queue.patients.splice(patientIndex, 1)[0];
-        console.log('🗑️ [BACKEND] Removed', removedPatient.patientName, 'from queue for room:', roomNo);
-        
-        // If we removed the current patient (index 0), advance to next one
-        if (patientIndex === 0 && queue.patients.length > 0) {
-          const nextPatient = queue.patients[0]; // First patient becomes current
-          if (nextPatient) {
-            nextPatient.status = 'serving';
-            queue.currentToken = nextPatient.tokenNo;
-            queue.currentPatientIndex = 0;
-            console.log('⏭️ [BACKEND] Auto-advanced to next patient:', nextPatient.patientName, '| Token:', nextPatient.tokenNo);
-          }
-        } else if (queue.patients.length === 0) {
-          queue.currentToken = null;
-          queue.currentPatientIndex = 0;
-          console.log('🛑 [BACKEND] Queue is now empty');
-        }
-        
-        await queue.save();
-        console.log('✅ [BACKEND] Queue updated after appointment deletion | Patients remaining:', queue.patients.length);
-      } else {
-        console.warn('⚠️ [BACKEND] Patient with appointmentId', appointmentIdStr, 'not found in queue');
-      }
-    } else {
-      console.warn('⚠️ [BACKEND] Queue not found for room:', roomNo);
-    }
-
-    // Restore doctor's slot before deleting
-    const doctor = await User.findById(appointment.doctorId);
-    if (doctor) {
-      const previousSlots = doctor.available_slots || 0;
-      const maxSlots = doctor.max_slots || 10;
-      const restoredSlots = Math.min(maxSlots, previousSlots + 1);
-      doctor.available_slots = restoredSlots;
-      await doctor.save();
-      console.log('🎫 [BACKEND] Slot restored on deletion:', {
-        doctorName: doctor.name,
-        previousSlots: previousSlots,
-        currentSlots: restoredSlots,
-        maxSlots: maxSlots
-      });
+    // Take the patient out of the queue BEFORE deleting the appointment
+    const removedFromQueue = await removeFromQueue(appointment);
+    if (!removedFromQueue) {
+      console.warn('⚠️ [BACKEND] Appointment', appointment.appointmentNo, 'was not in the queue for room:', appointment.roomNo);
     }
 
     // Now delete the appointment
     await Appointment.findByIdAndDelete(appointmentId);
     console.log('✅ [BACKEND] Appointment deleted from database');
+    if (appointment.status === 'no-show') await countNoShow(appointment, -1);
 
-    res.json({ success: true, message: 'Appointment deleted', removedFromQueue: true });
+    res.json({ success: true, message: 'Appointment deleted', removedFromQueue });
   } catch (err) {
     console.error('❌ [BACKEND] Error deleting appointment:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Assign token to appointment (manual queue entry)
-router.post('/:appointmentId/assign-token', verifyToken, checkRole(['receptionist', 'doctor', 'admin']), async (req, res) => {
+// Find the slot an appointment would move to; nothing is written
+function planMove(appointment, { date, time, doctor }) {
+  const sameDoctor = String(doctor._id) === String(appointment.doctorId);
+  // Keep the time when only the date or doctor changes
+  return planOccurrence(
+    { patientId: appointment.patientId, doctorId: doctor._id, date, time: time || appointment.time },
+    {
+      defaultRoomNo: sameDoctor ? appointment.roomNo : doctor.roomNo,
+      held: sameDoctor ? {
+        date: appointment.date,
+        sessionStart: appointment.sessionStart,
+        time: appointment.slotKey ? appointment.time : undefined,
+      } : undefined,
+      excludeId: appointment._id,
+    }
+  );
+}
+
+// Move an appointment to a planned slot, with history, queue and audit.
+// A patient already in a queue keeps their place if only the time changes
+// today; otherwise they leave it, and rejoin the new room's queue if the
+// appointment is still today.
+async function applyMove(req, appointment, plan, { doctor, reason, note = '' }) {
+  const before = appointment.toObject();
+  const from = placement(appointment);
+  const today = localDate();
+
+  // Leave the queue first, while roomNo still names the old room
+  const keepsQueuePlace = plan.date === today && plan.roomNo === appointment.roomNo;
+  const wasQueued = keepsQueuePlace ? false : await removeFromQueue(appointment);
+  if (!keepsQueuePlace) appointment.checkedInAt = null;
+
+  appointment.set({ ...plan, doctorId: doctor._id });
+  appointment.history.push({ action: 'rescheduled', from, to: placement(appointment), reason, by: req.user.id });
+
   try {
-    const appointment = await Appointment.findById(req.params.appointmentId)
-      .populate('patientId', 'firstName lastName patientNo forceNo')
-      .populate('doctorId', 'name department');
-    
+    await appointment.save();
+  } catch (saveErr) {
+    if (saveErr.code === 11000 && saveErr.keyPattern?.slotKey) {
+      return { error: `The ${plan.time} slot was just booked; choose another` };
+    }
+    throw saveErr;
+  }
+
+  let token = null;
+  if (wasQueued && plan.date === today) {
+    const patient = await Patient.findById(appointment.patientId);
+    token = await checkInToQueue(appointment, { patient, doctor });
+  }
+
+  await recordAudit(req, {
+    entityType: 'Appointment',
+    entityId: appointment._id,
+    entityRef: appointment.appointmentNo,
+    action: 'reschedule',
+    before,
+    after: appointment,
+    summary: `Rescheduled from ${from.date} ${from.time} to ${plan.date} ${plan.time}${note}: ${reason}`,
+  });
+  console.log('📅 [BACKEND] Rescheduled', appointment.appointmentNo, 'from', from.date, from.time, 'to', plan.date, plan.time);
+
+  return { queue: keepsQueuePlace ? 'unchanged' : (token ? 'moved' : (wasQueued ? 'removed' : 'none')), token };
+}
+
+// Cancel an appointment: release the slot, take the patient out of the queue
+// and void or credit the OPD invoice. The caller checks it is open.
+async function cancelAppointment(req, appointment, { reason, note = '' }) {
+  const tentative = appointment.status === 'tentative';
+  const before = appointment.toObject();
+  const now = new Date();
+  // Dropping a follow-up nobody booked is never a late cancellation
+  const notice = tentative ? { noticeHours: null, late: false } : cancellationNotice(appointment, now);
+
+  const removedFromQueue = await removeFromQueue(appointment);
+  appointment.status = 'cancelled';
+  appointment.cancellation = { at: now, by: req.user.id, reason, ...notice };
+  appointment.history.push({ action: 'cancelled', from: placement(appointment), reason, by: req.user.id, at: now });
+
+  let invoice = null;
+  let reversal = null;
+  if (appointment.invoiceId) {
+    invoice = await Invoice.findById(appointment.invoiceId);
+    const invoiceBefore = invoice?.toObject();
+    reversal = invoice && reverseInvoice(invoice, { reason: `Appointment ${appointment.appointmentNo} cancelled: ${reason}`, userId: req.user.id });
+    if (reversal) {
+      await invoice.save();
+      await recordAudit(req, {
+        entityType: 'Invoice',
+        entityId: invoice._id,
+        entityRef: invoice.invoiceNo,
+        action: reversal === 'credit' ? 'credit' : 'void',
+        before: invoiceBefore,
+        after: invoice,
+        summary: reversal === 'credit'
+          ? `Credited Rs. ${invoice.reversal.creditAmount} for cancelled appointment ${appointment.appointmentNo}`
+          : `Voided for cancelled appointment ${appointment.appointmentNo}`,
+      });
+    }
+  }
+
+  await appointment.save();
+  await recordAudit(req, {
+    entityType: 'Appointment',
+    entityId: appointment._id,
+    entityRef: appointment.appointmentNo,
+    action: 'cancel',
+    before,
+    after: appointment,
+    summary: tentative
+      ? `Follow-up dropped: ${reason}`
+      : `Cancelled${notice.late ? ' late' : ''} (${notice.noticeHours}h notice)${note}: ${reason}`,
+  });
+  console.log('🚫 [BACKEND] Cancelled', appointment.appointmentNo, '| Late:', notice.late, '| Invoice:', reversal || 'unchanged');
+
+  return {
+    removedFromQueue,
+    invoice: invoice ? {
+      id: invoice._id,
+      invoiceNo: invoice.invoiceNo,
+      paymentStatus: invoice.paymentStatus,
+      reversal: reversal || null,
+      creditAmount: invoice.reversal?.creditAmount || 0,
+    } : null,
+  };
+}
+
+// The series of an appointment when a change has the given scope. Changes to
+// one visit of a series are still recorded on the series.
+async function seriesForScope(appointment, scope) {
+  if (!EDIT_SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${EDIT_SCOPES.join(', ')}` };
+  }
+  if (!appointment.seriesId) {
+    return scope === 'this' ? { series: null } : { error: 'Appointment is not part of a series' };
+  }
+  const series = await AppointmentSeries.findById(appointment.seriesId);
+  if (!series && scope !== 'this') return { error: 'The appointment\'s series no longer exists' };
+  return { series };
+}
+
+// Move an appointment to another slot, date or doctor
+// Body: { date?, time?, doctorId?, reason, scope? }
+// For a visit in a series, scope 'following' or 'all' moves this and later
+// visits, or every visit still to come, to the new time or doctor on their
+// own dates. Visits moved on their own are left where they are. Nothing
+// moves unless every visit can.
+router.post('/:appointmentId/reschedule', verifyToken, requirePermission('appointment:reschedule'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.appointmentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid appointmentId' });
+    }
+    const appointment = await Appointment.findById(req.params.appointmentId);
     if (!appointment) {
       return res.status(404).json({ success: false, message: 'Appointment not found' });
     }
+    if (appointment.status === 'tentative') {
+      return res.status(400).json({ success: false, message: 'A tentative follow-up is given its date and time when it is booked (POST /api/appointments/:appointmentId/confirm)' });
+    }
+    if (!ACTIVE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({ success: false, message: `Appointment is ${appointment.status} and can't be rescheduled` });
+    }
 
-    console.log('🎫 [BACKEND] Assigning token to appointment:', appointment.appointmentNo);
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required' });
+    }
+    const scope = req.body.scope || 'this';
+    const { series, error: scopeError } = await seriesForScope(appointment, scope);
+    if (scopeError) {
+      return res.status(400).json({ success: false, message: scopeError });
+    }
+    const { time } = req.body;
+    const date = req.body.date || appointment.date;
+    const doctorId = req.body.doctorId || String(appointment.doctorId);
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+    const today = localDate();
+    if (date < today) {
+      return res.status(400).json({ success: false, message: 'Appointments cannot be moved into the past' });
+    }
+    if (time && !isValidTime(time)) {
+      return res.status(400).json({ success: false, message: 'time must be HH:mm (24-hour)' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+      return res.status(400).json({ success: false, message: 'Invalid doctorId' });
+    }
+    const sameDoctor = doctorId === String(appointment.doctorId);
+    if (sameDoctor && date === appointment.date && (!time || time === appointment.time)) {
+      return res.status(400).json({ success: false, message: 'Give a new date, time or doctor' });
+    }
+    if (scope !== 'this' && date !== appointment.date) {
+      return res.status(400).json({ success: false, message: 'Only the time and doctor can change for several visits; move one visit to another date with scope "this"' });
+    }
 
-    // Get or create queue for this room
-    let queue = await Queue.findOne({ roomNo: appointment.roomNo });
-    
-    if (!queue) {
-      queue = new Queue({
-        doctorId: appointment.doctorId._id,
-        roomNo: appointment.roomNo,
-        doctorName: appointment.doctorId.name,
-        department: appointment.doctorId.department,
-        status: 'active',
-        patients: [],
-      });
-      console.log('📋 [BACKEND] Created new queue for room:', appointment.roomNo);
+    const doctor = await User.findById(doctorId);
+    if (!doctor || doctor.role !== 'doctor' || doctor.status !== 'active') {
+      return res.status(400).json({ success: false, message: 'Selected doctor is not available' });
     }
 
-    // Check if patient already in queue
-    const existingPatient = queue.patients.find(p => p.appointmentId?.toString() === appointment._id.toString());
-    
-    if (existingPatient) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Patient already has a token in this queue',
-        tokenNo: existingPatient.tokenNo 
+    if (scope === 'this') {
+      const plan = await planMove(appointment, { date, time, doctor });
+      if (plan.error) {
+        return res.status(plan.status).json({ success: false, message: plan.error });
+      }
+      const moved = await applyMove(req, appointment, plan, { doctor, reason });
+      if (moved.error) {
+        return res.status(409).json({ success: false, message: moved.error });
+      }
+      if (series) {
+        recordException(series, appointment, { kind: 'moved', reason, userId: req.user.id });
+        await series.save();
+      }
+
+      return res.json({
+        success: true,
+        message: `Appointment moved to ${plan.date} at ${plan.time}`,
+        data: {
+          id: appointment._id,
+          ...appointment.toObject(),
+          queue: moved.queue,
+          token: moved.token,
+        },
       });
     }
 
-    // Generate token
-    const tokenNo = `T-${appointment.roomNo}-${queue.patients.length + 1}`;
-    
-    queue.patients.push({
-      appointmentId: appointment._id,
-      tokenNo,
-      patientNo: appointment.patientId.patientNo,
-      patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
-      forceNo: appointment.patientId.forceNo,
-      patientId: appointment.patientId._id,
-      status: 'waiting',
-      position: queue.patients.length,
+    const targets = await findSeriesTargets(series, {
+      fromDate: scope === 'following' ? appointment.occurrenceDate : null,
+      skipMoved: true,
+      keepId: appointment._id,
+      today,
     });
+    const plans = [];
+    const conflicts = [];
+    for (const target of targets) {
+      const plan = await planMove(target, { date: target.date, time: time || target.time, doctor });
+      if (plan.error) conflicts.push({ appointmentNo: target.appointmentNo, date: target.date, message: plan.error });
+      else plans.push({ target, plan });
+    }
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${conflicts.length} of ${targets.length} visits can't be moved; nothing was changed`,
+        data: { conflicts },
+      });
+    }
 
-    // If this is the first patient, make them serving
-    if (queue.patients.length === 1) {
-      queue.patients[0].status = 'serving';
-      queue.currentToken = tokenNo;
-      queue.currentPatientIndex = 0;
-      console.log('👤 [BACKEND] First patient automatically set as serving');
+    // "This and following" starts a new series from this visit, so earlier
+    // visits keep the old time and doctor
+    const changed = scope === 'following' ? await splitSeries(series, appointment.occurrenceDate) : series;
+    const seriesBefore = changed.toObject();
+    const note = ` with series ${changed.seriesNo}`;
+    const moved = [];
+    const failed = [];
+    for (const { target, plan } of plans) {
+      const result = await applyMove(req, target, plan, { doctor, reason, note });
+      if (result.error) failed.push({ appointmentNo: target.appointmentNo, date: target.date, message: result.error });
+      else moved.push({ id: target._id, appointmentNo: target.appointmentNo, date: target.date, time: target.time, queue: result.queue, token: result.token });
     }
 
-    await queue.save();
-    console.log('✅ [BACKEND] Token assigned:', tokenNo, 'To patient:', appointment.patientId.firstName);
+    changed.doctorId = doctor._id;
+    if (time) changed.time = time;
+    if (!sameDoctor) changed.roomNo = undefined;
+    await changed.save();
+    await recordAudit(req, {
+      entityType: 'AppointmentSeries',
+      entityId: changed._id,
+      entityRef: changed.seriesNo,
+      action: 'reschedule',
+      before: seriesBefore,
+      after: changed,
+      summary: `Moved ${moved.length} visit(s) (${scope === 'all' ? 'whole series' : `from ${appointment.occurrenceDate}`}): ${reason}`,
+    });
 
-    res.json({ 
-      success: true, 
-      message: 'Token assigned successfully',
-      data: {
-        tokenNo,
-        patientName: `${appointment.patientId.firstName} ${appointment.patientId.lastName}`,
-        roomNo: appointment.roomNo,
-        position: queue.patients.length,
+    res.json({
+      success: true,
+      message: failed.length > 0
+        ? `${moved.length} visit(s) moved; ${failed.length} slot(s) were just taken and kept their old time`
+        : `${moved.length} visit(s) moved`,
+      data: { seriesId: changed._id, seriesNo: changed.seriesNo, splitFrom: changed.splitFrom || null, moved, failed },
+    });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error rescheduling appointment:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Cancel an appointment: the slot is released, the patient leaves the queue
+// and the OPD invoice is voided, or credited if anything was paid
+// Body: { reason, scope? }
+// For a visit in a series, scope 'following' cancels this and every later
+// visit and ends the series; 'all' cancels every visit still to come and the
+// series with them.
+router.post('/:appointmentId/cancel', verifyToken, requirePermission('appointment:cancel'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.appointmentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid appointmentId' });
+    }
+    const appointment = await Appointment.findById(req.params.appointmentId);
+    if (!appointment) {
+      return res.status(404).json({ success: false, message: 'Appointment not found' });
+    }
+    if (appointment.status !== 'tentative' && !ACTIVE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({ success: false, message: `Appointment is already ${appointment.status}` });
+    }
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required' });
+    }
+    const scope = req.body.scope || 'this';
+    const { series, error: scopeError } = await seriesForScope(appointment, scope);
+    if (scopeError) {
+      return res.status(400).json({ success: false, message: scopeError });
+    }
+
+    if (scope === 'this') {
+      const result = await cancelAppointment(req, appointment, { reason });
+      if (series) {
+        recordException(series, appointment, { kind: 'cancelled', reason, userId: req.user.id });
+        await series.save();
       }
+      return res.json({
+        success: true,
+        message: 'Appointment cancelled',
+        data: { id: appointment._id, ...appointment.toObject(), ...result },
+      });
+    }
+
+    const targets = await findSeriesTargets(series, {
+      fromDate: scope === 'following' ? appointment.occurrenceDate : null,
+    });
+    // The visit asked about is cancelled even if its day has passed unclosed
+    if (!targets.some(t => t._id.equals(appointment._id))) targets.unshift(appointment);
+
+    const seriesBefore = series.toObject();
+    const note = ` with series ${series.seriesNo}`;
+    const cancelled = [];
+    for (const target of targets) {
+      const result = await cancelAppointment(req, target, { reason, note });
+      cancelled.push({ id: target._id, appointmentNo: target.appointmentNo, date: target.date, late: target.cancellation.late, invoice: result.invoice });
+    }
+
+    if (scope === 'all') series.status = 'cancelled';
+    else endSeriesBefore(series, appointment.occurrenceDate);
+    await series.save();
+    await recordAudit(req, {
+      entityType: 'AppointmentSeries',
+      entityId: series._id,
+      entityRef: series.seriesNo,
+      action: 'cancel',
+      before: seriesBefore,
+      after: series,
+      summary: series.status === 'cancelled'
+        ? `Series cancelled with ${cancelled.length} visit(s): ${reason}`
+        : `Series ended on ${series.until}, ${cancelled.length} visit(s) cancelled: ${reason}`,
+    });
+
+    res.json({
+      success: true,
+      message: `${cancelled.length} visit(s) cancelled`,
+      data: { seriesId: series._id, seriesNo: series.seriesNo, status: series.status, until: series.until, cancelled },
     });
   } catch (err) {
-    console.error('❌ [BACKEND] Error assigning token:', err);
+    console.error('❌ [BACKEND] Error cancelling appointment:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Daily reset: archive today's appointments (mark completed) and clear queues
-// Appointments stay in database for historical records; only queues are cleared
-router.post('/admin/daily-reset', verifyToken, checkRole(['admin']), async (req, res) => {
+// Book a tentative follow-up into a slot. The OPD invoice is raised now.
+// Body: { date?, time?, doctorId?, checkIn? }; date defaults to the due date,
+// or today if that has passed
+router.post('/:appointmentId/confirm', verifyToken, requirePermission('appointment:create'), async (req, res) => {
   try {
-    console.log('🔄 [BACKEND] Running daily appointment reset...');
-
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-    const todayEnd = new Date();
-    todayEnd.setHours(23, 59, 59, 999);
-    const todayStr = todayStart.toISOString().split('T')[0];
-
-    // Mark all active (scheduled/vitals_recorded) appointments as completed
-    const archiveResult = await Appointment.updateMany(
-      {
-        status: { $in: ['scheduled', 'vitals_recorded'] },
-        $or: [
-          { date: todayStr },
-          { date: { $lt: todayStr } },
-          { createdAt: { $lte: todayEnd } }
-        ]
-      },
-      { $set: { status: 'completed' } }
-    );
-    console.log('📋 [BACKEND] Archived', archiveResult.modifiedCount, 'appointments (marked as completed)');
+    if (!mongoose.Types.ObjectId.isValid(req.params.appointmentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid appointmentId' });
+    }
+    const appointment = await Appointment.findById(req.params.appointmentId);
+    if (!appointment) {
+      return res.status(404).json({ success: false, message: 'Appointment not found' });
+    }
+    if (appointment.status !== 'tentative') {
+      return res.status(400).json({ success: false, message: `Appointment is already ${appointment.status}` });
+    }
 
-    // Clear queue patients but keep queue structure
-    const queues = await Queue.find({});
-    let clearedPatients = 0;
-    for (const queue of queues) {
-      clearedPatients += queue.patients.length;
-      queue.patients = [];
-      queue.currentToken = null;
-      queue.currentPatientIndex = 0;
-      await queue.save();
+    const patient = await Patient.findById(appointment.patientId);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+    if (patient.archivedAt) {
+      return res.status(409).json({ success: false, message: archivedPatientMessage(patient), data: { archived: true } });
+    }
+
+    const doctorId = req.body.doctorId || String(appointment.doctorId);
+    if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+      return res.status(400).json({ success: false, message: 'Invalid doctorId' });
+    }
+    const doctor = await User.findById(doctorId);
+    if (!doctor || doctor.role !== 'doctor' || doctor.status !== 'active') {
+      return res.status(400).json({ success: false, message: 'Selected doctor is not available' });
+    }
+
+    const today = localDate();
+    const { time } = req.body;
+    const date = req.body.date || (appointment.date < today ? today : appointment.date);
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+    if (date < today) {
+      return res.status(400).json({ success: false, message: 'Appointments cannot be booked in the past' });
+    }
+    if (time && !isValidTime(time)) {
+      return res.status(400).json({ success: false, message: 'time must be HH:mm (24-hour)' });
+    }
+
+    const reservation = await reserveRosterSession(doctor._id, date, time);
+    if (reservation.error) {
+      return res.status(reservation.status).json({ success: false, message: reservation.error });
+    }
+    const { session, slot } = reservation;
+    const appointmentTime = slot?.time || time || (date === today ? localTime() : null);
+    if (!appointmentTime) {
+      return res.status(400).json({ success: false, message: 'time is required for a doctor without a duty roster' });
+    }
+    const roomNo = session?.roomNo || (doctorId === String(appointment.doctorId) && appointment.roomNo) || doctor.roomNo;
+    if (!roomNo) {
+      return res.status(400).json({ success: false, message: 'The doctor has no room for this time' });
     }
-    console.log('🧹 [BACKEND] Cleared', clearedPatients, 'patients from', queues.length, 'queues');
 
-    // Restore all doctors' slots to max
-    const doctors = await User.find({ role: 'doctor' });
-    for (const doctor of doctors) {
-      doctor.available_slots = doctor.max_slots || 10;
-      await doctor.save();
+    const conflict = await findPatientConflict(appointment.patientId, date, appointmentTime, slot?.endTime, { excludeId: appointment._id });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `Patient already has appointment ${conflict.appointmentNo} at ${conflict.time} with Dr. ${conflict.doctorId?.name || 'unknown'} on ${date}`,
+      });
+    }
+
+    const before = appointment.toObject();
+    appointment.set({
+      doctorId: doctor._id,
+      roomNo,
+      date,
+      time: appointmentTime,
+      endTime: slot?.endTime || null,
+      sessionStart: session?.startTime || null,
+      slotKey: slot ? slotKey(doctor._id, date, slot.time) : undefined,
+      status: 'scheduled',
+    });
+    try {
+      await appointment.save();
+    } catch (saveErr) {
+      if (saveErr.code === 11000 && saveErr.keyPattern?.slotKey) {
+        return res.status(409).json({ success: false, message: `The ${appointmentTime} slot was just booked; choose another` });
+      }
+      throw saveErr;
+    }
+
+    const invoice = await raiseOPDInvoice(req, appointment, patient);
+    let token = null;
+    if (date === today && req.body.checkIn !== false) {
+      token = await checkInToQueue(appointment, { patient, doctor });
     }
-    console.log('🎫 [BACKEND] Reset slots for', doctors.length, 'doctors');
+
+    await recordAudit(req, {
+      entityType: 'Appointment',
+      entityId: appointment._id,
+      entityRef: appointment.appointmentNo,
+      action: 'confirm',
+      before,
+      after: appointment,
+      summary: `Follow-up due ${appointment.followUp?.dueDate || before.date} booked for ${date} at ${appointmentTime}`,
+    });
+    console.log('📅 [BACKEND] Follow-up booked:', appointment.appointmentNo, '|', date, appointmentTime);
 
     res.json({
       success: true,
-      message: 'Daily reset completed. Appointments archived (not deleted), queues cleared, slots restored.',
-      archivedAppointments: archiveResult.modifiedCount,
-      clearedQueues: queues.length,
-      clearedQueuePatients: clearedPatients,
-      doctorSlotsReset: doctors.length,
+      message: token ? 'Follow-up booked and added to queue' : `Follow-up booked for ${date} at ${appointmentTime}`,
+      data: {
+        id: appointment._id,
+        ...appointment.toObject(),
+        token,
+        invoice: invoice ? {
+          invoiceNo: invoice.invoiceNo,
+          amount: invoice.netAmount,
+          paymentStatus: invoice.paymentStatus,
+          source: invoice.source,
+        } : null,
+      },
     });
   } catch (err) {
-    console.error('❌ [BACKEND] Error in daily reset:', err);
+    console.error('❌ [BACKEND] Error booking follow-up:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Legacy clear all appointments (keeps for backward compat but now archives instead of deleting)
-router.delete('/admin/clear-all', verifyToken, checkRole(['admin']), async (req, res) => {
+// Check in a booked patient on the day of their appointment: they join the
+// room queue with today's next token and the nurses are told
+async function checkInAppointment(req, res) {
   try {
-    console.log('🔄 [BACKEND] Archiving all appointments (soft reset)...');
+    if (!mongoose.Types.ObjectId.isValid(req.params.appointmentId)) {
+      return res.status(400).json({ success: false, message: 'Invalid appointmentId' });
+    }
+    const appointment = await Appointment.findById(req.params.appointmentId);
+    if (!appointment) {
+      return res.status(404).json({ success: false, message: 'Appointment not found' });
+    }
+    if (!ACTIVE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({ success: false, message: `Appointment is ${appointment.status}` });
+    }
+    if (appointment.date !== localDate()) {
+      return res.status(400).json({ success: false, message: `Appointment is on ${appointment.date}; patients can only check in on the day` });
+    }
 
-    // Archive: mark all non-completed/non-cancelled appointments as completed
-    const archiveResult = await Appointment.updateMany(
-      { status: { $in: ['scheduled', 'vitals_recorded'] } },
-      { $set: { status: 'completed' } }
-    );
+    const queued = await Queue.exists({ roomNo: appointment.roomNo, 'patients.appointmentId': appointment._id });
+    if (appointment.checkedInAt || queued) {
+      return res.status(400).json({ success: false, message: 'Patient has already checked in' });
+    }
 
-    // Clear queues (patients array) but keep queue structure
-    const queues = await Queue.find({});
-    let clearedPatients = 0;
-    for (const queue of queues) {
-      clearedPatients += queue.patients.length;
-      queue.patients = [];
-      queue.currentToken = null;
-      queue.currentPatientIndex = 0;
-      await queue.save();
+    const [patient, doctor] = await Promise.all([
+      Patient.findById(appointment.patientId),
+      User.findById(appointment.doctorId),
+    ]);
+    if (!patient || !doctor) {
+      return res.status(404).json({ success: false, message: 'Patient or doctor for this appointment no longer exists' });
+    }
+    if (patient.archivedAt) {
+      return res.status(409).json({ success: false, message: archivedPatientMessage(patient), data: { archived: true } });
     }
 
-    // Restore doctor slots
-    const doctors = await User.find({ role: 'doctor' });
-    for (const doctor of doctors) {
-      doctor.available_slots = doctor.max_slots || 10;
-      await doctor.save();
+    const tokenNo = await checkInToQueue(appointment, { patient, doctor });
+    console.log('🛎️ [BACKEND] Checked in:', appointment.appointmentNo, '| Token:', tokenNo);
+
+    // Visits in a series are invoiced on the day, at the entitlement they have then
+    const invoice = appointment.seriesId && !appointment.invoiceId
+      ? await raiseOPDInvoice(req, appointment, patient)
+      : null;
+
+    res.json({
+      success: true,
+      message: 'Patient checked in and added to queue',
+      data: {
+        id: appointment._id,
+        appointmentNo: appointment.appointmentNo,
+        roomNo: appointment.roomNo,
+        date: appointment.date,
+        time: appointment.time,
+        token: tokenNo,
+        checkedInAt: appointment.checkedInAt,
+        invoice: invoice ? { invoiceNo: invoice.invoiceNo, amount: invoice.netAmount, paymentStatus: invoice.paymentStatus } : null,
+      },
+    });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error checking in appointment:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+}
+
+router.post('/:appointmentId/check-in', verifyToken, requirePermission('appointment:update'), checkInAppointment);
+
+// Older name for check-in, kept for existing clients
+router.post('/:appointmentId/assign-token', verifyToken, requirePermission('appointment:update'), checkInAppointment);
+
+// End-of-day closing, the same job that runs after midnight: open appointments
+// on past days become completed (patient came) or no-show, and queue entries
+// from earlier days are cleared. Body: { date? } to close one past day;
+// by default every day of the last week that was left open.
+router.post('/admin/daily-reset', verifyToken, requirePermission('appointment:admin'), async (req, res) => {
+  try {
+    const { date } = req.body;
+    if (date !== undefined && (!isValidDate(date) || date >= localDate())) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD before today; today is closed after midnight' });
     }
+    console.log('🔄 [BACKEND] Running end-of-day closing', date || '(open days of the last week)');
+
+    const closed = await runDayClosing(date ? { from: date, through: date } : {});
+    console.log('📋 [BACKEND] Day closing:', closed.completed, 'completed,', closed.noShows, 'no-show(s),', closed.clearedQueueEntries, 'queue entries cleared');
+
+    res.json({
+      success: true,
+      message: `Closed ${closed.days.length} day(s): ${closed.completed} completed, ${closed.noShows} no-show(s)`,
+      data: closed,
+    });
+  } catch (err) {
+    console.error('❌ [BACKEND] Error in end-of-day closing:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Legacy name for the end-of-day closing, kept for older clients. Only past
+// days are closed; today's and future bookings are left alone.
+router.delete('/admin/clear-all', verifyToken, requirePermission('appointment:admin'), async (req, res) => {
+  try {
+    console.log('🔄 [BACKEND] Running end-of-day closing (legacy clear-all)');
 
-    console.log('✅ [BACKEND] Archived', archiveResult.modifiedCount, 'appointments, cleared', clearedPatients, 'queue patients');
+    const closed = await runDayClosing();
+    console.log('📋 [BACKEND] Day closing:', closed.completed, 'completed,', closed.noShows, 'no-show(s),', closed.clearedQueueEntries, 'queue entries cleared');
 
     res.json({
       success: true,
-      message: 'All appointments archived (not deleted). Queues cleared. Slots restored.',
-      archivedAppointments: archiveResult.modifiedCount,
-      clearedQueues: queues.length,
-      clearedQueuePatients: clearedPatients,
+      message: `Closed ${closed.days.length} day(s): ${closed.completed} completed, ${closed.noShows} no-show(s)`,
+      data: closed,
     });
   } catch (err) {
-    console.error('❌ [BACKEND] Error clearing appointments:', err);
+    console.error('❌ [BACKEND] Error in end-of-day closing:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -1,125 +1,575 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Invitation from '../models/Invitation.js';
+import { verifyToken } from '../middleware/auth.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  authenticateAccessToken,
+  generateAccessToken,
+  mapSession,
+  getClientIp,
+} from '../utils/sessionHelper.js';
+import { getActiveLock, recordLoginFailure, clearLoginFailures } from '../utils/loginThrottle.js';
+import { findOpenInvitation } from '../utils/invitations.js';
+import { validatePassword, checkNewPassword, applyNewPassword } from '../utils/passwordPolicy.js';
+import { issuePasswordReset, findUsableResetToken, consumeResetToken } from '../utils/passwordReset.js';
+import { sendMail, mailTemplates } from '../utils/mailer.js';
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  issueChallengeToken,
+  verifyChallengeToken,
+  startEnrollment,
+  activateEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  clearTwoFactor,
+  mapTwoFactorStatus,
+} from '../utils/twoFactor.js';
 
 const router = express.Router();
 
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user._id, email: user.email, role: user.role, name: user.name },
-    process.env.JWT_SECRET || 'your_jwt_secret_key_change_in_production',
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
-  );
+// Same message for unknown email, wrong role and wrong password so the
+// response never reveals which accounts exist
+const INVALID_CREDENTIALS = 'Invalid credentials';
+const LOCKED_MESSAGE = 'Too many failed login attempts. Please try again later.';
+const INVALID_INVITE = 'Invitation is invalid or has expired';
+const INVALID_RESET_TOKEN = 'Reset link is invalid or has expired';
+const INVALID_CHALLENGE = 'Login challenge is invalid or has expired. Please log in again.';
+const INVALID_2FA_CODE = 'Invalid authentication code';
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for that email, a reset link has been sent.';
+
+// Compared against when the email is unknown, so response time doesn't leak account existence
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const sendLocked = (res, lockUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ success: false, message: LOCKED_MESSAGE, retryAfter });
+};
+
+// Open a session and send the standard login response
+const sendLoginSuccess = async (req, res, user, message = 'Login successful') => {
+  const { token, refreshToken } = await createSession(user, req);
+  const userData = { 
+    id: user._id, 
+    name: user.name, 
+    email: user.email, 
+    role: user.role, 
+    department: user.department 
+  };
+
+  console.log(`[AUTH] Login successful for: ${user.name} (${user.role})`);
+
+  return res.json({
+    success: true,
+    message,
+    data: { user: userData, token, refreshToken },
+  });
+};
+
+// Accepts either a normal access token or a '2fa_enroll' login challenge in body.challengeToken,
+// so users who must use 2FA can enrol before they have a session
+const verifyTokenOrEnrollChallenge = async (req, res, next) => {
+  try {
+    if (req.body?.challengeToken) {
+      const challenge = verifyChallengeToken(req.body.challengeToken, '2fa_enroll');
+      if (!challenge) {
+        return res.status(401).json({ success: false, message: INVALID_CHALLENGE });
+      }
+      req.enrollChallenge = challenge;
+      req.user = { id: challenge.id };
+      return next();
+    }
+    return verifyToken(req, res, next);
+  } catch (err) {
+    console.error('2FA enrolment auth error:', err);
+    return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+  }
 };
 
 // Login
 router.post('/login', async (req, res) => {
   try {
     const { email, password, role } = req.body;
+    const ip = getClientIp(req);
 
-    console.log(`[AUTH] Login attempt - Email: ${email}, Role: ${role}`);
+    console.log(`[AUTH] Login attempt - Email: ${email}, Role: ${role}, IP: ${ip}`);
 
     if (!email || !password || !role) {
       console.log('[AUTH] Missing required fields');
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
 
-    // First check if user exists with this email
-    const userByEmail = await User.findOne({ email });
-    if (!userByEmail) {
-      console.log(`[AUTH] No user found with email: ${email}`);
-      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    const lockUntil = await getActiveLock({ email, ip });
+    if (lockUntil) {
+      console.log(`[AUTH] Login blocked - locked until ${lockUntil.toISOString()}`);
+      return sendLocked(res, lockUntil);
     }
 
-    // Check if role matches
-    if (userByEmail.role !== role) {
-      console.log(`[AUTH] Role mismatch - User role: ${userByEmail.role}, Requested role: ${role}`);
-      return res.status(401).json({ 
-        success: false, 
-        message: `Invalid credentials. This user is registered as "${userByEmail.role}", not "${role}".` 
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    const isPasswordValid = await bcrypt.compare(password, user?.password || DUMMY_PASSWORD_HASH);
+
+    if (!user || !isPasswordValid || user.role !== role || user.status !== 'active') {
+      if (!user) console.log('[AUTH] No user found for email');
+      else if (!isPasswordValid) console.log('[AUTH] Invalid password');
+      else if (user.status !== 'active') console.log(`[AUTH] Account not active - Status: ${user.status}`);
+      else console.log(`[AUTH] Role mismatch - User role: ${user.role}, Requested role: ${role}`);
+
+      const lockedUntil = await recordLoginFailure({ email, ip });
+      if (lockedUntil) return sendLocked(res, lockedUntil);
+      return res.status(401).json({ success: false, message: INVALID_CREDENTIALS });
+    }
+
+    // Password is correct; failures are only cleared once the second factor is done too
+    if (user.twoFactor?.enabled) {
+      console.log(`[AUTH] Password accepted for ${user.email}, awaiting 2FA code`);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: { twoFactorRequired: true, challengeToken: issueChallengeToken(user, '2fa') },
       });
     }
 
-    const user = userByEmail;
+    if (await isTwoFactorRequired(user)) {
+      console.log(`[AUTH] Password accepted for ${user.email}, 2FA enrolment required`);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication must be set up before logging in',
+        data: { twoFactorSetupRequired: true, challengeToken: issueChallengeToken(user, '2fa_enroll') },
+      });
+    }
+
+    await clearLoginFailures(email);
+    return sendLoginSuccess(req, res, user);
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Second login step: TOTP code or one of the recovery codes
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const ip = getClientIp(req);
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken, '2fa');
+    if (!challenge) {
+      return res.status(401).json({ success: false, message: INVALID_CHALLENGE });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({ success: false, message: INVALID_CHALLENGE });
+    }
+
+    const lockUntil = await getActiveLock({ email: user.email, ip });
+    if (lockUntil) return sendLocked(res, lockUntil);
+
+    const method = verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      console.log(`[AUTH] Invalid 2FA code for ${user.email}`);
+      const lockedUntil = await recordLoginFailure({ email: user.email, ip });
+      if (lockedUntil) return sendLocked(res, lockedUntil);
+      return res.status(401).json({ success: false, message: INVALID_2FA_CODE });
+    }
+
+    await user.save();
+    await clearLoginFailures(user.email);
+    if (method === 'recovery_code') {
+      console.log(`[AUTH] ${user.email} logged in with a recovery code (${user.twoFactor.recoveryCodeHashes.length} left)`);
+    }
+
+    return sendLoginSuccess(req, res, user);
+  } catch (err) {
+    console.error('2FA login error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Current user's 2FA status
+router.get('/2fa', verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodeHashes');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, data: mapTwoFactorStatus(user, await isTwoFactorRequired(user)) });
+  } catch (err) {
+    console.error('2FA status error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Start enrolment: returns the secret and an otpauth:// URI to show as a QR code
+router.post('/2fa/setup', verifyTokenOrEnrollChallenge, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || user.status !== 'active') {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    console.log(`[AUTH] Password valid: ${isPasswordValid}`);
+    const { secret, otpauthUri } = startEnrollment(user);
+    await user.save();
 
-    if (!isPasswordValid) {
-      console.log('[AUTH] Invalid password');
-      return res.status(401).json({ success: false, message: 'Invalid credentials - wrong password' });
+    res.json({ success: true, message: 'Scan the code, then confirm with /2fa/activate', data: { secret, otpauthUri } });
+  } catch (err) {
+    console.error('2FA setup error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Confirm enrolment with a code; returns recovery codes once.
+// When called with an enrolment challenge this also completes the login.
+router.post('/2fa/activate', verifyTokenOrEnrollChallenge, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
     }
 
-    const token = generateToken(user);
-    const userData = { 
-      id: user._id, 
-      name: user.name, 
-      email: user.email, 
-      role: user.role, 
-      department: user.department 
-    };
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || user.status !== 'active') {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
 
-    console.log(`[AUTH] Login successful for: ${user.name} (${user.role})`);
+    const recoveryCodes = activateEnrollment(user, code);
+    if (!recoveryCodes) {
+      if (req.enrollChallenge) await recordLoginFailure({ email: user.email, ip: getClientIp(req) });
+      return res.status(400).json({ success: false, message: INVALID_2FA_CODE });
+    }
 
+    await user.save();
+    console.log(`🔐 [AUTH] 2FA enabled for ${user.email}`);
+
+    if (!req.enrollChallenge) {
+      return res.json({ success: true, message: 'Two-factor authentication enabled', data: { recoveryCodes } });
+    }
+
+    await clearLoginFailures(user.email);
+    const { token, refreshToken } = await createSession(user, req);
     res.json({
       success: true,
-      message: 'Login successful',
-      data: { user: userData, token },
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes,
+        user: { id: user._id, name: user.name, email: user.email, role: user.role, department: user.department },
+        token,
+        refreshToken,
+      },
     });
   } catch (err) {
-    console.error('Login error:', err);
+    console.error('2FA activation error:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Signup
-router.post('/signup', async (req, res) => {
+// Turn 2FA off (not allowed when the role or an admin requires it)
+router.post('/2fa/disable', verifyToken, async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, message: 'Password and an authentication code are required' });
+    }
 
-    if (!name || !email || !password || !role) {
-      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is required for your account' });
+    }
+
+    const passwordValid = await bcrypt.compare(password, user.password);
+    if (!passwordValid || !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ success: false, message: 'Invalid password or authentication code' });
+    }
+
+    clearTwoFactor(user);
+    await user.save();
+    console.log(`🔐 [AUTH] 2FA disabled by ${user.email}`);
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    console.error('2FA disable error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Replace recovery codes; requires a current TOTP code
+router.post('/2fa/recovery-codes', verifyToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Code is required' });
     }
 
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ success: false, message: 'Email already registered' });
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (verifySecondFactor(user, { code }) !== 'totp') {
+      return res.status(401).json({ success: false, message: INVALID_2FA_CODE });
     }
 
-    const newUser = new User({
-      name,
-      email,
-      password,
-      role,
-      department: '',
-      phone: '',
-      avatar: `https://i.pravatar.cc/150?img=${Math.floor(Math.random() * 70)}`,
+    const recoveryCodes = regenerateRecoveryCodes(user);
+    await user.save();
+
+    res.json({ success: true, message: 'Recovery codes regenerated', data: { recoveryCodes } });
+  } catch (err) {
+    console.error('Recovery code error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Preview an invitation before accepting it
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invite = await findOpenInvitation(req.params.token);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: INVALID_INVITE });
+    }
+    res.json({
+      success: true,
+      data: {
+        email: invite.email,
+        name: invite.name,
+        role: invite.role,
+        department: invite.department,
+        roomNo: invite.roomNo,
+        expiresAt: invite.expiresAt,
+      },
     });
+  } catch (err) {
+    console.error('Invitation lookup error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    await newUser.save();
+// Accept an invitation: set a password, activate the account and log in
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, password, name, phone } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+    const invite = await findOpenInvitation(token);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: INVALID_INVITE });
+    }
 
-    const token = generateToken(newUser);
-    const userData = { 
-      id: newUser._id, 
-      name: newUser.name, 
-      email: newUser.email, 
-      role: newUser.role 
-    };
+    const policyErrors = validatePassword(password, { email: invite.email, name: name || invite.name });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ success: false, message: policyErrors[0], errors: policyErrors });
+    }
 
-    res.status(201).json({
+    // Claim the invitation atomically so a token can only be redeemed once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invite._id, status: 'pending', tokenHash: invite.tokenHash },
+      { $set: { status: 'accepted', acceptedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(404).json({ success: false, message: INVALID_INVITE });
+    }
+
+    const user = await User.findOne({ _id: claimed.userId, status: 'pending' });
+    if (!user) {
+      return res.status(404).json({ success: false, message: INVALID_INVITE });
+    }
+
+    applyNewPassword(user, password);
+    user.status = 'active';
+    if (name) user.name = name;
+    if (phone) user.phone = phone;
+    await user.save();
+
+    console.log(`✅ [AUTH] Invitation accepted: ${user.email} (${user.role})`);
+
+    if (await isTwoFactorRequired(user)) {
+      return res.json({
+        success: true,
+        message: 'Account activated. Set up two-factor authentication to log in.',
+        data: { twoFactorSetupRequired: true, challengeToken: issueChallengeToken(user, '2fa_enroll') },
+      });
+    }
+
+    return sendLoginSuccess(req, res, user, 'Account activated');
+  } catch (err) {
+    console.error('Accept invitation error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Request a password reset link. The response is the same whether or not the email exists.
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).trim().toLowerCase() });
+    if (user && user.status === 'active') {
+      const issued = await issuePasswordReset(user, req);
+      console.log(`[AUTH] Password reset ${issued ? 'requested' : 'throttled'} for ${user.email}`);
+    } else {
+      console.log('[AUTH] Password reset requested for unknown or inactive account');
+    }
+
+    res.json({ success: true, message: FORGOT_PASSWORD_MESSAGE });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Set a new password with a reset token; signs out every session
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    const resetToken = await findUsableResetToken(token);
+    if (!resetToken) {
+      return res.status(400).json({ success: false, message: INVALID_RESET_TOKEN });
+    }
+
+    const user = await User.findById(resetToken.userId).select('+passwordHistory');
+    if (!user || user.status !== 'active') {
+      return res.status(400).json({ success: false, message: INVALID_RESET_TOKEN });
+    }
+
+    // Validate before consuming the token so the user can retry with a better password
+    const errors = await checkNewPassword(user, password);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors[0], errors });
+    }
+
+    if (!(await consumeResetToken(resetToken))) {
+      return res.status(400).json({ success: false, message: INVALID_RESET_TOKEN });
+    }
+
+    applyNewPassword(user, password);
+    await user.save();
+
+    const revoked = await revokeUserSessions(user._id, 'password_change', { revokedBy: user._id });
+    await clearLoginFailures(user.email);
+    await sendMail({ to: user.email, ...mailTemplates.passwordChanged({ name: user.name }) });
+    console.log(`🔑 [AUTH] Password reset for ${user.email}, revoked ${revoked} sessions`);
+
+    res.json({ success: true, message: 'Password has been reset. Please log in.' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair (rotation)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token required' });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({ success: false, message: result.error });
+    }
+
+    const user = await User.findById(result.session.userId);
+    if (!user || user.status !== 'active') {
+      await revokeSession(result.session._id, 'admin');
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
       success: true,
-      message: 'User registered successfully',
-      data: { user: userData, token },
+      message: 'Token refreshed',
+      data: {
+        token: generateAccessToken(user, result.session._id),
+        refreshToken: result.refreshToken,
+      },
     });
   } catch (err) {
-    console.error('Signup error:', err);
+    console.error('Token refresh error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Logout - revoke the current session
+router.post('/logout', verifyToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, 'logout', req.user.id);
+    console.log(`[AUTH] Logout: ${req.user.email} (session ${req.user.sid})`);
+    res.json({ success: true, message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Logout from all devices - revoke every session of the current user
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'logout_all', { revokedBy: req.user.id });
+    console.log(`[AUTH] Logout all devices: ${req.user.email} (${revoked} sessions)`);
+    res.json({ success: true, message: 'Logged out from all devices', data: { revokedSessions: revoked } });
+  } catch (err) {
+    console.error('Logout-all error:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 });
+    res.json({ success: true, data: sessions.map(s => mapSession(s, req.user.sid)) });
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Revoke one of the current user's own sessions (e.g. a lost device)
+router.delete('/sessions/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, userId: req.user.id });
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    await revokeSession(session._id, 'logout', req.user.id);
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
 // Verify Token
-router.post('/verify-token', (req, res) => {
+router.post('/verify-token', async (req, res) => {
   const token = req.headers.authorization?.split(' ')[1];
 
   if (!token) {
@@ -127,9 +577,13 @@ router.post('/verify-token', (req, res) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key_change_in_production');
+    const decoded = await authenticateAccessToken(token);
+    if (!decoded) {
+      return res.status(401).json({ success: false, message: 'Invalid token' });
+    }
     res.json({ success: true, data: decoded });
   } catch (err) {
+    console.error('Token verification error:', err);
     res.status(401).json({ success: false, message: 'Invalid token' });
   }
 });
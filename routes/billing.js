@@ -1,9 +1,15 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import { requireChartAccess, checkChartAccess, requireListAccess, logListAccess } from '../middleware/chartAccess.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
 import Invoice from '../models/Invoice.js';
 import Patient from '../models/Patient.js';
 import Inventory from '../models/Inventory.js';
-import { generateInvoiceNo } from '../utils/invoiceHelper.js';
+import { generateInvoiceNo, REVERSED_PAYMENT_STATUSES } from '../utils/invoiceHelper.js';
+import { resolvePricing } from '../utils/eligibility.js';
 import {
   LAB_TEST_PRICES,
   RADIOLOGY_TEST_PRICES,
@@ -15,67 +21,111 @@ import {
 
 const router = express.Router();
 
-// ─── Service catalog with patient-type-aware pricing ───
-router.get('/pricing/:patientType', verifyToken, checkRole(['billing', 'admin', 'receptionist']), async (req, res) => {
+// Services and their prices for a patient type
+async function buildServiceCatalog(patientType) {
+  // OPD services
+  const opdServices = [
+    {
+      name: 'OPD Consultation',
+      department: 'OPD',
+      price: getOPDCharge(patientType),
+    },
+  ];
+
+  // Lab services
+  const labServices = Object.keys(LAB_TEST_PRICES).map(testName => ({
+    name: testName,
+    department: 'Laboratory',
+    price: getLabTestPrice(testName, patientType),
+  }));
+
+  // Radiology services
+  const radiologyServices = Object.keys(RADIOLOGY_TEST_PRICES).map(testName => ({
+    name: testName,
+    department: 'Radiology',
+    price: getRadiologyTestPrice(testName, patientType),
+  }));
+
+  // Pharmacy items from inventory
+  let pharmacyItems = [];
   try {
-    const { patientType } = req.params;
-
-    // OPD services
-    const opdServices = [
-      {
-        name: 'OPD Consultation',
-        department: 'OPD',
-        price: getOPDCharge(patientType),
-      },
-    ];
-
-    // Lab services
-    const labServices = Object.keys(LAB_TEST_PRICES).map(testName => ({
-      name: testName,
-      department: 'Laboratory',
-      price: getLabTestPrice(testName, patientType),
+    const meds = await Inventory.find({
+      category: { $in: ['Medicine', 'pharmacy'] },
+      quantity: { $gt: 0 },
+    }).select('name price quantity').sort({ name: 1 });
+
+    const medicineFree = isMedicineFree(patientType);
+    pharmacyItems = meds.map(m => ({
+      name: m.name,
+      department: 'Pharmacy',
+      price: medicineFree ? 0 : (m.price || 0),
+      stock: m.quantity,
     }));
+  } catch (invErr) {
+    console.warn('⚠️ Could not fetch inventory for pricing:', invErr.message);
+  }
 
-    // Radiology services
-    const radiologyServices = Object.keys(RADIOLOGY_TEST_PRICES).map(testName => ({
-      name: testName,
-      department: 'Radiology',
-      price: getRadiologyTestPrice(testName, patientType),
-    }));
+  return {
+    patientType,
+    opdCharge: getOPDCharge(patientType),
+    medicineFree: isMedicineFree(patientType),
+    services: {
+      opd: opdServices,
+      laboratory: labServices,
+      radiology: radiologyServices,
+      pharmacy: pharmacyItems,
+    },
+  };
+}
+
+// Catalog price of an invoice item at a patient type, or null for items the
+// catalog doesn't list, which keep the price entered
+function catalogPrice(item, patientType, medicinePrices) {
+  if (item.service === 'OPD Consultation') return getOPDCharge(patientType);
+  if (LAB_TEST_PRICES[item.service]) return getLabTestPrice(item.service, patientType);
+  if (RADIOLOGY_TEST_PRICES[item.service]) return getRadiologyTestPrice(item.service, patientType);
+  if (item.department === 'Pharmacy' && medicinePrices.has(item.service)) {
+    return isMedicineFree(patientType) ? 0 : medicinePrices.get(item.service);
+  }
+  return null;
+}
 
-    // Pharmacy items from inventory
-    let pharmacyItems = [];
-    try {
-      const meds = await Inventory.find({
-        category: { $in: ['Medicine', 'pharmacy'] },
-        quantity: { $gt: 0 },
-      }).select('name price quantity').sort({ name: 1 });
-
-      const medicineFree = isMedicineFree(patientType);
-      pharmacyItems = meds.map(m => ({
-        name: m.name,
-        department: 'Pharmacy',
-        price: medicineFree ? 0 : (m.price || 0),
-        stock: m.quantity,
-      }));
-    } catch (invErr) {
-      console.warn('⚠️ Could not fetch inventory for pricing:', invErr.message);
+// ─── Service catalog priced for one patient (?patientId=), after checking their entitlement ───
+router.get('/pricing', verifyToken, requirePermission('pricing:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.query.patientId)) {
+      return res.status(400).json({ success: false, message: 'patientId is required' });
+    }
+    const patient = await Patient.findById(req.query.patientId);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
     }
 
+    const pricing = await resolvePricing(patient);
+    const catalog = await buildServiceCatalog(pricing.pricingType);
+
     res.json({
       success: true,
       data: {
-        patientType,
-        opdCharge: getOPDCharge(patientType),
-        medicineFree: isMedicineFree(patientType),
-        services: {
-          opd: opdServices,
-          laboratory: labServices,
-          radiology: radiologyServices,
-          pharmacy: pharmacyItems,
-        },
+        ...catalog,
+        patientType: patient.patientType,
+        pricedAs: pricing.pricingType,
+        entitlement: pricing.entitlement
+          ? { status: pricing.entitlement.status, entitled: pricing.entitlement.entitled, reasons: pricing.entitlement.reasons }
+          : null,
       },
     });
+  } catch (err) {
+    console.error('Error fetching patient pricing:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ─── Service catalog with patient-type-aware pricing ───
+// List prices only; invoices are priced from the patient's entitlement (see GET /pricing)
+router.get('/pricing/:patientType', verifyToken, requirePermission('pricing:read'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await buildServiceCatalog(req.params.patientType) });
   } catch (err) {
     console.error('Error fetching pricing:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -83,7 +133,7 @@ router.get('/pricing/:patientType', verifyToken, checkRole(['billing', 'admin',
 });
 
 // ─── Revenue summary for reports ───
-router.get('/revenue/summary', verifyToken, checkRole(['billing', 'admin', 'receptionist']), async (req, res) => {
+router.get('/revenue/summary', verifyToken, requirePermission('revenue:read'), async (req, res) => {
   try {
     const { from, to } = req.query;
 
@@ -197,10 +247,11 @@ router.get('/revenue/summary', verifyToken, checkRole(['billing', 'admin', 'rece
   }
 });
 
-// Get all invoices
-router.get('/', verifyToken, checkRole(['billing', 'admin', 'receptionist']), async (req, res) => {
+// Get all invoices, or one patient's with ?patientId=
+router.get('/', verifyToken, requirePermission('invoice:read'), requireListAccess('invoices'), async (req, res) => {
   try {
-    const invoices = await Invoice.find()
+    const filter = req.query.patientId ? { patientId: req.query.patientId } : {};
+    const invoices = await Invoice.find(filter)
       .populate('patientId', 'firstName lastName patientNo patientType forceNo')
       .sort({ createdAt: -1 });
     
@@ -224,6 +275,7 @@ router.get('/', verifyToken, checkRole(['billing', 'admin', 'receptionist']), as
       createdAt: i.createdAt,
     }));
 
+    await logListAccess(req, invoices, 'invoices');
     res.json({ success: true, data });
   } catch (err) {
     console.error('Error fetching invoices:', err);
@@ -232,7 +284,7 @@ router.get('/', verifyToken, checkRole(['billing', 'admin', 'receptionist']), as
 });
 
 // Get invoice by ID
-router.get('/:invoiceId', verifyToken, async (req, res) => {
+router.get('/:invoiceId', verifyToken, requirePermission('invoice:read'), async (req, res) => {
   try {
     const invoice = await Invoice.findById(req.params.invoiceId)
       .populate('patientId', 'firstName lastName patientNo patientType forceNo');
@@ -240,6 +292,7 @@ router.get('/:invoiceId', verifyToken, async (req, res) => {
     if (!invoice) {
       return res.status(404).json({ success: false, message: 'Invoice not found' });
     }
+    if (!(await checkChartAccess(req, res, invoice.patientId?._id || invoice.patientId, 'invoices'))) return;
     res.json({ 
       success: true, 
       data: {
@@ -254,7 +307,7 @@ router.get('/:invoiceId', verifyToken, async (req, res) => {
 });
 
 // Create invoice
-router.post('/', verifyToken, checkRole(['billing', 'doctor', 'receptionist', 'admin']), async (req, res) => {
+router.post('/', verifyToken, requirePermission('invoice:create'), requireActivePatient, async (req, res) => {
   try {
     const { patientId, patientName, items } = req.body;
 
@@ -267,13 +320,33 @@ router.post('/', verifyToken, checkRole(['billing', 'doctor', 'receptionist', 'a
       return res.status(404).json({ success: false, message: 'Patient not found' });
     }
 
-    // Build items with prices as sent by frontend
-    const pricedItems = items.map(item => ({
-      service: item.service || item.name,
-      price: Number(item.price) || 0,
-      quantity: Number(item.quantity) || 1,
-      department: item.department || 'General',
-    }));
+    // Catalog services are priced at the rates the patient is entitled to now;
+    // anything else keeps the price sent by the frontend
+    const pricing = await resolvePricing(patient);
+    const medicineNames = items.filter(item => item.department === 'Pharmacy').map(item => item.service || item.name);
+    const medicines = medicineNames.length > 0
+      ? await Inventory.find({ name: { $in: medicineNames } }).select('name price')
+      : [];
+    const medicinePrices = new Map(medicines.map(m => [m.name, m.price || 0]));
+
+    let repriced = 0;
+    const pricedItems = items.map(item => {
+      const priced = {
+        service: item.service || item.name,
+        price: Number(item.price) || 0,
+        quantity: Number(item.quantity) || 1,
+        department: item.department || 'General',
+      };
+      const listPrice = catalogPrice(priced, pricing.pricingType, medicinePrices);
+      if (listPrice !== null && listPrice !== priced.price) {
+        priced.price = listPrice;
+        repriced++;
+      }
+      return priced;
+    });
+    if (repriced > 0) {
+      console.log(`💲 [BILLING] ${repriced} item(s) repriced at ${pricing.pricingType} rates for ${patient.patientNo}`);
+    }
 
     const total = pricedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
 
@@ -281,6 +354,9 @@ router.post('/', verifyToken, checkRole(['billing', 'doctor', 'receptionist', 'a
 
     // Accept explicit discount from frontend (default 0)
     const discount = req.body.discount != null ? Number(req.body.discount) : 0;
+    if (discount !== 0 && !(await hasPermission(req.user.role, 'invoice:discount'))) {
+      return res.status(403).json({ success: false, message: 'Forbidden - applying discounts requires invoice:discount' });
+    }
     const netAmount = Math.max(total - discount, 0);
 
     const invoice = new Invoice({
@@ -297,13 +373,23 @@ router.post('/', verifyToken, checkRole(['billing', 'doctor', 'receptionist', 'a
       netAmount,
       amountPaid: 0,
       paymentStatus: 'pending',
+      ...pricing.invoiceFields,
     });
 
     await invoice.save();
+    await recordAudit(req, {
+      entityType: 'Invoice',
+      entityId: invoice._id,
+      entityRef: invoiceNo,
+      action: 'create',
+      after: invoice,
+    });
 
     res.status(201).json({ 
       success: true, 
-      message: 'Invoice created',
+      message: pricing.entitlement && !pricing.entitlement.entitled
+        ? `Invoice created at private rates: ${pricing.entitlement.reasons.join('; ')}`
+        : 'Invoice created',
       data: {
         id: invoice._id,
         ...invoice.toObject(),
@@ -316,14 +402,25 @@ router.post('/', verifyToken, checkRole(['billing', 'doctor', 'receptionist', 'a
 });
 
 // Update invoice payment status
-router.put('/:invoiceId', verifyToken, checkRole(['billing', 'admin', 'receptionist']), async (req, res) => {
+router.put('/:invoiceId', verifyToken, requirePermission('invoice:update'), async (req, res) => {
   try {
     const invoice = await Invoice.findById(req.params.invoiceId);
     if (!invoice) {
       return res.status(404).json({ success: false, message: 'Invoice not found' });
     }
+    if (REVERSED_PAYMENT_STATUSES.includes(invoice.paymentStatus)) {
+      return res.status(400).json({ success: false, message: `Invoice has been ${invoice.paymentStatus === 'void' ? 'voided' : 'credited'} and can't be changed` });
+    }
 
+    const before = invoice.toObject();
     const { paymentStatus, paymentMethod, transactionId, amountPaid, discount } = req.body;
+
+    if (discount != null && !(await hasPermission(req.user.role, 'invoice:discount'))) {
+      return res.status(403).json({ success: false, message: 'Forbidden - changing discounts requires invoice:discount' });
+    }
+    if (paymentStatus && REVERSED_PAYMENT_STATUSES.includes(paymentStatus)) {
+      return res.status(400).json({ success: false, message: 'Invoices are voided or credited by cancelling the service they are for' });
+    }
     if (paymentStatus) {
       invoice.paymentStatus = paymentStatus;
       if (paymentStatus === 'paid') invoice.paidAt = new Date();
@@ -345,6 +442,14 @@ router.put('/:invoiceId', verifyToken, checkRole(['billing', 'admin', 'reception
     }
 
     await invoice.save();
+    await recordAudit(req, {
+      entityType: 'Invoice',
+      entityId: invoice._id,
+      entityRef: invoice.invoiceNo,
+      action: 'update',
+      before,
+      after: invoice,
+    });
     res.json({ 
       success: true, 
       message: 'Invoice updated', 
@@ -360,7 +465,7 @@ router.put('/:invoiceId', verifyToken, checkRole(['billing', 'admin', 'reception
 });
 
 // Get invoices for a patient
-router.get('/patient/:patientId', verifyToken, async (req, res) => {
+router.get('/patient/:patientId', verifyToken, requirePermission('invoice:read'), requireChartAccess('invoices'), async (req, res) => {
   try {
     const invoices = await Invoice.find({ patientId: req.params.patientId })
       .sort({ createdAt: -1 });
@@ -0,0 +1,214 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireChartAccess } from '../middleware/chartAccess.js';
+import Patient from '../models/Patient.js';
+import Allergy from '../models/Allergy.js';
+import Problem from '../models/Problem.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  normalizeAllergyInput, normalizeProblemInput, legacyAllergies, normalizeTerm, CLINICAL_LIST_STATUSES,
+} from '../utils/allergyCheck.js';
+
+// Structured allergy and problem lists, mounted under /api/patients:
+//   GET    /:patientId/allergies            ?status=active (entered_in_error hidden unless asked for)
+//   POST   /:patientId/allergies
+//   PUT    /:patientId/allergies/:entryId
+//   DELETE /:patientId/allergies/:entryId   marks the entry entered_in_error
+// and the same under /:patientId/problems.
+
+const router = express.Router();
+
+const LISTS = [
+  {
+    path: 'allergies',
+    model: Allergy,
+    entityType: 'Allergy',
+    permission: 'allergy:manage',
+    normalize: normalizeAllergyInput,
+    describe: (a) => `${a.substance} (${a.severity})`,
+    // The same substance can't be active twice
+    findDuplicate: (patientId, value, excludeId) => Allergy.findOne({
+      patientId,
+      substanceKey: value.substanceKey,
+      status: 'active',
+      ...(excludeId && { _id: { $ne: excludeId } }),
+    }),
+  },
+  {
+    path: 'problems',
+    model: Problem,
+    entityType: 'Problem',
+    permission: 'problem:manage',
+    normalize: normalizeProblemInput,
+    describe: (p) => `${p.condition} (${p.status})`,
+    findDuplicate: (patientId, value, excludeId) => Problem.findOne({
+      patientId,
+      condition: { $regex: `^${value.condition.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' },
+      status: 'active',
+      ...(excludeId && { _id: { $ne: excludeId } }),
+    }),
+  },
+];
+
+const loadPatient = async (req, res) => {
+  const { patientId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(patientId)) {
+    res.status(400).json({ success: false, message: 'Invalid patientId' });
+    return null;
+  }
+  const patient = await Patient.findById(patientId).select('patientNo firstName lastName allergies');
+  if (!patient) {
+    res.status(404).json({ success: false, message: 'Patient not found' });
+    return null;
+  }
+  return patient;
+};
+
+for (const list of LISTS) {
+  const { path, model, entityType, permission, normalize, describe, findDuplicate } = list;
+
+  router.get(`/:patientId/${path}`, verifyToken, requirePermission('patient:read'), requireChartAccess(path), async (req, res) => {
+    try {
+      const patient = await loadPatient(req, res);
+      if (!patient) return;
+
+      const { status } = req.query;
+      if (status && !CLINICAL_LIST_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, message: `status must be one of ${CLINICAL_LIST_STATUSES.join(', ')}` });
+      }
+      const filter = { patientId: patient._id, status: status || { $ne: 'entered_in_error' } };
+      const entries = await model.find(filter).sort({ status: 1, createdAt: -1 }).populate('recordedBy', 'name');
+
+      const response = { success: true, data: entries };
+      if (path === 'allergies') {
+        // Free-text allergies from before structured entries, for transcription
+        const known = new Set(entries.map(e => e.substanceKey));
+        response.legacy = legacyAllergies(patient.allergies).filter(a => !known.has(normalizeTerm(a.substance)));
+      }
+      res.json(response);
+    } catch (err) {
+      console.error(`❌ [${entityType.toUpperCase()}] Error fetching ${path}:`, err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  router.post(`/:patientId/${path}`, verifyToken, requirePermission(permission), async (req, res) => {
+    try {
+      const patient = await loadPatient(req, res);
+      if (!patient) return;
+
+      const { value, error } = normalize(req.body);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      if ((value.status || 'active') === 'active') {
+        const existing = await findDuplicate(patient._id, value);
+        if (existing) {
+          return res.status(409).json({ success: false, message: `Already recorded: ${describe(existing)}`, data: existing });
+        }
+      }
+
+      const entry = await model.create({ ...value, patientId: patient._id, recordedBy: req.user.id, updatedBy: req.user.id });
+      await recordAudit(req, {
+        entityType,
+        entityId: entry._id,
+        entityRef: patient.patientNo,
+        action: 'create',
+        after: entry,
+        summary: `Recorded ${describe(entry)}`,
+      });
+
+      console.log(`✅ [${entityType.toUpperCase()}] ${describe(entry)} recorded for ${patient.patientNo}`);
+      res.status(201).json({ success: true, message: `${entityType} recorded`, data: entry });
+    } catch (err) {
+      console.error(`❌ [${entityType.toUpperCase()}] Error recording ${path}:`, err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  router.put(`/:patientId/${path}/:entryId`, verifyToken, requirePermission(permission), async (req, res) => {
+    try {
+      const patient = await loadPatient(req, res);
+      if (!patient) return;
+      if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+        return res.status(400).json({ success: false, message: 'Invalid entry id' });
+      }
+
+      const entry = await model.findOne({ _id: req.params.entryId, patientId: patient._id });
+      if (!entry) {
+        return res.status(404).json({ success: false, message: `${entityType} not found` });
+      }
+
+      const { value, error } = normalize(req.body, { partial: true });
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      const before = entry.toObject();
+      entry.set({ ...value, updatedBy: req.user.id });
+      if (path === 'problems' && entry.isModified('status') && entry.status === 'resolved' && !entry.resolvedAt) {
+        entry.resolvedAt = new Date();
+      }
+      if (entry.status === 'active') {
+        const existing = await findDuplicate(patient._id, entry, entry._id);
+        if (existing) {
+          return res.status(409).json({ success: false, message: `Already recorded: ${describe(existing)}`, data: existing });
+        }
+      }
+
+      await entry.save();
+      await recordAudit(req, {
+        entityType,
+        entityId: entry._id,
+        entityRef: patient.patientNo,
+        action: 'update',
+        before,
+        after: entry,
+      });
+
+      res.json({ success: true, message: `${entityType} updated`, data: entry });
+    } catch (err) {
+      console.error(`❌ [${entityType.toUpperCase()}] Error updating ${path}:`, err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+
+  // Clinical entries are never erased; a mistaken one is kept as entered_in_error
+  router.delete(`/:patientId/${path}/:entryId`, verifyToken, requirePermission(permission), async (req, res) => {
+    try {
+      const patient = await loadPatient(req, res);
+      if (!patient) return;
+      if (!mongoose.Types.ObjectId.isValid(req.params.entryId)) {
+        return res.status(400).json({ success: false, message: 'Invalid entry id' });
+      }
+
+      const entry = await model.findOne({ _id: req.params.entryId, patientId: patient._id });
+      if (!entry) {
+        return res.status(404).json({ success: false, message: `${entityType} not found` });
+      }
+
+      const before = entry.toObject();
+      entry.status = 'entered_in_error';
+      entry.updatedBy = req.user.id;
+      if (req.body?.reason) entry.notes = [entry.notes, `Entered in error: ${req.body.reason}`].filter(Boolean).join('\n');
+      await entry.save();
+      await recordAudit(req, {
+        entityType,
+        entityId: entry._id,
+        entityRef: patient.patientNo,
+        action: 'delete',
+        before,
+        after: entry,
+        summary: `Marked ${describe(before)} as entered in error`,
+      });
+
+      res.json({ success: true, message: `${entityType} marked as entered in error`, data: entry });
+    } catch (err) {
+      console.error(`❌ [${entityType.toUpperCase()}] Error removing ${path}:`, err);
+      res.status(500).json({ success: false, message: 'Server error' });
+    }
+  });
+}
+
+export default router;
@@ -1,11 +1,11 @@
 import express from 'express';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 import Department from '../models/Department.js';
 
 const router = express.Router();
 
 // Get all departments
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, requirePermission('department:read'), async (req, res) => {
   try {
     const departments = await Department.find().sort({ name: 1 });
     const data = departments.map(d => ({
@@ -21,7 +21,7 @@ router.get('/', verifyToken, async (req, res) => {
 });
 
 // Get department by ID
-router.get('/:departmentId', verifyToken, async (req, res) => {
+router.get('/:departmentId', verifyToken, requirePermission('department:read'), async (req, res) => {
   try {
     const dept = await Department.findById(req.params.departmentId);
     if (!dept) {
@@ -42,7 +42,7 @@ router.get('/:departmentId', verifyToken, async (req, res) => {
 });
 
 // Create new department (admin only)
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requirePermission('department:manage'), async (req, res) => {
   try {
     const { name, description, head } = req.body;
 
@@ -80,7 +80,7 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // Update department
-router.put('/:departmentId', verifyToken, async (req, res) => {
+router.put('/:departmentId', verifyToken, requirePermission('department:manage'), async (req, res) => {
   try {
     const { name, description, head } = req.body;
     const dept = await Department.findByIdAndUpdate(
@@ -108,7 +108,7 @@ router.put('/:departmentId', verifyToken, async (req, res) => {
 });
 
 // Delete department
-router.delete('/:departmentId', verifyToken, async (req, res) => {
+router.delete('/:departmentId', verifyToken, requirePermission('department:manage'), async (req, res) => {
   try {
     const dept = await Department.findByIdAndDelete(req.params.departmentId);
     if (!dept) {
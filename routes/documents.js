@@ -0,0 +1,298 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireChartAccess, checkChartAccess } from '../middleware/chartAccess.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import Patient from '../models/Patient.js';
+import PatientDocument from '../models/PatientDocument.js';
+import { recordAudit } from '../utils/audit.js';
+import { hasPermission } from '../utils/permissions.js';
+import { openFile } from '../utils/documentStorage.js';
+import {
+  normalizeDocumentInput, normalizeTags, findEncounter, createPatientDocument, matchesFileType,
+  ALLOWED_FILE_TYPES, DOCUMENT_TYPES, getMaxDocumentBytes,
+} from '../utils/documents.js';
+
+// Patient documents:
+//   POST   /                          multipart: file, patientId, type, title, tags, encounterType, encounterId
+//   GET    /patient/:patientId        ?type=&tag=&encounterType=&encounterId=
+//   GET    /:documentId
+//   GET    /:documentId/download      ?inline=true to display rather than save
+//   GET    /:documentId/thumbnail
+//   PUT    /:documentId               type, title, tags, encounter
+//   DELETE /:documentId               { reason }; the file is kept
+
+const router = express.Router();
+
+const mapDocument = (d) => ({
+  id: d._id,
+  patientId: d.patientId,
+  type: d.type,
+  title: d.title,
+  tags: d.tags || [],
+  encounterType: d.encounterType || null,
+  encounterId: d.encounterId || null,
+  originalName: d.originalName,
+  mimeType: d.file.mimeType,
+  size: d.file.size,
+  hasThumbnail: Boolean(d.thumbnail),
+  uploadedBy: d.uploadedBy?.name ? { id: d.uploadedBy._id, name: d.uploadedBy.name } : d.uploadedBy,
+  deleted: Boolean(d.deletedAt),
+  deletedAt: d.deletedAt || null,
+  createdAt: d.createdAt,
+  updatedAt: d.updatedAt,
+});
+
+const acceptFileType = (req, file, cb) => {
+  if (ALLOWED_FILE_TYPES[file.mimetype]) return cb(null, true);
+  const error = new Error(`Unsupported file type ${file.mimetype}; upload PDF, JPEG, PNG, WebP or TIFF`);
+  error.status = 400;
+  cb(error);
+};
+
+// Parse the multipart upload, answering multer's errors as JSON. Files are
+// held in memory only long enough to check and store them.
+const receiveFile = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxDocumentBytes(), files: 1 },
+    fileFilter: acceptFileType,
+  });
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${getMaxDocumentBytes() / (1024 * 1024)} MB`
+        : `Upload error: ${err.message}`;
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ success: false, message });
+    }
+    if (err.status === 400) return res.status(400).json({ success: false, message: err.message });
+    next(err);
+  });
+};
+
+// Load :documentId and check the reader may see the patient's chart, or send the error response
+async function loadDocument(req, res) {
+  const { documentId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    res.status(400).json({ success: false, message: 'Invalid documentId' });
+    return null;
+  }
+  const document = await PatientDocument.findById(documentId).populate('uploadedBy', 'name');
+  if (!document || (document.deletedAt && !(await hasPermission(req.user.role, 'document:delete')))) {
+    res.status(404).json({ success: false, message: 'Document not found' });
+    return null;
+  }
+  if (!(await checkChartAccess(req, res, document.patientId, 'documents'))) return null;
+  return document;
+}
+
+function sendStoredFile(res, stored, { fileName, inline }) {
+  res.set({
+    'Content-Type': stored.mimeType,
+    'Content-Length': stored.size,
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${fileName.replace(/[^\w.\- ]/g, '_')}"`,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-store',
+  });
+  const stream = openFile(stored);
+  stream.on('error', (err) => {
+    console.error('❌ [DOCUMENT] Error reading stored file:', err.message);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(404).json({ success: false, message: 'Stored file is missing' });
+    } else {
+      res.destroy(err);
+    }
+  });
+  stream.pipe(res);
+}
+
+// Upload a document for a patient
+router.post('/', verifyToken, requirePermission('document:upload'), receiveFile, requireActivePatient, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'A file is required (form field "file")' });
+    }
+    if (!matchesFileType(req.file.buffer, req.file.mimetype)) {
+      return res.status(400).json({ success: false, message: `File content is not a valid ${ALLOWED_FILE_TYPES[req.file.mimetype].extension} file` });
+    }
+
+    const { patientId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({ success: false, message: 'Valid patientId is required' });
+    }
+    const patient = await Patient.findById(patientId).select('patientNo');
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+
+    const { value, error } = normalizeDocumentInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (value.encounterId && !(await findEncounter(value.encounterType, value.encounterId, patient._id))) {
+      return res.status(400).json({ success: false, message: `No ${value.encounterType} ${value.encounterId} for this patient` });
+    }
+
+    const document = await createPatientDocument(req.file, { ...value, patientId: patient._id, uploadedBy: req.user.id });
+    await recordAudit(req, {
+      entityType: 'PatientDocument',
+      entityId: document._id,
+      entityRef: patient.patientNo,
+      action: 'create',
+      after: document,
+      summary: `Uploaded ${document.type} "${document.title}"`,
+    });
+
+    console.log(`📎 [DOCUMENT] ${document.type} uploaded for ${patient.patientNo} by ${req.user.email}`);
+    res.status(201).json({ success: true, message: 'Document uploaded', data: mapDocument(document) });
+  } catch (err) {
+    console.error('❌ [DOCUMENT] Error uploading document:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// A patient's documents, newest first
+router.get('/patient/:patientId', verifyToken, requirePermission('document:read'), requireChartAccess('documents'), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({ success: false, message: 'Invalid patientId' });
+    }
+
+    const { type, tag, encounterType, encounterId } = req.query;
+    if (type && !DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of ${DOCUMENT_TYPES.join(', ')}` });
+    }
+    if (encounterId && !mongoose.Types.ObjectId.isValid(encounterId)) {
+      return res.status(400).json({ success: false, message: 'Invalid encounterId' });
+    }
+
+    const filter = { patientId, deletedAt: null };
+    if (req.query.includeDeleted === 'true' && await hasPermission(req.user.role, 'document:delete')) delete filter.deletedAt;
+    if (type) filter.type = type;
+    if (tag) filter.tags = { $all: normalizeTags(tag) };
+    if (encounterType) filter.encounterType = encounterType;
+    if (encounterId) filter.encounterId = encounterId;
+
+    const documents = await PatientDocument.find(filter).sort({ createdAt: -1 }).populate('uploadedBy', 'name');
+    res.json({ success: true, data: documents.map(mapDocument) });
+  } catch (err) {
+    console.error('❌ [DOCUMENT] Error fetching patient documents:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.get('/:documentId', verifyToken, requirePermission('document:read'), async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    res.json({ success: true, data: { ...mapDocument(document), sha256: document.sha256, deleteReason: document.deleteReason || '' } });
+  } catch (err) {
+    console.error('❌ [DOCUMENT] Error fetching document:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.get('/:documentId/download', verifyToken, requirePermission('document:read'), async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    const fileName = document.originalName || `${document.title}${ALLOWED_FILE_TYPES[document.file.mimeType]?.extension || ''}`;
+    sendStoredFile(res, document.file, { fileName, inline: req.query.inline === 'true' });
+  } catch (err) {
+    console.error('❌ [DOCUMENT] Error downloading document:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.get('/:documentId/thumbnail', verifyToken, requirePermission('document:read'), async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    if (!document.thumbnail) {
+      return res.status(404).json({ success: false, message: 'This document has no thumbnail' });
+    }
+    sendStoredFile(res, document.thumbnail, { fileName: 'thumbnail.jpg', inline: true });
+  } catch (err) {
+    console.error('❌ [DOCUMENT] Error fetching thumbnail:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Re-file a document: type, title, tags or encounter
+router.put('/:documentId', verifyToken, requirePermission('document:upload'), async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    if (document.deletedAt) {
+      return res.status(400).json({ success: false, message: 'Document has been deleted' });
+    }
+
+    const { value, error } = normalizeDocumentInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (value.encounterId && !(await findEncounter(value.encounterType, value.encounterId, document.patientId))) {
+      return res.status(400).json({ success: false, message: `No ${value.encounterType} ${value.encounterId} for this patient` });
+    }
+
+    const before = document.toObject();
+    document.set(value);
+    await document.save();
+    const patient = await Patient.findById(document.patientId).select('patientNo');
+    await recordAudit(req, {
+      entityType: 'PatientDocument',
+      entityId: document._id,
+      entityRef: patient?.patientNo,
+      action: 'update',
+      before,
+      after: document,
+    });
+
+    res.json({ success: true, message: 'Document updated', data: mapDocument(document) });
+  } catch (err) {
+    console.error('❌ [DOCUMENT] Error updating document:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Hide a document uploaded by mistake. The file stays so the audit trail can refer to it.
+router.delete('/:documentId', verifyToken, requirePermission('document:delete'), async (req, res) => {
+  try {
+    const document = await loadDocument(req, res);
+    if (!document) return;
+    if (document.deletedAt) {
+      return res.status(400).json({ success: false, message: 'Document has already been deleted' });
+    }
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required' });
+    }
+
+    const before = document.toObject();
+    document.deletedAt = new Date();
+    document.deletedBy = req.user.id;
+    document.deleteReason = reason;
+    await document.save();
+    const patient = await Patient.findById(document.patientId).select('patientNo');
+    await recordAudit(req, {
+      entityType: 'PatientDocument',
+      entityId: document._id,
+      entityRef: patient?.patientNo,
+      action: 'delete',
+      before,
+      after: document,
+      summary: `Deleted ${document.type} "${document.title}": ${reason}`,
+    });
+
+    res.json({ success: true, message: 'Document deleted', data: mapDocument(document) });
+  } catch (err) {
+    console.error('❌ [DOCUMENT] Error deleting document:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
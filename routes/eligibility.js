@@ -0,0 +1,165 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import Patient from '../models/Patient.js';
+import EligibilityRecord from '../models/EligibilityRecord.js';
+import EligibilityImport from '../models/EligibilityImport.js';
+import { recordAudit } from '../utils/audit.js';
+import {
+  parseEligibilityCsv, importEligibilityRoster, verifyEntitlement, entitlementSnapshot, normalizeForceNo,
+  ROSTER_STATUSES, ENTITLED_STATUSES,
+} from '../utils/eligibility.js';
+
+// ASF eligibility roster:
+//   POST /import                { csv, fileName, replace, dryRun }
+//   GET  /                      ?forceNo=&status=
+//   GET  /imports
+//   GET  /flagged               patients whose last check failed
+//   GET  /patients/:patientId   check one patient now
+
+const router = express.Router();
+
+const mapRecord = (r) => ({
+  id: r._id,
+  forceNo: r.forceNo,
+  name: r.name,
+  status: r.status,
+  validUntil: r.validUntil || null,
+  updatedAt: r.updatedAt,
+});
+
+// Load a roster CSV. Nothing is written unless every row is valid.
+router.post('/import', verifyToken, requirePermission('eligibility:manage'), async (req, res) => {
+  try {
+    const { csv, fileName = '', replace = false, dryRun = false } = req.body || {};
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ success: false, message: 'csv text is required' });
+    }
+
+    const { records, errors } = parseEligibilityCsv(csv);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: `${errors.length} row(s) need fixing; nothing was imported`, errors });
+    }
+    if (records.length === 0) {
+      return res.status(400).json({ success: false, message: 'The file has no roster rows' });
+    }
+
+    if (dryRun) {
+      const existing = await EligibilityRecord.countDocuments({ forceNoKey: { $in: records.map(r => r.forceNoKey) } });
+      const removed = replace ? await EligibilityRecord.countDocuments({ forceNoKey: { $nin: records.map(r => r.forceNoKey) } }) : 0;
+      return res.json({
+        success: true,
+        message: 'Dry run: nothing was imported',
+        data: { rows: records.length, created: records.length - existing, updated: existing, removed },
+      });
+    }
+
+    const batch = await importEligibilityRoster(records, { replace: Boolean(replace), fileName, importedBy: req.user.id });
+    await recordAudit(req, {
+      entityType: 'EligibilityImport',
+      entityId: batch._id,
+      entityRef: fileName,
+      action: 'create',
+      after: batch,
+      summary: `Imported ${batch.rows} roster row(s): ${batch.created} new, ${batch.updated} updated, ${batch.removed} removed`,
+    });
+
+    console.log(`✅ [ELIGIBILITY] Roster import by ${req.user.email}: ${batch.rows} rows, ${batch.removed} removed`);
+    res.status(201).json({ success: true, message: 'Roster imported', data: batch });
+  } catch (err) {
+    console.error('❌ [ELIGIBILITY] Error importing roster:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.get('/', verifyToken, requirePermission('eligibility:read'), async (req, res) => {
+  try {
+    const { forceNo, status } = req.query;
+    if (status && !ROSTER_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${ROSTER_STATUSES.join(', ')}` });
+    }
+    const filter = {};
+    if (forceNo) filter.forceNoKey = normalizeForceNo(forceNo);
+    if (status) filter.status = status;
+
+    const records = await EligibilityRecord.find(filter).sort({ forceNoKey: 1 }).limit(500);
+    res.json({ success: true, data: records.map(mapRecord) });
+  } catch (err) {
+    console.error('❌ [ELIGIBILITY] Error fetching roster:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+router.get('/imports', verifyToken, requirePermission('eligibility:read'), async (req, res) => {
+  try {
+    const imports = await EligibilityImport.find().sort({ createdAt: -1 }).limit(50).populate('importedBy', 'name');
+    res.json({ success: true, data: imports });
+  } catch (err) {
+    console.error('❌ [ELIGIBILITY] Error fetching imports:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ASF patients billed at private rates at their last check
+router.get('/flagged', verifyToken, requirePermission('eligibility:read'), async (req, res) => {
+  try {
+    const patients = await Patient.find({
+      archivedAt: null,
+      'entitlement.status': { $exists: true, $nin: ENTITLED_STATUSES },
+    })
+      .select('patientNo firstName lastName patientType forceNo relationToHead dateOfBirth entitlement')
+      .sort({ 'entitlement.checkedAt': -1 })
+      .limit(500);
+
+    res.json({
+      success: true,
+      data: patients.map(p => ({
+        id: p._id,
+        patientNo: p.patientNo,
+        name: `${p.firstName} ${p.lastName}`,
+        patientType: p.patientType,
+        forceNo: p.forceNo || '',
+        relationToHead: p.relationToHead,
+        entitlement: p.entitlement,
+      })),
+    });
+  } catch (err) {
+    console.error('❌ [ELIGIBILITY] Error fetching flagged patients:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Check a patient against the roster now and store the result
+router.get('/patients/:patientId', verifyToken, requirePermission('eligibility:read'), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({ success: false, message: 'Invalid patientId' });
+    }
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+
+    const result = await verifyEntitlement(patient);
+    patient.entitlement = entitlementSnapshot(result);
+    await patient.save();
+
+    res.json({
+      success: true,
+      data: {
+        patientNo: patient.patientNo,
+        patientType: patient.patientType,
+        forceNo: patient.forceNo || '',
+        entitled: result.entitled,
+        pricedAs: result.entitled ? patient.patientType : 'CIVILIAN',
+        ...patient.entitlement.toObject(),
+      },
+    });
+  } catch (err) {
+    console.error('❌ [ELIGIBILITY] Error checking entitlement:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
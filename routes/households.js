@@ -0,0 +1,337 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import Patient from '../models/Patient.js';
+import AuditLog from '../models/AuditLog.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordAudit } from '../utils/audit.js';
+import { nextSequence } from '../utils/sequence.js';
+import { findDuplicateCandidates } from '../utils/patientDuplicates.js';
+import { HOUSEHOLD_RELATIONS, validateHousehold, householdSnapshot } from '../utils/households.js';
+import { verifyEntitlement, entitlementSnapshot } from '../utils/eligibility.js';
+
+const router = express.Router();
+
+const mapMember = (p) => ({
+  id: p._id,
+  patientNo: p.patientNo,
+  patientType: p.patientType,
+  forceNo: p.forceNo || '',
+  name: `${p.firstName || ''} ${p.lastName || ''}`.trim(),
+  gender: p.gender,
+  dateOfBirth: p.dateOfBirth || '',
+  relationToHead: p.relationToHead,
+  isHouseholdHead: p.isHouseholdHead,
+  entitlement: p.entitlement?.status ? p.entitlement : null,
+});
+
+const mapHousehold = (householdId, members) => {
+  const head = members.find(m => m.isHouseholdHead);
+  return {
+    householdId,
+    forceNo: head?.forceNo || members[0]?.forceNo || '',
+    head: head ? mapMember(head) : null,
+    members: [...members]
+      .sort((a, b) => Number(b.isHouseholdHead) - Number(a.isHouseholdHead) || String(a.dateOfBirth || '').localeCompare(String(b.dateOfBirth || '')))
+      .map(mapMember),
+  };
+};
+
+async function recordHouseholdChange(req, householdId, patient, before, action, summary) {
+  await recordAudit(req, {
+    entityType: 'Household',
+    entityId: patient._id,
+    entityRef: householdId,
+    action,
+    before,
+    after: householdSnapshot(patient),
+    summary,
+  });
+}
+
+const NEW_MEMBER_FIELDS = ['firstName', 'lastName', 'gender', 'dateOfBirth', 'bloodGroup', 'cnic', 'phone', 'email', 'address', 'city', 'emergencyContact', 'allergies', 'existingConditions'];
+
+// Households of a force number: ?forceNo=
+router.get('/', verifyToken, requirePermission('patient:read'), async (req, res) => {
+  try {
+    const forceNo = String(req.query.forceNo || '').trim();
+    if (!forceNo) {
+      return res.status(400).json({ success: false, message: 'forceNo is required' });
+    }
+
+    const householdIds = await Patient.distinct('householdId', { forceNo, householdId: { $nin: [null, ''] } });
+    const members = await Patient.find({ householdId: { $in: householdIds } });
+    const data = householdIds.map(id => mapHousehold(id, members.filter(m => m.householdId === id)));
+
+    res.json({ success: true, data });
+  } catch (err) {
+    console.error('❌ [HOUSEHOLD] Error listing households:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// One household, head first
+router.get('/:householdId', verifyToken, requirePermission('patient:read'), async (req, res) => {
+  try {
+    const members = await Patient.find({ householdId: req.params.householdId });
+    if (members.length === 0) {
+      return res.status(404).json({ success: false, message: 'Household not found' });
+    }
+    res.json({ success: true, data: mapHousehold(req.params.householdId, members) });
+  } catch (err) {
+    console.error('❌ [HOUSEHOLD] Error fetching household:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Who changed the household and when
+router.get('/:householdId/history', verifyToken, requirePermission('patient:read'), async (req, res) => {
+  try {
+    const entries = await AuditLog.find({ entityType: 'Household', entityRef: req.params.householdId })
+      .sort({ createdAt: -1 })
+      .limit(500);
+    res.json({ success: true, data: entries });
+  } catch (err) {
+    console.error('❌ [HOUSEHOLD] Error fetching household history:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Add a dependent: an existing patient { patientId, relationToHead }
+// or a new one { patient: { firstName, lastName, gender, dateOfBirth, ... }, relationToHead }
+router.post('/:householdId/members', verifyToken, requirePermission('patient:update'), requireActivePatient, async (req, res) => {
+  try {
+    const { householdId } = req.params;
+    const { patientId, patient: newPatientData, relationToHead, confirmNotDuplicate } = req.body;
+
+    const members = await Patient.find({ householdId });
+    const head = members.find(m => m.isHouseholdHead);
+    if (!head) {
+      return res.status(404).json({ success: false, message: 'Household not found' });
+    }
+    if (!HOUSEHOLD_RELATIONS.includes(relationToHead) || relationToHead === 'self') {
+      return res.status(400).json({ success: false, message: 'relationToHead must be spouse, child, parent, sibling or other' });
+    }
+
+    let member;
+    let before = null;
+    let action = 'add_member';
+    if (patientId) {
+      if (!mongoose.Types.ObjectId.isValid(patientId)) {
+        return res.status(400).json({ success: false, message: 'Invalid patientId' });
+      }
+      member = await Patient.findById(patientId);
+      if (!member) {
+        return res.status(404).json({ success: false, message: 'Patient not found' });
+      }
+      if (member.householdId === householdId) {
+        return res.status(400).json({ success: false, message: 'Patient is already in this household' });
+      }
+      const othersInOldHousehold = member.householdId
+        ? await Patient.countDocuments({ householdId: member.householdId, _id: { $ne: member._id } })
+        : 0;
+      if (othersInOldHousehold > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Patient belongs to household ${member.householdId}. Remove them from it first.`,
+        });
+      }
+      if (head.forceNo && member.forceNo && member.forceNo !== head.forceNo) {
+        return res.status(400).json({ success: false, message: `Patient has force number ${member.forceNo}, the household has ${head.forceNo}` });
+      }
+      before = householdSnapshot(member);
+    } else if (newPatientData) {
+      if (!(await hasPermission(req.user.role, 'patient:create'))) {
+        return res.status(403).json({ success: false, message: 'Registering a new patient requires patient:create' });
+      }
+      const fields = Object.fromEntries(NEW_MEMBER_FIELDS.filter(f => newPatientData[f] !== undefined).map(f => [f, newPatientData[f]]));
+      if (!fields.firstName || !fields.lastName || !fields.gender) {
+        return res.status(400).json({ success: false, message: 'firstName, lastName and gender are required' });
+      }
+      if (!confirmNotDuplicate) {
+        const candidates = await findDuplicateCandidates(fields);
+        if (candidates.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'This patient may already be registered. Add the existing record by patientId, or resend with confirmNotDuplicate: true.',
+            data: { duplicateCandidates: candidates.map(c => ({ ...mapMember(c.patient), score: c.score, reasons: c.reasons })) },
+          });
+        }
+      }
+      member = new Patient({
+        ...fields,
+        patientType: head.patientType === 'CIVILIAN' ? 'CIVILIAN' : 'ASF_FAMILY',
+        forceNo: head.forceNo,
+      });
+      action = 'create_member';
+    } else {
+      return res.status(400).json({ success: false, message: 'Provide patientId or patient' });
+    }
+
+    member.householdId = householdId;
+    member.relationToHead = relationToHead;
+    member.isHouseholdHead = false;
+    member.familyHead = head._id;
+
+    const errors = validateHousehold([...members, member]);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join('. '), errors });
+    }
+
+    // The dependent age limit depends on the relation, so check after it is set
+    member.entitlement = entitlementSnapshot(await verifyEntitlement(member));
+
+    if (member.isNew) {
+      member.patientNo = await nextSequence('patient');
+      await member.save();
+      await recordAudit(req, {
+        entityType: 'Patient',
+        entityId: member._id,
+        entityRef: member.patientNo,
+        action: 'create',
+        after: member,
+        summary: `Registered as ${relationToHead} in household ${householdId}`,
+      });
+    } else {
+      await member.save();
+    }
+    await recordHouseholdChange(req, householdId, member, before, action, `${member.patientNo} added as ${relationToHead}`);
+    console.log(`👪 [HOUSEHOLD] ${member.patientNo} added to ${householdId} by ${req.user.email}`);
+
+    const updated = await Patient.find({ householdId });
+    res.status(201).json({ success: true, message: 'Member added', data: mapHousehold(householdId, updated) });
+  } catch (err) {
+    console.error('❌ [HOUSEHOLD] Error adding member:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Change a member's relation to the head: { relationToHead }
+router.put('/:householdId/members/:patientId', verifyToken, requirePermission('patient:update'), async (req, res) => {
+  try {
+    const { householdId, patientId } = req.params;
+    const members = await Patient.find({ householdId });
+    const member = members.find(m => String(m._id) === patientId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Patient is not in this household' });
+    }
+    if (member.isHouseholdHead) {
+      return res.status(400).json({ success: false, message: 'Use the change-head endpoint to replace the head' });
+    }
+
+    const before = householdSnapshot(member);
+    member.relationToHead = req.body.relationToHead;
+    const errors = validateHousehold(members);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join('. '), errors });
+    }
+
+    member.entitlement = entitlementSnapshot(await verifyEntitlement(member));
+    await member.save();
+    await recordHouseholdChange(req, householdId, member, before, 'update_member', `${member.patientNo} is now ${member.relationToHead}`);
+
+    res.json({ success: true, message: 'Relation updated', data: mapHousehold(householdId, members) });
+  } catch (err) {
+    console.error('❌ [HOUSEHOLD] Error updating member:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Remove a dependent; they become the head of their own household
+router.delete('/:householdId/members/:patientId', verifyToken, requirePermission('patient:update'), async (req, res) => {
+  try {
+    const { householdId, patientId } = req.params;
+    const members = await Patient.find({ householdId });
+    const member = members.find(m => String(m._id) === patientId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Patient is not in this household' });
+    }
+    if (member.isHouseholdHead) {
+      return res.status(400).json({ success: false, message: 'The head cannot be removed. Change the head first.' });
+    }
+
+    const before = householdSnapshot(member);
+    // Their own patientNo may still name another household (e.g. a former head)
+    const ownIdTaken = await Patient.exists({ householdId: member.patientNo });
+    member.householdId = ownIdTaken ? await nextSequence('household') : member.patientNo;
+    member.relationToHead = 'self';
+    member.isHouseholdHead = true;
+    member.familyHead = null;
+    await member.save();
+
+    await recordHouseholdChange(req, householdId, member, before, 'remove_member', `${member.patientNo} removed${req.body?.reason ? `: ${req.body.reason}` : ''}`);
+    console.log(`👪 [HOUSEHOLD] ${member.patientNo} removed from ${householdId} by ${req.user.email}`);
+
+    const remaining = members.filter(m => m !== member);
+    res.json({
+      success: true,
+      message: 'Member removed',
+      data: { household: mapHousehold(householdId, remaining), newHouseholdId: member.householdId },
+    });
+  } catch (err) {
+    console.error('❌ [HOUSEHOLD] Error removing member:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Make another member the head, e.g. after the head retires or dies.
+// Body: { patientId, relations: { <memberId>: relation to the new head }, reason }
+// Every other member (including the old head) needs a relation to the new head.
+router.put('/:householdId/head', verifyToken, requirePermission('patient:update'), async (req, res) => {
+  try {
+    const { householdId } = req.params;
+    const { patientId, relations = {}, reason } = req.body;
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'A reason is required' });
+    }
+
+    const members = await Patient.find({ householdId });
+    const newHead = members.find(m => String(m._id) === String(patientId));
+    if (!newHead) {
+      return res.status(404).json({ success: false, message: 'Patient is not in this household' });
+    }
+    if (newHead.isHouseholdHead) {
+      return res.status(400).json({ success: false, message: 'Patient is already the head' });
+    }
+    const oldHead = members.find(m => m.isHouseholdHead);
+
+    const others = members.filter(m => m !== newHead);
+    const missing = others.filter(m => !relations[String(m._id)]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Relations to the new head are needed for: ${missing.map(m => m.patientNo).join(', ')}`,
+      });
+    }
+
+    const befores = new Map(members.map(m => [String(m._id), householdSnapshot(m)]));
+    newHead.isHouseholdHead = true;
+    newHead.relationToHead = 'self';
+    newHead.familyHead = null;
+    for (const m of others) {
+      m.isHouseholdHead = false;
+      m.relationToHead = relations[String(m._id)];
+      m.familyHead = newHead._id;
+    }
+
+    const errors = validateHousehold(members);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join('. '), errors });
+    }
+
+    const summary = `Head changed from ${oldHead?.patientNo || 'none'} to ${newHead.patientNo}: ${String(reason).trim()}`;
+    for (const m of members) {
+      await m.save();
+      await recordHouseholdChange(req, householdId, m, befores.get(String(m._id)), 'change_head', summary);
+    }
+    console.log(`👪 [HOUSEHOLD] ${householdId}: ${summary} (by ${req.user.email})`);
+
+    res.json({ success: true, message: 'Head changed', data: mapHousehold(householdId, members) });
+  } catch (err) {
+    console.error('❌ [HOUSEHOLD] Error changing head:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
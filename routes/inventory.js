@@ -1,11 +1,12 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 import Inventory from '../models/Inventory.js';
+import { recordAudit } from '../utils/audit.js';
 
 const router = express.Router();
 
 // Get all inventory items
-router.get('/', verifyToken, checkRole(['inventory', 'admin', 'doctor', 'pharmacist', 'pharmacy']), async (req, res) => {
+router.get('/', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const items = await Inventory.find().sort({ name: 1 });
     const data = items.map(i => {
@@ -24,7 +25,7 @@ router.get('/', verifyToken, checkRole(['inventory', 'admin', 'doctor', 'pharmac
 
 // Get available medicines (for doctors & pharmacy)
 // Only returns items with quantity > 0 in Medicine category
-router.get('/medicines/available', verifyToken, checkRole(['doctor', 'pharmacist', 'pharmacy', 'admin', 'nurse']), async (req, res) => {
+router.get('/medicines/available', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const medicines = await Inventory.find({
       $or: [
@@ -52,7 +53,7 @@ router.get('/medicines/available', verifyToken, checkRole(['doctor', 'pharmacist
 
 // Get available lab/radiology tests (for doctors)
 // Returns items with quantity > 0 in test-related categories
-router.get('/tests/available', verifyToken, checkRole(['doctor', 'admin']), async (req, res) => {
+router.get('/tests/available', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const tests = await Inventory.find({
       $or: [
@@ -78,7 +79,7 @@ router.get('/tests/available', verifyToken, checkRole(['doctor', 'admin']), asyn
 });
 
 // Get inventory item by ID
-router.get('/:itemId', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.get('/:itemId', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const item = await Inventory.findById(req.params.itemId);
     if (!item) {
@@ -98,7 +99,7 @@ router.get('/:itemId', verifyToken, checkRole(['inventory', 'admin']), async (re
 });
 
 // Add inventory item
-router.post('/', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.post('/', verifyToken, requirePermission('inventory:manage'), async (req, res) => {
   try {
     const { name, quantity, unit, minStock, price, category, batchNo, expiryDate, supplier, department } = req.body;
 
@@ -120,8 +121,18 @@ router.post('/', verifyToken, checkRole(['inventory', 'admin']), async (req, res
       const existingBatch = await Inventory.findOne({ name, batchNo });
       if (existingBatch) {
         // Update existing batch quantity
+        const batchBefore = existingBatch.toObject();
         existingBatch.quantity += parseInt(quantity);
         await existingBatch.save();
+        await recordAudit(req, {
+          entityType: 'Inventory',
+          entityId: existingBatch._id,
+          entityRef: existingBatch.name,
+          action: 'update',
+          before: batchBefore,
+          after: existingBatch,
+          summary: `Restocked batch ${batchNo}`,
+        });
         return res.status(201).json({ 
           success: true, 
           message: 'Batch quantity updated', 
@@ -148,6 +159,13 @@ router.post('/', verifyToken, checkRole(['inventory', 'admin']), async (req, res
     });
 
     await newItem.save();
+    await recordAudit(req, {
+      entityType: 'Inventory',
+      entityId: newItem._id,
+      entityRef: newItem.name,
+      action: 'create',
+      after: newItem,
+    });
     res.status(201).json({ 
       success: true, 
       message: 'Item added successfully', 
@@ -163,13 +181,14 @@ router.post('/', verifyToken, checkRole(['inventory', 'admin']), async (req, res
 });
 
 // Update inventory
-router.put('/:itemId', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.put('/:itemId', verifyToken, requirePermission('inventory:manage'), async (req, res) => {
   try {
     const item = await Inventory.findById(req.params.itemId);
     if (!item) {
       return res.status(404).json({ success: false, message: 'Item not found' });
     }
 
+    const before = item.toObject();
     const { quantity, minStock, price, name, category, batchNo, expiryDate, supplier, department } = req.body;
     
     if (quantity !== undefined) {
@@ -193,6 +212,14 @@ router.put('/:itemId', verifyToken, checkRole(['inventory', 'admin']), async (re
     if (department) item.department = department;
 
     await item.save();
+    await recordAudit(req, {
+      entityType: 'Inventory',
+      entityId: item._id,
+      entityRef: item.name,
+      action: 'update',
+      before,
+      after: item,
+    });
     res.json({ 
       success: true, 
       message: 'Item updated successfully', 
@@ -208,7 +235,7 @@ router.put('/:itemId', verifyToken, checkRole(['inventory', 'admin']), async (re
 });
 
 // Get low stock items
-router.get('/low-stock/list', verifyToken, checkRole(['inventory', 'admin', 'pharmacy', 'pharmacist']), async (req, res) => {
+router.get('/low-stock/list', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const items = await Inventory.find();
     const lowStockItems = items.filter(i => i.quantity <= i.minStock);
@@ -220,7 +247,7 @@ router.get('/low-stock/list', verifyToken, checkRole(['inventory', 'admin', 'pha
 });
 
 // Get items by category
-router.get('/category/:category', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.get('/category/:category', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const items = await Inventory.find({ category: req.params.category }).sort({ name: 1 });
     res.json({ success: true, data: items });
@@ -231,7 +258,7 @@ router.get('/category/:category', verifyToken, checkRole(['inventory', 'admin'])
 });
 
 // Get items by department
-router.get('/department/:department', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.get('/department/:department', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const items = await Inventory.find({ department: req.params.department }).sort({ name: 1 });
     res.json({ success: true, data: items });
@@ -242,7 +269,7 @@ router.get('/department/:department', verifyToken, checkRole(['inventory', 'admi
 });
 
 // Get stock alerts (low stock items)
-router.get('/alerts/low-stock', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.get('/alerts/low-stock', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const items = await Inventory.find({ disposalStatus: 'active' });
     const lowStockItems = items.filter(i => i.quantity <= i.minStock);
@@ -254,7 +281,7 @@ router.get('/alerts/low-stock', verifyToken, checkRole(['inventory', 'admin']),
 });
 
 // Get expiring items alerts
-router.get('/alerts/expiring', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.get('/alerts/expiring', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const items = await Inventory.find({ disposalStatus: 'active', expiryDate: { $exists: true, $ne: null } });
     const today = new Date();
@@ -271,7 +298,7 @@ router.get('/alerts/expiring', verifyToken, checkRole(['inventory', 'admin']), a
 });
 
 // Get summary statistics for alerts
-router.get('/alerts/summary', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.get('/alerts/summary', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const items = await Inventory.find();
     const today = new Date();
@@ -301,7 +328,7 @@ router.get('/alerts/summary', verifyToken, checkRole(['inventory', 'admin']), as
 });
 
 // Mark item for disposal
-router.patch('/mark-disposal/:itemId', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.patch('/mark-disposal/:itemId', verifyToken, requirePermission('inventory:manage'), async (req, res) => {
   try {
     const { reason } = req.body;
     const item = await Inventory.findById(req.params.itemId);
@@ -310,11 +337,21 @@ router.patch('/mark-disposal/:itemId', verifyToken, checkRole(['inventory', 'adm
       return res.status(404).json({ success: false, message: 'Item not found' });
     }
 
+    const before = item.toObject();
     item.disposalStatus = 'marked-for-disposal';
     item.disposalDate = new Date();
     item.disposalReason = reason || 'Marked for disposal';
     
     await item.save();
+    await recordAudit(req, {
+      entityType: 'Inventory',
+      entityId: item._id,
+      entityRef: item.name,
+      action: 'update',
+      before,
+      after: item,
+      summary: 'Marked for disposal',
+    });
     
     res.json({ 
       success: true, 
@@ -331,7 +368,7 @@ router.patch('/mark-disposal/:itemId', verifyToken, checkRole(['inventory', 'adm
 });
 
 // Get inventory reports data
-router.get('/report/analytics', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.get('/report/analytics', verifyToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const items = await Inventory.find({ disposalStatus: 'active' });
     
@@ -374,12 +411,19 @@ router.get('/report/analytics', verifyToken, checkRole(['inventory', 'admin']),
 });
 
 // Delete inventory item
-router.delete('/:itemId', verifyToken, checkRole(['inventory', 'admin']), async (req, res) => {
+router.delete('/:itemId', verifyToken, requirePermission('inventory:manage'), async (req, res) => {
   try {
     const item = await Inventory.findByIdAndDelete(req.params.itemId);
     if (!item) {
       return res.status(404).json({ success: false, message: 'Item not found' });
     }
+    await recordAudit(req, {
+      entityType: 'Inventory',
+      entityId: item._id,
+      entityRef: item.name,
+      action: 'delete',
+      before: item,
+    });
     res.json({ success: true, message: 'Item deleted' });
   } catch (err) {
     console.error('Error deleting inventory item:', err);
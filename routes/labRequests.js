@@ -1,19 +1,25 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import { requireChartAccess, checkChartAccess, requireListAccess, logListAccess } from '../middleware/chartAccess.js';
 import LabRequest from '../models/LabRequest.js';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
 import Patient from '../models/Patient.js';
 import Invoice from '../models/Invoice.js';
 import { getLabTestPrice } from '../utils/pricing.js';
+import { resolvePricing } from '../utils/eligibility.js';
 import { generateInvoiceNo } from '../utils/invoiceHelper.js';
+import { nextSequence } from '../utils/sequence.js';
+import { recordAudit } from '../utils/audit.js';
 
 const router = express.Router();
 
-// Get all lab requests
-router.get('/', verifyToken, async (req, res) => {
+// Get all lab requests, or one patient's with ?patientId=
+router.get('/', verifyToken, requirePermission('lab:read'), requireListAccess('lab_requests'), async (req, res) => {
   try {
-    const labRequests = await LabRequest.find()
+    const filter = req.query.patientId ? { patientId: req.query.patientId } : {};
+    const labRequests = await LabRequest.find(filter)
       .populate('patientId', 'firstName lastName mrNo forceNo')
       .populate('doctorId', 'name department')
       .sort({ createdAt: -1 });
@@ -35,6 +41,7 @@ router.get('/', verifyToken, async (req, res) => {
       createdAt: r.createdAt,
     }));
 
+    await logListAccess(req, labRequests, 'lab_requests');
     res.json({ success: true, data });
   } catch (err) {
     console.error('Error fetching lab requests:', err);
@@ -43,7 +50,7 @@ router.get('/', verifyToken, async (req, res) => {
 });
 
 // Get lab request by ID
-router.get('/:requestId', verifyToken, async (req, res) => {
+router.get('/:requestId', verifyToken, requirePermission('lab:read'), async (req, res) => {
   try {
     const request = await LabRequest.findById(req.params.requestId)
       .populate('patientId', 'firstName lastName mrNo forceNo')
@@ -52,6 +59,7 @@ router.get('/:requestId', verifyToken, async (req, res) => {
     if (!request) {
       return res.status(404).json({ success: false, message: 'Lab request not found' });
     }
+    if (!(await checkChartAccess(req, res, request.patientId?._id || request.patientId, 'lab_requests'))) return;
     res.json({ 
       success: true, 
       data: {
@@ -66,7 +74,7 @@ router.get('/:requestId', verifyToken, async (req, res) => {
 });
 
 // Get lab requests for a patient
-router.get('/patient/:patientId', verifyToken, async (req, res) => {
+router.get('/patient/:patientId', verifyToken, requirePermission('lab:read'), requireChartAccess('lab_requests'), async (req, res) => {
   try {
     const requests = await LabRequest.find({ patientId: req.params.patientId })
       .populate('doctorId', 'name department')
@@ -79,7 +87,7 @@ router.get('/patient/:patientId', verifyToken, async (req, res) => {
 });
 
 // Create lab request (doctor only)
-router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
+router.post('/', verifyToken, requirePermission('lab:request'), requireActivePatient, async (req, res) => {
   try {
     const { patientId, mrNo, forceNo, test } = req.body;
 
@@ -87,18 +95,7 @@ router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
 
-    const year = new Date().getFullYear();
-    const lastLab = await LabRequest.findOne(
-      { requestNo: { $regex: `^LAB-${year}-` } },
-      { requestNo: 1 },
-      { sort: { requestNo: -1 } }
-    );
-    let labSeq = 1;
-    if (lastLab?.requestNo) {
-      const m = lastLab.requestNo.match(/LAB-\d{4}-(\d+)/);
-      if (m) labSeq = parseInt(m[1], 10) + 1;
-    }
-    const requestNo = `LAB-${year}-${String(labSeq).padStart(4, '0')}`;
+    const requestNo = await nextSequence('lab');
 
     const newRequest = new LabRequest({
       requestNo,
@@ -119,7 +116,8 @@ router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
       const patient = await Patient.findById(patientId);
       if (patient) {
         const patientName = `${patient.firstName} ${patient.lastName}`;
-        const testPrice = getLabTestPrice(test, patient.patientType);
+        const pricing = await resolvePricing(patient);
+        const testPrice = getLabTestPrice(test, pricing.pricingType);
 
         const invoiceNo = await generateInvoiceNo();
 
@@ -139,12 +137,21 @@ router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
           netAmount: total,
           amountPaid: 0,
           paymentStatus: 'pending',
+          ...pricing.invoiceFields,
         });
         await labInvoice.save();
+        await recordAudit(req, {
+          entityType: 'Invoice',
+          entityId: labInvoice._id,
+          entityRef: labInvoice.invoiceNo,
+          action: 'create',
+          after: labInvoice,
+          summary: `Auto-created for lab request ${newRequest.requestNo}`,
+        });
         console.log('✅ [LAB] Invoice created:', invoiceNo, 'for', test, '| Rs.', testPrice, '| Patient:', patientName);
 
         // Notify receptionist/billing staff about the invoice
-        const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] } });
+        const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] }, status: 'active' });
         for (const staff of receptionists) {
           await Notification.create({
             userId: staff._id,
@@ -182,7 +189,7 @@ router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
 });
 
 // Update lab request status
-router.put('/:requestId', verifyToken, checkRole(['laboratory', 'lab_technician', 'doctor']), async (req, res) => {
+router.put('/:requestId', verifyToken, requirePermission('lab:result'), async (req, res) => {
   try {
     const request = await LabRequest.findById(req.params.requestId)
       .populate('patientId', 'firstName lastName')
@@ -1,13 +1,16 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import { requireChartAccess } from '../middleware/chartAccess.js';
 import Vitals from '../models/Vitals.js';
 import CareNote from '../models/CareNote.js';
 import WardPatient from '../models/WardPatient.js';
+import { recordAudit } from '../utils/audit.js';
 
 const router = express.Router();
 
 // Record patient vitals
-router.post('/vitals', verifyToken, checkRole(['nurse']), async (req, res) => {
+router.post('/vitals', verifyToken, requirePermission('vitals:record'), requireActivePatient, async (req, res) => {
   try {
     const { patientId, bloodPressure, pulse, temperature, spo2, respiratoryRate, notes } = req.body;
 
@@ -28,6 +31,12 @@ router.post('/vitals', verifyToken, checkRole(['nurse']), async (req, res) => {
     });
 
     await vitals.save();
+    await recordAudit(req, {
+      entityType: 'Vitals',
+      entityId: vitals._id,
+      action: 'create',
+      after: vitals,
+    });
     res.status(201).json({ 
       success: true, 
       message: 'Vitals recorded', 
@@ -43,7 +52,7 @@ router.post('/vitals', verifyToken, checkRole(['nurse']), async (req, res) => {
 });
 
 // Get vitals for a patient
-router.get('/vitals/patient/:patientId', verifyToken, checkRole(['nurse', 'doctor']), async (req, res) => {
+router.get('/vitals/patient/:patientId', verifyToken, requirePermission('vitals:read'), requireChartAccess('vitals'), async (req, res) => {
   try {
     const vitals = await Vitals.find({ patientId: req.params.patientId })
       .populate('nurseId', 'name')
@@ -56,7 +65,7 @@ router.get('/vitals/patient/:patientId', verifyToken, checkRole(['nurse', 'docto
 });
 
 // Add care note
-router.post('/care-notes', verifyToken, checkRole(['nurse']), async (req, res) => {
+router.post('/care-notes', verifyToken, requirePermission('carenote:write'), requireActivePatient, async (req, res) => {
   try {
     const { patientId, note } = req.body;
 
@@ -86,7 +95,7 @@ router.post('/care-notes', verifyToken, checkRole(['nurse']), async (req, res) =
 });
 
 // Get care notes for a patient
-router.get('/care-notes/patient/:patientId', verifyToken, async (req, res) => {
+router.get('/care-notes/patient/:patientId', verifyToken, requirePermission('carenote:read'), requireChartAccess('care_notes'), async (req, res) => {
   try {
     const notes = await CareNote.find({ patientId: req.params.patientId })
       .populate('nurseId', 'name')
@@ -99,7 +108,7 @@ router.get('/care-notes/patient/:patientId', verifyToken, async (req, res) => {
 });
 
 // Get admitted patients - accessible to receptionist and nurse
-router.get('/patients', verifyToken, checkRole(['nurse', 'receptionist']), async (req, res) => {
+router.get('/patients', verifyToken, requirePermission('ward:read'), async (req, res) => {
   try {
     console.log('📥 [BACKEND] Fetching admitted patients...');
     
@@ -133,7 +142,7 @@ router.get('/patients', verifyToken, checkRole(['nurse', 'receptionist']), async
 });
 
 // Admit patient - accessible to receptionist, nurse, doctor, admin
-router.post('/admit', verifyToken, checkRole(['receptionist', 'nurse', 'doctor', 'admin']), async (req, res) => {
+router.post('/admit', verifyToken, requirePermission('ward:manage'), requireActivePatient, async (req, res) => {
   try {
     const { patientId, name, mrNo, patientNo, ward, bed, doctor, doctorId } = req.body;
 
@@ -199,7 +208,7 @@ router.post('/admit', verifyToken, checkRole(['receptionist', 'nurse', 'doctor',
 });
 
 // Discharge patient
-router.put('/discharge/:wardPatientId', verifyToken, checkRole(['nurse', 'doctor', 'admin']), async (req, res) => {
+router.put('/discharge/:wardPatientId', verifyToken, requirePermission('ward:manage'), async (req, res) => {
   try {
     const wardPatient = await WardPatient.findById(req.params.wardPatientId);
     if (!wardPatient) {
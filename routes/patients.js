@@ -1,6 +1,24 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireChartAccess } from '../middleware/chartAccess.js';
 import Patient from '../models/Patient.js';
+import ChartAccess from '../models/ChartAccess.js';
+import PatientAlias from '../models/PatientAlias.js';
+import { recordAudit } from '../utils/audit.js';
+import { nextSequence, reserveSequence } from '../utils/sequence.js';
+import { findDuplicateCandidates, mergePatients, getMergeBlockers, findAlias } from '../utils/patientDuplicates.js';
+import { validateHousehold } from '../utils/households.js';
+import {
+  searchPatients, listPatients, buildPatientFilter, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT,
+} from '../utils/patientSearch.js';
+import { getArchiveBlockers, buildRetentionReport } from '../utils/patientArchive.js';
+import { hasPermission } from '../utils/permissions.js';
+import { getPatientTimeline, getTimelineSummary, TIMELINE_TYPES } from '../utils/patientTimeline.js';
+import { isValidDate } from '../utils/roster.js';
+import { verifyEntitlement, entitlementSnapshot, ENTITLED_STATUSES } from '../utils/eligibility.js';
+import { validateRegistration, validateFamilyMember, HEAD_TYPE_FOR_FAMILY } from '../utils/patientRegistration.js';
+import { parsePatientCsv, planPatientImport, commitPatientImport, importReport } from '../utils/patientImport.js';
 
 const router = express.Router();
 
@@ -30,63 +48,251 @@ const mapPatient = (p) => ({
   emergencyContact: p.emergencyContact || {},
   allergies: p.allergies || '',
   existingConditions: p.existingConditions || '',
+  archived: Boolean(p.archivedAt),
+  archivedAt: p.archivedAt || null,
+  entitlement: p.entitlement?.status ? p.entitlement : null,
   createdAt: p.createdAt,
   updatedAt: p.updatedAt,
 });
 
-// Get all patients
-router.get('/', verifyToken, async (req, res) => {
+const mapCandidate = (c) => ({ ...mapPatient(c.patient), score: c.score, reasons: c.reasons });
+
+const sendPatientPage = (res, result, limit) => {
+  if (result.error) {
+    return res.status(400).json({ success: false, message: result.error });
+  }
+  return res.json({
+    success: true,
+    data: result.patients.map(mapPatient),
+    pagination: { limit, nextCursor: result.nextCursor, hasMore: Boolean(result.nextCursor) },
+  });
+};
+
+// Archived patients are listed only on request, and only for those who can archive
+const wantsArchived = async (req) =>
+  req.query.includeArchived === 'true' && hasPermission(req.user.role, 'patient:delete');
+
+// List patients, newest first: ?limit=&cursor= plus patientType/city/gender filters
+router.get('/', verifyToken, requirePermission('patient:read'), async (req, res) => {
   try {
-    console.log('📋 [PATIENT] Fetching all patients');
-    const patients = await Patient.find().sort({ createdAt: -1 });
-    console.log(`📋 [PATIENT] Found ${patients.length} patients`);
-    
-    const patientsData = patients.map(mapPatient);
-    
-    res.json({ success: true, data: patientsData });
+    const { patientType, city, gender, cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { filter, error } = buildPatientFilter({ patientType, city, gender, includeArchived: await wantsArchived(req) });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    console.log('📋 [PATIENT] Fetching patients page');
+    const result = await listPatients({ filter, limit, cursor });
+    if (!result.error) console.log(`📋 [PATIENT] Returning ${result.patients.length} patients`);
+
+    sendPatientPage(res, result, limit);
   } catch (err) {
     console.error('❌ [PATIENT] Error fetching patients:', err);
     res.status(500).json({ success: false, message: 'Server error: ' + err.message });
   }
 });
 
-// Search patients by name or patient number
-router.get('/search/query', verifyToken, async (req, res) => {
+// Ranked search over name, patient/force number, CNIC and phone, tolerant of
+// transliteration spelling differences: ?q=&limit=&cursor=&patientType=&city=&gender=
+router.get(['/search', '/search/query'], verifyToken, requirePermission('patient:read'), async (req, res) => {
   try {
-    const { q } = req.query;
-    if (!q) {
+    const { q, patientType, city, gender, cursor } = req.query;
+    if (!q || !String(q).trim()) {
       return res.status(400).json({ success: false, message: 'Search query required' });
     }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+    const { filter, error } = buildPatientFilter({ patientType, city, gender, includeArchived: await wantsArchived(req) });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
     console.log('🔍 [PATIENT] Searching for:', q);
-    
-    const patients = await Patient.find({
-      $or: [
-        { firstName: { $regex: q, $options: 'i' } },
-        { lastName: { $regex: q, $options: 'i' } },
-        { patientNo: { $regex: q, $options: 'i' } },
-        { forceNo: { $regex: q, $options: 'i' } },
-      ],
-    });
+
+    const result = await searchPatients({ q: String(q), filter, limit, cursor });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+    const { patients } = result;
+
+    // A retired (merged) patient number finds the record it was merged into
+    const alias = cursor ? null : await findAlias({ patientNo: String(q).trim().toUpperCase() });
+    if (alias) {
+      const existing = patients.findIndex(p => p._id.equals(alias.patientId));
+      const [survivor] = existing >= 0
+        ? patients.splice(existing, 1)
+        : [await Patient.findById(alias.patientId).lean()];
+      if (survivor) patients.unshift(survivor);
+    }
 
     console.log(`🔍 [PATIENT] Found ${patients.length} matching patients`);
 
-    const results = patients.map(mapPatient);
+    const results = patients.map(p => ({
+      ...mapPatient(p),
+      ...(p.score !== undefined && { score: Math.round(p.score * 100) / 100 }),
+      ...(alias && p._id.equals(alias.patientId) && { matchedAlias: alias.patientNo }),
+    }));
 
-    res.json({ success: true, data: results });
+    res.json({
+      success: true,
+      data: results,
+      pagination: { limit, nextCursor: result.nextCursor, hasMore: Boolean(result.nextCursor) },
+    });
   } catch (err) {
     console.error('❌ [PATIENT] Error searching patients:', err);
     res.status(500).json({ success: false, message: 'Server error: ' + err.message });
   }
 });
 
+// Archived patients and whether each may be purged under the retention policy
+// (?eligibleOnly=true for just the purgeable ones)
+router.get('/retention/report', verifyToken, requirePermission('patient:delete'), async (req, res) => {
+  try {
+    const report = await buildRetentionReport({ eligibleOnly: req.query.eligibleOnly === 'true' });
+    console.log(`🗄️  [PATIENT] Retention report: ${report.eligible} of ${report.archived} archived patients eligible for purge`);
+    res.json({ success: true, data: report });
+  } catch (err) {
+    console.error('❌ [PATIENT] Error building retention report:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Everyone who has read this patient's chart: ?page=&limit= for the entries,
+// plus a per-user summary over the whole history
+router.get('/:patientId/access-log', verifyToken, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({ success: false, message: 'Invalid patientId' });
+    }
+
+    const patient = await Patient.findById(patientId).select('patientNo firstName lastName');
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    // Reads of records later merged into this one count too
+    const aliases = await PatientAlias.find({ patientId: patient._id }).select('mergedPatientId');
+    const filter = { patientId: { $in: [patient._id, ...aliases.map(a => a.mergedPatientId)] } };
+    const [entries, total, byUser] = await Promise.all([
+      ChartAccess.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      ChartAccess.countDocuments(filter),
+      ChartAccess.aggregate([
+        { $match: filter },
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: '$userId',
+            userName: { $last: '$userName' },
+            userRole: { $last: '$userRole' },
+            count: { $sum: 1 },
+            firstAccess: { $first: '$createdAt' },
+            lastAccess: { $last: '$createdAt' },
+            accessTypes: { $addToSet: '$accessType' },
+            resources: { $addToSet: '$resource' },
+            breakGlassReasons: {
+              $addToSet: { $cond: [{ $eq: ['$breakGlassStart', true] }, '$reason', '$$REMOVE'] },
+            },
+          },
+        },
+        { $sort: { lastAccess: -1 } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        patient: { id: patient._id, patientNo: patient.patientNo, name: `${patient.firstName} ${patient.lastName}` },
+        summary: byUser.map(({ _id, ...rest }) => ({ userId: _id, ...rest })),
+        entries,
+      },
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (err) {
+    console.error('❌ [PATIENT] Error fetching access log:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Everything recorded for one patient, newest first:
+// ?types=appointment,lab&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&cursor=
+// The first page also carries a summary header
+router.get('/:patientId/timeline', verifyToken, requirePermission('patient:read'), requireChartAccess('timeline'), async (req, res) => {
+  try {
+    const { patientId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(patientId)) {
+      return res.status(400).json({ success: false, message: 'Invalid patientId' });
+    }
+
+    const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean) : TIMELINE_TYPES;
+    const unknown = types.filter(t => !TIMELINE_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown types: ${unknown.join(', ')}. Use ${TIMELINE_TYPES.join(', ')}` });
+    }
+    for (const key of ['from', 'to']) {
+      if (req.query[key] && !isValidDate(req.query[key])) {
+        return res.status(400).json({ success: false, message: `${key} must be YYYY-MM-DD` });
+      }
+    }
+    // Dates are whole server-local days, like appointment bookings
+    const from = req.query.from ? new Date(`${req.query.from}T00:00:00`) : undefined;
+    const to = req.query.to ? new Date(`${req.query.to}T23:59:59.999`) : undefined;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      const alias = await findAlias({ patientId });
+      if (alias) {
+        return res.status(404).json({
+          success: false,
+          message: `Patient ${alias.patientNo} was merged into another record`,
+          data: { mergedInto: alias.patientId, retiredPatientNo: alias.patientNo },
+        });
+      }
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+
+    const result = await getPatientTimeline(patient._id, { types, from, to, limit, cursor: req.query.cursor });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+    const summary = req.query.cursor ? undefined : await getTimelineSummary(patient);
+
+    console.log(`🕒 [PATIENT] Timeline for ${patient.patientNo}: ${result.events.length} events`);
+    res.json({
+      success: true,
+      data: {
+        patient: mapPatient(patient),
+        ...(summary && { summary }),
+        events: result.events,
+      },
+      pagination: { limit, nextCursor: result.nextCursor, hasMore: Boolean(result.nextCursor) },
+    });
+  } catch (err) {
+    console.error('❌ [PATIENT] Error fetching timeline:', err);
+    res.status(500).json({ success: false, message: 'Server error: ' + err.message });
+  }
+});
+
 // Get patient by ID
-router.get('/:patientId', verifyToken, async (req, res) => {
+router.get('/:patientId', verifyToken, requirePermission('patient:read'), requireChartAccess('profile'), async (req, res) => {
   try {
     console.log('👤 [PATIENT] Fetching patient:', req.params.patientId);
     const patient = await Patient.findById(req.params.patientId);
     
     if (!patient) {
+      const alias = await findAlias({ patientId: req.params.patientId });
+      if (alias) {
+        return res.status(404).json({
+          success: false,
+          message: `Patient ${alias.patientNo} was merged into another record`,
+          data: { mergedInto: alias.patientId, retiredPatientNo: alias.patientNo },
+        });
+      }
       console.error('❌ [PATIENT] Patient not found:', req.params.patientId);
       return res.status(404).json({ success: false, message: 'Patient not found' });
     }
@@ -111,8 +317,156 @@ router.get('/:patientId', verifyToken, async (req, res) => {
   }
 });
 
+// Register patients from CSV: { csv, fileName, dryRun = true, allowDuplicates }.
+// A dry run only reports; otherwise valid rows are registered and invalid ones skipped.
+router.post('/import', verifyToken, requirePermission('patient:import'), async (req, res) => {
+  try {
+    const { csv, fileName = '', allowDuplicates = false } = req.body || {};
+    const dryRun = req.body?.dryRun !== false;
+    if (typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ success: false, message: 'csv text is required' });
+    }
+
+    const parsed = parsePatientCsv(csv);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, message: parsed.error });
+    }
+    if (parsed.rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'The file has no patient rows' });
+    }
+
+    const plan = await planPatientImport(parsed.rows, { allowDuplicates: Boolean(allowDuplicates) });
+    const validRows = plan.rows.filter(r => r.errors.length === 0).length;
+    const summary = { dryRun, rows: plan.rows.length, valid: validRows, invalid: plan.rows.length - validRows };
+
+    if (dryRun || validRows === 0) {
+      return res.json({
+        success: true,
+        message: dryRun ? 'Dry run: nothing was registered' : 'No valid rows to register',
+        data: { ...summary, registered: 0, report: importReport(plan.rows) },
+      });
+    }
+
+    const registered = await commitPatientImport(plan);
+    for (const { row, patient } of registered) {
+      await recordAudit(req, {
+        entityType: 'Patient',
+        entityId: patient._id,
+        entityRef: patient.patientNo,
+        action: 'create',
+        after: patient,
+        summary: `Imported from ${fileName || 'CSV'} line ${row.line}`,
+      });
+    }
+
+    console.log(`✅ [PATIENT] Import by ${req.user.email}: ${registered.length} registered, ${summary.invalid} invalid row(s)`);
+    res.status(201).json({
+      success: true,
+      message: `${registered.length} patient(s) registered${summary.invalid > 0 ? `, ${summary.invalid} row(s) skipped` : ''}`,
+      data: { ...summary, registered: registered.length, report: importReport(plan.rows, registered) },
+    });
+  } catch (err) {
+    console.error('❌ [PATIENT] Error importing patients:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Possible existing records for a registration: { firstName, lastName, dateOfBirth, cnic, phone }
+router.post('/duplicates/check', verifyToken, requirePermission('patient:create'), async (req, res) => {
+  try {
+    const candidates = await findDuplicateCandidates(req.body);
+    res.json({ success: true, data: candidates.map(mapCandidate) });
+  } catch (err) {
+    console.error('❌ [PATIENT] Error checking duplicates:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Other records that may be the same person as this patient
+router.get('/:patientId/duplicates', verifyToken, requirePermission('patient:merge'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.patientId)) {
+      return res.status(400).json({ success: false, message: 'Invalid patientId' });
+    }
+    const patient = await Patient.findById(req.params.patientId);
+    if (!patient) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+
+    const candidates = await findDuplicateCandidates(patient, { excludeId: patient._id });
+    res.json({ success: true, data: candidates.map(mapCandidate) });
+  } catch (err) {
+    console.error('❌ [PATIENT] Error finding duplicates:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Merge a duplicate into this (surviving) patient: { duplicateId, reason }
+// Everything linked to the duplicate moves here; its patientNo becomes an alias
+router.post('/:patientId/merge', verifyToken, requirePermission('patient:merge'), async (req, res) => {
+  try {
+    const { duplicateId, reason } = req.body;
+    if (![req.params.patientId, duplicateId].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'patientId and duplicateId must be valid IDs' });
+    }
+    if (req.params.patientId === String(duplicateId)) {
+      return res.status(400).json({ success: false, message: 'A patient cannot be merged into itself' });
+    }
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, message: 'A reason for the merge is required' });
+    }
+
+    const [survivor, duplicate] = await Promise.all([
+      Patient.findById(req.params.patientId),
+      Patient.findById(duplicateId),
+    ]);
+    if (!survivor || !duplicate) {
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+    const blockers = await getMergeBlockers(duplicate);
+    if (blockers.length > 0) {
+      return res.status(409).json({ success: false, message: `Patient ${duplicate.patientNo} can't be merged yet`, data: { blockers } });
+    }
+
+    const before = survivor.toObject();
+    const duplicateBefore = duplicate.toObject();
+    const { moved, filledFields } = await mergePatients(survivor, duplicate, {
+      reason: String(reason).trim(),
+      mergedBy: req.user.id,
+    });
+
+    await recordAudit(req, {
+      entityType: 'Patient',
+      entityId: survivor._id,
+      entityRef: survivor.patientNo,
+      action: 'merge',
+      before,
+      after: survivor,
+      summary: `Merged ${duplicateBefore.patientNo} into ${survivor.patientNo}: ${reason}`,
+    });
+    await recordAudit(req, {
+      entityType: 'Patient',
+      entityId: duplicateBefore._id,
+      entityRef: duplicateBefore.patientNo,
+      action: 'delete',
+      before: duplicateBefore,
+      summary: `Merged into ${survivor.patientNo}`,
+    });
+    console.log(`🔀 [PATIENT] ${duplicateBefore.patientNo} merged into ${survivor.patientNo} by ${req.user.email}`, moved);
+
+    res.json({
+      success: true,
+      message: `${duplicateBefore.patientNo} merged into ${survivor.patientNo}`,
+      data: { patient: mapPatient(survivor), retiredPatientNo: duplicateBefore.patientNo, moved, filledFields },
+    });
+  } catch (err) {
+    console.error('❌ [PATIENT] Error merging patients:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // Create new patient
-router.post('/', verifyToken, checkRole(['receptionist', 'admin']), async (req, res) => {
+router.post('/', verifyToken, requirePermission('patient:create'), async (req, res) => {
   try {
     const {
       patientType,
@@ -133,23 +487,73 @@ router.post('/', verifyToken, checkRole(['receptionist', 'admin']), async (req,
       familyMembers,
     } = req.body;
 
-    // Validate patient type
-    if (!patientType || !['ASF', 'ASF_FAMILY', 'ASF_SCHOOL', 'ASF_FOUNDATION', 'CIVILIAN'].includes(patientType)) {
-      return res.status(400).json({ success: false, message: 'Invalid patient type' });
+    // Patient type, Force No for ASF types, and name
+    const invalid = validateRegistration({ patientType, forceNo, firstName, lastName });
+    if (invalid) {
+      return res.status(400).json({ success: false, message: invalid });
     }
 
-    // Force No is required for ASF, ASF_FAMILY, ASF_SCHOOL
-    if ((patientType === 'ASF' || patientType === 'ASF_FAMILY' || patientType === 'ASF_SCHOOL') && !forceNo) {
-      return res.status(400).json({ success: false, message: 'Force No required for ASF patients' });
+    // Ask the front desk to confirm before registering a likely duplicate
+    if (!req.body.confirmNotDuplicate) {
+      const candidates = await findDuplicateCandidates({ firstName, lastName, dateOfBirth, cnic, phone });
+      if (candidates.length > 0) {
+        console.warn(`⚠️ [PATIENT] ${candidates.length} possible duplicate(s) for ${firstName} ${lastName}`);
+        return res.status(409).json({
+          success: false,
+          message: 'This patient may already be registered. Resend with confirmNotDuplicate: true to register anyway.',
+          data: { duplicateCandidates: candidates.map(mapCandidate) },
+        });
+      }
     }
 
-    if (!firstName || !lastName) {
-      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    // Family rows are deduplicated and checked, with relation conflicts (two
+    // spouses, a child older than the head), before saving anything
+    let uniqueFamily = [];
+    if (Array.isArray(familyMembers) && patientType === HEAD_TYPE_FOR_FAMILY) {
+      const usableFamily = familyMembers.filter((fm) => {
+        return fm.name || fm.gender || fm.dateOfBirth || fm.bloodGroup || fm.relationToHead || fm.phone || fm.cnic;
+      });
+
+      const seenKeys = new Set();
+      uniqueFamily = usableFamily.filter((fm) => {
+        const fullName = (fm.name || `${fm.firstName || ''} ${fm.lastName || ''}`).trim();
+        const cnicKey = (fm.cnic || '').replace(/\D/g, '');
+        const dobKey = fm.dateOfBirth || '';
+        const relationKey = fm.relationToHead || '';
+        const dedupKey = cnicKey || `${fullName.toLowerCase()}|${dobKey}|${relationKey}`;
+        if (seenKeys.has(dedupKey)) {
+          console.log('⚠️ [PATIENT] Skipping duplicate family member entry:', dedupKey);
+          return false;
+        }
+        seenKeys.add(dedupKey);
+        return true;
+      });
+
+      for (const fm of uniqueFamily) {
+        if (!(fm.name || `${fm.firstName || ''} ${fm.lastName || ''}`).trim()) {
+          return res.status(400).json({ success: false, message: 'Family member name is required' });
+        }
+        const memberInvalid = validateFamilyMember(fm);
+        if (memberInvalid) {
+          return res.status(400).json({ success: false, message: memberInvalid });
+        }
+      }
+
+      const householdErrors = validateHousehold([
+        { firstName, lastName, dateOfBirth, relationToHead: 'self', isHouseholdHead: true },
+        ...uniqueFamily.map(fm => ({
+          firstName: fm.name || `${fm.firstName || ''} ${fm.lastName || ''}`.trim(),
+          dateOfBirth: fm.dateOfBirth,
+          relationToHead: fm.relationToHead,
+          isHouseholdHead: false,
+        })),
+      ]);
+      if (householdErrors.length > 0) {
+        return res.status(400).json({ success: false, message: householdErrors.join('. '), errors: householdErrors });
+      }
     }
 
-    const patientCount = await Patient.countDocuments();
-    const baseNumber = patientCount + 1001;
-    const patientNo = `PAT-${String(baseNumber).padStart(6, '0')}`;
+    const patientNo = await nextSequence('patient');
 
     const householdId = patientNo;
 
@@ -176,74 +580,67 @@ router.post('/', verifyToken, checkRole(['receptionist', 'admin']), async (req,
       isHouseholdHead: true,
     });
 
+    // Registration goes ahead either way; the front desk sees the flag
+    const entitlement = await verifyEntitlement(newPatient);
+    newPatient.entitlement = entitlementSnapshot(entitlement);
+
     await newPatient.save();
+    await recordAudit(req, {
+      entityType: 'Patient',
+      entityId: newPatient._id,
+      entityRef: newPatient.patientNo,
+      action: 'create',
+      after: newPatient,
+    });
 
     const createdFamilyMembers = [];
-    if (Array.isArray(familyMembers) && patientType === 'ASF') {
-      const usableFamily = familyMembers.filter((fm) => {
-        return fm.name || fm.gender || fm.dateOfBirth || fm.bloodGroup || fm.relationToHead || fm.phone || fm.cnic;
-      });
-
-      if (usableFamily.length > 0) {
-        const seenKeys = new Set();
-        const uniqueFamily = usableFamily.filter((fm) => {
-          const fullName = (fm.name || `${fm.firstName || ''} ${fm.lastName || ''}`).trim();
-          const cnicKey = (fm.cnic || '').replace(/\D/g, '');
-          const dobKey = fm.dateOfBirth || '';
-          const relationKey = fm.relationToHead || '';
-          const dedupKey = cnicKey || `${fullName.toLowerCase()}|${dobKey}|${relationKey}`;
-          if (seenKeys.has(dedupKey)) {
-            console.log('⚠️ [PATIENT] Skipping duplicate family member entry:', dedupKey);
-            return false;
-          }
-          seenKeys.add(dedupKey);
-          return true;
+    if (uniqueFamily.length > 0) {
+      const toInsert = [];
+      for (const fm of uniqueFamily) {
+        const fullName = (fm.name || `${fm.firstName || ''} ${fm.lastName || ''}`).trim();
+        const [fmFirst, ...fmRest] = fullName.split(/\s+/);
+        const fmLast = fmRest.join(' ') || fmFirst;
+
+        toInsert.push({
+          patientType: 'ASF_FAMILY',
+          forceNo,
+          firstName: fmFirst,
+          lastName: fmLast,
+          gender: fm.gender,
+          dateOfBirth: fm.dateOfBirth,
+          bloodGroup: fm.bloodGroup,
+          cnic: fm.cnic,
+          phone: fm.phone,
+          email: fm.email,
+          address: fm.address || address,
+          city: fm.city || city,
+          emergencyContact: fm.emergencyContact,
+          allergies: fm.allergies,
+          existingConditions: fm.existingConditions,
+          householdId,
+          relationToHead: fm.relationToHead,
+          familyHead: newPatient._id,
+          isHouseholdHead: false,
         });
+      }
 
-        let counter = baseNumber;
-        const toInsert = [];
-        for (const fm of uniqueFamily) {
-          const fullName = (fm.name || `${fm.firstName || ''} ${fm.lastName || ''}`).trim();
-          if (!fullName) {
-            return res.status(400).json({ success: false, message: 'Family member name is required' });
-          }
-          const [fmFirst, ...fmRest] = fullName.split(/\s+/);
-          const fmLast = fmRest.join(' ') || fmFirst;
-
-          if (!fm.gender || !fm.dateOfBirth || !fm.bloodGroup || !fm.relationToHead) {
-            return res.status(400).json({ success: false, message: 'Family member is missing required fields' });
-          }
-
-          counter += 1;
-          const fmPatientNo = `PAT-${String(counter).padStart(6, '0')}`;
-
-          toInsert.push({
-            patientNo: fmPatientNo,
-            patientType: 'ASF_FAMILY',
-            forceNo,
-            firstName: fmFirst,
-            lastName: fmLast,
-            gender: fm.gender,
-            dateOfBirth: fm.dateOfBirth,
-            bloodGroup: fm.bloodGroup,
-            cnic: fm.cnic,
-            phone: fm.phone,
-            email: fm.email,
-            address: fm.address || address,
-            city: fm.city || city,
-            emergencyContact: fm.emergencyContact,
-            allergies: fm.allergies,
-            existingConditions: fm.existingConditions,
-            householdId,
-            relationToHead: fm.relationToHead,
-            familyHead: newPatient._id,
-            isHouseholdHead: false,
-          });
+      if (toInsert.length > 0) {
+        const familyNos = await reserveSequence('patient', toInsert.length);
+        for (const [i, fm] of toInsert.entries()) {
+          fm.patientNo = familyNos[i];
+          fm.entitlement = entitlementSnapshot(await verifyEntitlement(fm));
         }
-
-        if (toInsert.length > 0) {
-          const inserted = await Patient.insertMany(toInsert);
-          createdFamilyMembers.push(...inserted.map(mapPatient));
+        const inserted = await Patient.insertMany(toInsert);
+        createdFamilyMembers.push(...inserted.map(mapPatient));
+        for (const member of inserted) {
+          await recordAudit(req, {
+            entityType: 'Patient',
+            entityId: member._id,
+            entityRef: member.patientNo,
+            action: 'create',
+            after: member,
+            summary: `Registered as family member of ${newPatient.patientNo}`,
+          });
         }
       }
     }
@@ -251,10 +648,15 @@ router.post('/', verifyToken, checkRole(['receptionist', 'admin']), async (req,
     const patientData = mapPatient(newPatient);
 
     console.log('✅ [PATIENT] Patient created successfully:', patientData.patientNo);
+
+    const notEntitled = [patientData, ...createdFamilyMembers]
+      .filter(p => p.entitlement && !ENTITLED_STATUSES.includes(p.entitlement.status));
     
     res.status(201).json({ 
       success: true, 
-      message: 'Patient registered successfully', 
+      message: notEntitled.length > 0
+        ? `Patient registered; entitlement not verified for ${notEntitled.map(p => p.patientNo).join(', ')}, billed at private rates`
+        : 'Patient registered successfully', 
       data: patientData,
       family: createdFamilyMembers,
     });
@@ -265,7 +667,7 @@ router.post('/', verifyToken, checkRole(['receptionist', 'admin']), async (req,
 });
 
 // Update patient
-router.put('/:patientId', verifyToken, checkRole(['receptionist', 'admin', 'doctor']), async (req, res) => {
+router.put('/:patientId', verifyToken, requirePermission('patient:update'), async (req, res) => {
   try {
     const { patientId } = req.params;
     const updateData = { ...req.body };
@@ -274,20 +676,46 @@ router.put('/:patientId', verifyToken, checkRole(['receptionist', 'admin', 'doct
     delete updateData.patientNo;
     delete updateData.createdAt;
     delete updateData._id;
+    // Household membership changes go through /api/households so they are validated
+    delete updateData.householdId;
+    delete updateData.familyHead;
+    delete updateData.relationToHead;
+    delete updateData.isHouseholdHead;
+    // Archival goes through DELETE/restore and entitlement is checked against the roster
+    delete updateData.archivedAt;
+    delete updateData.archivedBy;
+    delete updateData.archiveReason;
+    delete updateData.entitlement;
 
     console.log('📝 [PATIENT] Updating patient:', patientId);
     console.log('📝 [PATIENT] Update data:', updateData);
 
-    const patient = await Patient.findByIdAndUpdate(
-      patientId,
-      { $set: updateData },
-      { new: true, runValidators: true }
-    );
+    const before = await Patient.findById(patientId).lean();
+    if (!before) {
+      console.error('❌ [PATIENT] Patient not found:', patientId);
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
 
+    // Saved through the document so the search keys are rebuilt from the new values
+    const patient = await Patient.findById(patientId);
     if (!patient) {
       console.error('❌ [PATIENT] Patient not found:', patientId);
       return res.status(404).json({ success: false, message: 'Patient not found' });
     }
+    patient.set(updateData);
+    if (patient.isModified('patientType') || patient.isModified('forceNo') || patient.isModified('dateOfBirth')) {
+      patient.entitlement = entitlementSnapshot(await verifyEntitlement(patient));
+    }
+    await patient.save();
+
+    await recordAudit(req, {
+      entityType: 'Patient',
+      entityId: patient._id,
+      entityRef: patient.patientNo,
+      action: 'update',
+      before,
+      after: patient,
+    });
 
     console.log('✅ [PATIENT] Patient updated successfully:', patientId);
     
@@ -305,18 +733,82 @@ router.put('/:patientId', verifyToken, checkRole(['receptionist', 'admin', 'doct
 });
 
 // Delete patient
-router.delete('/:patientId', verifyToken, checkRole(['admin']), async (req, res) => {
+// Archive a patient: { reason }. Nothing is deleted; the record leaves lists
+// and search and takes no new encounters until restored
+router.delete('/:patientId', verifyToken, requirePermission('patient:delete'), async (req, res) => {
+  try {
+    console.log('🗄️  [PATIENT] Archiving patient:', req.params.patientId);
+    if (!mongoose.Types.ObjectId.isValid(req.params.patientId)) {
+      return res.status(400).json({ success: false, message: 'Invalid patientId' });
+    }
+    const patient = await Patient.findById(req.params.patientId);
+    if (!patient) {
+      console.error('❌ [PATIENT] Patient not found for archiving:', req.params.patientId);
+      return res.status(404).json({ success: false, message: 'Patient not found' });
+    }
+    if (patient.archivedAt) {
+      return res.status(400).json({ success: false, message: `Patient ${patient.patientNo} is already archived` });
+    }
+
+    const blockers = await getArchiveBlockers(patient);
+    if (blockers.length > 0) {
+      return res.status(409).json({ success: false, message: `Patient ${patient.patientNo} can't be archived yet`, data: { blockers } });
+    }
+
+    const before = patient.toObject();
+    patient.archivedAt = new Date();
+    patient.archivedBy = req.user.id;
+    patient.archiveReason = String(req.body?.reason || '').trim();
+    await patient.save();
+    await recordAudit(req, {
+      entityType: 'Patient',
+      entityId: patient._id,
+      entityRef: patient.patientNo,
+      action: 'archive',
+      before,
+      after: patient,
+      summary: patient.archiveReason ? `Archived: ${patient.archiveReason}` : 'Archived',
+    });
+    console.log('✅ [PATIENT] Patient archived:', patient.patientNo);
+    res.json({ success: true, message: 'Patient archived', data: mapPatient(patient) });
+  } catch (err) {
+    console.error('❌ [PATIENT] Error archiving patient:', err);
+    res.status(500).json({ success: false, message: 'Server error: ' + err.message });
+  }
+});
+
+// Bring an archived patient back into lists, search and new encounters
+router.post('/:patientId/restore', verifyToken, requirePermission('patient:delete'), async (req, res) => {
   try {
-    console.log('🗑️  [PATIENT] Deleting patient:', req.params.patientId);
-    const patient = await Patient.findByIdAndDelete(req.params.patientId);
+    if (!mongoose.Types.ObjectId.isValid(req.params.patientId)) {
+      return res.status(400).json({ success: false, message: 'Invalid patientId' });
+    }
+    const patient = await Patient.findById(req.params.patientId);
     if (!patient) {
-      console.error('❌ [PATIENT] Patient not found for deletion:', req.params.patientId);
       return res.status(404).json({ success: false, message: 'Patient not found' });
     }
-    console.log('✅ [PATIENT] Patient deleted successfully:', patient.patientNo);
-    res.json({ success: true, message: 'Patient deleted successfully' });
+    if (!patient.archivedAt) {
+      return res.status(400).json({ success: false, message: `Patient ${patient.patientNo} is not archived` });
+    }
+
+    const before = patient.toObject();
+    patient.archivedAt = null;
+    patient.archivedBy = undefined;
+    patient.archiveReason = '';
+    await patient.save();
+    await recordAudit(req, {
+      entityType: 'Patient',
+      entityId: patient._id,
+      entityRef: patient.patientNo,
+      action: 'restore',
+      before,
+      after: patient,
+      summary: req.body?.reason ? `Restored: ${req.body.reason}` : 'Restored',
+    });
+    console.log('✅ [PATIENT] Patient restored:', patient.patientNo);
+    res.json({ success: true, message: 'Patient restored', data: mapPatient(patient) });
   } catch (err) {
-    console.error('❌ [PATIENT] Error deleting patient:', err);
+    console.error('❌ [PATIENT] Error restoring patient:', err);
     res.status(500).json({ success: false, message: 'Server error: ' + err.message });
   }
 });
@@ -1,5 +1,6 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { checkChartAccess, requireListAccess, logListAccess } from '../middleware/chartAccess.js';
 import Prescription from '../models/Prescription.js';
 import Inventory from '../models/Inventory.js';
 import Invoice from '../models/Invoice.js';
@@ -7,18 +8,23 @@ import Patient from '../models/Patient.js';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
 import { isMedicineFree } from '../utils/pricing.js';
+import { resolvePricing } from '../utils/eligibility.js';
 import { generateInvoiceNo } from '../utils/invoiceHelper.js';
+import { recordAudit } from '../utils/audit.js';
 
 const router = express.Router();
 
 // Get all prescriptions for pharmacy
-// Accessible to: pharmacy staff, pharmacists, doctors (view only), and admins
-router.get('/prescriptions', verifyToken, checkRole(['pharmacy', 'pharmacist', 'doctor', 'admin']), async (req, res) => {
+// Accessible to: pharmacy staff, pharmacists, doctors (view only), and admins;
+// anyone without chart:unrestricted must give ?patientId=
+router.get('/prescriptions', verifyToken, requirePermission('pharmacy:read'), requireListAccess('prescriptions'), async (req, res) => {
   try {
-    const prescriptions = await Prescription.find({
+    const filter = {
       medicines: { $exists: true, $not: { $size: 0 } },
       status: { $in: ['pending', 'dispensed'] },
-    })
+    };
+    if (req.query.patientId) filter.patientId = req.query.patientId;
+    const prescriptions = await Prescription.find(filter)
       .populate('patientId', 'firstName lastName mrNo forceNo')
       .populate('doctorId', 'name department')
       .sort({ createdAt: -1 });
@@ -41,6 +47,7 @@ router.get('/prescriptions', verifyToken, checkRole(['pharmacy', 'pharmacist', '
       dispensedAt: p.dispensedAt,
     }));
 
+    await logListAccess(req, prescriptions, 'prescriptions');
     res.json({ success: true, data });
   } catch (err) {
     console.error('Error fetching prescriptions for pharmacy:', err);
@@ -50,7 +57,7 @@ router.get('/prescriptions', verifyToken, checkRole(['pharmacy', 'pharmacist', '
 
 // Get prescription details
 // Accessible to: pharmacy staff, pharmacists, doctors (view only), and admins
-router.get('/prescription/:prescriptionId', verifyToken, checkRole(['pharmacy', 'pharmacist', 'doctor', 'admin']), async (req, res) => {
+router.get('/prescription/:prescriptionId', verifyToken, requirePermission('pharmacy:read'), async (req, res) => {
   try {
     const prescription = await Prescription.findById(req.params.prescriptionId)
       .populate('patientId', 'firstName lastName mrNo forceNo')
@@ -59,6 +66,7 @@ router.get('/prescription/:prescriptionId', verifyToken, checkRole(['pharmacy',
     if (!prescription) {
       return res.status(404).json({ success: false, message: 'Prescription not found' });
     }
+    if (!(await checkChartAccess(req, res, prescription.patientId?._id || prescription.patientId, 'prescriptions'))) return;
     res.json({ 
       success: true, 
       data: {
@@ -73,10 +81,10 @@ router.get('/prescription/:prescriptionId', verifyToken, checkRole(['pharmacy',
 });
 
 // Dispense prescription
-router.put('/dispense/:prescriptionId', verifyToken, checkRole(['pharmacy', 'pharmacist']), async (req, res) => {
+router.put('/dispense/:prescriptionId', verifyToken, requirePermission('pharmacy:dispense'), async (req, res) => {
   try {
     const prescription = await Prescription.findById(req.params.prescriptionId)
-      .populate('patientId', 'firstName lastName patientNo patientType forceNo')
+      .populate('patientId', 'firstName lastName patientNo patientType forceNo dateOfBirth relationToHead entitlement')
       .populate('doctorId', 'name');
     if (!prescription) {
       return res.status(404).json({ success: false, message: 'Prescription not found' });
@@ -87,10 +95,19 @@ router.put('/dispense/:prescriptionId', verifyToken, checkRole(['pharmacy', 'pha
       return res.status(400).json({ success: false, message: 'Prescription has already been dispensed' });
     }
 
+    const prescriptionBefore = prescription.toObject({ depopulate: true });
     prescription.status = 'dispensed';
     prescription.dispensedAt = new Date();
     prescription.dispensedBy = req.user.id;
     await prescription.save();
+    await recordAudit(req, {
+      entityType: 'Prescription',
+      entityId: prescription._id,
+      entityRef: prescription.rxNo,
+      action: 'dispense',
+      before: prescriptionBefore,
+      after: prescription,
+    });
 
     // dispensedItems: [{name, quantity}] — optional overrides from pharmacist
     const { dispensedItems } = req.body || {};
@@ -114,6 +131,7 @@ router.put('/dispense/:prescriptionId', verifyToken, checkRole(['pharmacy', 'pha
 
       if (invItem && qtyToDispense > 0) {
         // Deduct from inventory
+        const itemBefore = invItem.toObject();
         const previousQty = invItem.quantity;
         invItem.quantity = Math.max(0, invItem.quantity - qtyToDispense);
 
@@ -127,6 +145,15 @@ router.put('/dispense/:prescriptionId', verifyToken, checkRole(['pharmacy', 'pha
         }
 
         await invItem.save();
+        await recordAudit(req, {
+          entityType: 'Inventory',
+          entityId: invItem._id,
+          entityRef: invItem.name,
+          action: 'update',
+          before: itemBefore,
+          after: invItem,
+          summary: `Dispensed ${qtyToDispense} for ${prescription.rxNo}`,
+        });
         inventoryUpdates.push({
           name: med.name,
           previous: previousQty,
@@ -160,8 +187,9 @@ router.put('/dispense/:prescriptionId', verifyToken, checkRole(['pharmacy', 'pha
       const patientName = patient ? `${patient.firstName} ${patient.lastName}` : (prescription.mrNo || 'Unknown Patient');
 
       if (invoiceItems.length > 0) {
-        // Medicines are free for ASF Staff & Family
-        if (isMedicineFree(patient?.patientType)) {
+        // Medicines are free for ASF Staff & Family with a verified entitlement
+        const pricing = await resolvePricing(patient);
+        if (isMedicineFree(pricing.pricingType)) {
           invoiceItems.forEach(item => { item.price = 0; });
         }
         const total = invoiceItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
@@ -181,12 +209,21 @@ router.put('/dispense/:prescriptionId', verifyToken, checkRole(['pharmacy', 'pha
           netAmount: total,
           amountPaid: 0,
           paymentStatus: 'pending',
+          ...pricing.invoiceFields,
         });
         await invoice.save();
+        await recordAudit(req, {
+          entityType: 'Invoice',
+          entityId: invoice._id,
+          entityRef: invoiceNo,
+          action: 'create',
+          after: invoice,
+          summary: `Auto-created for dispensing ${prescription.rxNo}`,
+        });
         console.log('✅ [PHARMACY] Invoice created:', invoiceNo, 'for patient:', patientName, 'Total: Rs.', total);
 
         // Notify receptionist staff
-        const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] } });
+        const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] }, status: 'active' });
         for (const staff of receptionists) {
           await Notification.create({
             userId: staff._id,
@@ -223,7 +260,7 @@ router.put('/dispense/:prescriptionId', verifyToken, checkRole(['pharmacy', 'pha
 
 // Pharmacy inventory
 // GET accessible to all staff for viewing
-router.get('/inventory', verifyToken, checkRole(['pharmacy', 'pharmacist', 'doctor', 'admin', 'nurse']), async (req, res) => {
+router.get('/inventory', verifyToken, requirePermission('pharmacy:read'), async (req, res) => {
   try {
     const inventory = await Inventory.find({ category: { $in: ['Medicine', 'pharmacy'] } }).sort({ name: 1 });
     const data = inventory.map(i => ({
@@ -249,19 +286,28 @@ router.get('/inventory', verifyToken, checkRole(['pharmacy', 'pharmacist', 'doct
 });
 
 // Update medicine inventory
-router.put('/inventory/:medicineId', verifyToken, checkRole(['pharmacy', 'pharmacist']), async (req, res) => {
+router.put('/inventory/:medicineId', verifyToken, requirePermission('pharmacy:stock'), async (req, res) => {
   try {
     const medicine = await Inventory.findById(req.params.medicineId);
     if (!medicine) {
       return res.status(404).json({ success: false, message: 'Medicine not found' });
     }
 
+    const before = medicine.toObject();
     const { quantity, name, strength } = req.body;
     if (quantity !== undefined) medicine.quantity = quantity;
     if (name) medicine.name = name;
     if (strength) medicine.strength = strength;
 
     await medicine.save();
+    await recordAudit(req, {
+      entityType: 'Inventory',
+      entityId: medicine._id,
+      entityRef: medicine.name,
+      action: 'update',
+      before,
+      after: medicine,
+    });
     res.json({ success: true, message: 'Inventory updated' });
   } catch (err) {
     console.error('Error updating pharmacy inventory:', err);
@@ -1,5 +1,8 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import { requireChartAccess, checkChartAccess, requireListAccess, logListAccess } from '../middleware/chartAccess.js';
 import Prescription from '../models/Prescription.js';
 import Patient from '../models/Patient.js';
 import User from '../models/User.js';
@@ -7,15 +10,26 @@ import Notification from '../models/Notification.js';
 import LabRequest from '../models/LabRequest.js';
 import RadiologyRequest from '../models/RadiologyRequest.js';
 import Invoice from '../models/Invoice.js';
+import Appointment from '../models/Appointment.js';
 import { getLabTestPrice, getRadiologyTestPrice } from '../utils/pricing.js';
+import { resolvePricing } from '../utils/eligibility.js';
 import { generateInvoiceNo } from '../utils/invoiceHelper.js';
+import { nextSequence } from '../utils/sequence.js';
+import { recordAudit } from '../utils/audit.js';
+import { hasPermission } from '../utils/permissions.js';
+import { normalizeFollowUp, createFollowUpAppointment } from '../utils/followUps.js';
+import { placement } from '../utils/appointmentBooking.js';
+import {
+  checkPrescriptionAllergies, conflictKey, describeConflicts, MIN_OVERRIDE_REASON_LENGTH,
+} from '../utils/allergyCheck.js';
 
 const router = express.Router();
 
-// Get all prescriptions
-router.get('/', verifyToken, async (req, res) => {
+// Get all prescriptions, or one patient's with ?patientId=
+router.get('/', verifyToken, requirePermission('prescription:read'), requireListAccess('prescriptions'), async (req, res) => {
   try {
-    const prescriptions = await Prescription.find()
+    const filter = req.query.patientId ? { patientId: req.query.patientId } : {};
+    const prescriptions = await Prescription.find(filter)
       .populate('patientId', 'firstName lastName mrNo forceNo')
       .populate('doctorId', 'name department')
       .sort({ createdAt: -1 });
@@ -38,6 +52,7 @@ router.get('/', verifyToken, async (req, res) => {
       createdAt: p.createdAt,
     }));
 
+    await logListAccess(req, prescriptions, 'prescriptions');
     res.json({ success: true, data });
   } catch (err) {
     console.error('Error fetching prescriptions:', err);
@@ -46,7 +61,7 @@ router.get('/', verifyToken, async (req, res) => {
 });
 
 // Get prescription by ID
-router.get('/:prescriptionId', verifyToken, async (req, res) => {
+router.get('/:prescriptionId', verifyToken, requirePermission('prescription:read'), async (req, res) => {
   try {
     const prescription = await Prescription.findById(req.params.prescriptionId)
       .populate('patientId', 'firstName lastName mrNo forceNo')
@@ -55,6 +70,7 @@ router.get('/:prescriptionId', verifyToken, async (req, res) => {
     if (!prescription) {
       return res.status(404).json({ success: false, message: 'Prescription not found' });
     }
+    if (!(await checkChartAccess(req, res, prescription.patientId?._id || prescription.patientId, 'prescriptions'))) return;
     res.json({ 
       success: true, 
       data: {
@@ -69,7 +85,7 @@ router.get('/:prescriptionId', verifyToken, async (req, res) => {
 });
 
 // Get prescriptions by patient
-router.get('/patient/:patientId', verifyToken, async (req, res) => {
+router.get('/patient/:patientId', verifyToken, requirePermission('prescription:read'), requireChartAccess('prescriptions'), async (req, res) => {
   try {
     const prescriptions = await Prescription.find({ patientId: req.params.patientId })
       .populate('doctorId', 'name department')
@@ -81,8 +97,23 @@ router.get('/patient/:patientId', verifyToken, async (req, res) => {
   }
 });
 
+// Check { patientId, medicines } against the patient's allergies before prescribing
+router.post('/allergy-check', verifyToken, requirePermission('prescription:create'), async (req, res) => {
+  try {
+    const { patientId, medicines } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(patientId) || !Array.isArray(medicines)) {
+      return res.status(400).json({ success: false, message: 'patientId and a medicines array are required' });
+    }
+    const { conflicts, blocking } = await checkPrescriptionAllergies(patientId, medicines);
+    res.json({ success: true, data: { conflicts, overrideRequired: blocking.length > 0 } });
+  } catch (err) {
+    console.error('Error checking allergies:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // Create prescription (doctor only)
-router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) => {
+router.post('/', verifyToken, requirePermission('prescription:create'), requireActivePatient, async (req, res) => {
   try {
     const {
       patientId,
@@ -94,8 +125,18 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
       labTests,
       radiologyTests,
       notes,
+      allergyOverrideReason,
     } = req.body;
 
+    let followUp = null;
+    if (req.body.followUp) {
+      const normalized = normalizeFollowUp(req.body.followUp);
+      if (normalized.error) {
+        return res.status(400).json({ success: false, message: normalized.error });
+      }
+      followUp = normalized.followUp;
+    }
+
     console.log('📝 [BACKEND] Creating prescription for patient:', patientId, '| appointment:', appointmentId);
 
     if (!patientId || !diagnosis) {
@@ -119,8 +160,18 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
       }
     }
 
-    const prescriptionCount = await Prescription.countDocuments();
-    const rxNo = `RX-${String(prescriptionCount + 456789).padStart(6, '0')}`;
+    const allergyCheck = await checkPrescriptionAllergies(patientId, medicines);
+    const overrideReason = String(allergyOverrideReason || '').trim();
+    if (allergyCheck.blocking.length > 0 && overrideReason.length < MIN_OVERRIDE_REASON_LENGTH) {
+      console.warn('⛔ [BACKEND] Prescription blocked by allergy:', describeConflicts(allergyCheck.blocking));
+      return res.status(409).json({
+        success: false,
+        message: `Allergy conflict: ${describeConflicts(allergyCheck.blocking)}. Give an allergyOverrideReason (at least ${MIN_OVERRIDE_REASON_LENGTH} characters) to prescribe anyway`,
+        data: { allergyConflicts: allergyCheck.conflicts, overrideRequired: true },
+      });
+    }
+
+    const rxNo = await nextSequence('prescription');
 
     const hasMedicines = Array.isArray(medicines) && medicines.length > 0;
     const hasLabTests = Array.isArray(labTests) && labTests.length > 0;
@@ -140,22 +191,54 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
       radiologyTests: radiologyTests || [],
       notes,
       status: initialStatus,
+      ...(followUp && { followUp }),
+      allergyAlerts: allergyCheck.conflicts,
+      ...(allergyCheck.blocking.length > 0 && {
+        allergyOverride: { reason: overrideReason, overriddenBy: req.user.id, overriddenAt: new Date() },
+      }),
     });
 
     await newPrescription.save();
+    await recordAudit(req, {
+      entityType: 'Prescription',
+      entityId: newPrescription._id,
+      entityRef: rxNo,
+      action: 'create',
+      after: newPrescription,
+      ...(allergyCheck.blocking.length > 0 && {
+        summary: `Allergy override: ${describeConflicts(allergyCheck.blocking)}. Reason: ${overrideReason}`,
+      }),
+    });
+    if (allergyCheck.conflicts.length > 0) {
+      console.warn('⚠️ [BACKEND] Prescription', rxNo, 'has allergy alerts:', describeConflicts(allergyCheck.conflicts));
+    }
     console.log('✅ [BACKEND] Prescription created:', rxNo);
 
     // Get patient and doctor info for notifications
     const patient = await Patient.findById(patientId);
     const doctor = await User.findById(req.user.id);
+    // Test invoices are priced by the patient's verified entitlement
+    const pricing = await resolvePricing(patient);
+
+    // Book the review as a tentative appointment for reception to confirm
+    if (followUp && doctor) {
+      try {
+        const originAppointment = appointmentId ? await Appointment.findById(appointmentId) : null;
+        const followUpAppointment = await createFollowUpAppointment({ prescription: newPrescription, doctor, originAppointment });
+        newPrescription.followUp.appointmentId = followUpAppointment._id;
+        await newPrescription.save();
+        console.log('📅 [BACKEND] Follow-up', followUpAppointment.appointmentNo, 'due', followUp.dueDate, 'for', rxNo);
+      } catch (followUpErr) {
+        console.error('⚠️ [BACKEND] Error creating follow-up appointment:', followUpErr);
+      }
+    }
     
     // Send notification to lab staff if lab tests requested + create LabRequest documents
     if (labTests && labTests.length > 0) {
       // Create individual LabRequest documents for each test
       const labRequestDocs = [];
       for (const testName of labTests) {
-        const labCount = await LabRequest.countDocuments();
-        const requestNo = `LAB-${new Date().getFullYear()}-${String(labCount + 1).padStart(4, '0')}`;
+        const requestNo = await nextSequence('lab');
         const labReq = await LabRequest.create({
           requestNo,
           patientId,
@@ -170,7 +253,7 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
         console.log('📋 [BACKEND] LabRequest created:', requestNo, '-', testName);
       }
 
-      const labStaff = await User.find({ role: 'laboratory' });
+      const labStaff = await User.find({ role: 'laboratory', status: 'active' });
       console.log('🔔 [BACKEND] Notifying', labStaff.length, 'lab staff about new lab requests');
       
       for (const staff of labStaff) {
@@ -192,7 +275,7 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
 
         for (const labReq of labRequestDocs) {
           try {
-            const testPrice = getLabTestPrice(labReq.test, patient.patientType);
+            const testPrice = getLabTestPrice(labReq.test, pricing.pricingType);
             const invoiceNo = await generateInvoiceNo();
 
             const invoice = new Invoice({
@@ -209,12 +292,21 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
               netAmount: testPrice,
               amountPaid: 0,
               paymentStatus: 'pending',
+              ...pricing.invoiceFields,
             });
             await invoice.save();
+            await recordAudit(req, {
+              entityType: 'Invoice',
+              entityId: invoice._id,
+              entityRef: invoiceNo,
+              action: 'create',
+              after: invoice,
+              summary: `Auto-created for lab test on ${rxNo}`,
+            });
             console.log('✅ [PRESCRIPTION] Lab invoice created:', invoiceNo, 'for', labReq.test, '| Rs.', testPrice);
 
             // Notify receptionist/billing staff
-            const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] } });
+            const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] }, status: 'active' });
             for (const staff of receptionists) {
               await Notification.create({
                 userId: staff._id,
@@ -238,8 +330,7 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
     if (radiologyTests && radiologyTests.length > 0) {
       // Create individual RadiologyRequest documents for each test
       for (const testName of radiologyTests) {
-        const radCount = await RadiologyRequest.countDocuments();
-        const requestNo = `RAD-${new Date().getFullYear()}-${String(radCount + 1).padStart(4, '0')}`;
+        const requestNo = await nextSequence('radiology');
         await RadiologyRequest.create({
           requestNo,
           patientId,
@@ -253,7 +344,7 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
         console.log('📋 [BACKEND] RadiologyRequest created:', requestNo, '-', testName);
       }
 
-      const radiologyStaff = await User.find({ role: 'radiologist' });
+      const radiologyStaff = await User.find({ role: 'radiologist', status: 'active' });
       console.log('🔔 [BACKEND] Notifying', radiologyStaff.length, 'radiology staff about new radiology requests');
       
       for (const staff of radiologyStaff) {
@@ -275,7 +366,7 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
 
         for (const testName of radiologyTests) {
           try {
-            const testPrice = getRadiologyTestPrice(testName, patient.patientType);
+            const testPrice = getRadiologyTestPrice(testName, pricing.pricingType);
             const invoiceNo = await generateInvoiceNo();
 
             const invoice = new Invoice({
@@ -292,12 +383,21 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
               netAmount: testPrice,
               amountPaid: 0,
               paymentStatus: 'pending',
+              ...pricing.invoiceFields,
             });
             await invoice.save();
+            await recordAudit(req, {
+              entityType: 'Invoice',
+              entityId: invoice._id,
+              entityRef: invoiceNo,
+              action: 'create',
+              after: invoice,
+              summary: `Auto-created for radiology test on ${rxNo}`,
+            });
             console.log('✅ [PRESCRIPTION] Radiology invoice created:', invoiceNo, 'for', testName, '| Rs.', testPrice);
 
             // Notify receptionist/billing staff
-            const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] } });
+            const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] }, status: 'active' });
             for (const staff of receptionists) {
               await Notification.create({
                 userId: staff._id,
@@ -319,7 +419,7 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
 
     res.status(201).json({ 
       success: true, 
-      message: 'Prescription created', 
+      message: allergyCheck.conflicts.length > 0 ? 'Prescription created with allergy alerts' : 'Prescription created', 
       data: {
         id: newPrescription._id,
         ...newPrescription.toObject(),
@@ -332,19 +432,107 @@ router.post('/', verifyToken, checkRole(['doctor', 'admin']), async (req, res) =
 });
 
 // Update prescription
-router.put('/:prescriptionId', verifyToken, checkRole(['doctor', 'pharmacy', 'pharmacist']), async (req, res) => {
+router.put('/:prescriptionId', verifyToken, requirePermission('prescription:update'), async (req, res) => {
   try {
     const prescription = await Prescription.findById(req.params.prescriptionId);
     if (!prescription) {
       return res.status(404).json({ success: false, message: 'Prescription not found' });
     }
 
-    const { status, medicines, notes } = req.body;
+    const before = prescription.toObject();
+    const { status, medicines, notes, allergyOverrideReason } = req.body;
+
+    // Changed medicines are re-checked; pairs already overridden aren't asked about again
+    let newlyOverridden = [];
+    if (medicines) {
+      const allergyCheck = await checkPrescriptionAllergies(prescription.patientId, medicines);
+      const overridden = new Set(prescription.allergyOverride?.reason
+        ? prescription.allergyAlerts.filter(a => a.blocking).map(conflictKey)
+        : []);
+      newlyOverridden = allergyCheck.blocking.filter(c => !overridden.has(conflictKey(c)));
+      const overrideReason = String(allergyOverrideReason || '').trim();
+      if (newlyOverridden.length > 0 && overrideReason.length < MIN_OVERRIDE_REASON_LENGTH) {
+        return res.status(409).json({
+          success: false,
+          message: `Allergy conflict: ${describeConflicts(newlyOverridden)}. Give an allergyOverrideReason (at least ${MIN_OVERRIDE_REASON_LENGTH} characters) to prescribe anyway`,
+          data: { allergyConflicts: allergyCheck.conflicts, overrideRequired: true },
+        });
+      }
+      prescription.allergyAlerts = allergyCheck.conflicts;
+      if (newlyOverridden.length > 0) {
+        prescription.allergyOverride = { reason: overrideReason, overriddenBy: req.user.id, overriddenAt: new Date() };
+      }
+    }
+
+    // The follow-up can be added, moved or dropped until reception books it
+    let followUpChange = null;
+    if (req.body.followUp !== undefined) {
+      if (!(await hasPermission(req.user.role, 'prescription:create'))) {
+        return res.status(403).json({ success: false, message: 'Forbidden - only prescribers can change the follow-up' });
+      }
+      const linked = prescription.followUp?.appointmentId ? await Appointment.findById(prescription.followUp.appointmentId) : null;
+      if (linked && !['tentative', 'cancelled'].includes(linked.status)) {
+        return res.status(400).json({ success: false, message: `Follow-up ${linked.appointmentNo} is already booked; reschedule or cancel the appointment instead` });
+      }
+      const pending = linked?.status === 'tentative' ? linked : null;
+      if (req.body.followUp === null) {
+        followUpChange = { pending };
+      } else {
+        const normalized = normalizeFollowUp(req.body.followUp);
+        if (normalized.error) {
+          return res.status(400).json({ success: false, message: normalized.error });
+        }
+        followUpChange = { followUp: normalized.followUp, pending };
+      }
+    }
+
     if (status) prescription.status = status;
     if (medicines) prescription.medicines = medicines;
     if (notes) prescription.notes = notes;
 
+    if (followUpChange?.followUp) {
+      const { followUp, pending } = followUpChange;
+      prescription.followUp = { ...followUp, appointmentId: pending?._id };
+      if (pending) {
+        pending.date = followUp.dueDate;
+        pending.followUp.dueDate = followUp.dueDate;
+        pending.followUp.notes = followUp.notes;
+        await pending.save();
+      } else {
+        const [doctor, originAppointment] = await Promise.all([
+          User.findById(prescription.doctorId),
+          prescription.appointmentId ? Appointment.findById(prescription.appointmentId) : null,
+        ]);
+        if (!doctor) {
+          return res.status(400).json({ success: false, message: 'The prescribing doctor no longer exists; write a new prescription' });
+        }
+        const created = await createFollowUpAppointment({ prescription, doctor, originAppointment });
+        prescription.followUp.appointmentId = created._id;
+      }
+    } else if (followUpChange) {
+      const { pending } = followUpChange;
+      prescription.followUp = undefined;
+      if (pending) {
+        const reason = 'Follow-up removed from prescription';
+        pending.status = 'cancelled';
+        pending.cancellation = { at: new Date(), by: req.user.id, reason, late: false };
+        pending.history.push({ action: 'cancelled', from: placement(pending), reason, by: req.user.id });
+        await pending.save();
+      }
+    }
+
     await prescription.save();
+    await recordAudit(req, {
+      entityType: 'Prescription',
+      entityId: prescription._id,
+      entityRef: prescription.rxNo,
+      action: 'update',
+      before,
+      after: prescription,
+      ...(newlyOverridden.length > 0 && {
+        summary: `Allergy override: ${describeConflicts(newlyOverridden)}. Reason: ${prescription.allergyOverride.reason}`,
+      }),
+    });
     res.json({ 
       success: true, 
       message: 'Prescription updated', 
@@ -1,11 +1,12 @@
 import express from 'express';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 import Queue from '../models/Queue.js';
 import Appointment from '../models/Appointment.js';
 
 const router = express.Router();
 
 // Get queue data for a specific room
+// Public: read by the token display screens, which don't log in
 router.get('/room/:roomNo', async (req, res) => {
   try {
     const roomNo = req.params.roomNo;
@@ -115,7 +116,7 @@ router.get('/', async (req, res) => {
 });
 
 // Move to next patient in queue
-router.post('/room/:roomNo/next-patient', verifyToken, async (req, res) => {
+router.post('/room/:roomNo/next-patient', verifyToken, requirePermission('queue:advance'), async (req, res) => {
   try {
     const queue = await Queue.findOne({ roomNo: req.params.roomNo });
 
@@ -164,7 +165,7 @@ router.post('/room/:roomNo/next-patient', verifyToken, async (req, res) => {
 });
 
 // Complete appointment and move queue forward
-router.post('/room/:roomNo/complete-appointment/:appointmentId', verifyToken, async (req, res) => {
+router.post('/room/:roomNo/complete-appointment/:appointmentId', verifyToken, requirePermission('queue:advance'), async (req, res) => {
   try {
     const queue = await Queue.findOne({ roomNo: req.params.roomNo });
     
@@ -216,7 +217,7 @@ router.post('/room/:roomNo/complete-appointment/:appointmentId', verifyToken, as
 });
 
 // Skip patient in queue
-router.post('/room/:roomNo/skip-patient/:patientIndex', verifyToken, async (req, res) => {
+router.post('/room/:roomNo/skip-patient/:patientIndex', verifyToken, requirePermission('queue:advance'), async (req, res) => {
   try {
     const queue = await Queue.findOne({ roomNo: req.params.roomNo });
     
@@ -240,7 +241,7 @@ router.post('/room/:roomNo/skip-patient/:patientIndex', verifyToken, async (req,
 });
 
 // Update current token for a room/department
-router.put('/:roomNo/current-token', verifyToken, async (req, res) => {
+router.put('/:roomNo/current-token', verifyToken, requirePermission('queue:advance'), async (req, res) => {
   try {
     const { tokenNo } = req.body;
     const queue = await Queue.findOne({ roomNo: req.params.roomNo });
@@ -1,19 +1,25 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import { requireChartAccess, checkChartAccess, requireListAccess, logListAccess } from '../middleware/chartAccess.js';
 import RadiologyRequest from '../models/RadiologyRequest.js';
 import User from '../models/User.js';
 import Notification from '../models/Notification.js';
 import Patient from '../models/Patient.js';
 import Invoice from '../models/Invoice.js';
 import { getRadiologyTestPrice } from '../utils/pricing.js';
+import { resolvePricing } from '../utils/eligibility.js';
 import { generateInvoiceNo } from '../utils/invoiceHelper.js';
+import { nextSequence } from '../utils/sequence.js';
+import { recordAudit } from '../utils/audit.js';
 
 const router = express.Router();
 
-// Get all radiology requests
-router.get('/', verifyToken, async (req, res) => {
+// Get all radiology requests, or one patient's with ?patientId=
+router.get('/', verifyToken, requirePermission('radiology:read'), requireListAccess('radiology_requests'), async (req, res) => {
   try {
-    const radiologyRequests = await RadiologyRequest.find()
+    const filter = req.query.patientId ? { patientId: req.query.patientId } : {};
+    const radiologyRequests = await RadiologyRequest.find(filter)
       .populate('patientId', 'firstName lastName mrNo forceNo')
       .populate('doctorId', 'name department')
       .sort({ createdAt: -1 });
@@ -36,6 +42,7 @@ router.get('/', verifyToken, async (req, res) => {
       createdAt: r.createdAt,
     }));
 
+    await logListAccess(req, radiologyRequests, 'radiology_requests');
     res.json({ success: true, data });
   } catch (err) {
     console.error('Error fetching radiology requests:', err);
@@ -44,7 +51,7 @@ router.get('/', verifyToken, async (req, res) => {
 });
 
 // Get radiology request by ID
-router.get('/:requestId', verifyToken, async (req, res) => {
+router.get('/:requestId', verifyToken, requirePermission('radiology:read'), async (req, res) => {
   try {
     const request = await RadiologyRequest.findById(req.params.requestId)
       .populate('patientId', 'firstName lastName mrNo forceNo')
@@ -53,6 +60,7 @@ router.get('/:requestId', verifyToken, async (req, res) => {
     if (!request) {
       return res.status(404).json({ success: false, message: 'Radiology request not found' });
     }
+    if (!(await checkChartAccess(req, res, request.patientId?._id || request.patientId, 'radiology_requests'))) return;
     res.json({ 
       success: true, 
       data: {
@@ -67,7 +75,7 @@ router.get('/:requestId', verifyToken, async (req, res) => {
 });
 
 // Get radiology requests for a patient
-router.get('/patient/:patientId', verifyToken, async (req, res) => {
+router.get('/patient/:patientId', verifyToken, requirePermission('radiology:read'), requireChartAccess('radiology_requests'), async (req, res) => {
   try {
     const requests = await RadiologyRequest.find({ patientId: req.params.patientId })
       .populate('doctorId', 'name department')
@@ -80,7 +88,7 @@ router.get('/patient/:patientId', verifyToken, async (req, res) => {
 });
 
 // Create radiology request (doctor only)
-router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
+router.post('/', verifyToken, requirePermission('radiology:request'), requireActivePatient, async (req, res) => {
   try {
     const { patientId, mrNo, forceNo, testType } = req.body;
 
@@ -88,18 +96,7 @@ router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
 
-    const year = new Date().getFullYear();
-    const lastRad = await RadiologyRequest.findOne(
-      { requestNo: { $regex: `^RAD-${year}-` } },
-      { requestNo: 1 },
-      { sort: { requestNo: -1 } }
-    );
-    let radSeq = 1;
-    if (lastRad?.requestNo) {
-      const m = lastRad.requestNo.match(/RAD-\d{4}-(\d+)/);
-      if (m) radSeq = parseInt(m[1], 10) + 1;
-    }
-    const requestNo = `RAD-${year}-${String(radSeq).padStart(4, '0')}`;
+    const requestNo = await nextSequence('radiology');
 
     const newRequest = new RadiologyRequest({
       requestNo,
@@ -120,7 +117,8 @@ router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
       const patient = await Patient.findById(patientId);
       if (patient) {
         const patientName = `${patient.firstName} ${patient.lastName}`;
-        const testPrice = getRadiologyTestPrice(testType, patient.patientType);
+        const pricing = await resolvePricing(patient);
+        const testPrice = getRadiologyTestPrice(testType, pricing.pricingType);
 
         const invoiceNo = await generateInvoiceNo();
 
@@ -140,12 +138,21 @@ router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
           netAmount: total,
           amountPaid: 0,
           paymentStatus: 'pending',
+          ...pricing.invoiceFields,
         });
         await radInvoice.save();
+        await recordAudit(req, {
+          entityType: 'Invoice',
+          entityId: radInvoice._id,
+          entityRef: radInvoice.invoiceNo,
+          action: 'create',
+          after: radInvoice,
+          summary: `Auto-created for radiology request ${newRequest.requestNo}`,
+        });
         console.log('✅ [RADIOLOGY] Invoice created:', invoiceNo, 'for', testType, '| Rs.', testPrice, '| Patient:', patientName);
 
         // Notify receptionist/billing staff about the invoice
-        const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] } });
+        const receptionists = await User.find({ role: { $in: ['receptionist', 'billing'] }, status: 'active' });
         for (const staff of receptionists) {
           await Notification.create({
             userId: staff._id,
@@ -183,7 +190,7 @@ router.post('/', verifyToken, checkRole(['doctor']), async (req, res) => {
 });
 
 // Update radiology request status
-router.put('/:requestId', verifyToken, checkRole(['radiologist', 'radiology', 'doctor']), async (req, res) => {
+router.put('/:requestId', verifyToken, requirePermission('radiology:report'), async (req, res) => {
   try {
     const request = await RadiologyRequest.findById(req.params.requestId)
       .populate('patientId', 'firstName lastName')
@@ -1,18 +1,22 @@
 import express from 'express';
 import Referral from '../models/Referral.js';
-import { verifyToken } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import { checkChartAccess, requireListAccess, logListAccess } from '../middleware/chartAccess.js';
 
 const router = express.Router();
 
-// Get all referrals
-router.get('/', verifyToken, async (req, res) => {
+// Get all referrals, or one patient's with ?patientId=
+router.get('/', verifyToken, requirePermission('referral:read'), requireListAccess('referrals'), async (req, res) => {
   try {
-    const referrals = await Referral.find()
+    const filter = req.query.patientId ? { patientId: req.query.patientId } : {};
+    const referrals = await Referral.find(filter)
       .populate('patientId', 'name mrNo')
       .populate('referringDoctor', 'name')
       .populate('createdBy', 'name')
       .sort({ createdAt: -1 });
     
+    await logListAccess(req, referrals, 'referrals');
     res.json({
       success: true,
       data: referrals,
@@ -27,7 +31,7 @@ router.get('/', verifyToken, async (req, res) => {
 });
 
 // Get single referral
-router.get('/:id', verifyToken, async (req, res) => {
+router.get('/:id', verifyToken, requirePermission('referral:read'), async (req, res) => {
   try {
     const referral = await Referral.findById(req.params.id)
       .populate('patientId', 'name mrNo')
@@ -40,6 +44,7 @@ router.get('/:id', verifyToken, async (req, res) => {
         message: 'Referral not found',
       });
     }
+    if (!(await checkChartAccess(req, res, referral.patientId?._id || referral.patientId, 'referrals'))) return;
     
     res.json({
       success: true,
@@ -55,7 +60,7 @@ router.get('/:id', verifyToken, async (req, res) => {
 });
 
 // Create referral
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, requirePermission('referral:create'), requireActivePatient, async (req, res) => {
   try {
     const {
       patientId,
@@ -113,7 +118,7 @@ router.post('/', verifyToken, async (req, res) => {
 });
 
 // Update referral status
-router.put('/:id', verifyToken, async (req, res) => {
+router.put('/:id', verifyToken, requirePermission('referral:update'), async (req, res) => {
   try {
     const referral = await Referral.findByIdAndUpdate(
       req.params.id,
@@ -143,7 +148,7 @@ router.put('/:id', verifyToken, async (req, res) => {
 });
 
 // Delete referral
-router.delete('/:id', verifyToken, async (req, res) => {
+router.delete('/:id', verifyToken, requirePermission('referral:delete'), async (req, res) => {
   try {
     const referral = await Referral.findByIdAndDelete(req.params.id);
     
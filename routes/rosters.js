@@ -0,0 +1,212 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import DutyRoster from '../models/DutyRoster.js';
+import User from '../models/User.js';
+import Appointment from '../models/Appointment.js';
+import { recordAudit } from '../utils/audit.js';
+import { normalizeSessions, getDaySchedules, isValidDate, localDate } from '../utils/roster.js';
+
+const router = express.Router();
+
+const mapRoster = (r, schedule) => ({
+  id: r._id,
+  doctorId: r.doctorId?._id || r.doctorId,
+  doctorName: r.doctorId?.name,
+  department: r.doctorId?.department,
+  sessions: r.sessions,
+  exceptions: [...r.exceptions].sort((a, b) => a.date.localeCompare(b.date)),
+  updatedAt: r.updatedAt,
+  ...(schedule && { schedule }),
+});
+
+// Resolve :doctorId to an active doctor, or send the error response
+async function findDoctor(req, res) {
+  const { doctorId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(doctorId)) {
+    res.status(400).json({ success: false, message: 'Invalid doctorId' });
+    return null;
+  }
+  const doctor = await User.findById(doctorId).select('name role department roomNo status');
+  if (!doctor || doctor.role !== 'doctor') {
+    res.status(404).json({ success: false, message: 'Doctor not found' });
+    return null;
+  }
+  return doctor;
+}
+
+// All rosters with each doctor's sessions and remaining capacity on ?date= (default today)
+router.get('/', verifyToken, requirePermission('roster:read'), async (req, res) => {
+  try {
+    const date = req.query.date || localDate();
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    const rosters = await DutyRoster.find().populate('doctorId', 'name department status');
+    const active = rosters.filter(r => r.doctorId?.status === 'active');
+    const schedules = await getDaySchedules(active, date);
+
+    res.json({
+      success: true,
+      date,
+      data: active.map(r => mapRoster(r, schedules.get(String(r.doctorId._id)))),
+    });
+  } catch (err) {
+    console.error('Error fetching rosters:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// One doctor's roster and their sessions on ?date= (default today)
+router.get('/:doctorId', verifyToken, requirePermission('roster:read'), async (req, res) => {
+  try {
+    const doctor = await findDoctor(req, res);
+    if (!doctor) return;
+
+    const date = req.query.date || localDate();
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    const roster = await DutyRoster.findOne({ doctorId: doctor._id }).populate('doctorId', 'name department');
+    if (!roster) {
+      return res.status(404).json({ success: false, message: 'No roster for this doctor' });
+    }
+
+    const schedules = await getDaySchedules([roster], date);
+    res.json({ success: true, date, data: mapRoster(roster, schedules.get(String(doctor._id))) });
+  } catch (err) {
+    console.error('Error fetching roster:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Replace a doctor's weekly sessions
+// Body: { sessions: [{ dayOfWeek, startTime, endTime, roomNo, capacity }] }
+router.put('/:doctorId', verifyToken, requirePermission('roster:manage'), async (req, res) => {
+  try {
+    const doctor = await findDoctor(req, res);
+    if (!doctor) return;
+
+    const { sessions, error } = normalizeSessions(req.body.sessions, { defaultRoomNo: doctor.roomNo });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    let roster = await DutyRoster.findOne({ doctorId: doctor._id });
+    const before = roster ? roster.toObject() : null;
+    if (!roster) roster = new DutyRoster({ doctorId: doctor._id });
+    roster.sessions = sessions;
+    roster.updatedBy = req.user.id;
+    await roster.save();
+
+    await recordAudit(req, {
+      entityType: 'DutyRoster',
+      entityId: roster._id,
+      entityRef: doctor.name,
+      action: before ? 'update' : 'create',
+      before,
+      after: roster,
+    });
+    console.log(`📅 [ROSTER] Weekly sessions set for ${doctor.name} by ${req.user.email}`);
+
+    res.json({ success: true, message: 'Roster saved', data: mapRoster(roster) });
+  } catch (err) {
+    console.error('Error saving roster:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Override one date: leave, a changed clinic, or an extra session
+// Body: { sessions: [{ startTime, endTime, roomNo, capacity }], reason } — empty sessions = off duty
+router.put('/:doctorId/exceptions/:date', verifyToken, requirePermission('roster:manage'), async (req, res) => {
+  try {
+    const doctor = await findDoctor(req, res);
+    if (!doctor) return;
+
+    const { date } = req.params;
+    if (!isValidDate(date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    const { sessions, error } = normalizeSessions(req.body.sessions || [], { weekly: false, defaultRoomNo: doctor.roomNo });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    let roster = await DutyRoster.findOne({ doctorId: doctor._id });
+    const before = roster ? roster.toObject() : null;
+    if (!roster) roster = new DutyRoster({ doctorId: doctor._id });
+    roster.exceptions = roster.exceptions.filter(e => e.date !== date);
+    roster.exceptions.push({ date, sessions, reason: req.body.reason || '' });
+    roster.updatedBy = req.user.id;
+    await roster.save();
+
+    // Booked appointments that no longer fall in a session need rebooking
+    const kept = sessions.map(s => s.startTime);
+    const displaced = await Appointment.countDocuments({
+      doctorId: doctor._id,
+      date,
+      status: { $in: ['scheduled', 'vitals_recorded'] },
+      sessionStart: { $nin: [...kept, null] },
+    });
+
+    await recordAudit(req, {
+      entityType: 'DutyRoster',
+      entityId: roster._id,
+      entityRef: doctor.name,
+      action: before ? 'update' : 'create',
+      before,
+      after: roster,
+      summary: `Exception for ${date}${req.body.reason ? `: ${req.body.reason}` : ''}`,
+    });
+    console.log(`📅 [ROSTER] Exception ${date} for ${doctor.name} by ${req.user.email} (${displaced} appointments displaced)`);
+
+    res.json({
+      success: true,
+      message: displaced > 0
+        ? `Exception saved. ${displaced} booked appointment(s) fall outside the new sessions and need rebooking`
+        : 'Exception saved',
+      data: { roster: mapRoster(roster), displacedAppointments: displaced },
+    });
+  } catch (err) {
+    console.error('Error saving roster exception:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Remove a date exception, restoring the weekly sessions for that date
+router.delete('/:doctorId/exceptions/:date', verifyToken, requirePermission('roster:manage'), async (req, res) => {
+  try {
+    const doctor = await findDoctor(req, res);
+    if (!doctor) return;
+
+    const roster = await DutyRoster.findOne({ doctorId: doctor._id });
+    if (!roster || !roster.exceptions.some(e => e.date === req.params.date)) {
+      return res.status(404).json({ success: false, message: 'Exception not found' });
+    }
+
+    const before = roster.toObject();
+    roster.exceptions = roster.exceptions.filter(e => e.date !== req.params.date);
+    roster.updatedBy = req.user.id;
+    await roster.save();
+
+    await recordAudit(req, {
+      entityType: 'DutyRoster',
+      entityId: roster._id,
+      entityRef: doctor.name,
+      action: 'update',
+      before,
+      after: roster,
+      summary: `Exception for ${req.params.date} removed`,
+    });
+
+    res.json({ success: true, message: 'Exception removed', data: mapRoster(roster) });
+  } catch (err) {
+    console.error('Error removing roster exception:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
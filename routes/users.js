@@ -1,13 +1,39 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import bcrypt from 'bcryptjs';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 import User from '../models/User.js';
+import DutyRoster from '../models/DutyRoster.js';
+import Session from '../models/Session.js';
+import Invitation from '../models/Invitation.js';
+import { revokeSession, revokeUserSessions, mapSession } from '../utils/sessionHelper.js';
+import { unlockAccount, unlockIp, listActiveLocks } from '../utils/loginThrottle.js';
+import { hasPermission, roleExists } from '../utils/permissions.js';
+import { validatePassword, checkNewPassword, applyNewPassword } from '../utils/passwordPolicy.js';
+import { sendMail, mailTemplates } from '../utils/mailer.js';
+import { TWO_FACTOR_SECRET_FIELDS, isTwoFactorRequired, clearTwoFactor, mapTwoFactorStatus } from '../utils/twoFactor.js';
+import { findOpenWork, resolveReassignTarget, reassignDoctorWork } from '../utils/userLifecycle.js';
+import { recordAudit } from '../utils/audit.js';
+import { getDaySchedules, findSessionAt, localDate, localTime } from '../utils/roster.js';
+import {
+  generateInviteToken,
+  inviteExpiryDate,
+  sendInvitationEmail,
+  effectiveInviteStatus,
+  mapInvitation,
+} from '../utils/invitations.js';
 
 const router = express.Router();
 
 // Get all users
-router.get('/', verifyToken, checkRole(['admin']), async (req, res) => {
+// Deactivated staff are hidden unless ?includeDeactivated=true or ?status=deactivated
+router.get('/', verifyToken, requirePermission('user:manage'), async (req, res) => {
   try {
-    const users = await User.find().select('-password');
+    const { status, includeDeactivated } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    else if (includeDeactivated !== 'true') filter.status = { $ne: 'deactivated' };
+
+    const users = await User.find(filter).select('-password');
     const userData = users.map(u => ({
       id: u._id,
       name: u.name,
@@ -17,6 +43,7 @@ router.get('/', verifyToken, checkRole(['admin']), async (req, res) => {
       phone: u.phone,
       avatar: u.avatar,
       roomNo: u.roomNo,
+      status: u.status,
     }));
     res.json({ success: true, data: userData });
   } catch (err) {
@@ -25,8 +52,183 @@ router.get('/', verifyToken, checkRole(['admin']), async (req, res) => {
   }
 });
 
+// List accounts and IPs currently locked out of login (admin only)
+router.get('/security/locks', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const locks = await listActiveLocks();
+    const data = locks.map(l => ({
+      id: l._id,
+      scope: l.scope,
+      target: l.key.slice(l.key.indexOf(':') + 1),
+      lockUntil: l.lockUntil,
+      lockLevel: l.lockLevel,
+      lastFailureAt: l.lastFailureAt,
+    }));
+    res.json({ success: true, data });
+  } catch (err) {
+    console.error('Error fetching login locks:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ===== Invitations =====
+
+// Invite a staff member: creates a pending account and a one-time signup link (admin only)
+router.post('/invitations', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { name, email, role, department, roomNo } = req.body;
+
+    if (!name || !email || !role) {
+      return res.status(400).json({ success: false, message: 'Missing required fields' });
+    }
+
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ success: false, message: `Unknown role "${role}"` });
+    }
+
+    if (role === 'doctor' && !roomNo) {
+      return res.status(400).json({ success: false, message: 'Room assignment is required for doctors' });
+    }
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      const message = existingUser.status === 'pending'
+        ? 'This email already has a pending invitation; resend it instead'
+        : 'User with this email already exists';
+      return res.status(400).json({ success: false, message });
+    }
+
+    const user = await User.create({
+      name,
+      email: normalizedEmail,
+      role,
+      department: department || '',
+      roomNo: role === 'doctor' ? roomNo : '',
+      status: 'pending',
+    });
+
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      entityRef: user.email,
+      action: 'create',
+      after: user,
+      summary: 'Invited',
+    });
+
+    const { token, tokenHash } = generateInviteToken();
+    const invite = await Invitation.create({
+      email: normalizedEmail,
+      name,
+      role: user.role,
+      department: user.department,
+      roomNo: user.roomNo,
+      userId: user._id,
+      tokenHash,
+      expiresAt: inviteExpiryDate(),
+      invitedBy: req.user.id,
+    });
+
+    await sendInvitationEmail(invite, token);
+    console.log(`✉️ [USERS] ${req.user.email} invited ${normalizedEmail} as ${user.role}`);
+
+    res.status(201).json({ success: true, message: 'Invitation sent', data: mapInvitation(invite) });
+  } catch (err) {
+    console.error('Error creating invitation:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List invitations, optionally filtered by ?status=pending|accepted|revoked|expired (admin only)
+router.get('/invitations', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = {};
+    if (status === 'expired') {
+      filter.status = 'pending';
+      filter.expiresAt = { $lte: new Date() };
+    } else if (status === 'pending') {
+      filter.status = 'pending';
+      filter.expiresAt = { $gt: new Date() };
+    } else if (status) {
+      filter.status = status;
+    }
+
+    const invites = await Invitation.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, data: invites.map(mapInvitation) });
+  } catch (err) {
+    console.error('Error fetching invitations:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Resend an invitation with a fresh token and expiry; the previous link stops working (admin only)
+router.post('/invitations/:inviteId/resend', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const invite = await Invitation.findById(req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+    if (invite.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `Invitation is already ${invite.status}` });
+    }
+
+    const { token, tokenHash } = generateInviteToken();
+    invite.tokenHash = tokenHash;
+    invite.expiresAt = inviteExpiryDate();
+    invite.sendCount += 1;
+    invite.lastSentAt = new Date();
+    await invite.save();
+
+    await sendInvitationEmail(invite, token);
+    console.log(`✉️ [USERS] ${req.user.email} resent invitation to ${invite.email}`);
+
+    res.json({ success: true, message: 'Invitation resent', data: mapInvitation(invite) });
+  } catch (err) {
+    console.error('Error resending invitation:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Revoke an invitation and remove its pending account (admin only)
+router.delete('/invitations/:inviteId', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const invite = await Invitation.findById(req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+    if (invite.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `Invitation is already ${effectiveInviteStatus(invite)}` });
+    }
+
+    invite.status = 'revoked';
+    invite.revokedAt = new Date();
+    invite.revokedBy = req.user.id;
+    await invite.save();
+
+    const pendingUser = await User.findOneAndDelete({ _id: invite.userId, status: 'pending' });
+    if (pendingUser) {
+      await recordAudit(req, {
+        entityType: 'User',
+        entityId: pendingUser._id,
+        entityRef: pendingUser.email,
+        action: 'delete',
+        before: pendingUser,
+        summary: 'Invitation revoked',
+      });
+    }
+    console.log(`✉️ [USERS] ${req.user.email} revoked invitation for ${invite.email}`);
+
+    res.json({ success: true, message: 'Invitation revoked' });
+  } catch (err) {
+    console.error('Error revoking invitation:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // Get user by ID
-router.get('/:userId', verifyToken, async (req, res) => {
+router.get('/:userId', verifyToken, requirePermission('staff:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId).select('-password');
     if (!user) {
@@ -41,6 +243,7 @@ router.get('/:userId', verifyToken, async (req, res) => {
       phone: user.phone, 
       avatar: user.avatar,
       roomNo: user.roomNo,
+      status: user.status,
     };
     res.json({ success: true, data: userData });
   } catch (err) {
@@ -50,23 +253,61 @@ router.get('/:userId', verifyToken, async (req, res) => {
 });
 
 // Update user profile
+// Changing the password requires currentPassword when users edit their own profile
 router.put('/profile/:userId', verifyToken, async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId);
+    const user = await User.findById(req.params.userId).select('+passwordHistory');
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    if (req.user.id !== req.params.userId && req.user.role !== 'admin') {
+    const isSelf = req.user.id === req.params.userId;
+    if (!isSelf && !(await hasPermission(req.user.role, 'user:manage'))) {
       return res.status(403).json({ success: false, message: 'Unauthorized' });
     }
 
-    const { name, phone, department } = req.body;
+    const before = user.toObject();
+    const { name, phone, department, currentPassword, newPassword } = req.body;
+
+    if (newPassword !== undefined) {
+      if (isSelf) {
+        const currentValid = currentPassword && (await bcrypt.compare(currentPassword, user.password));
+        if (!currentValid) {
+          return res.status(400).json({ success: false, message: 'Current password is incorrect' });
+        }
+      }
+      const errors = await checkNewPassword(user, newPassword);
+      if (errors.length > 0) {
+        return res.status(400).json({ success: false, message: errors[0], errors });
+      }
+      applyNewPassword(user, newPassword);
+    }
+
     if (name) user.name = name;
     if (phone) user.phone = phone;
     if (department) user.department = department;
 
     await user.save();
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      entityRef: user.email,
+      action: 'update',
+      before,
+      after: user,
+      summary: newPassword !== undefined ? 'Password changed' : '',
+    });
+
+    let revokedSessions = 0;
+    if (newPassword !== undefined) {
+      // Keep the caller's own session when they change their own password
+      revokedSessions = await revokeUserSessions(user._id, 'password_change', {
+        revokedBy: req.user.id,
+        exceptSessionId: isSelf ? req.user.sid : undefined,
+      });
+      await sendMail({ to: user.email, ...mailTemplates.passwordChanged({ name: user.name }) });
+      console.log(`🔑 [USERS] Password changed for ${user.email} by ${req.user.email}, revoked ${revokedSessions} sessions`);
+    }
 
     const userData = { 
       id: user._id, 
@@ -74,7 +315,8 @@ router.put('/profile/:userId', verifyToken, async (req, res) => {
       email: user.email, 
       role: user.role, 
       department: user.department, 
-      phone: user.phone 
+      phone: user.phone,
+      passwordChangedAt: user.passwordChangedAt,
     };
     res.json({ success: true, message: 'Profile updated', data: userData });
   } catch (err) {
@@ -84,7 +326,7 @@ router.put('/profile/:userId', verifyToken, async (req, res) => {
 });
 
 // Create new user (admin only)
-router.post('/', verifyToken, checkRole(['admin']), async (req, res) => {
+router.post('/', verifyToken, requirePermission('user:manage'), async (req, res) => {
   try {
     const { name, email, password, role, department, phone, roomNo } = req.body;
 
@@ -92,10 +334,19 @@ router.post('/', verifyToken, checkRole(['admin']), async (req, res) => {
       return res.status(400).json({ success: false, message: 'Missing required fields' });
     }
 
+    if (!(await roleExists(role))) {
+      return res.status(400).json({ success: false, message: `Unknown role "${role}"` });
+    }
+
     if (role === 'doctor' && !roomNo) {
       return res.status(400).json({ success: false, message: 'Room assignment is required for doctors' });
     }
 
+    const policyErrors = validatePassword(password, { email, name });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ success: false, message: policyErrors[0], errors: policyErrors });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -113,6 +364,13 @@ router.post('/', verifyToken, checkRole(['admin']), async (req, res) => {
     });
 
     await newUser.save();
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: newUser._id,
+      entityRef: newUser.email,
+      action: 'create',
+      after: newUser,
+    });
     const userData = {
       id: newUser._id,
       name: newUser.name,
@@ -135,7 +393,7 @@ router.post('/', verifyToken, checkRole(['admin']), async (req, res) => {
 });
 
 // Update user (admin only)
-router.put('/:userId', verifyToken, checkRole(['admin']), async (req, res) => {
+router.put('/:userId', verifyToken, requirePermission('user:manage'), async (req, res) => {
   try {
     const { name, email, role, department, phone, roomNo } = req.body;
     const user = await User.findById(req.params.userId);
@@ -144,6 +402,12 @@ router.put('/:userId', verifyToken, checkRole(['admin']), async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    const before = user.toObject();
+    const roleChanged = role && role !== user.role;
+    if (roleChanged && !(await roleExists(role))) {
+      return res.status(400).json({ success: false, message: `Unknown role "${role}"` });
+    }
+
     if (name) user.name = name;
     if (email) user.email = email;
     if (role) user.role = role;
@@ -158,6 +422,20 @@ router.put('/:userId', verifyToken, checkRole(['admin']), async (req, res) => {
     }
 
     await user.save();
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      entityRef: user.email,
+      action: 'update',
+      before,
+      after: user,
+    });
+
+    // Access tokens carry the role, so force a fresh login after a role change
+    if (roleChanged) {
+      const revoked = await revokeUserSessions(user._id, 'admin', { revokedBy: req.user.id });
+      console.log(`🔐 [USERS] Role changed for ${user.email}, revoked ${revoked} sessions`);
+    }
 
     const userData = {
       id: user._id,
@@ -180,40 +458,345 @@ router.put('/:userId', verifyToken, checkRole(['admin']), async (req, res) => {
   }
 });
 
-// Delete user (admin only)
-router.delete('/:userId', verifyToken, checkRole(['admin']), async (req, res) => {
+// Suspend or deactivate a user: blocks login and signs them out.
+// A doctor with open appointments or queue patients needs body.reassignTo (another active doctor).
+const changeUserStatus = async (req, res, newStatus) => {
+  const { reason = '' } = req.body || {};
+  const reassignTo = req.body?.reassignTo || req.query.reassignTo;
+
+  if (req.params.userId === req.user.id) {
+    return res.status(400).json({ success: false, message: 'You cannot change the status of your own account' });
+  }
+
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    return res.status(404).json({ success: false, message: 'User not found' });
+  }
+  if (user.status === newStatus) {
+    return res.status(400).json({ success: false, message: `User is already ${newStatus}` });
+  }
+
+  let reassigned = null;
+  if (user.role === 'doctor') {
+    const openWork = await findOpenWork(user._id);
+    if (openWork.total > 0 && !reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: 'Doctor has open appointments or queue patients; provide reassignTo',
+        data: openWork,
+      });
+    }
+    if (reassignTo) {
+      const target = await resolveReassignTarget(reassignTo, user._id);
+      if (target.error) {
+        return res.status(400).json({ success: false, message: target.error });
+      }
+      reassigned = await reassignDoctorWork(user, target.doctor);
+    }
+  }
+
+  const before = user.toObject();
+  user.status = newStatus;
+  user.statusReason = reason;
+  user.statusChangedAt = new Date();
+  user.statusChangedBy = req.user.id;
+  await user.save();
+  await recordAudit(req, {
+    entityType: 'User',
+    entityId: user._id,
+    entityRef: user.email,
+    action: newStatus === 'deactivated' ? 'deactivate' : 'suspend',
+    before,
+    after: user,
+    summary: reassigned
+      ? `Reassigned ${reassigned.appointments} appointments and ${reassigned.queuePatients} queue patients to ${reassignTo}`
+      : reason,
+  });
+
+  const revoked = await revokeUserSessions(user._id, 'account_status', { revokedBy: req.user.id });
+  console.log(`🚫 [USERS] ${req.user.email} set ${user.email} to ${newStatus}, revoked ${revoked} sessions`);
+
+  return res.json({
+    success: true,
+    message: newStatus === 'deactivated' ? 'User deactivated' : 'User suspended',
+    data: { id: user._id, status: user.status, revokedSessions: revoked, reassigned },
+  });
+};
+
+// Deactivate user (admin only). Staff are not deleted so their historic records keep an author;
+// a pending invitee who never signed up is removed along with the invitation.
+router.delete('/:userId', verifyToken, requirePermission('user:manage'), async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.userId);
+    const pending = await User.findOne({ _id: req.params.userId, status: 'pending' });
+    if (pending) {
+      await Invitation.updateMany(
+        { userId: pending._id, status: 'pending' },
+        { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: req.user.id } }
+      );
+      await pending.deleteOne();
+      await recordAudit(req, {
+        entityType: 'User',
+        entityId: pending._id,
+        entityRef: pending.email,
+        action: 'delete',
+        before: pending,
+        summary: 'Pending invitee removed',
+      });
+      return res.json({ success: true, message: 'Pending user and invitation removed' });
+    }
+
+    return await changeUserStatus(req, res, 'deactivated');
+  } catch (err) {
+    console.error('Error deactivating user:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Temporarily block a user (admin only)
+router.post('/:userId/suspend', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('status');
+    if (user && user.status !== 'active') {
+      return res.status(400).json({ success: false, message: `Only active users can be suspended (user is ${user.status})` });
+    }
+    return await changeUserStatus(req, res, 'suspended');
+  } catch (err) {
+    console.error('Error suspending user:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Restore a suspended or deactivated user (admin only)
+router.post('/:userId/reactivate', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
-    res.json({ success: true, message: 'User deleted' });
+    if (!['suspended', 'deactivated'].includes(user.status)) {
+      return res.status(400).json({ success: false, message: `User is ${user.status}` });
+    }
+
+    const before = user.toObject();
+    user.status = 'active';
+    user.statusReason = '';
+    user.statusChangedAt = new Date();
+    user.statusChangedBy = req.user.id;
+    await user.save();
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      entityRef: user.email,
+      action: 'reactivate',
+      before,
+      after: user,
+    });
+    console.log(`✅ [USERS] ${req.user.email} reactivated ${user.email}`);
+
+    res.json({ success: true, message: 'User reactivated', data: { id: user._id, status: user.status } });
   } catch (err) {
-    console.error('Error deleting user:', err);
+    console.error('Error reactivating user:', err);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Get all doctors (accessible to all authenticated users)
-router.get('/role/doctor', verifyToken, async (req, res) => {
+// Open appointments and queue patients of a doctor, to plan reassignment (admin only)
+router.get('/:userId/open-work', verifyToken, requirePermission('user:manage'), async (req, res) => {
   try {
-    const doctors = await User.find({ role: 'doctor' }).select('-password');
-    const doctorData = doctors.map(d => ({
-      id: d._id,
-      _id: d._id,
-      name: d.name,
-      firstName: d.name?.split(' ')[0] || '',
-      lastName: d.name?.split(' ').slice(1).join(' ') || '',
-      email: d.email,
-      role: d.role,
-      department: d.department || 'OPD',
-      phone: d.phone,
-      avatar: d.avatar,
-      slots: d.available_slots || 10,
-      max_slots: d.max_slots || 10,
-      roomNo: d.roomNo,
-    }));
-    res.json({ success: true, data: doctorData });
+    const user = await User.findById(req.params.userId).select('role');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, data: await findOpenWork(user._id) });
+  } catch (err) {
+    console.error('Error fetching open work:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Unlock a user's account after failed logins (admin only)
+// Optional body.ip also clears the lock on that client IP
+router.post('/:userId/unlock', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('email');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const accountUnlocked = await unlockAccount(user.email);
+    const ipUnlocked = req.body?.ip ? await unlockIp(req.body.ip) : false;
+    console.log(`🔓 [USERS] Admin ${req.user.email} unlocked ${user.email}${req.body?.ip ? ` and IP ${req.body.ip}` : ''}`);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked',
+      data: { accountUnlocked, ipUnlocked },
+    });
+  } catch (err) {
+    console.error('Error unlocking user:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List a user's sessions (admin only)
+router.get('/:userId/sessions', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const filter = { userId: req.params.userId };
+    if (req.query.all !== 'true') {
+      filter.revokedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+    const sessions = await Session.find(filter).sort({ lastUsedAt: -1 });
+    res.json({ success: true, data: sessions.map(s => mapSession(s)) });
+  } catch (err) {
+    console.error('Error fetching user sessions:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Revoke all of a user's sessions (admin only) - takes effect on their next request
+router.delete('/:userId/sessions', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('email');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const revoked = await revokeUserSessions(user._id, 'admin', { revokedBy: req.user.id });
+    console.log(`🔐 [USERS] Admin ${req.user.email} revoked ${revoked} sessions of ${user.email}`);
+    res.json({ success: true, message: 'User sessions revoked', data: { revokedSessions: revoked } });
+  } catch (err) {
+    console.error('Error revoking user sessions:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Revoke a single session of a user (admin only)
+router.delete('/:userId/sessions/:sessionId', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, userId: req.params.userId });
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    await revokeSession(session._id, 'admin', req.user.id);
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get a user's 2FA status (admin only)
+router.get('/:userId/2fa', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('+twoFactor.recoveryCodeHashes');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, data: mapTwoFactorStatus(user, await isTwoFactorRequired(user)) });
+  } catch (err) {
+    console.error('Error fetching 2FA status:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Require (or stop requiring) 2FA for one user regardless of role (admin only)
+router.put('/:userId/2fa', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const { required } = req.body;
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ success: false, message: '"required" must be true or false' });
+    }
+
+    const user = await User.findById(req.params.userId).select('+twoFactor.recoveryCodeHashes');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    user.twoFactor.required = required;
+    await user.save();
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      entityRef: user.email,
+      action: 'update',
+      summary: required ? 'Two-factor authentication enforced' : 'Two-factor enforcement removed',
+    });
+    console.log(`🔐 [USERS] ${req.user.email} set 2FA required=${required} for ${user.email}`);
+
+    res.json({
+      success: true,
+      message: required ? 'Two-factor authentication enforced' : 'Two-factor enforcement removed',
+      data: mapTwoFactorStatus(user, await isTwoFactorRequired(user)),
+    });
+  } catch (err) {
+    console.error('Error updating 2FA requirement:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Reset a user's 2FA (lost device): removes enrolment and signs them out (admin only)
+// If 2FA is still required they enrol again at their next login
+router.delete('/:userId/2fa', verifyToken, requirePermission('user:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    clearTwoFactor(user);
+    await user.save();
+    await recordAudit(req, {
+      entityType: 'User',
+      entityId: user._id,
+      entityRef: user.email,
+      action: 'update',
+      summary: 'Two-factor authentication reset',
+    });
+    const revoked = await revokeUserSessions(user._id, 'admin', { revokedBy: req.user.id });
+    console.log(`🔐 [USERS] ${req.user.email} reset 2FA for ${user.email}, revoked ${revoked} sessions`);
+
+    res.json({ success: true, message: 'Two-factor authentication reset', data: { revokedSessions: revoked } });
+  } catch (err) {
+    console.error('Error resetting 2FA:', err);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get all doctors with today's roster: who is on duty now and remaining capacity
+// (accessible to all authenticated users). ?onDuty=true lists only doctors in a session now
+router.get('/role/doctor', verifyToken, requirePermission('staff:read'), async (req, res) => {
+  try {
+    const doctors = await User.find({ role: 'doctor', status: 'active' }).select('-password');
+    const rosters = await DutyRoster.find({ doctorId: { $in: doctors.map(d => d._id) } });
+    const now = new Date();
+    const schedules = await getDaySchedules(rosters, localDate(now));
+
+    const doctorData = doctors.map(d => {
+      const today = schedules.get(String(d._id)) || [];
+      const current = findSessionAt(today, localTime(now));
+      return {
+        id: d._id,
+        _id: d._id,
+        name: d.name,
+        firstName: d.name?.split(' ')[0] || '',
+        lastName: d.name?.split(' ').slice(1).join(' ') || '',
+        email: d.email,
+        role: d.role,
+        department: d.department || 'OPD',
+        phone: d.phone,
+        avatar: d.avatar,
+        hasRoster: schedules.has(String(d._id)),
+        onDuty: Boolean(current),
+        currentSession: current,
+        todaySessions: today,
+        // Remaining and total capacity across today's sessions
+        slots: today.reduce((sum, s) => sum + s.remaining, 0),
+        max_slots: today.reduce((sum, s) => sum + s.capacity, 0),
+        roomNo: current?.roomNo || d.roomNo,
+      };
+    });
+    const onDutyOnly = req.query.onDuty === 'true';
+    res.json({ success: true, data: onDutyOnly ? doctorData.filter(d => d.onDuty) : doctorData });
   } catch (err) {
     console.error('Error fetching doctors:', err);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -1,14 +1,17 @@
 import express from 'express';
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
+import { requireActivePatient } from '../middleware/activePatient.js';
+import { requireChartAccess, checkChartAccess } from '../middleware/chartAccess.js';
 import Vitals from '../models/Vitals.js';
 import Appointment from '../models/Appointment.js';
 import Notification from '../models/Notification.js';
 import Patient from '../models/Patient.js';
+import { recordAudit } from '../utils/audit.js';
 
 const router = express.Router();
 
 // Get vitals for a patient
-router.get('/patient/:patientId', verifyToken, async (req, res) => {
+router.get('/patient/:patientId', verifyToken, requirePermission('vitals:read'), requireChartAccess('vitals'), async (req, res) => {
   try {
     const vitals = await Vitals.find({ patientId: req.params.patientId })
       .populate('nurseId', 'name')
@@ -22,7 +25,7 @@ router.get('/patient/:patientId', verifyToken, async (req, res) => {
 });
 
 // Get latest vitals for a patient
-router.get('/patient/:patientId/latest', verifyToken, async (req, res) => {
+router.get('/patient/:patientId/latest', verifyToken, requirePermission('vitals:read'), requireChartAccess('vitals'), async (req, res) => {
   try {
     const vital = await Vitals.findOne({ patientId: req.params.patientId })
       .populate('nurseId', 'name')
@@ -40,7 +43,7 @@ router.get('/patient/:patientId/latest', verifyToken, async (req, res) => {
 });
 
 // Get vitals for an appointment
-router.get('/appointment/:appointmentId', verifyToken, async (req, res) => {
+router.get('/appointment/:appointmentId', verifyToken, requirePermission('vitals:read'), async (req, res) => {
   try {
     const vitals = await Vitals.findOne({ appointmentId: req.params.appointmentId })
       .populate('nurseId', 'name')
@@ -50,6 +53,7 @@ router.get('/appointment/:appointmentId', verifyToken, async (req, res) => {
     if (!vitals) {
       return res.json({ success: true, data: null, message: 'No vitals recorded yet' });
     }
+    if (!(await checkChartAccess(req, res, vitals.patientId?._id || vitals.patientId, 'vitals'))) return;
 
     res.json({ success: true, data: vitals });
   } catch (err) {
@@ -59,7 +63,7 @@ router.get('/appointment/:appointmentId', verifyToken, async (req, res) => {
 });
 
 // Create vitals (Nurse entry)
-router.post('/', verifyToken, checkRole(['nurse', 'admin']), async (req, res) => {
+router.post('/', verifyToken, requirePermission('vitals:record'), requireActivePatient, async (req, res) => {
   try {
     console.log('📝 [BACKEND] Vitals save request received');
     console.log('🔍 [BACKEND] User:', req.user.id, 'Role:', req.user.role);
@@ -117,6 +121,13 @@ router.post('/', verifyToken, checkRole(['nurse', 'admin']), async (req, res) =>
     });
 
     await vital.save();
+    await recordAudit(req, {
+      entityType: 'Vitals',
+      entityId: vital._id,
+      entityRef: patient.patientNo,
+      action: 'create',
+      after: vital,
+    });
     console.log('✅ [BACKEND] Vitals recorded successfully for patient:', patient.firstName, patient.lastName);
 
     // Update appointment status to vitals_recorded and notify doctor
@@ -174,8 +185,13 @@ router.post('/', verifyToken, checkRole(['nurse', 'admin']), async (req, res) =>
 });
 
 // Update vitals
-router.put('/:vitalId', verifyToken, checkRole(['nurse', 'admin']), async (req, res) => {
+router.put('/:vitalId', verifyToken, requirePermission('vitals:record'), async (req, res) => {
   try {
+    const before = await Vitals.findById(req.params.vitalId).lean();
+    if (!before) {
+      return res.status(404).json({ success: false, message: 'Vital record not found' });
+    }
+
     const vital = await Vitals.findByIdAndUpdate(
       req.params.vitalId,
       { $set: req.body },
@@ -186,6 +202,14 @@ router.put('/:vitalId', verifyToken, checkRole(['nurse', 'admin']), async (req,
       return res.status(404).json({ success: false, message: 'Vital record not found' });
     }
 
+    await recordAudit(req, {
+      entityType: 'Vitals',
+      entityId: vital._id,
+      action: 'update',
+      before,
+      after: vital,
+    });
+
     res.json({
       success: true,
       message: 'Vitals updated',
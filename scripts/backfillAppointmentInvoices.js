@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import Appointment from '../models/Appointment.js';
+import Invoice from '../models/Invoice.js';
+import AuditLog from '../models/AuditLog.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// The OPD invoice was raised within moments of the booking being saved
+const MATCH_WINDOW_MS = 5 * 60 * 1000;
+
+// Links appointments booked before appointments stored their OPD invoice to
+// that invoice, so cancelling them voids or credits it. The invoice's audit
+// entry is used where there is one; otherwise the patient's OPD invoice raised
+// just after the booking. Safe to re-run.
+async function backfillAppointmentInvoices() {
+  try {
+    const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/SmartHospital';
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(uri);
+    console.log('✅ Connected to MongoDB');
+
+    const linked = new Set((await Appointment.distinct('invoiceId', { invoiceId: { $ne: null } })).map(String));
+
+    let updated = 0;
+    const unmatched = [];
+    const cursor = Appointment.find({
+      invoiceId: null,
+      seriesId: null,
+      status: { $ne: 'tentative' },
+    }).select('appointmentNo patientId createdAt').lean().cursor();
+
+    for await (const appointment of cursor) {
+      const entry = await AuditLog.findOne({
+        entityType: 'Invoice',
+        action: 'create',
+        summary: `Auto-created for appointment ${appointment.appointmentNo}`,
+      }).select('entityId').lean();
+
+      let invoiceId = entry && !linked.has(String(entry.entityId)) ? entry.entityId : null;
+      if (!invoiceId) {
+        const bookedAt = new Date(appointment.createdAt).getTime();
+        const candidates = await Invoice.find({
+          patientId: appointment.patientId,
+          source: 'OPD',
+          createdAt: { $gte: new Date(bookedAt), $lte: new Date(bookedAt + MATCH_WINDOW_MS) },
+        }).sort({ createdAt: 1 }).select('_id').lean();
+        invoiceId = candidates.map(c => c._id).find(id => !linked.has(String(id))) || null;
+      }
+
+      if (!invoiceId) {
+        unmatched.push(appointment.appointmentNo);
+        continue;
+      }
+      await Appointment.updateOne({ _id: appointment._id }, { $set: { invoiceId } });
+      linked.add(String(invoiceId));
+      updated++;
+    }
+
+    console.log(`🧾 Linked ${updated} appointments to their OPD invoice`);
+    if (unmatched.length > 0) {
+      console.log(`⚠️ No invoice found for ${unmatched.length} appointments: ${unmatched.join(', ')}`);
+    }
+
+    await mongoose.connection.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Error backfilling appointment invoices:', err.message);
+    process.exit(1);
+  }
+}
+
+backfillAppointmentInvoices();
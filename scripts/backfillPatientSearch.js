@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import { buildPatientSearchKeys } from '../utils/searchKeys.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Computes searchKeys for patients registered before search indexing and
+// builds the patient_search text index. Safe to re-run.
+async function backfillPatientSearch() {
+  try {
+    const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/SmartHospital';
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(uri);
+    console.log('✅ Connected to MongoDB');
+
+    let updated = 0;
+    const cursor = Patient.find().select('patientNo forceNo cnic phone firstName lastName').lean().cursor();
+    for await (const patient of cursor) {
+      await Patient.updateOne({ _id: patient._id }, { $set: { searchKeys: buildPatientSearchKeys(patient) } });
+      updated++;
+    }
+    console.log(`🔍 Search keys written for ${updated} patients`);
+
+    await Patient.createIndexes();
+    console.log('✅ Patient indexes built');
+
+    await mongoose.connection.close();
+    console.log('✅ Database connection closed');
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Error backfilling patient search:', err.message);
+    process.exit(1);
+  }
+}
+
+backfillPatientSearch();
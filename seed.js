@@ -15,6 +15,8 @@ import Inventory from './models/Inventory.js';
 import Activity from './models/Activity.js';
 import WardPatient from './models/WardPatient.js';
 import Queue from './models/Queue.js';
+import './models/Referral.js';
+import { syncSequenceCounters } from './utils/sequence.js';
 
 dotenv.config();
 
@@ -606,6 +608,10 @@ const seedDatabase = async () => {
     await Queue.create([cardiacQueueRoom101Data, medicinQueueRoom102Data]);
     console.log('✓ Created queues (2 rooms)');
 
+    // Keep number sequences ahead of the fixed numbers seeded above
+    await syncSequenceCounters();
+    console.log('✓ Number sequences synced');
+
     console.log('\n╔════════════════════════════════════════════════════════════╗');
     console.log('║  Database seeding completed successfully!                   ║');
     console.log('╠════════════════════════════════════════════════════════════╣');
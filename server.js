@@ -14,6 +14,7 @@ import userRoutes from './routes/users.js';
 import patientRoutes from './routes/patients.js';
 import prescriptionRoutes from './routes/prescriptions.js';
 import appointmentRoutes from './routes/appointments.js';
+import appointmentSeriesRoutes from './routes/appointmentSeries.js';
 import labRequestRoutes from './routes/labRequests.js';
 import radiologyRoutes from './routes/radiology.js';
 import pharmacyRoutes from './routes/pharmacy.js';
@@ -26,12 +27,26 @@ import queueRoutes from './routes/queue.js';
 import vitalsRoutes from './routes/vitals.js';
 import referralRoutes from './routes/referrals.js';
 import notificationRoutes from './routes/notifications.js';
+import rosterRoutes from './routes/rosters.js';
+import householdRoutes from './routes/households.js';
+import clinicalListRoutes from './routes/clinicalLists.js';
+import eligibilityRoutes from './routes/eligibility.js';
+import documentRoutes from './routes/documents.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 
+// X-Forwarded-For is only read behind a trusted proxy; otherwise client IPs
+// (login throttling, audit) are the socket address. TRUST_PROXY is a hop count
+// or a comma-separated list of proxy addresses/subnets, e.g. loopback
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  console.log('🔐 [PROXY] Trusting X-Forwarded-For from:', trustProxy);
+}
+
 // Parse allowed origins from environment variables
 const allowedOrigins = (process.env.FRONTEND_URLS || 'http://localhost:5173')
   .split(',')
@@ -86,43 +101,46 @@ const connectDB = async () => {
 };
 
 connectDB().then(async () => {
-  // Auto-cleanup: remove stale (non-today) patients from queues on server start
+  // Make sure built-in roles exist and pick up newly added default permissions
   try {
-    const QueueModel = (await import('./models/Queue.js')).default;
-    const todayStart = new Date();
-    todayStart.setHours(0, 0, 0, 0);
-
-    const queues = await QueueModel.find({});
-    let staleRemoved = 0;
-    for (const queue of queues) {
-      const originalCount = queue.patients.length;
-      queue.patients = queue.patients.filter(p => {
-        const created = p.createdAt ? new Date(p.createdAt) : null;
-        return created && created >= todayStart;
-      });
-      const removed = originalCount - queue.patients.length;
-      if (removed > 0) {
-        staleRemoved += removed;
-        // Reset current token index if patients were removed
-        if (queue.patients.length === 0) {
-          queue.currentToken = null;
-          queue.currentPatientIndex = 0;
-        }
-        await queue.save();
-      }
-    }
-    if (staleRemoved > 0) {
-      console.log(`🧹 Auto-cleanup: removed ${staleRemoved} stale patient(s) from queues (previous days)`);
-    } else {
-      console.log('✓ Queues clean — no stale patients found');
-    }
-  } catch (cleanupErr) {
-    console.error('⚠️ Queue auto-cleanup error (non-fatal):', cleanupErr.message);
+    const { seedDefaultRoles } = await import('./utils/permissions.js');
+    const { created, updated } = await seedDefaultRoles();
+    console.log(`✓ Roles ready (${created} created, ${updated} updated with new permissions)`);
+  } catch (roleErr) {
+    console.error('⚠️ Role seeding error (non-fatal):', roleErr.message);
+  }
+
+  // Accounts created before user statuses existed are active
+  try {
+    const UserModel = (await import('./models/User.js')).default;
+    const { modifiedCount } = await UserModel.updateMany({ status: { $exists: false } }, { $set: { status: 'active' } });
+    if (modifiedCount > 0) console.log(`✓ Marked ${modifiedCount} existing user(s) as active`);
+  } catch (statusErr) {
+    console.error('⚠️ User status backfill error (non-fatal):', statusErr.message);
+  }
+
+  // Move document-number counters past numbers already in use
+  try {
+    const { syncSequenceCounters } = await import('./utils/sequence.js');
+    const synced = await syncSequenceCounters();
+    console.log('✓ Number sequences ready', synced);
+  } catch (seqErr) {
+    console.error('⚠️ Sequence counter sync error (non-fatal):', seqErr.message);
+  }
+
+  // Close days left open while the server was down and clear stale queue entries
+  try {
+    const { runDayClosing } = await import('./utils/dayClosing.js');
+    const closed = await runDayClosing();
+    console.log(`✓ Day closing: ${closed.days.length} day(s) closed, ${closed.completed} completed, ${closed.noShows} no-show(s), ${closed.clearedQueueEntries} stale queue entries cleared`);
+  } catch (closingErr) {
+    console.error('⚠️ Day closing error (non-fatal):', closingErr.message);
   }
 });
 
-// Schedule midnight cleanup — clear queues automatically at 00:00
-const scheduleMidnightReset = () => {
+// Schedule the end-of-day closing just after midnight: open appointments
+// become completed or no-show and yesterday's queues are cleared
+const scheduleDayClosing = () => {
   const now = new Date();
   const midnight = new Date(now);
   midnight.setDate(midnight.getDate() + 1);
@@ -130,37 +148,29 @@ const scheduleMidnightReset = () => {
   const msUntilMidnight = midnight.getTime() - now.getTime();
 
   setTimeout(async () => {
-    console.log('🕛 [AUTO] Midnight queue cleanup triggered');
+    console.log('🕛 [AUTO] End-of-day closing triggered');
     try {
-      const QueueModel = (await import('./models/Queue.js')).default;
-      const queues = await QueueModel.find({});
-      let cleared = 0;
-      for (const queue of queues) {
-        if (queue.patients.length > 0) {
-          cleared += queue.patients.length;
-          queue.patients = [];
-          queue.currentToken = null;
-          queue.currentPatientIndex = 0;
-          await queue.save();
-        }
-      }
-      console.log(`🧹 [AUTO] Midnight reset: cleared ${cleared} patients from ${queues.length} queues`);
+      const { runDayClosing } = await import('./utils/dayClosing.js');
+      const closed = await runDayClosing();
+      console.log(`🧹 [AUTO] Day closing: ${closed.completed} completed, ${closed.noShows} no-show(s), ${closed.clearedQueueEntries} queue entries cleared`);
     } catch (err) {
-      console.error('❌ [AUTO] Midnight cleanup error:', err.message);
+      console.error('❌ [AUTO] Day closing error:', err.message);
     }
     // Schedule next midnight
-    scheduleMidnightReset();
+    scheduleDayClosing();
   }, msUntilMidnight);
 
-  console.log(`⏰ Next automatic queue reset scheduled in ${Math.round(msUntilMidnight / 60000)} minutes`);
+  console.log(`⏰ Next end-of-day closing scheduled in ${Math.round(msUntilMidnight / 60000)} minutes`);
 };
-scheduleMidnightReset();
+scheduleDayClosing();
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/patients', patientRoutes);
+app.use('/api/patients', clinicalListRoutes);
 app.use('/api/prescriptions', prescriptionRoutes);
+app.use('/api/appointments/series', appointmentSeriesRoutes);
 app.use('/api/appointments', appointmentRoutes);
 app.use('/api/lab-requests', labRequestRoutes);
 app.use('/api/radiology', radiologyRoutes);
@@ -174,6 +184,10 @@ app.use('/api/queue', queueRoutes);
 app.use('/api/vitals', vitalsRoutes);
 app.use('/api/referrals', referralRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/rosters', rosterRoutes);
+app.use('/api/households', householdRoutes);
+app.use('/api/eligibility', eligibilityRoutes);
+app.use('/api/documents', documentRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
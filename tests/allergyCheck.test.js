@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Prescription allergy check
+ *
+ * Checks that medicines are matched against allergies by substance and by
+ * drug class, that severity decides whether a match blocks, and that the
+ * old free-text field is read sensibly.
+ */
+
+import {
+  findAllergyConflicts, legacyAllergies, legacyProblems, drugClassesOf, normalizeAllergyInput, normalizeProblemInput,
+} from '../utils/allergyCheck.js';
+
+console.log('\n=== TESTING ALLERGY CHECK ===\n');
+
+const penicillin = { _id: 'a1', substance: 'Penicillin', severity: 'severe', reaction: 'Anaphylaxis' };
+const aspirin = { _id: 'a2', substance: 'Aspirin', severity: 'mild', reaction: 'Rash' };
+
+// Test 1: Drug in the allergy's class blocks
+console.log('Test 1: Amoxicillin against a severe penicillin allergy');
+const amox = findAllergyConflicts([{ name: 'Amoxicillin 500mg' }], [penicillin]);
+console.log(`  Got: ${JSON.stringify(amox)}`);
+console.log(`  Result: ${amox.length === 1 && amox[0].matchedBy === 'class' && amox[0].drugClass === 'penicillin' && amox[0].blocking ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Direct substance match, brand names and formatting
+console.log('\nTest 2: Substance and brand matches');
+const direct = findAllergyConflicts([{ name: 'Penicillin V 250mg' }, { name: 'Co-Amoxiclav 625' }], [penicillin]);
+console.log(`  Got: ${JSON.stringify(direct.map(c => [c.medicine, c.matchedBy]))}`);
+console.log(`  Result: ${direct.length === 2 && direct[0].matchedBy === 'substance' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Mild allergy warns but does not block
+console.log('\nTest 3: Mild NSAID allergy only warns');
+const nsaid = findAllergyConflicts([{ name: 'Brufen 400mg' }], [aspirin]);
+console.log(`  Got: ${JSON.stringify(nsaid)}`);
+console.log(`  Result: ${nsaid.length === 1 && nsaid[0].blocking === false ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Unrelated medicine is clear
+console.log('\nTest 4: Paracetamol is clear');
+const clear = findAllergyConflicts([{ name: 'Paracetamol 500mg' }, { name: 'Omeprazole' }], [penicillin, aspirin]);
+console.log(`  Got: ${JSON.stringify(clear)}`);
+console.log(`  Result: ${clear.length === 0 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Free-text entries, "None" ignored, unknown severity blocks
+console.log('\nTest 5: Legacy free text');
+const legacy = legacyAllergies('Sulfa drugs, None');
+const septran = findAllergyConflicts([{ name: 'Septran DS' }], legacy);
+console.log(`  Got: ${JSON.stringify(legacy)} | ${JSON.stringify(septran)}`);
+const legacyOk = legacy.length === 1 && legacyAllergies('None').length === 0 && legacyProblems('Hypertension, Diabetes').length === 2;
+console.log(`  Result: ${legacyOk && septran.length === 1 && septran[0].blocking ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Class lookup
+console.log('\nTest 6: Drug classes');
+const classes = [drugClassesOf('Ceftriaxone 1g'), drugClassesOf('Tramadol'), drugClassesOf('Metformin')];
+console.log(`  Got: ${JSON.stringify(classes)}`);
+console.log(`  Result: ${classes[0][0] === 'cephalosporin' && classes[1][0] === 'opioid' && classes[2].length === 0 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 7: Input validation
+console.log('\nTest 7: Allergy and problem input validation');
+const okAllergy = normalizeAllergyInput({ substance: ' Penicillin ', severity: 'severe', reaction: 'Hives' });
+const badSeverity = normalizeAllergyInput({ substance: 'Egg', severity: 'extreme' });
+const noCondition = normalizeProblemInput({ onset: '2020-01-01' });
+const partial = normalizeProblemInput({ status: 'resolved' }, { partial: true });
+console.log(`  Got: ${JSON.stringify([okAllergy, badSeverity, noCondition, partial])}`);
+const inputOk = okAllergy.value?.substanceKey === 'penicillin' && badSeverity.error && noCondition.error && partial.value?.status === 'resolved';
+console.log(`  Result: ${inputOk ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
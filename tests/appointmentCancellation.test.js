@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Appointment cancellation
+ *
+ * Checks how much notice a cancellation gives, when it counts as late, and
+ * how the OPD invoice is voided or credited, and cancels an invoiced
+ * appointment through the route with the database calls stubbed out.
+ */
+
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { appointmentStart, cancellationNotice, placement } from '../utils/appointmentBooking.js';
+import { reverseInvoice } from '../utils/invoiceHelper.js';
+import { getJwtSecret } from '../utils/sessionHelper.js';
+import appointmentRoutes from '../routes/appointments.js';
+import Appointment from '../models/Appointment.js';
+import Invoice from '../models/Invoice.js';
+import Queue from '../models/Queue.js';
+import Session from '../models/Session.js';
+import Role from '../models/Role.js';
+import AuditLog from '../models/AuditLog.js';
+
+console.log('\n=== TESTING APPOINTMENT CANCELLATION ===\n');
+
+const appointment = { date: '2026-10-20', time: '10:30', doctorId: 'doc1', roomNo: '5' };
+
+// Test 1: The start is the local date and time; legacy 12-hour times work
+console.log('Test 1: Appointment start');
+const start = appointmentStart(appointment);
+const legacy = appointmentStart({ date: '2026-10-20', time: '02:15 PM' });
+console.log(`  Got: ${start.toString()} | ${legacy.getHours()}:${legacy.getMinutes()}`);
+console.log(`  Result: ${start.getDate() === 20 && start.getHours() === 10 && start.getMinutes() === 30 && legacy.getHours() === 14 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Less than 24 hours' notice is late
+console.log('\nTest 2: Late threshold');
+delete process.env.APPOINTMENT_LATE_CANCEL_HOURS;
+const early = cancellationNotice(appointment, new Date(2026, 9, 18, 10, 30));
+const late = cancellationNotice(appointment, new Date(2026, 9, 19, 16, 30));
+const after = cancellationNotice(appointment, new Date(2026, 9, 20, 11, 0));
+console.log(`  Got: ${JSON.stringify([early, late, after])}`);
+const thresholdOk = early.noticeHours === 48 && !early.late
+  && late.noticeHours === 18 && late.late
+  && after.noticeHours === -0.5 && after.late;
+console.log(`  Result: ${thresholdOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: The threshold comes from APPOINTMENT_LATE_CANCEL_HOURS
+console.log('\nTest 3: Configured threshold');
+process.env.APPOINTMENT_LATE_CANCEL_HOURS = '12';
+const configured = cancellationNotice(appointment, new Date(2026, 9, 19, 16, 30));
+delete process.env.APPOINTMENT_LATE_CANCEL_HOURS;
+console.log(`  Got: ${JSON.stringify(configured)}`);
+console.log(`  Result: ${configured.late === false ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: An unpaid invoice is voided and stops counting
+console.log('\nTest 4: Void');
+const unpaid = { netAmount: 500, amountPaid: 0, paymentStatus: 'pending' };
+const voided = reverseInvoice(unpaid, { reason: 'Patient cancelled', userId: 'u1' });
+console.log(`  Got: ${voided} | ${unpaid.paymentStatus} | net ${unpaid.netAmount} | was ${unpaid.reversal.originalNetAmount}`);
+console.log(`  Result: ${voided === 'void' && unpaid.paymentStatus === 'void' && unpaid.netAmount === 0 && unpaid.reversal.originalNetAmount === 500 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: A paid invoice is credited with what was paid
+console.log('\nTest 5: Credit');
+const partlyPaid = { netAmount: 500, amountPaid: 200, paymentStatus: 'partial' };
+const credited = reverseInvoice(partlyPaid, { reason: 'Doctor on leave', userId: 'u1' });
+console.log(`  Got: ${credited} | ${partlyPaid.paymentStatus} | credit ${partlyPaid.reversal.creditAmount}`);
+console.log(`  Result: ${credited === 'credit' && partlyPaid.paymentStatus === 'credited' && partlyPaid.reversal.creditAmount === 200 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: An invoice is only reversed once
+console.log('\nTest 6: Already reversed');
+const again = reverseInvoice(unpaid, { reason: 'Again', userId: 'u1' });
+console.log(`  Got: ${again} | reason ${unpaid.reversal.reason}`);
+console.log(`  Result: ${again === null && unpaid.reversal.reason === 'Patient cancelled' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 7: History entries record where the appointment was
+console.log('\nTest 7: Placement');
+const where = placement({ ...appointment, doctorId: { _id: 'doc1', name: 'Dr. A' } });
+console.log(`  Got: ${JSON.stringify(where)}`);
+console.log(`  Result: ${JSON.stringify(where) === JSON.stringify({ date: '2026-10-20', time: '10:30', doctorId: 'doc1', roomNo: '5' }) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 8: Cancelling an invoiced appointment voids its invoice and saves the cancellation
+console.log('\nTest 8: Cancel route with an invoice');
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+const invoiced = new Invoice({
+  invoiceNo: 'INV-2026-00001', patientId: new mongoose.Types.ObjectId(), patientName: 'Test Patient',
+  items: [{ service: 'OPD Consultation Fee', department: 'OPD', price: 100, quantity: 1 }],
+  total: 100, netAmount: 100, amountPaid: 0, paymentStatus: 'pending',
+});
+const booked = new Appointment({
+  appointmentNo: 'APT-1', patientId: invoiced.patientId, doctorId: new mongoose.Types.ObjectId(), roomNo: '5',
+  date: '2099-01-05', time: '10:00', status: 'scheduled', invoiceId: invoiced._id,
+});
+const saved = [];
+Session.findById = () => ({ select: async () => ({ userId, revokedAt: null, expiresAt: new Date(Date.now() + 60000) }) });
+Role.find = () => ({ select: () => ({ lean: async () => [] }) });
+Appointment.findById = async () => booked;
+Invoice.findById = async () => invoiced;
+Queue.findOne = async () => null;
+AuditLog.create = async () => null;
+Appointment.prototype.save = async function () { saved.push(`appointment:${this.status}`); return this; };
+Invoice.prototype.save = async function () { saved.push(`invoice:${this.paymentStatus}`); return this; };
+
+const app = express();
+app.use(express.json());
+app.use('/api/appointments', appointmentRoutes);
+const server = app.listen(0);
+await new Promise(resolve => server.once('listening', resolve));
+const token = jwt.sign({ id: userId, email: 'desk@example.com', role: 'receptionist', sid: sessionId }, getJwtSecret());
+const response = await fetch(`http://127.0.0.1:${server.address().port}/api/appointments/${booked._id}/cancel`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+  body: JSON.stringify({ reason: 'Patient travelling' }),
+});
+const body = await response.json();
+server.close();
+console.log(`  Got: ${response.status} | ${saved.join(', ')} | ${body.data?.invoice?.reversal} ${body.data?.invoice?.paymentStatus}`);
+const cancelOk = response.status === 200 && body.success
+  && body.data.status === 'cancelled' && body.data.invoice?.reversal === 'void' && body.data.invoice?.paymentStatus === 'void'
+  && booked.status === 'cancelled' && invoiced.netAmount === 0
+  && saved.join() === 'invoice:void,appointment:cancelled';
+console.log(`  Result: ${cancelOk ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
+process.exit(0);
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Appointment series
+ *
+ * Checks the dates a recurrence rule gives, how skipped dates and the visit
+ * count interact, and which series are refused.
+ */
+
+import { expandOccurrences, normalizeSeries } from '../utils/appointmentSeries.js';
+
+console.log('\n=== TESTING APPOINTMENT SERIES ===\n');
+
+const today = '2026-11-01';
+
+// Test 1: Weekly on several weekdays, starting mid-week, ends after a count
+console.log('Test 1: Weekly on Mondays and Thursdays');
+const weekly = expandOccurrences({ rule: { frequency: 'weekly', interval: 1, daysOfWeek: [1, 4] }, startDate: '2026-11-05', count: 5 });
+console.log(`  Got: ${weekly.join(', ')}`);
+console.log(`  Result: ${weekly.join() === '2026-11-05,2026-11-09,2026-11-12,2026-11-16,2026-11-19' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Every other week up to an end date, and every third day
+console.log('\nTest 2: Intervals');
+const fortnightly = expandOccurrences({ rule: { frequency: 'weekly', interval: 2, daysOfWeek: [1] }, startDate: '2026-11-02', until: '2026-12-31' });
+const everyThirdDay = expandOccurrences({ rule: { frequency: 'daily', interval: 3 }, startDate: '2026-11-02', until: '2026-11-12' });
+console.log(`  Got: ${fortnightly.join(', ')} | ${everyThirdDay.join(', ')}`);
+const intervalsOk = fortnightly.join() === '2026-11-02,2026-11-16,2026-11-30,2026-12-14,2026-12-28'
+  && everyThirdDay.join() === '2026-11-02,2026-11-05,2026-11-08,2026-11-11';
+console.log(`  Result: ${intervalsOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Monthly series on the 31st use the last day of shorter months
+console.log('\nTest 3: Monthly at month end');
+const monthly = expandOccurrences({ rule: { frequency: 'monthly', interval: 1 }, startDate: '2027-01-31', count: 4 });
+console.log(`  Got: ${monthly.join(', ')}`);
+console.log(`  Result: ${monthly.join() === '2027-01-31,2027-02-28,2027-03-31,2027-04-30' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Weekly defaults to the start's weekday; skipped dates count towards count
+console.log('\nTest 4: Defaults and skipped dates');
+const { series, dates } = normalizeSeries({ time: '09:00', frequency: 'weekly', startDate: '2026-11-02', count: 4, skip: ['2026-11-09'] }, { today });
+console.log(`  Got: days ${JSON.stringify(series?.rule.daysOfWeek)} | ${dates?.join(', ')}`);
+console.log(`  Result: ${JSON.stringify(series?.rule.daysOfWeek) === '[1]' && dates?.join() === '2026-11-02,2026-11-16,2026-11-23' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Malformed series are refused
+console.log('\nTest 5: Refused series');
+const base = { time: '09:00', frequency: 'weekly', startDate: '2026-11-02' };
+const refused = [
+  normalizeSeries({ ...base, until: '2026-12-01', count: 4 }, { today }),
+  normalizeSeries({ ...base }, { today }),
+  normalizeSeries({ ...base, startDate: '2026-10-30', count: 4 }, { today }),
+  normalizeSeries({ ...base, frequency: 'daily', daysOfWeek: [1], count: 4 }, { today }),
+  normalizeSeries({ ...base, time: '9am', count: 4 }, { today }),
+  normalizeSeries({ ...base, count: 4, skip: ['2026-11-03'] }, { today }),
+];
+console.log(`  Got: ${refused.map(r => r.error).join(' | ')}`);
+console.log(`  Result: ${refused.every(r => r.error && !r.series) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Series are capped at 52 visits and a year
+console.log('\nTest 6: Limits');
+const yearOfWeeks = normalizeSeries({ ...base, until: '2027-10-30' }, { today });
+const tooMany = normalizeSeries({ ...base, frequency: 'daily', until: '2027-01-31' }, { today });
+const tooLong = normalizeSeries({ ...base, interval: 2, count: 52 }, { today });
+console.log(`  Got: ${yearOfWeeks.dates?.length} visits | ${tooMany.error} | ${tooLong.error}`);
+console.log(`  Result: ${yearOfWeeks.dates?.length === 52 && tooMany.error && tooLong.error ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Appointment slots
+ *
+ * Checks how roster sessions are divided into slots, which slots can be
+ * booked, and when two of a patient's appointments clash.
+ */
+
+import { sessionSlots, withSlots, fromMinutes } from '../utils/roster.js';
+import { appointmentsOverlap } from '../utils/appointmentBooking.js';
+
+console.log('\n=== TESTING APPOINTMENT SLOTS ===\n');
+
+const morning = { startTime: '09:00', endTime: '13:00', roomNo: '5', capacity: 20, booked: 2, remaining: 18 };
+
+// Test 1: A session is split into one slot per place
+console.log('Test 1: Slots from capacity');
+const slots = sessionSlots(morning);
+console.log(`  Got: ${slots.length} slots, ${slots[0].time}-${slots[0].endTime} ... ${slots[19].time}-${slots[19].endTime}`);
+const slotsOk = slots.length === 20 && slots[1].time === '09:12' && slots[19].endTime === '13:00';
+console.log(`  Result: ${slotsOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Uneven lengths round down; slots never run past the session
+console.log('\nTest 2: Uneven and tiny sessions');
+const uneven = sessionSlots({ startTime: '14:00', endTime: '15:00', capacity: 7 });
+const tiny = sessionSlots({ startTime: '14:00', endTime: '14:05', capacity: 10 });
+console.log(`  Got: ${uneven.length} x ${uneven[1].time} last ends ${uneven[6].endTime} | tiny: ${tiny.length}`);
+console.log(`  Result: ${uneven.length === 7 && uneven[1].time === '14:08' && uneven[6].endTime === '14:56' && tiny.length === 5 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Taken and past slots are not available
+console.log('\nTest 3: Availability');
+const [withTaken] = withSlots([morning], new Set(['09:12']), 9 * 60 + 30);
+const state = (time) => withTaken.slots.find(s => s.time === time);
+console.log(`  Got: 09:00 past=${state('09:00').past} | 09:12 taken=${state('09:12').taken} | 09:24 ${state('09:24').available} | 09:36 ${state('09:36').available}`);
+const availabilityOk = !state('09:00').available && !state('09:12').available
+  && state('09:24').available && state('09:36').available;
+console.log(`  Result: ${availabilityOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: A full session has no available slots, even untaken ones
+console.log('\nTest 4: Full session');
+const [full] = withSlots([{ ...morning, booked: 20, remaining: 0 }], new Set());
+console.log(`  Got: ${full.slots.filter(s => s.available).length} available`);
+console.log(`  Result: ${full.slots.every(s => !s.available) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Patient clashes use the slot length; roster-less appointments last a minute
+console.log('\nTest 5: Overlap');
+const booked = { time: '09:12', endTime: '09:24' };
+const cases = [
+  appointmentsOverlap(booked, { time: '09:20', endTime: '09:30' }),
+  appointmentsOverlap(booked, { time: '09:24', endTime: '09:36' }),
+  appointmentsOverlap(booked, { time: '09:15' }),
+  appointmentsOverlap({ time: '10:32 AM' }, { time: '10:32', endTime: '10:40' }),
+  appointmentsOverlap({ time: '10:32 AM' }, { time: '10:33' }),
+];
+console.log(`  Got: ${JSON.stringify(cases)}`);
+console.log(`  Result: ${JSON.stringify(cases) === JSON.stringify([true, false, true, true, false]) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Minutes format back to HH:mm
+console.log('\nTest 6: Time formatting');
+const formatted = [fromMinutes(0), fromMinutes(545), fromMinutes(1439)];
+console.log(`  Got: ${formatted.join(', ')}`);
+console.log(`  Result: ${formatted.join() === '00:00,09:05,23:59' ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Audit trail field diffs and CSV export
+ *
+ * Checks that only changed fields are recorded, nested fields use dotted
+ * paths, secrets are redacted and CSV cells are escaped.
+ */
+
+import mongoose from 'mongoose';
+import { diffFields, auditLogsToCsv } from '../utils/audit.js';
+
+console.log('\n=== TESTING AUDIT DIFFS ===\n');
+
+// Test 1: Only changed fields are reported
+console.log('Test 1: Changed fields only');
+const changes = diffFields(
+  { firstName: 'Ali', lastName: 'Khan', phone: '0300', updatedAt: '2024-01-01' },
+  { firstName: 'Ali', lastName: 'Raza', phone: '0300', updatedAt: '2024-02-01' }
+);
+console.log(`  Got: ${JSON.stringify(changes)}`);
+const onlyLastName = changes.length === 1 && changes[0].field === 'lastName'
+  && changes[0].before === 'Khan' && changes[0].after === 'Raza';
+console.log(`  Result: ${onlyLastName ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Create and delete diffs list every field against null
+console.log('\nTest 2: Create diff');
+const created = diffFields(null, { _id: 'x', name: 'Paracetamol', quantity: 10 });
+console.log(`  Got: ${JSON.stringify(created)}`);
+const createOk = created.length === 2 && created.every(c => c.before === null);
+console.log(`  Result: ${createOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Nested objects use dotted paths
+console.log('\nTest 3: Nested fields');
+const nested = diffFields(
+  { emergencyContact: { name: 'Sara', phone: '111' } },
+  { emergencyContact: { name: 'Sara', phone: '222' } }
+);
+console.log(`  Got: ${JSON.stringify(nested)}`);
+console.log(`  Result: ${nested.length === 1 && nested[0].field === 'emergencyContact.phone' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Secrets are redacted
+console.log('\nTest 4: Redaction');
+const redacted = diffFields({ password: 'hash-a' }, { password: 'hash-b' });
+console.log(`  Got: ${JSON.stringify(redacted)}`);
+const redactOk = redacted.length === 1 && redacted[0].before === '[redacted]' && redacted[0].after === '[redacted]';
+console.log(`  Result: ${redactOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Dates and ObjectIds compare by value
+console.log('\nTest 5: Dates and ObjectIds');
+const id = new mongoose.Types.ObjectId();
+const sameValues = diffFields(
+  { doctorId: id, paidAt: new Date('2024-05-01T10:00:00Z') },
+  { doctorId: new mongoose.Types.ObjectId(id.toString()), paidAt: new Date('2024-05-01T10:00:00Z') }
+);
+console.log(`  Expected: 0 changes, Got: ${sameValues.length}`);
+console.log(`  Result: ${sameValues.length === 0 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: CSV escaping
+console.log('\nTest 6: CSV export');
+const csv = auditLogsToCsv([{
+  createdAt: new Date('2024-05-01T10:00:00Z'),
+  actorName: 'Dr. "Ahmad"',
+  actorEmail: 'ahmad@smarthospital.com',
+  actorRole: 'doctor',
+  ip: '127.0.0.1',
+  entityType: 'Prescription',
+  entityId: id,
+  entityRef: 'RX-456790',
+  action: 'update',
+  summary: 'Dose, frequency',
+  changes: [{ field: 'notes', before: 'a', after: 'b' }],
+}]);
+const [header, row] = csv.split('\n');
+console.log(`  Row: ${row}`);
+const csvOk = header.startsWith('timestamp,actor,')
+  && row.includes('"Dr. ""Ahmad"""')
+  && row.includes('"Dose, frequency"');
+console.log(`  Result: ${csvOk ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
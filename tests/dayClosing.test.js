@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: End-of-day closing
+ *
+ * Checks which open appointments become completed or no-show when their day
+ * closes, that a no-show gives its slot back, and the no-show rate.
+ */
+
+import mongoose from 'mongoose';
+import Appointment from '../models/Appointment.js';
+import { closingOutcome, attendanceRates } from '../utils/dayClosing.js';
+
+console.log('\n=== TESTING END-OF-DAY CLOSING ===\n');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Test 1: A booked patient who never arrived is a no-show
+console.log('Test 1: Never arrived');
+const absent = { _id: id(), status: 'scheduled', checkedInAt: null };
+const absentOutcome = closingOutcome(absent, new Set());
+console.log(`  Got: ${absentOutcome}`);
+console.log(`  Result: ${absentOutcome === 'no-show' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Check-in, vitals or any clinical record means the patient came
+console.log('\nTest 2: Signs of attendance');
+const checkedIn = { _id: id(), status: 'scheduled', checkedInAt: new Date() };
+const withVitals = { _id: id(), status: 'vitals_recorded' };
+const prescribed = { _id: id(), status: 'scheduled' };
+const outcomes = [
+  closingOutcome(checkedIn, new Set()),
+  closingOutcome(withVitals, new Set()),
+  closingOutcome(prescribed, new Set([String(prescribed._id)])),
+];
+console.log(`  Got: ${outcomes.join(', ')}`);
+console.log(`  Result: ${outcomes.every(o => o === 'completed') ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: A no-show releases its roster slot
+console.log('\nTest 3: Slot released');
+const missed = new Appointment({
+  appointmentNo: 'APT-1', patientId: id(), doctorId: id(), roomNo: '5', date: '2026-10-18', time: '09:00',
+  slotKey: 'd:2026-10-18:09:00', status: 'no-show',
+});
+await missed.validate();
+const kept = new Appointment({
+  appointmentNo: 'APT-2', patientId: id(), doctorId: id(), roomNo: '5', date: '2026-10-18', time: '09:12',
+  slotKey: 'd:2026-10-18:09:12', status: 'completed',
+});
+await kept.validate();
+console.log(`  Got: no-show ${missed.slotKey} | completed ${kept.slotKey}`);
+console.log(`  Result: ${missed.slotKey === undefined && kept.slotKey === 'd:2026-10-18:09:12' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: The no-show rate leaves cancellations out
+console.log('\nTest 4: No-show rate');
+const rates = attendanceRates({ completed: 15, noShows: 5, cancelled: 10, lateCancellations: 2 });
+const empty = attendanceRates({ completed: 0, noShows: 0, cancelled: 3, lateCancellations: 0 });
+console.log(`  Got: ${rates.noShowRate} | none due: ${empty.noShowRate}`);
+console.log(`  Result: ${rates.noShowRate === 25 && rates.cancelled === 10 && empty.noShowRate === null ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Patient document checks
+ *
+ * Checks that uploads are recognised by their content rather than their
+ * declared type, and how document fields and tags are validated.
+ */
+
+import { matchesFileType, normalizeTags, normalizeDocumentInput } from '../utils/documents.js';
+
+console.log('\n=== TESTING PATIENT DOCUMENTS ===\n');
+
+const bytes = (...values) => Buffer.from(values);
+
+// Test 1: Real signatures are accepted
+console.log('Test 1: File signatures');
+const recognised = [
+  matchesFileType(Buffer.from('%PDF-1.7\n'), 'application/pdf'),
+  matchesFileType(bytes(0xff, 0xd8, 0xff, 0xe0, 0x00), 'image/jpeg'),
+  matchesFileType(bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00), 'image/png'),
+  matchesFileType(Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 '), 'image/webp'),
+  matchesFileType(bytes(0x4d, 0x4d, 0x00, 0x2a), 'image/tiff'),
+];
+console.log(`  Got: ${JSON.stringify(recognised)}`);
+console.log(`  Result: ${recognised.every(Boolean) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Mismatched or unsupported content is refused
+console.log('\nTest 2: Mismatched content');
+const refused = [
+  matchesFileType(Buffer.from('MZ\x90\x00'), 'application/pdf'),
+  matchesFileType(Buffer.from('%PDF-1.7'), 'image/jpeg'),
+  matchesFileType(Buffer.from('RIFF\x10\x00\x00\x00WAVE'), 'image/webp'),
+  matchesFileType(bytes(0xff, 0xd8), 'image/jpeg'),
+  matchesFileType(Buffer.from('<html>'), 'text/html'),
+];
+console.log(`  Got: ${JSON.stringify(refused)}`);
+console.log(`  Result: ${refused.every(r => r === false) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Tags from a form field or an array
+console.log('\nTest 3: Tags');
+const fromString = normalizeTags(' Consent, surgery ,consent,, ');
+const fromArray = normalizeTags(['CNIC', 'front']);
+console.log(`  Got: ${JSON.stringify(fromString)} ${JSON.stringify(fromArray)}`);
+console.log(`  Result: ${fromString.join() === 'consent,surgery' && fromArray.join() === 'cnic,front' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Upload fields
+console.log('\nTest 4: Upload fields');
+const valid = normalizeDocumentInput({ type: 'consent_form', title: ' Surgery consent ', tags: 'surgery', encounterType: 'admission', encounterId: '507f1f77bcf86cd799439011' });
+const badType = normalizeDocumentInput({ type: 'selfie' });
+const loneEncounter = normalizeDocumentInput({ type: 'other', encounterType: 'appointment' });
+const badEncounterId = normalizeDocumentInput({ type: 'other', encounterType: 'appointment', encounterId: 'APT-001' });
+console.log(`  Got: ${JSON.stringify(valid.value)} | ${badType.error} | ${loneEncounter.error} | ${badEncounterId.error}`);
+const fieldsOk = valid.value?.title === 'Surgery consent' && valid.value.tags[0] === 'surgery'
+  && badType.error?.includes('type must be') && loneEncounter.error?.includes('go together') && badEncounterId.error === 'Invalid encounterId';
+console.log(`  Result: ${fieldsOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Partial update only touches what was sent, and can detach the encounter
+console.log('\nTest 5: Partial update');
+const retitle = normalizeDocumentInput({ title: 'Discharge slip' }, { partial: true });
+const detach = normalizeDocumentInput({ encounterType: '', encounterId: '' }, { partial: true });
+console.log(`  Got: ${JSON.stringify(retitle.value)} | ${JSON.stringify(Object.keys(detach.value))}`);
+const partialOk = !retitle.error && Object.keys(retitle.value).join() === 'title'
+  && 'encounterId' in detach.value && detach.value.encounterId === undefined;
+console.log(`  Result: ${partialOk ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
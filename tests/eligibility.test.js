@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: ASF eligibility roster
+ *
+ * Checks roster CSV parsing (header spellings, quoting, per-line errors) and
+ * the entitlement decision for serving, dismissed and lapsed force numbers
+ * and for dependent children over the age limit.
+ */
+
+import { parseCsvDate } from '../utils/csv.js';
+import { parseEligibilityCsv, evaluateEntitlement } from '../utils/eligibility.js';
+
+console.log('\n=== TESTING ASF ELIGIBILITY ===\n');
+
+const asOf = new Date('2026-06-01T10:00:00');
+
+// Test 1: Header spellings, quoted names and both date formats
+console.log('Test 1: Parse roster CSV');
+const parsed = parseEligibilityCsv('\uFEFFForce_No,Full Name,Status,Valid Until\r\nASF-1001,"Khan, Imran",Serving,2027-12-31\r\nasf 1002,Ali Raza,retired,31/01/2026\r\n');
+console.log(`  Got: ${JSON.stringify(parsed.records.map(r => [r.forceNoKey, r.name, r.status]))} | errors ${parsed.errors.length}`);
+const parsedOk = parsed.errors.length === 0
+  && parsed.records.length === 2
+  && parsed.records[0].name === 'Khan, Imran'
+  && parsed.records[1].forceNoKey === 'ASF1002'
+  && parsed.records[1].validUntil.toISOString().slice(0, 10) === '2026-01-31';
+console.log(`  Result: ${parsedOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Bad rows are reported with their line numbers
+console.log('\nTest 2: Row errors');
+const bad = parseEligibilityCsv('forceNo,name,status,validUntil\nASF1,A,serving,\nASF2,,active,\nASF-1,C,serving,2026-02-30\n');
+console.log(`  Got: ${JSON.stringify(bad.errors)}`);
+const badOk = bad.records.length === 1
+  && bad.errors.length === 2
+  && bad.errors[0].line === 3 && bad.errors[0].message.includes('name') && bad.errors[0].message.includes('status')
+  && bad.errors[1].line === 4 && bad.errors[1].message.includes('valid-until') && bad.errors[1].message.includes('repeats line 2');
+console.log(`  Result: ${badOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Missing columns
+console.log('\nTest 3: Missing columns');
+const noColumns = parseEligibilityCsv('forceNo,rank\nASF1,Sepoy\n');
+console.log(`  Got: ${JSON.stringify(noColumns.errors)}`);
+console.log(`  Result: ${noColumns.errors.length === 1 && noColumns.errors[0].message.includes('name, status') ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Date cells
+console.log('\nTest 4: Date cells');
+const dates = [parseCsvDate(''), parseCsvDate('2026-13-01'), parseCsvDate('05-03-2026')?.toISOString().slice(0, 10)];
+console.log(`  Got: ${JSON.stringify(dates)}`);
+console.log(`  Result: ${dates[0] === undefined && dates[1] === null && dates[2] === '2026-03-05' ? '✅ PASS' : '❌ FAIL'}`);
+
+const serving = { forceNo: 'ASF-1001', name: 'Imran Khan', status: 'serving', validUntil: new Date('2027-12-31') };
+
+// Test 5: Serving member and their spouse are entitled
+console.log('\nTest 5: Verified');
+const member = evaluateEntitlement({ patientType: 'ASF', forceNo: 'ASF-1001' }, serving, { asOf });
+const spouse = evaluateEntitlement({ patientType: 'ASF_FAMILY', relationToHead: 'spouse', dateOfBirth: '1980-01-01' }, serving, { asOf });
+console.log(`  Got: ${member.status}, ${spouse.status}`);
+console.log(`  Result: ${member.entitled && member.status === 'verified' && spouse.status === 'verified' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Not on roster, dismissed, lapsed
+console.log('\nTest 6: Not entitled');
+const missing = evaluateEntitlement({ patientType: 'ASF', forceNo: 'ASF-9' }, null, { asOf });
+const dismissed = evaluateEntitlement({ patientType: 'ASF' }, { ...serving, status: 'dismissed' }, { asOf });
+const lapsed = evaluateEntitlement({ patientType: 'ASF' }, { ...serving, validUntil: new Date('2026-05-31') }, { asOf });
+const lastDay = evaluateEntitlement({ patientType: 'ASF' }, { ...serving, validUntil: new Date('2026-06-01') }, { asOf });
+console.log(`  Got: ${missing.status}, ${dismissed.status}, ${lapsed.status} (${lapsed.reasons[0]}), last day ${lastDay.status}`);
+const notEntitledOk = !missing.entitled && missing.status === 'not_found'
+  && !dismissed.entitled && dismissed.status === 'dismissed'
+  && !lapsed.entitled && lapsed.status === 'lapsed' && lapsed.reasons[0].includes('2026-05-31')
+  && lastDay.status === 'verified';
+console.log(`  Result: ${notEntitledOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 7: Dependent child age limit
+console.log('\nTest 7: Child over the age limit');
+const child = (dateOfBirth) => evaluateEntitlement({ patientType: 'ASF_FAMILY', relationToHead: 'child', dateOfBirth }, serving, { asOf, childAgeLimit: 18 });
+const under = child('2008-06-02');
+const over = child('2008-06-01');
+console.log(`  Got: ${under.status}, ${over.status} (${over.reasons[0]})`);
+console.log(`  Result: ${under.entitled && !over.entitled && over.status === 'age_limit' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 8: No roster loaded yet, and civilians
+console.log('\nTest 8: Unverified and not applicable');
+const noRoster = evaluateEntitlement({ patientType: 'ASF' }, null, { rosterLoaded: false, asOf });
+const civilian = evaluateEntitlement({ patientType: 'CIVILIAN' }, null, { asOf });
+console.log(`  Got: ${noRoster.status}, ${civilian.status}`);
+console.log(`  Result: ${noRoster.entitled && noRoster.status === 'unverified' && civilian.status === 'not_applicable' ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
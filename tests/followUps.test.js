@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Prescription follow-ups
+ *
+ * Checks due-date arithmetic, how a follow-up is read from a request, and
+ * the continuity figures worked out from follow-up appointments.
+ */
+
+import { addToDate, parseInterval, normalizeFollowUp, followUpOutcome, summarizeContinuity } from '../utils/followUps.js';
+
+console.log('\n=== TESTING FOLLOW-UPS ===\n');
+
+const today = '2026-01-31';
+
+// Test 1: Days, weeks and months; month ends are clamped
+console.log('Test 1: Date arithmetic');
+const dates = [
+  addToDate(today, { value: 10, unit: 'days' }),
+  addToDate(today, { value: 2, unit: 'weeks' }),
+  addToDate(today, { value: 1, unit: 'months' }),
+  addToDate('2026-11-15', { value: 3, unit: 'months' }),
+];
+console.log(`  Got: ${dates.join(', ')}`);
+console.log(`  Result: ${dates.join() === '2026-02-10,2026-02-14,2026-02-28,2027-02-15' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Intervals as doctors write them
+console.log('\nTest 2: Interval parsing');
+const parsed = [parseInterval('2 weeks'), parseInterval('1 Month'), parseInterval('10days'), parseInterval('soon')];
+console.log(`  Got: ${JSON.stringify(parsed)}`);
+const parsedOk = parsed[0].value === 2 && parsed[0].unit === 'weeks' && parsed[1].unit === 'months'
+  && parsed[2].value === 10 && parsed[3] === null;
+console.log(`  Result: ${parsedOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: A string, an interval object or a date are accepted
+console.log('\nTest 3: Accepted forms');
+const fromString = normalizeFollowUp('2 weeks', { today });
+const fromObject = normalizeFollowUp({ value: 3, unit: 'days', notes: 'Check BP' }, { today });
+const fromDate = normalizeFollowUp({ date: '2026-03-01' }, { today });
+console.log(`  Got: ${fromString.followUp?.dueDate} | ${fromObject.followUp?.dueDate} ${fromObject.followUp?.notes} | ${fromDate.followUp?.dueDate}`);
+const formsOk = fromString.followUp?.dueDate === '2026-02-14' && fromObject.followUp?.dueDate === '2026-02-03'
+  && fromObject.followUp?.notes === 'Check BP' && fromDate.followUp?.dueDate === '2026-03-01' && !fromDate.followUp.interval;
+console.log(`  Result: ${formsOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Past, too distant and malformed follow-ups are rejected
+console.log('\nTest 4: Rejected follow-ups');
+const rejected = [
+  normalizeFollowUp({ date: today }, { today }),
+  normalizeFollowUp({ date: '2027-06-01' }, { today }),
+  normalizeFollowUp({ value: 0, unit: 'days' }, { today }),
+  normalizeFollowUp({ value: 2, unit: 'fortnights' }, { today }),
+  normalizeFollowUp({ date: '31/03/2026' }, { today }),
+];
+console.log(`  Got: ${rejected.map(r => r.error).join(' | ')}`);
+console.log(`  Result: ${rejected.every(r => r.error && !r.followUp) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Outcomes, with tentative follow-ups overdue once past due
+console.log('\nTest 5: Outcomes');
+const followUp = (status, extra = {}) => ({
+  status, date: '2026-02-14', doctorId: 'd1', followUp: { dueDate: '2026-02-14', originDoctorId: 'd1' }, ...extra,
+});
+const outcomes = ['completed', 'no-show', 'cancelled', 'scheduled', 'tentative'].map(s => followUpOutcome(followUp(s), '2026-02-20'));
+const notDue = followUpOutcome(followUp('tentative'), '2026-02-10');
+console.log(`  Got: ${outcomes.join(', ')} | before due: ${notDue}`);
+console.log(`  Result: ${outcomes.join() === 'attended,missed,cancelled,booked,overdue' && notDue === 'pending' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Continuity: attendance over finished follow-ups, same doctor and on time over attended
+console.log('\nTest 6: Continuity summary');
+const summary = summarizeContinuity([
+  followUp('completed'),
+  followUp('completed', { doctorId: 'd2' }),
+  followUp('completed', { date: '2026-03-10' }),
+  followUp('no-show'),
+  followUp('scheduled'),
+  { ...followUp('completed'), followUp: { dueDate: '2026-02-14', originDoctorId: 'd3' }, doctorId: 'd3' },
+], { today: '2026-02-20', windowDays: 7 });
+const { overall } = summary;
+console.log(`  Got: ${JSON.stringify(overall)} | doctors: ${summary.byDoctor.map(d => `${d.doctorId}=${d.total}`).join(', ')}`);
+const summaryOk = overall.total === 6 && overall.attended === 4 && overall.missed === 1 && overall.booked === 1
+  && overall.attendanceRate === 80 && overall.continuityRate === 75 && overall.onTimeRate === 75
+  && summary.byDoctor.length === 2;
+console.log(`  Result: ${summaryOk ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Household relation rules
+ *
+ * Checks that a household needs exactly one head, allows one spouse and two
+ * parents, and that children are younger and parents older than the head.
+ */
+
+import { validateHousehold } from '../utils/households.js';
+
+console.log('\n=== TESTING HOUSEHOLD VALIDATION ===\n');
+
+const head = { firstName: 'Imran', lastName: 'Shah', dateOfBirth: '1980-05-01', relationToHead: 'self', isHouseholdHead: true };
+const member = (firstName, relationToHead, dateOfBirth) => ({ firstName, lastName: 'Shah', relationToHead, dateOfBirth, isHouseholdHead: false });
+
+// Test 1: A normal family is valid
+console.log('Test 1: Valid household');
+const valid = validateHousehold([head, member('Sara', 'spouse', '1983-02-10'), member('Ali', 'child', '2010-09-09'), member('Rashid', 'parent', '1950-01-01')]);
+console.log(`  Got: ${JSON.stringify(valid)}`);
+console.log(`  Result: ${valid.length === 0 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Two spouses
+console.log('\nTest 2: Two spouses rejected');
+const twoSpouses = validateHousehold([head, member('Sara', 'spouse', '1983-02-10'), member('Hina', 'spouse', '1985-02-10')]);
+console.log(`  Got: ${JSON.stringify(twoSpouses)}`);
+console.log(`  Result: ${twoSpouses.some(e => e.includes('at most 1 spouse')) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Child older than the head
+console.log('\nTest 3: Child older than head rejected');
+const oldChild = validateHousehold([head, member('Bilal', 'child', '1975-01-01')]);
+console.log(`  Got: ${JSON.stringify(oldChild)}`);
+console.log(`  Result: ${oldChild.some(e => e.includes('not younger')) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Parent younger than the head
+console.log('\nTest 4: Parent younger than head rejected');
+const youngParent = validateHousehold([head, member('Zahid', 'parent', '1999-01-01')]);
+console.log(`  Got: ${JSON.stringify(youngParent)}`);
+console.log(`  Result: ${youngParent.some(e => e.includes('not older')) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: No head, or two heads
+console.log('\nTest 5: Exactly one head');
+const noHead = validateHousehold([member('Sara', 'spouse', '1983-02-10')]);
+const twoHeads = validateHousehold([head, { ...head, firstName: 'Asad' }]);
+console.log(`  Got: ${JSON.stringify(noHead)} | ${JSON.stringify(twoHeads)}`);
+console.log(`  Result: ${noHead.length === 1 && twoHeads.length === 1 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Members need a real relation; missing dates of birth are not guessed
+console.log('\nTest 6: Missing relation, unknown birth date');
+const noRelation = validateHousehold([head, member('Omar', 'self', '2012-01-01'), member('Noor', 'child', '')]);
+console.log(`  Got: ${JSON.stringify(noRelation)}`);
+console.log(`  Result: ${noRelation.length === 1 && noRelation[0].includes('Omar') ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Password policy
+ *
+ * Checks the rules enforced on new passwords (length, character classes,
+ * no email or name inside the password).
+ */
+
+import { validatePassword } from '../utils/passwordPolicy.js';
+
+console.log('\n=== TESTING PASSWORD POLICY ===\n');
+
+const user = { email: 'ahmad.khan@smarthospital.com', name: 'Ahmad Khan' };
+
+// Test 1: Strong password passes
+console.log('Test 1: Strong password');
+const strong = validatePassword('Clinic2024!x', user);
+console.log(`  Expected: no errors, Got: ${JSON.stringify(strong)}`);
+console.log(`  Result: ${strong.length === 0 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Too short
+console.log('\nTest 2: Too short');
+const short = validatePassword('Ab1', user);
+console.log(`  Got: ${JSON.stringify(short)}`);
+console.log(`  Result: ${short.some(e => e.includes('at least')) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Missing character classes
+console.log('\nTest 3: Lowercase only');
+const lower = validatePassword('onlylowercase', user);
+const missesUpper = lower.some(e => e.includes('uppercase'));
+const missesDigit = lower.some(e => e.includes('number'));
+console.log(`  Got: ${JSON.stringify(lower)}`);
+console.log(`  Result: ${missesUpper && missesDigit ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Contains the email local part
+console.log('\nTest 4: Contains email');
+const withEmail = validatePassword('Ahmad.Khan2024', user);
+console.log(`  Got: ${JSON.stringify(withEmail)}`);
+console.log(`  Result: ${withEmail.some(e => e.includes('email')) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Contains part of the name
+console.log('\nTest 5: Contains name');
+const withName = validatePassword('MyKhanPass9', user);
+console.log(`  Got: ${JSON.stringify(withName)}`);
+console.log(`  Result: ${withName.some(e => e.includes('name')) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Non-string input is rejected, not thrown
+console.log('\nTest 6: Missing password');
+const missing = validatePassword(undefined, user);
+console.log(`  Got ${missing.length} errors`);
+console.log(`  Result: ${missing.length > 0 ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Duplicate patient scoring
+ *
+ * Checks that CNIC, phone and name plus date of birth matches are scored,
+ * formatting differences are ignored, and relatives sharing a phone or
+ * surname stay below the reporting threshold.
+ */
+
+import { scoreDuplicate, getDuplicateMinScore } from '../utils/patientDuplicates.js';
+
+console.log('\n=== TESTING DUPLICATE PATIENT SCORING ===\n');
+
+const existing = {
+  firstName: 'Muhammad',
+  lastName: 'Ali',
+  dateOfBirth: '1985-03-12',
+  cnic: '35202-1234567-1',
+  phone: '0300-1234567',
+};
+const threshold = getDuplicateMinScore();
+
+// Test 1: Same CNIC written differently
+console.log('Test 1: CNIC match ignores dashes');
+const byCnic = scoreDuplicate({ firstName: 'M.', lastName: 'Ali', cnic: '3520212345671' }, existing);
+console.log(`  Got: ${JSON.stringify(byCnic)}`);
+console.log(`  Result: ${byCnic.reasons.includes('cnic') && byCnic.score >= threshold ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Name and date of birth, different case and spacing
+console.log('\nTest 2: Name + date of birth');
+const byName = scoreDuplicate({ firstName: 'muhammad ', lastName: 'ALI', dateOfBirth: '1985-03-12' }, existing);
+console.log(`  Got: ${JSON.stringify(byName)}`);
+console.log(`  Result: ${byName.reasons.includes('name_dob') && byName.score >= threshold ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Phone in international format adds to the score
+console.log('\nTest 3: Phone formats match');
+const byPhone = scoreDuplicate({ firstName: 'Muhammad', lastName: 'Ali', dateOfBirth: '1985-03-12', phone: '+92 300 1234567' }, existing);
+console.log(`  Got: ${JSON.stringify(byPhone)}`);
+console.log(`  Result: ${byPhone.reasons.includes('phone') && byPhone.score === 65 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: A child sharing the family phone and surname is not reported
+console.log('\nTest 4: Relative below threshold');
+const child = scoreDuplicate({ firstName: 'Ayesha', lastName: 'Ali', dateOfBirth: '2015-06-01', phone: '03001234567' }, existing);
+console.log(`  Got: ${JSON.stringify(child)}, threshold ${threshold}`);
+console.log(`  Result: ${child.score < threshold ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Surname changed, same first name and date of birth
+console.log('\nTest 5: First name + date of birth');
+const married = scoreDuplicate(
+  { firstName: 'Sana', lastName: 'Khan', dateOfBirth: '1990-01-01' },
+  { firstName: 'Sana', lastName: 'Ahmed', dateOfBirth: '1990-01-01' }
+);
+console.log(`  Got: ${JSON.stringify(married)}`);
+console.log(`  Result: ${married.reasons.join() === 'first_name_dob' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Blank fields never match each other
+console.log('\nTest 6: Empty values ignored');
+const blank = scoreDuplicate({ firstName: 'Zara', lastName: 'Noor', cnic: '', phone: '' }, { firstName: 'Omar', lastName: 'Noor', cnic: '', phone: '' });
+console.log(`  Got: ${JSON.stringify(blank)}`);
+console.log(`  Result: ${blank.score === 0 ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
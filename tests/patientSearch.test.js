@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Patient search keys and cursors
+ *
+ * Checks that transliteration variants of a name share a phonetic key, that
+ * identifiers are indexed without formatting, and that cursors round-trip.
+ */
+
+import mongoose from 'mongoose';
+import { phoneticKey, buildPatientSearchKeys, buildSearchTerms } from '../utils/searchKeys.js';
+import { encodeCursor, decodeCursor, buildPatientFilter } from '../utils/patientSearch.js';
+
+console.log('\n=== TESTING PATIENT SEARCH ===\n');
+
+// Test 1: Spelling variants collapse to one key
+console.log('Test 1: Transliteration variants share a phonetic key');
+const groups = [['muhammad', 'mohammed', 'muhamad'], ['ayesha', 'aisha'], ['qasim', 'kasim'], ['usman', 'osman'], ['fatima', 'fatimah']];
+const keys = groups.map(g => g.map(phoneticKey));
+console.log(`  Got: ${JSON.stringify(keys)}`);
+console.log(`  Result: ${keys.every(k => new Set(k).size === 1) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Different names stay apart
+console.log('\nTest 2: Different names keep different keys');
+const distinct = ['ali', 'asad', 'imran', 'amna'].map(phoneticKey);
+console.log(`  Got: ${JSON.stringify(distinct)}`);
+console.log(`  Result: ${new Set(distinct).size === distinct.length ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Stored keys for a patient
+console.log('\nTest 3: Identifiers stored without formatting');
+const stored = buildPatientSearchKeys({
+  patientNo: 'PAT-001042', forceNo: 'ASF/123', cnic: '35202-1234567-1', phone: '+92 300 1234567',
+  firstName: 'Muhammad', lastName: 'Usman',
+});
+console.log(`  Got: ${JSON.stringify(stored)}`);
+const idsOk = ['pat001042', '001042', 'asf123', '3520212345671', '3001234567'].every(id => stored.ids.includes(id));
+console.log(`  Result: ${idsOk && stored.phonetic.includes('mhmd') ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Query terms line up with stored keys
+console.log('\nTest 4: Queries produce matching terms');
+const phoneTerms = buildSearchTerms('0300 1234567');
+const cnicTerms = buildSearchTerms('35202-1234567-1');
+const nameTerms = buildSearchTerms('Mohammed Osman');
+console.log(`  Got: ${JSON.stringify({ phoneTerms, cnicTerms, nameTerms })}`);
+const termsOk = phoneTerms.includes('3001234567') && cnicTerms.includes('3520212345671')
+  && nameTerms.includes('mhmd') && nameTerms.includes('asmn');
+console.log(`  Result: ${termsOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Cursor round-trip, and garbage rejected
+console.log('\nTest 5: Cursor round-trip');
+const id = new mongoose.Types.ObjectId();
+const decoded = decodeCursor(encodeCursor(12.75, id));
+console.log(`  Got: ${JSON.stringify(decoded)} | garbage: ${JSON.stringify(decodeCursor('not-a-cursor'))}`);
+console.log(`  Result: ${decoded?.k === 12.75 && decoded.id === String(id) && decodeCursor('not-a-cursor') === null ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Filters
+console.log('\nTest 6: Filters validated');
+const okFilter = buildPatientFilter({ patientType: 'CIVILIAN', gender: 'Female', city: 'Rawalpindi' });
+const badFilter = buildPatientFilter({ patientType: 'VIP' });
+console.log(`  Got: ${JSON.stringify(okFilter)} | ${JSON.stringify(badFilter)}`);
+console.log(`  Result: ${okFilter.filter?.gender === 'female' && okFilter.filter.city.$options === 'i' && badFilter.error ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Duty roster sessions
+ *
+ * Checks time parsing, session validation, which sessions apply on a date
+ * (weekly pattern vs. exceptions) and which session a time falls into.
+ */
+
+import { toMinutes, normalizeSessions, sessionsForDate, findSessionAt } from '../utils/roster.js';
+
+console.log('\n=== TESTING DUTY ROSTER ===\n');
+
+// Test 1: Both time formats parse
+console.log('Test 1: Time parsing');
+const parsed = [toMinutes('09:30'), toMinutes('09:30 AM'), toMinutes('12:15 PM'), toMinutes('12:00 AM'), toMinutes('25:00')];
+console.log(`  Got: ${JSON.stringify(parsed)}`);
+console.log(`  Result: ${JSON.stringify(parsed) === JSON.stringify([570, 570, 735, 0, null]) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Valid weekly sessions are accepted, room defaults to the doctor's
+console.log('\nTest 2: Valid sessions');
+const valid = normalizeSessions([
+  { dayOfWeek: 1, startTime: '09:00', endTime: '13:00', capacity: 20 },
+  { dayOfWeek: 1, startTime: '14:00', endTime: '16:00', roomNo: '7', capacity: '10' },
+], { defaultRoomNo: '5' });
+console.log(`  Got: ${JSON.stringify(valid)}`);
+const validOk = !valid.error && valid.sessions[0].roomNo === '5' && valid.sessions[1].capacity === 10;
+console.log(`  Result: ${validOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Overlapping sessions on the same day are rejected
+console.log('\nTest 3: Overlap rejected');
+const overlap = normalizeSessions([
+  { dayOfWeek: 2, startTime: '09:00', endTime: '12:00', roomNo: '5', capacity: 10 },
+  { dayOfWeek: 2, startTime: '11:30', endTime: '13:00', roomNo: '5', capacity: 10 },
+]);
+console.log(`  Got: ${overlap.error}`);
+console.log(`  Result: ${overlap.error?.includes('overlap') ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Bad times and capacity are rejected
+console.log('\nTest 4: Invalid values');
+const badTime = normalizeSessions([{ dayOfWeek: 2, startTime: '9am', endTime: '12:00', roomNo: '5', capacity: 10 }]);
+const reversed = normalizeSessions([{ dayOfWeek: 2, startTime: '12:00', endTime: '09:00', roomNo: '5', capacity: 10 }]);
+const zero = normalizeSessions([{ dayOfWeek: 2, startTime: '09:00', endTime: '12:00', roomNo: '5', capacity: 0 }]);
+console.log(`  Got: ${badTime.error} | ${reversed.error} | ${zero.error}`);
+console.log(`  Result: ${badTime.error && reversed.error && zero.error ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Weekly pattern applies on the matching weekday; exceptions replace it
+console.log('\nTest 5: Sessions for a date');
+const roster = {
+  sessions: [
+    { dayOfWeek: 1, startTime: '14:00', endTime: '16:00', roomNo: '5', capacity: 8 },
+    { dayOfWeek: 1, startTime: '09:00', endTime: '13:00', roomNo: '5', capacity: 20 },
+  ],
+  exceptions: [
+    { date: '2026-10-26', sessions: [], reason: 'Leave' },
+    { date: '2026-11-02', sessions: [{ startTime: '10:00', endTime: '12:00', roomNo: '9', capacity: 5 }] },
+  ],
+};
+const monday = sessionsForDate(roster, '2026-10-19');
+const tuesday = sessionsForDate(roster, '2026-10-20');
+const leave = sessionsForDate(roster, '2026-10-26');
+const changed = sessionsForDate(roster, '2026-11-02');
+console.log(`  Monday: ${monday.map(s => s.startTime).join(', ')} | Tuesday: ${tuesday.length} | Leave: ${leave.length} | Changed: ${changed.map(s => s.roomNo).join(', ')}`);
+const datesOk = monday.map(s => s.startTime).join() === '09:00,14:00'
+  && tuesday.length === 0 && leave.length === 0 && changed[0]?.roomNo === '9';
+console.log(`  Result: ${datesOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: A time falls in the session whose [start, end) contains it
+console.log('\nTest 6: Session lookup by time');
+const morning = findSessionAt(monday, '09:00 AM');
+const atEnd = findSessionAt(monday, '13:00');
+const afternoon = findSessionAt(monday, '03:59 PM');
+console.log(`  Got: ${morning?.startTime} | ${atEnd?.startTime ?? 'none'} | ${afternoon?.startTime}`);
+console.log(`  Result: ${morning?.startTime === '09:00' && !atEnd && afternoon?.startTime === '14:00' ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: Document number formats
+ *
+ * Checks that sequence values render in the configured format, parse back
+ * to the same value, and that yearly counters are keyed per year.
+ */
+
+import {
+  DEFAULT_SEQUENCES,
+  formatSequence,
+  parseSequence,
+  counterKey,
+  validateSequenceFormat,
+} from '../utils/sequence.js';
+
+console.log('\n=== TESTING NUMBER SEQUENCES ===\n');
+
+// Test 1: Defaults reproduce the existing number formats
+console.log('Test 1: Default formats');
+const samples = [
+  formatSequence(DEFAULT_SEQUENCES.patient, 1, 2026),
+  formatSequence(DEFAULT_SEQUENCES.appointment, 7, 2026),
+  formatSequence(DEFAULT_SEQUENCES.prescription, 1, 2026),
+  formatSequence(DEFAULT_SEQUENCES.lab, 12, 2026),
+  formatSequence(DEFAULT_SEQUENCES.invoice, 42, 2026),
+];
+const expected = ['PAT-001001', 'APT-007', 'RX-456789', 'LAB-2026-0012', 'INV-2026-00042'];
+console.log(`  Got: ${samples.join(', ')}`);
+console.log(`  Result: ${JSON.stringify(samples) === JSON.stringify(expected) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: Numbers parse back to their sequence value
+console.log('\nTest 2: Round trip');
+const roundTrip = [
+  parseSequence(DEFAULT_SEQUENCES.patient, 'PAT-001050', 2026),
+  parseSequence(DEFAULT_SEQUENCES.lab, 'LAB-2026-0012', 2026),
+  parseSequence(DEFAULT_SEQUENCES.appointment, 'APT-1234', 2026),
+];
+console.log(`  Got: ${JSON.stringify(roundTrip)}`);
+console.log(`  Result: ${JSON.stringify(roundTrip) === JSON.stringify([50, 12, 1234]) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Numbers from another year or format don't match
+console.log('\nTest 3: Foreign numbers ignored');
+const foreign = [
+  parseSequence(DEFAULT_SEQUENCES.lab, 'LAB-2025-0099', 2026),
+  parseSequence(DEFAULT_SEQUENCES.invoice, 'INV-2026-T1A2B3', 2026),
+  parseSequence(DEFAULT_SEQUENCES.patient, 'RX-456789', 2026),
+];
+console.log(`  Got: ${JSON.stringify(foreign)}`);
+console.log(`  Result: ${foreign.every(v => v === null) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Yearly counters are keyed per year, others are not
+console.log('\nTest 4: Counter keys');
+const keys = [counterKey('invoice', DEFAULT_SEQUENCES.invoice, 2026), counterKey('patient', DEFAULT_SEQUENCES.patient, 2026)];
+console.log(`  Got: ${keys.join(', ')}`);
+console.log(`  Result: ${keys[0] === 'invoice:2026' && keys[1] === 'patient' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Custom format with a new prefix and no year
+console.log('\nTest 5: Custom format');
+const custom = { prefix: 'MR', includeYear: false, padding: 8, resetYearly: false, start: 1 };
+const customNo = formatSequence(custom, 3, 2026);
+console.log(`  Got: ${customNo}`);
+console.log(`  Result: ${customNo === 'MR-00000003' && parseSequence(custom, customNo, 2026) === 3 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Invalid formats are rejected
+console.log('\nTest 6: Validation');
+const errors = validateSequenceFormat({ prefix: 'pat-', padding: 0, start: -1 });
+console.log(`  Got: ${JSON.stringify(errors)}`);
+console.log(`  Result: ${errors.length === 3 && validateSequenceFormat(custom).length === 0 ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
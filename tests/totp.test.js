@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * TEST: TOTP two-factor codes
+ *
+ * Uses the RFC 6238 SHA-1 test vectors (secret "12345678901234567890")
+ * and checks drift tolerance, base32 round trips and the provisioning URI.
+ */
+
+import {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  timeStep,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from '../utils/totp.js';
+
+console.log('\n=== TESTING TOTP ===\n');
+
+const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+// Test 1: RFC 6238 test vectors (8 digits)
+console.log('Test 1: RFC 6238 vectors');
+const vectors = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+];
+const vectorsOk = vectors.every(([seconds, expected]) => generateTotp(rfcSecret, seconds * 1000, { digits: 8 }) === expected);
+console.log(`  Result: ${vectorsOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 2: RFC 4226 HOTP vector
+console.log('\nTest 2: RFC 4226 HOTP counter 0');
+const hotp = generateHotp(rfcSecret, 0);
+console.log(`  Expected: 755224, Got: ${hotp}`);
+console.log(`  Result: ${hotp === '755224' ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 3: Base32 round trip
+console.log('\nTest 3: Base32 round trip');
+const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+const roundTrip = base32Decode(base32Encode(bytes));
+console.log(`  Result: ${roundTrip.equals(bytes) ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 4: Verification accepts one step of drift and returns the step
+console.log('\nTest 4: Clock drift window');
+const now = 1700000000000;
+const previousCode = generateTotp(rfcSecret, now - 30000);
+const matchedStep = verifyTotp(rfcSecret, previousCode, { time: now });
+console.log(`  Expected step: ${timeStep(now) - 1}, Got: ${matchedStep}`);
+console.log(`  Result: ${matchedStep === timeStep(now) - 1 ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 5: Codes outside the window and malformed codes are rejected
+console.log('\nTest 5: Rejects stale and malformed codes');
+const staleCode = generateTotp(rfcSecret, now - 120000);
+// A stale code can coincide with a valid one by chance (1 in a million)
+const staleOk = verifyTotp(rfcSecret, staleCode, { time: now }) === null
+  || staleCode === generateTotp(rfcSecret, now);
+const malformedOk = verifyTotp(rfcSecret, '12ab56', { time: now }) === null;
+console.log(`  Result: ${staleOk && malformedOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 6: Provisioning URI
+console.log('\nTest 6: otpauth URI');
+const uri = buildOtpAuthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'admin@smarthospital.com', issuer: 'Smart Hospital' });
+console.log(`  Got: ${uri}`);
+const uriOk = uri.startsWith('otpauth://totp/Smart%20Hospital%3Aadmin%40smarthospital.com?')
+  && uri.includes('secret=JBSWY3DPEHPK3PXP')
+  && uri.includes('issuer=Smart+Hospital');
+console.log(`  Result: ${uriOk ? '✅ PASS' : '❌ FAIL'}`);
+
+// Test 7: Recovery codes are unique and normalize consistently
+console.log('\nTest 7: Recovery codes');
+const codes = generateRecoveryCodes(10);
+const unique = new Set(codes).size === 10;
+const normalized = normalizeRecoveryCode(` ${codes[0].toUpperCase()} `) === codes[0].replace('-', '');
+console.log(`  Sample: ${codes[0]}`);
+console.log(`  Result: ${unique && normalized ? '✅ PASS' : '❌ FAIL'}`);
+
+console.log('\n=== TESTS COMPLETED ===\n');
@@ -0,0 +1,241 @@
+import Allergy from '../models/Allergy.js';
+import Patient from '../models/Patient.js';
+
+/**
+ * Structured allergies and problems, and the allergy check run when a
+ * prescription is written or its medicines change.
+ *
+ * A medicine conflicts with an allergy when its name contains the recorded
+ * substance, or when both belong to the same drug class (an allergy to
+ * "Penicillin" or "Augmentin" catches "Amoxicillin 500mg"). Severe,
+ * life-threatening and unknown-severity matches block the prescription
+ * unless the prescriber gives an override reason; milder ones are warnings.
+ */
+
+export const ALLERGY_CATEGORIES = ['drug', 'food', 'environment', 'other'];
+export const ALLERGY_SEVERITIES = ['mild', 'moderate', 'severe', 'life_threatening', 'unknown'];
+export const BLOCKING_SEVERITIES = ['severe', 'life_threatening', 'unknown'];
+export const CLINICAL_LIST_STATUSES = ['active', 'inactive', 'resolved', 'entered_in_error'];
+export const MIN_OVERRIDE_REASON_LENGTH = 10;
+
+// Class name -> { aliases: words that name the whole class, members: drugs and common brands }
+export const DRUG_CLASSES = {
+  penicillin: {
+    aliases: ['penicillin', 'penicillins', 'beta lactam'],
+    members: [
+      'amoxicillin', 'amoxil', 'ampicillin', 'co amoxiclav', 'augmentin', 'cloxacillin', 'flucloxacillin',
+      'dicloxacillin', 'piperacillin', 'tazocin', 'benzylpenicillin', 'phenoxymethylpenicillin', 'penicillin',
+    ],
+  },
+  cephalosporin: {
+    aliases: ['cephalosporin', 'cephalosporins'],
+    members: [
+      'cephalexin', 'cefalexin', 'cefadroxil', 'cefaclor', 'cefuroxime', 'cefixime', 'ceftriaxone',
+      'cefotaxime', 'ceftazidime', 'cefazolin', 'cefepime', 'cefoperazone',
+    ],
+  },
+  sulfonamide: {
+    aliases: ['sulfa', 'sulpha', 'sulfonamide', 'sulfonamides', 'sulphonamide'],
+    members: ['sulfamethoxazole', 'co trimoxazole', 'cotrimoxazole', 'septran', 'bactrim', 'sulfasalazine', 'sulfadiazine'],
+  },
+  nsaid: {
+    aliases: ['nsaid', 'nsaids'],
+    members: [
+      'aspirin', 'disprin', 'ibuprofen', 'brufen', 'diclofenac', 'voltaren', 'naproxen', 'mefenamic acid',
+      'ponstan', 'ketorolac', 'indomethacin', 'piroxicam', 'celecoxib',
+    ],
+  },
+  macrolide: {
+    aliases: ['macrolide', 'macrolides'],
+    members: ['erythromycin', 'azithromycin', 'clarithromycin'],
+  },
+  quinolone: {
+    aliases: ['quinolone', 'quinolones', 'fluoroquinolone', 'fluoroquinolones'],
+    members: ['ciprofloxacin', 'levofloxacin', 'moxifloxacin', 'ofloxacin', 'norfloxacin'],
+  },
+  tetracycline: {
+    aliases: ['tetracyclines'],
+    members: ['tetracycline', 'doxycycline', 'minocycline'],
+  },
+  opioid: {
+    aliases: ['opioid', 'opioids', 'opiate', 'opiates'],
+    members: ['morphine', 'codeine', 'tramadol', 'pethidine', 'nalbuphine', 'fentanyl', 'oxycodone'],
+  },
+};
+
+// Free-text entries that mean "no allergies"
+const NONE_PATTERN = /^(none|nil|no|na|n\/a|nka|nkda|no known( drug)? allerg(y|ies))$/i;
+
+/** Lowercase words only, so "Co-Amoxiclav 625mg" and "co amoxiclav" compare equal. */
+export const normalizeTerm = (value) =>
+  String(value || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+const containsTerm = (text, term) => Boolean(term) && ` ${text} `.includes(` ${term} `);
+
+/** Drug classes a substance or medicine name belongs to. */
+export function drugClassesOf(name) {
+  const text = normalizeTerm(name);
+  return Object.entries(DRUG_CLASSES)
+    .filter(([, { aliases, members }]) => [...aliases, ...members].some(term => containsTerm(text, term)))
+    .map(([drugClass]) => drugClass);
+}
+
+/**
+ * Entries from the old free-text allergies field, treated as active
+ * allergies of unknown severity.
+ */
+export function legacyAllergies(text) {
+  return String(text || '')
+    .split(/[,;\n]/)
+    .map(s => s.trim())
+    .filter(s => s && !NONE_PATTERN.test(s))
+    .map(substance => ({ substance, severity: 'unknown', reaction: '', legacy: true }));
+}
+
+/** Entries from the old free-text existingConditions field. */
+export function legacyProblems(text) {
+  return String(text || '')
+    .split(/[,;\n]/)
+    .map(s => s.trim())
+    .filter(s => s && !NONE_PATTERN.test(s))
+    .map(condition => ({ condition, status: 'active', legacy: true }));
+}
+
+/**
+ * Compare medicines against allergies.
+ * @param {Array<{name: string}>} medicines
+ * @param {Array<{_id?, substance, severity, reaction}>} allergies - active allergies
+ * @returns {Array<object>} one entry per medicine/allergy pair that conflicts
+ */
+export function findAllergyConflicts(medicines, allergies) {
+  const conflicts = [];
+  for (const medicine of medicines || []) {
+    const name = typeof medicine === 'string' ? medicine : medicine?.name;
+    const text = normalizeTerm(name);
+    if (!text) continue;
+    const medicineClasses = drugClassesOf(text);
+
+    for (const allergy of allergies) {
+      const substance = normalizeTerm(allergy.substance);
+      if (!substance) continue;
+
+      let matchedBy = null;
+      let drugClass;
+      if (containsTerm(text, substance)) {
+        matchedBy = 'substance';
+      } else {
+        drugClass = drugClassesOf(substance).find(c => medicineClasses.includes(c));
+        if (drugClass) matchedBy = 'class';
+      }
+      if (!matchedBy) continue;
+
+      const severity = allergy.severity || 'unknown';
+      conflicts.push({
+        medicine: name,
+        allergyId: allergy._id || null,
+        substance: allergy.substance,
+        severity,
+        reaction: allergy.reaction || '',
+        matchedBy,
+        ...(drugClass && { drugClass }),
+        blocking: BLOCKING_SEVERITIES.includes(severity),
+      });
+    }
+  }
+  return conflicts;
+}
+
+/** Identifies a medicine/allergy pair, so an override isn't asked for twice. */
+export const conflictKey = (conflict) => `${normalizeTerm(conflict.medicine)}|${normalizeTerm(conflict.substance)}`;
+
+export const describeConflicts = (conflicts) => conflicts
+  .map(c => `${c.medicine} matches ${c.substance} allergy (${c.severity}${c.drugClass ? `, ${c.drugClass} class` : ''})`)
+  .join('; ');
+
+/**
+ * A patient's active allergies: structured entries plus any free-text entry
+ * that has not been recorded as a structured one yet.
+ */
+export async function getActiveAllergies(patientId) {
+  const [structured, patient] = await Promise.all([
+    Allergy.find({ patientId, status: 'active' }).lean(),
+    Patient.findById(patientId).select('allergies').lean(),
+  ]);
+  const known = new Set(structured.map(a => a.substanceKey));
+  const legacy = legacyAllergies(patient?.allergies).filter(a => !known.has(normalizeTerm(a.substance)));
+  return [...structured, ...legacy];
+}
+
+/**
+ * @returns {Promise<{ conflicts: object[], blocking: object[] }>}
+ */
+export async function checkPrescriptionAllergies(patientId, medicines) {
+  if (!Array.isArray(medicines) || medicines.length === 0) return { conflicts: [], blocking: [] };
+  const conflicts = findAllergyConflicts(medicines, await getActiveAllergies(patientId));
+  return { conflicts, blocking: conflicts.filter(c => c.blocking) };
+}
+
+const parseOptionalDate = (value) => {
+  if (value === undefined || value === null || value === '') return { date: undefined };
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: true } : { date };
+};
+
+/**
+ * Validate allergy input from a request body.
+ * @param {boolean} partial - only validate the fields present (updates)
+ * @returns {{ value?: object, error?: string }}
+ */
+export function normalizeAllergyInput(body = {}, { partial = false } = {}) {
+  const value = {};
+  if (!partial || body.substance !== undefined) {
+    const substance = String(body.substance || '').trim();
+    if (!substance || !normalizeTerm(substance)) return { error: 'substance is required' };
+    value.substance = substance;
+    value.substanceKey = normalizeTerm(substance);
+  }
+  if (body.category !== undefined) {
+    if (!ALLERGY_CATEGORIES.includes(body.category)) return { error: `category must be one of ${ALLERGY_CATEGORIES.join(', ')}` };
+    value.category = body.category;
+  }
+  if (body.severity !== undefined) {
+    if (!ALLERGY_SEVERITIES.includes(body.severity)) return { error: `severity must be one of ${ALLERGY_SEVERITIES.join(', ')}` };
+    value.severity = body.severity;
+  }
+  if (body.status !== undefined) {
+    if (!CLINICAL_LIST_STATUSES.includes(body.status)) return { error: `status must be one of ${CLINICAL_LIST_STATUSES.join(', ')}` };
+    value.status = body.status;
+  }
+  for (const field of ['code', 'reaction', 'notes']) {
+    if (body[field] !== undefined) value[field] = String(body[field] || '').trim();
+  }
+  return { value };
+}
+
+/**
+ * Validate problem-list input from a request body.
+ * @returns {{ value?: object, error?: string }}
+ */
+export function normalizeProblemInput(body = {}, { partial = false } = {}) {
+  const value = {};
+  if (!partial || body.condition !== undefined) {
+    const condition = String(body.condition || '').trim();
+    if (!condition) return { error: 'condition is required' };
+    value.condition = condition;
+  }
+  if (body.status !== undefined) {
+    if (!CLINICAL_LIST_STATUSES.includes(body.status)) return { error: `status must be one of ${CLINICAL_LIST_STATUSES.join(', ')}` };
+    value.status = body.status;
+  }
+  for (const field of ['onset', 'resolvedAt']) {
+    if (body[field] === undefined) continue;
+    const { date, error } = parseOptionalDate(body[field]);
+    if (error) return { error: `${field} must be a date` };
+    if (date && date > new Date()) return { error: `${field} can't be in the future` };
+    value[field] = date;
+  }
+  for (const field of ['code', 'notes']) {
+    if (body[field] !== undefined) value[field] = String(body[field] || '').trim();
+  }
+  return { value };
+}
@@ -0,0 +1,209 @@
+import Appointment from '../models/Appointment.js';
+import Queue from '../models/Queue.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import Patient from '../models/Patient.js';
+import { getDailyTokenNumber, generateOPDToken } from './tokenUtils.js';
+import { toMinutes } from './roster.js';
+
+/**
+ * Booking rules that sit beside the roster slots: a patient can't be booked
+ * into two appointments at once, an appointment only joins its room queue
+ * when the patient checks in on the day, and cancellations made too close to
+ * the appointment are counted against the patient.
+ */
+
+// Appointments still waiting to be seen
+export const ACTIVE_STATUSES = ['scheduled', 'vitals_recorded'];
+
+// [start, end) in minutes; appointments without an end (no roster) last a minute
+const interval = ({ time, endTime }) => {
+  const start = toMinutes(time);
+  if (start === null) return null;
+  return [start, toMinutes(endTime) ?? start + 1];
+};
+
+/** True when two appointments on the same day overlap in time. */
+export function appointmentsOverlap(a, b) {
+  const first = interval(a);
+  const second = interval(b);
+  if (!first || !second) return false;
+  return first[0] < second[1] && second[0] < first[1];
+}
+
+/**
+ * The patient's active appointment that clashes with the given time, if any.
+ * @param {object} [options.excludeId] - the appointment being moved
+ */
+export async function findPatientConflict(patientId, date, time, endTime, { excludeId } = {}) {
+  const filter = { patientId, date, status: { $in: ACTIVE_STATUSES } };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const others = await Appointment.find(filter).populate('doctorId', 'name');
+  return others.find(a => appointmentsOverlap(a, { time, endTime })) || null;
+}
+
+/**
+ * Put a booked appointment into its room queue with today's next token and
+ * tell the nurses the patient has arrived.
+ * @returns {Promise<string>} the token number
+ */
+export async function checkInToQueue(appointment, { patient, doctor }) {
+  let queue = await Queue.findOne({ roomNo: appointment.roomNo });
+  if (!queue) {
+    queue = new Queue({
+      doctorId: doctor._id,
+      roomNo: appointment.roomNo,
+      doctorName: doctor.name,
+      department: doctor.department,
+      status: 'active',
+      patients: [],
+    });
+  }
+
+  // Token numbers restart each day
+  const dailyTokenCounter = getDailyTokenNumber(queue.patients);
+  const tokenNo = generateOPDToken(appointment.roomNo, dailyTokenCounter);
+  console.log('🎫 [BACKEND] Daily token counter:', dailyTokenCounter, '| Token:', tokenNo);
+
+  queue.patients.push({
+    appointmentId: appointment._id,
+    tokenNo,
+    patientNo: patient.patientNo,
+    patientName: `${patient.firstName} ${patient.lastName}`,
+    forceNo: patient.forceNo,
+    patientId: patient._id,
+    status: 'waiting',
+    position: queue.patients.length,
+  });
+  await queue.save();
+
+  appointment.checkedInAt = new Date();
+  await appointment.save();
+  console.log('✅ [BACKEND] Patient added to queue for room:', appointment.roomNo, '| Token:', tokenNo);
+
+  const nurses = await User.find({ role: 'nurse', status: 'active' });
+  console.log('🔔 [BACKEND] Notifying', nurses.length, 'nurses about patient arrival');
+  for (const nurse of nurses) {
+    await Notification.create({
+      userId: nurse._id,
+      type: 'appointment_created',
+      title: 'New Patient Arrival',
+      message: `Patient ${patient.firstName} ${patient.lastName} (MR: ${patient.patientNo}) arrived for consultation with Dr. ${doctor.name}. Please record vitals.`,
+      relatedId: appointment._id,
+      relatedType: 'appointment',
+      actionUrl: `/nurse/vitals/${appointment._id}`,
+    });
+  }
+
+  return tokenNo;
+}
+
+/**
+ * Take an appointment out of its room queue. If it was the patient being
+ * served, the next one is called.
+ * @returns {Promise<boolean>} whether it was in the queue
+ */
+export async function removeFromQueue(appointment) {
+  const queue = await Queue.findOne({ roomNo: appointment.roomNo });
+  if (!queue) return false;
+
+  const index = queue.patients.findIndex(p => p.appointmentId?.toString() === appointment._id.toString());
+  if (index === -1) return false;
+
+  const [removed] = queue.patients.splice(index, 1);
+  console.log('🗑️ [BACKEND] Removed', removed.patientName, 'from queue for room:', appointment.roomNo);
+  if (queue.patients.length === 0) {
+    queue.currentToken = null;
+    queue.currentPatientIndex = 0;
+  } else if (index === 0) {
+    queue.patients[0].status = 'serving';
+    queue.currentToken = queue.patients[0].tokenNo;
+    queue.currentPatientIndex = 0;
+  }
+  await queue.save();
+  return true;
+}
+
+// Where the appointment is, for its change history
+export const placement = (appointment) => ({
+  date: appointment.date,
+  time: appointment.time,
+  doctorId: appointment.doctorId?._id || appointment.doctorId,
+  roomNo: appointment.roomNo,
+});
+
+export const getLateCancelHours = () => {
+  const hours = Number(process.env.APPOINTMENT_LATE_CANCEL_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours : 24;
+};
+
+// Server-local start of the appointment
+export function appointmentStart({ date, time }) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day, 0, toMinutes(time) ?? 0);
+}
+
+/**
+ * How much notice a cancellation gives. It is late when made less than
+ * APPOINTMENT_LATE_CANCEL_HOURS (default 24) before the appointment.
+ * @returns {{ noticeHours: number, late: boolean }}
+ */
+export function cancellationNotice(appointment, at = new Date()) {
+  const hours = (appointmentStart(appointment) - at) / (60 * 60 * 1000);
+  return { noticeHours: Math.round(hours * 10) / 10, late: hours < getLateCancelHours() };
+}
+
+/**
+ * Cancellations per patient between two dates (by when they were cancelled),
+ * most late cancellations first. Patients without a late one are left out
+ * unless `includeOnTime` is set.
+ * @param {Date} from
+ * @param {Date} to - exclusive
+ */
+export async function buildLateCancellationReport({ from, to, includeOnTime = false }) {
+  const groups = await Appointment.aggregate([
+    { $match: { status: 'cancelled', 'cancellation.at': { $gte: from, $lt: to } } },
+    { $sort: { 'cancellation.at': -1 } },
+    {
+      $group: {
+        _id: '$patientId',
+        cancellations: { $sum: 1 },
+        late: { $sum: { $cond: ['$cancellation.late', 1, 0] } },
+        lastCancelledAt: { $max: '$cancellation.at' },
+        appointments: {
+          $push: {
+            appointmentNo: '$appointmentNo',
+            date: '$date',
+            time: '$time',
+            doctorId: '$doctorId',
+            cancelledAt: '$cancellation.at',
+            noticeHours: '$cancellation.noticeHours',
+            late: '$cancellation.late',
+            reason: '$cancellation.reason',
+          },
+        },
+      },
+    },
+    ...(includeOnTime ? [] : [{ $match: { late: { $gt: 0 } } }]),
+    { $sort: { late: -1, cancellations: -1, lastCancelledAt: -1 } },
+  ]);
+
+  const patients = await Patient.find({ _id: { $in: groups.map(g => g._id) } })
+    .select('firstName lastName patientNo patientType phone').lean();
+  const byId = new Map(patients.map(p => [String(p._id), p]));
+
+  return groups.map(g => {
+    const patient = byId.get(String(g._id));
+    return {
+      patientId: g._id,
+      patientNo: patient?.patientNo,
+      patientName: patient ? `${patient.firstName} ${patient.lastName}` : 'Unknown',
+      patientType: patient?.patientType,
+      phone: patient?.phone || '',
+      cancellations: g.cancellations,
+      lateCancellations: g.late,
+      lastCancelledAt: g.lastCancelledAt,
+      appointments: g.appointments,
+    };
+  });
+}
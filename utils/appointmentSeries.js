@@ -0,0 +1,271 @@
+import Appointment from '../models/Appointment.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
+import { nextSequence } from './sequence.js';
+import { reserveRosterSession, slotKey, isValidDate, isValidTime, dayOfWeek, localDate } from './roster.js';
+import { findPatientConflict, ACTIVE_STATUSES } from './appointmentBooking.js';
+import { addToDate } from './followUps.js';
+
+/**
+ * Recurring appointment series, for clinics that see a patient in the same
+ * slot every day, week or month.
+ *
+ * A series is a rule (frequency and interval, with weekdays for weekly ones),
+ * a start date and an end date or visit count. Every visit is booked as an
+ * ordinary appointment when the series is created, so slots, queues, invoices
+ * and the end-of-day closing work as they do for single bookings. Dates the
+ * rule gives that were skipped, could not be booked, or were later moved or
+ * cancelled on their own are kept as exceptions on the series.
+ */
+
+export const SERIES_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+// What an edit or cancellation of one visit applies to
+export const EDIT_SCOPES = ['this', 'following', 'all'];
+export const MAX_OCCURRENCES = 52;
+const MAX_SERIES_DAYS = 365;
+const MAX_INTERVAL = 12;
+
+/**
+ * The dates a series rule gives, in order. Exceptions are not applied: a
+ * skipped date still counts towards `count`.
+ */
+export function expandOccurrences({ rule, startDate, until, count }) {
+  const last = until || addToDate(startDate, { value: MAX_SERIES_DAYS, unit: 'days' });
+  // One over the cap, so callers can tell a rule asks for too many visits
+  const limit = count || MAX_OCCURRENCES + 1;
+  const interval = rule.interval || 1;
+  const dates = [];
+
+  for (let step = 0; dates.length < limit; step++) {
+    if (rule.frequency === 'weekly') {
+      // Sunday of the step's week
+      const weekStart = addToDate(startDate, { value: step * interval * 7 - dayOfWeek(startDate), unit: 'days' });
+      if (weekStart > last) break;
+      for (const day of rule.daysOfWeek) {
+        const date = addToDate(weekStart, { value: day, unit: 'days' });
+        if (date >= startDate && date <= last && dates.length < limit) dates.push(date);
+      }
+    } else {
+      // Months are counted from the start, so the 31st stays the 31st where it can
+      const date = addToDate(startDate, { value: step * interval, unit: rule.frequency === 'daily' ? 'days' : 'months' });
+      if (date > last) break;
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Validate a series from a request body: { time, frequency, interval?,
+ * daysOfWeek?, startDate, until? | count?, skip? }.
+ * @returns {{ series?: object, dates?: string[], error?: string }} dates are the visits to book
+ */
+export function normalizeSeries(body, { today = localDate() } = {}) {
+  const { time, frequency, startDate, until } = body;
+  if (!isValidTime(time)) return { error: 'time must be HH:mm (24-hour)' };
+  if (!SERIES_FREQUENCIES.includes(frequency)) {
+    return { error: `frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}` };
+  }
+  const interval = body.interval === undefined ? 1 : Number(body.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `interval must be a whole number from 1 to ${MAX_INTERVAL}` };
+  }
+  if (!isValidDate(startDate)) return { error: 'startDate must be YYYY-MM-DD' };
+  if (startDate < today) return { error: 'A series cannot start in the past' };
+
+  let daysOfWeek;
+  if (frequency === 'weekly') {
+    daysOfWeek = body.daysOfWeek === undefined ? [dayOfWeek(startDate)] : body.daysOfWeek;
+    if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 || !daysOfWeek.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return { error: 'daysOfWeek must list weekdays from 0 (Sunday) to 6 (Saturday)' };
+    }
+    daysOfWeek = [...new Set(daysOfWeek)].sort((a, b) => a - b);
+  } else if (body.daysOfWeek !== undefined) {
+    return { error: 'daysOfWeek only applies to weekly series' };
+  }
+
+  const hasCount = body.count !== undefined && body.count !== null;
+  if (Boolean(until) === hasCount) return { error: 'Give either until (YYYY-MM-DD) or count' };
+  const count = hasCount ? Number(body.count) : null;
+  if (hasCount && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    return { error: `count must be a whole number from 1 to ${MAX_OCCURRENCES}` };
+  }
+  if (until) {
+    if (!isValidDate(until) || until < startDate) return { error: 'until must be YYYY-MM-DD on or after startDate' };
+    if (until > addToDate(startDate, { value: MAX_SERIES_DAYS, unit: 'days' })) {
+      return { error: `A series can run for at most ${MAX_SERIES_DAYS} days` };
+    }
+  }
+
+  const series = { time, rule: { frequency, interval, daysOfWeek }, startDate, until: until || null, count };
+  const ruleDates = expandOccurrences(series);
+  if (ruleDates.length > MAX_OCCURRENCES) {
+    return { error: `This rule gives more than ${MAX_OCCURRENCES} visits; end the series sooner` };
+  }
+  if (hasCount && ruleDates.length < count) {
+    return { error: `A series can run for at most ${MAX_SERIES_DAYS} days; only ${ruleDates.length} visits fit` };
+  }
+
+  const skip = body.skip || [];
+  if (!Array.isArray(skip)) return { error: 'skip must be a list of dates' };
+  const notInSeries = skip.find(d => !ruleDates.includes(d));
+  if (notInSeries) return { error: `${notInSeries} is not a date of this series` };
+  const dates = ruleDates.filter(d => !skip.includes(d));
+  if (dates.length === 0) return { error: 'Every date of the series is skipped' };
+
+  return { series: { ...series, skip: [...new Set(skip)] }, dates };
+}
+
+/**
+ * Find the slot for one visit on `date`. Nothing is written.
+ * @param {string} [options.defaultRoomNo] - room when neither `roomNo` nor a roster session gives one
+ * @param {object} [options.held] - the visit's current slot, when moving it (see getDaySlots)
+ * @param {object} [options.excludeId] - the visit itself, when moving it
+ * @returns {Promise<object>} appointment fields, or { error, status }
+ */
+export async function planOccurrence({ patientId, doctorId, roomNo, date, time }, { defaultRoomNo, held, excludeId } = {}) {
+  const reservation = await reserveRosterSession(doctorId, date, time, { held });
+  if (reservation.error) return { error: reservation.error, status: reservation.status };
+  const { session, slot } = reservation;
+
+  const room = roomNo || session?.roomNo || defaultRoomNo;
+  if (!room) return { error: 'The doctor has no room for this time', status: 400 };
+
+  const start = slot?.time || time;
+  const conflict = await findPatientConflict(patientId, date, start, slot?.endTime, { excludeId });
+  if (conflict) {
+    return {
+      error: `Patient already has appointment ${conflict.appointmentNo} at ${conflict.time} with Dr. ${conflict.doctorId?.name || 'unknown'} on ${date}`,
+      status: 409,
+    };
+  }
+
+  return {
+    date,
+    time: start,
+    endTime: slot?.endTime || null,
+    roomNo: room,
+    sessionStart: session?.startTime || null,
+    slotKey: slot ? slotKey(doctorId, date, slot.time) : undefined,
+  };
+}
+
+/**
+ * Book the visits of a saved series. Dates that can't be booked are recorded
+ * on the series as unavailable; the caller saves the series.
+ * @returns {Promise<{ booked: object[], unavailable: { date: string, reason: string }[] }>}
+ */
+export async function bookOccurrences(series, dates) {
+  const booked = [];
+  const unavailable = [];
+
+  for (const date of dates) {
+    const plan = await planOccurrence({ ...series.toObject(), date });
+    if (plan.error) {
+      unavailable.push({ date, reason: plan.error });
+      continue;
+    }
+    const appointment = new Appointment({
+      ...plan,
+      appointmentNo: await nextSequence('appointment'),
+      patientId: series.patientId,
+      doctorId: series.doctorId,
+      status: 'scheduled',
+      reason: series.reason,
+      seriesId: series._id,
+      occurrenceDate: date,
+    });
+    try {
+      await appointment.save();
+    } catch (saveErr) {
+      if (saveErr.code === 11000 && saveErr.keyPattern?.slotKey) {
+        unavailable.push({ date, reason: `The ${plan.time} slot was just booked` });
+        continue;
+      }
+      throw saveErr;
+    }
+    booked.push(appointment);
+  }
+
+  for (const { date, reason } of unavailable) series.exceptions.push({ date, kind: 'unavailable', reason });
+  return { booked, unavailable };
+}
+
+/**
+ * Record that one visit was moved or cancelled on its own. Replaces any
+ * earlier exception for the same date.
+ */
+export function recordException(series, appointment, { kind, reason, userId }) {
+  const date = appointment.occurrenceDate || appointment.date;
+  series.exceptions = series.exceptions.filter(e => e.date !== date);
+  series.exceptions.push({ date, kind, appointmentId: appointment._id, reason, by: userId });
+}
+
+/**
+ * Open visits a "following" or "all" change applies to: not yet passed and,
+ * for "following", from `fromDate` on by rule date. With `skipMoved`, visits
+ * moved on their own keep their placement, except `keepId`.
+ */
+export async function findSeriesTargets(series, { fromDate, skipMoved = false, keepId, today = localDate() } = {}) {
+  const filter = { seriesId: series._id, status: { $in: ACTIVE_STATUSES }, date: { $gte: today } };
+  if (fromDate) filter.occurrenceDate = { $gte: fromDate };
+  const visits = await Appointment.find(filter).sort({ occurrenceDate: 1 });
+  if (!skipMoved) return visits;
+
+  const moved = new Set(series.exceptions.filter(e => e.kind === 'moved').map(e => String(e.appointmentId)));
+  return visits.filter(v => String(v._id) === String(keepId) || !moved.has(String(v._id)));
+}
+
+/**
+ * Split a series so changes can apply from `fromDate` on. The earlier part
+ * keeps its number and ends the day before; the later part is a new series
+ * that takes over the visits from `fromDate`. When `fromDate` is the first
+ * date the series itself is returned.
+ * @returns {Promise<object>} the series that holds the visits from `fromDate`
+ */
+export async function splitSeries(series, fromDate) {
+  const ruleDates = expandOccurrences(series);
+  const earlier = ruleDates.filter(d => d < fromDate).length;
+  if (earlier === 0) return series;
+
+  const later = new AppointmentSeries({
+    seriesNo: await nextSequence('series'),
+    patientId: series.patientId,
+    doctorId: series.doctorId,
+    roomNo: series.roomNo,
+    time: series.time,
+    reason: series.reason,
+    rule: series.rule,
+    startDate: fromDate,
+    until: series.until,
+    count: series.count ? series.count - earlier : null,
+    exceptions: series.exceptions.filter(e => e.date >= fromDate),
+    splitFrom: series._id,
+    createdBy: series.createdBy,
+  });
+  await later.save();
+
+  series.until = addToDate(fromDate, { value: -1, unit: 'days' });
+  series.count = null;
+  series.exceptions = series.exceptions.filter(e => e.date < fromDate);
+  await series.save();
+
+  await Appointment.updateMany(
+    { seriesId: series._id, occurrenceDate: { $gte: fromDate } },
+    { $set: { seriesId: later._id } }
+  );
+  return later;
+}
+
+/**
+ * End a series before `fromDate`, or cancel it if nothing is left.
+ */
+export function endSeriesBefore(series, fromDate) {
+  const earlier = expandOccurrences(series).filter(d => d < fromDate).length;
+  if (earlier === 0) {
+    series.status = 'cancelled';
+    return;
+  }
+  series.until = addToDate(fromDate, { value: -1, unit: 'days' });
+  series.count = null;
+  series.exceptions = series.exceptions.filter(e => e.date < fromDate);
+}
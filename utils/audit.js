@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { getClientIp } from './sessionHelper.js';
+
+/**
+ * Audit trail helpers.
+ *
+ * Routes call recordAudit() explicitly after a successful write, passing plain
+ * before/after snapshots; only the fields that changed are stored.
+ */
+
+// Never copied into the audit log
+const REDACTED_FIELDS = ['password', 'passwordHistory', 'twoFactor', 'tokenHash', 'refreshTokenHash'];
+// Bookkeeping and derived fields (e.g. patient search keys)
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'searchKeys'];
+const REDACTED = '[redacted]';
+
+/**
+ * Plain-object copy of a document (or null), suitable for diffing.
+ */
+export const toAuditSnapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const normalizeValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+/**
+ * Field-level diff of two snapshots. Nested objects are compared by dotted
+ * path; arrays are compared as a whole.
+ * @returns {{ field: string, before: any, after: any }[]}
+ */
+export function diffFields(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+    const field = prefix ? `${prefix}.${key}` : key;
+    const oldValue = normalizeValue(before?.[key]);
+    const newValue = normalizeValue(after?.[key]);
+
+    if (REDACTED_FIELDS.includes(key)) {
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({ field, before: REDACTED, after: REDACTED });
+      }
+      continue;
+    }
+
+    if (isPlainObject(oldValue) && isPlainObject(newValue)) {
+      changes.push(...diffFields(oldValue, newValue, field));
+      continue;
+    }
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, before: oldValue, after: newValue });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Append an audit entry. Never throws: a failed audit write is logged, not
+ * surfaced to the client, since the audited change has already been saved.
+ */
+export async function recordAudit(req, { entityType, entityId, entityRef = '', action, before = null, after = null, summary = '' }) {
+  try {
+    const changes = diffFields(toAuditSnapshot(before), toAuditSnapshot(after));
+    // Saves that changed nothing aren't worth an entry
+    if (action === 'update' && changes.length === 0 && !summary) return null;
+
+    return await AuditLog.create({
+      actorId: req.user?.id,
+      actorName: req.user?.name || '',
+      actorEmail: req.user?.email || '',
+      actorRole: req.user?.role || '',
+      ip: getClientIp(req),
+      userAgent: req.headers['user-agent'] || '',
+      entityType,
+      entityId,
+      entityRef,
+      action,
+      changes,
+      summary,
+      method: req.method,
+      path: req.originalUrl,
+    });
+  } catch (err) {
+    console.error(`❌ [AUDIT] Failed to record ${action} on ${entityType} ${entityId}:`, err.message);
+    return null;
+  }
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per audit entry; changes are flattened into "field: before → after" lines.
+ */
+export function auditLogsToCsv(entries) {
+  const header = ['timestamp', 'actor', 'actorEmail', 'actorRole', 'ip', 'entityType', 'entityId', 'entityRef', 'action', 'summary', 'changes'];
+  const rows = entries.map(e => [
+    e.createdAt instanceof Date ? e.createdAt.toISOString() : e.createdAt,
+    e.actorName,
+    e.actorEmail,
+    e.actorRole,
+    e.ip,
+    e.entityType,
+    String(e.entityId),
+    e.entityRef,
+    e.action,
+    e.summary,
+    (e.changes || [])
+      .map(c => `${c.field}: ${JSON.stringify(c.before ?? null)} → ${JSON.stringify(c.after ?? null)}`)
+      .join('\n'),
+  ].map(csvCell).join(','));
+  return [header.join(','), ...rows].join('\n');
+}
@@ -0,0 +1,190 @@
+import ChartAccess from '../models/ChartAccess.js';
+import Appointment from '../models/Appointment.js';
+import Prescription from '../models/Prescription.js';
+import Vitals from '../models/Vitals.js';
+import CareNote from '../models/CareNote.js';
+import WardPatient from '../models/WardPatient.js';
+import Notification from '../models/Notification.js';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { getRolePermissions } from './permissions.js';
+import { getClientIp } from './sessionHelper.js';
+
+/**
+ * Who may read a patient's chart, and the log of every read.
+ *
+ * Access is granted, in order, by:
+ *   1. the chart:unrestricted permission (departmental roles), or for the
+ *      administrative parts of the chart chart:administrative (front desk, billing),
+ *   2. a care relationship with the patient (see hasCareRelationship),
+ *   3. an open break-glass window for this user and patient,
+ *   4. a new break-glass request carrying a reason in the X-Break-Glass-Reason header,
+ *      which alerts everyone who can read the audit trail.
+ */
+
+export const BREAK_GLASS_HEADER = 'x-break-glass-reason';
+// Resources chart:administrative opens: who the patient is, their bookings and bills
+export const ADMINISTRATIVE_RESOURCES = ['profile', 'appointments', 'invoices'];
+export const MIN_BREAK_GLASS_REASON_LENGTH = 10;
+
+const getCareWindowDays = () => Number(process.env.CARE_RELATIONSHIP_DAYS) || 90;
+const getBreakGlassWindowMinutes = () => Number(process.env.BREAK_GLASS_WINDOW_MINUTES) || 60;
+
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * True when the user is treating the patient: they have an appointment with
+ * them, wrote a prescription, recorded vitals or care notes recently, or the
+ * patient is on a ward / in today's OPD and the user works that area.
+ */
+export async function hasCareRelationship(userId, role, patientId) {
+  const since = new Date(Date.now() - getCareWindowDays() * 24 * 60 * 60 * 1000);
+  const permissions = await getRolePermissions(role);
+
+  const checks = [
+    Appointment.exists({
+      doctorId: userId,
+      patientId,
+      $or: [{ status: { $in: ['scheduled', 'vitals_recorded'] } }, { updatedAt: { $gte: since } }],
+    }),
+    Prescription.exists({ doctorId: userId, patientId, createdAt: { $gte: since } }),
+    Vitals.exists({ nurseId: userId, patientId, createdAt: { $gte: since } }),
+    CareNote.exists({ nurseId: userId, patientId, createdAt: { $gte: since } }),
+    WardPatient.exists({ patientId, doctorId: userId, status: 'admitted' }),
+  ];
+  if (permissions.has('ward:read')) {
+    checks.push(WardPatient.exists({ patientId, status: 'admitted' }));
+  }
+  if (permissions.has('vitals:record')) {
+    // OPD triage: patients booked for today
+    checks.push(Appointment.exists({ patientId, date: todayString(), status: { $in: ['scheduled', 'vitals_recorded'] } }));
+  }
+
+  const results = await Promise.all(checks);
+  return results.some(Boolean);
+}
+
+/**
+ * @returns {object|null} the break-glass entry that opened a still-open window
+ */
+export async function findOpenBreakGlass(userId, patientId) {
+  const since = new Date(Date.now() - getBreakGlassWindowMinutes() * 60 * 1000);
+  return ChartAccess.findOne({
+    userId,
+    patientId,
+    accessType: 'break_glass',
+    breakGlassStart: true,
+    createdAt: { $gte: since },
+  }).sort({ createdAt: -1 });
+}
+
+async function notifyBreakGlass(req, patientId, reason) {
+  const roles = await Role.find({ permissions: 'audit:read' }).distinct('name');
+  const reviewers = await User.find({
+    role: { $in: roles.length > 0 ? roles : ['admin'] },
+    status: 'active',
+    _id: { $ne: req.user.id },
+  }).select('_id');
+
+  for (const reviewer of reviewers) {
+    await Notification.create({
+      userId: reviewer._id,
+      type: 'break_glass_access',
+      title: 'Break-glass chart access',
+      message: `${req.user.name || req.user.email} (${req.user.role}) opened a patient chart without a care relationship. Reason: ${reason}`,
+      relatedId: patientId,
+      relatedType: 'patient',
+      actionUrl: `/admin/patients/${patientId}/access-log`,
+    });
+  }
+  console.warn(`🚨 [CHART] Break-glass by ${req.user.email} on patient ${patientId}: ${reason}`);
+}
+
+/**
+ * The access a role has to `resource` of every chart without a care
+ * relationship: 'unrestricted', 'administrative' or null.
+ */
+export function roleChartAccess(permissions, resource) {
+  if (permissions.has('chart:unrestricted')) return 'unrestricted';
+  if (permissions.has('chart:administrative') && ADMINISTRATIVE_RESOURCES.includes(resource)) return 'administrative';
+  return null;
+}
+
+/**
+ * Decide whether the current user may read this patient's data.
+ * @returns {{ accessType, reason?, breakGlassStart? } | { denied: true, message: string }}
+ */
+export async function authorizeChartAccess(req, patientId, resource) {
+  const permissions = await getRolePermissions(req.user.role);
+  const roleAccess = roleChartAccess(permissions, resource);
+  if (roleAccess) {
+    return { accessType: roleAccess };
+  }
+
+  if (await hasCareRelationship(req.user.id, req.user.role, patientId)) {
+    return { accessType: 'care_relationship' };
+  }
+
+  const openWindow = await findOpenBreakGlass(req.user.id, patientId);
+  if (openWindow) {
+    return { accessType: 'break_glass', reason: openWindow.reason };
+  }
+
+  const reason = String(req.headers[BREAK_GLASS_HEADER] || '').trim();
+  if (!reason) {
+    return {
+      denied: true,
+      message: 'You have no care relationship with this patient. Provide a reason in the X-Break-Glass-Reason header for emergency access.',
+    };
+  }
+  if (reason.length < MIN_BREAK_GLASS_REASON_LENGTH) {
+    return { denied: true, message: `Break-glass reason must be at least ${MIN_BREAK_GLASS_REASON_LENGTH} characters` };
+  }
+
+  await notifyBreakGlass(req, patientId, reason);
+  return { accessType: 'break_glass', reason, breakGlassStart: true };
+}
+
+/**
+ * Record a chart read. Never throws, so logging problems don't block care.
+ */
+export async function logChartAccess(req, { patientId, resource, accessType, reason = '', breakGlassStart = false }) {
+  try {
+    await ChartAccess.create({
+      userId: req.user.id,
+      userName: req.user.name || '',
+      userRole: req.user.role || '',
+      patientId,
+      resource,
+      path: req.originalUrl,
+      ip: getClientIp(req),
+      accessType,
+      reason,
+      breakGlassStart,
+    });
+  } catch (err) {
+    console.error(`❌ [CHART] Failed to log access to patient ${patientId}:`, err.message);
+  }
+}
+
+/**
+ * Record one read per patient for a list spanning many patients. Never throws.
+ */
+export async function logChartListAccess(req, patientIds, { resource, accessType }) {
+  const unique = [...new Set(patientIds.filter(Boolean).map(String))];
+  if (unique.length === 0) return;
+  try {
+    await ChartAccess.insertMany(unique.map(patientId => ({
+      userId: req.user.id,
+      userName: req.user.name || '',
+      userRole: req.user.role || '',
+      patientId,
+      resource,
+      path: req.originalUrl,
+      ip: getClientIp(req),
+      accessType,
+    })));
+  } catch (err) {
+    console.error(`❌ [CHART] Failed to log list access (${resource}, ${unique.length} patients):`, err.message);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Minimal RFC 4180 CSV reader for admin imports.
+ *
+ * Handles quoted fields (with embedded commas, quotes and line breaks), CRLF
+ * line endings and a UTF-8 byte-order mark. Header names are normalised to
+ * lowercase letters and digits, so "Force No", "force_no" and "FORCENO" are
+ * all read as "forceno".
+ */
+
+export const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split CSV text into records of raw cell strings, with the line each starts on.
+ * @returns {Array<{ line: number, cells: string[] }>}
+ */
+export function parseCsvRecords(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    // Lines with nothing on them are skipped
+    if (cells.length > 1 || cells[0].trim() !== '') records.push({ line: recordLine, cells });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || cells.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by normalised header.
+ * @returns {{ headers: string[], rows: Array<{ line: number, values: object }> }}
+ */
+export function parseCsv(text) {
+  const [headerRecord, ...records] = parseCsvRecords(text);
+  if (!headerRecord) return { headers: [], rows: [] };
+
+  const headers = headerRecord.cells.map(normalizeHeader);
+  const rows = records.map(({ line, cells }) => ({
+    line,
+    values: Object.fromEntries(headers.map((h, i) => [h, (cells[i] ?? '').trim()])),
+  }));
+  return { headers, rows };
+}
+
+/**
+ * Which header each field is read from: the first of its accepted spellings
+ * present in the file.
+ * @param {string[]} headers - normalised headers
+ * @param {object} columns - field -> accepted spellings, after normalizeHeader
+ * @returns {object} field -> header, undefined when the file has none
+ */
+export const resolveColumns = (headers, columns) =>
+  Object.fromEntries(Object.entries(columns).map(([field, names]) => [field, names.find(n => headers.includes(n))]));
+
+/**
+ * Read a date cell: YYYY-MM-DD, or DD/MM/YYYY (and DD-MM-YYYY) as written locally.
+ * @returns {Date|null|undefined} undefined for an empty cell, null when unreadable
+ */
+export function parseCsvDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return undefined;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let year; let month; let day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (!match) return null;
+    [, day, month, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
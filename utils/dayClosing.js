@@ -0,0 +1,234 @@
+import Appointment from '../models/Appointment.js';
+import Queue from '../models/Queue.js';
+import Patient from '../models/Patient.js';
+import User from '../models/User.js';
+import Vitals from '../models/Vitals.js';
+import Prescription from '../models/Prescription.js';
+import { ACTIVE_STATUSES } from './appointmentBooking.js';
+import { localDate } from './roster.js';
+
+/**
+ * End-of-day closing.
+ *
+ * Once a day is over, every appointment still open on it is settled. If the
+ * patient came (checked in, had vitals taken or was prescribed for), it is
+ * completed; otherwise it is a no-show, which gives its slot back and counts
+ * against the patient and the doctor. Appointments already completed are
+ * left as they are, and so are tentative follow-ups, which have not been
+ * booked yet. Queue entries from earlier days are then cleared.
+ */
+
+// How many past days the startup run looks back over for days left open
+const CATCH_UP_DAYS = 7;
+
+/**
+ * What an open appointment becomes when its day closes.
+ * @param {object} appointment
+ * @param {Set<string>} seen - ids of appointments with a queue entry, vitals or a prescription
+ * @returns {'completed' | 'no-show'}
+ */
+export function closingOutcome(appointment, seen) {
+  const attended = Boolean(appointment.checkedInAt)
+    || appointment.status === 'vitals_recorded'
+    || seen.has(String(appointment._id));
+  return attended ? 'completed' : 'no-show';
+}
+
+/**
+ * Add `delta` (1 or -1) to the no-show counters of an appointment's patient
+ * and doctor. Used by the closing and when staff mark or unmark a no-show.
+ */
+export async function countNoShow(appointment, delta = 1) {
+  const update = { $inc: { 'attendance.noShows': delta } };
+  if (delta > 0) update.$max = { 'attendance.lastNoShowDate': appointment.date };
+  await Promise.all([
+    Patient.updateOne({ _id: appointment.patientId?._id || appointment.patientId }, update),
+    User.updateOne({ _id: appointment.doctorId?._id || appointment.doctorId }, update),
+  ]);
+}
+
+/**
+ * Remove queue entries added before `before`, the way the midnight reset
+ * used to empty the queues, but leaving today's patients in place.
+ * @returns {Promise<number>} entries removed
+ */
+export async function clearStaleQueueEntries(before) {
+  const queues = await Queue.find({ 'patients.0': { $exists: true } });
+  let removed = 0;
+  for (const queue of queues) {
+    const kept = queue.patients.filter(p => p.createdAt && new Date(p.createdAt) >= before);
+    if (kept.length === queue.patients.length) continue;
+    removed += queue.patients.length - kept.length;
+    queue.patients = kept;
+    if (kept.length === 0) {
+      queue.currentToken = null;
+      queue.currentPatientIndex = 0;
+    } else if (!kept.some(p => p.status === 'serving')) {
+      queue.currentPatientIndex = 0;
+    }
+    await queue.save();
+  }
+  return removed;
+}
+
+/**
+ * Settle the open appointments on one day, which must be before today.
+ * @returns {Promise<{ date: string, completed: number, noShows: number }>}
+ */
+export async function closeAppointmentDay(date) {
+  const open = await Appointment.find({ date, status: { $in: ACTIVE_STATUSES } });
+  const result = { date, completed: 0, noShows: 0 };
+  if (open.length === 0) return result;
+
+  const ids = open.map(a => a._id);
+  const [queues, vitals, prescriptions] = await Promise.all([
+    Queue.find({ 'patients.appointmentId': { $in: ids } }).select('patients.appointmentId patients.status').lean(),
+    Vitals.find({ appointmentId: { $in: ids } }).select('appointmentId').lean(),
+    Prescription.find({ appointmentId: { $in: ids } }).select('appointmentId').lean(),
+  ]);
+  const seen = new Set([
+    ...queues.flatMap(q => q.patients.filter(p => p.appointmentId && p.status !== 'skipped').map(p => String(p.appointmentId))),
+    ...vitals.map(v => String(v.appointmentId)),
+    ...prescriptions.map(p => String(p.appointmentId)),
+  ]);
+
+  const at = new Date();
+  for (const appointment of open) {
+    const outcome = closingOutcome(appointment, seen);
+    // Only the first closing of an appointment counts, even if two runs overlap
+    const { modifiedCount } = await Appointment.updateOne(
+      { _id: appointment._id, status: appointment.status },
+      {
+        $set: { status: outcome, closure: { at, attended: outcome === 'completed' } },
+        ...(outcome === 'no-show' && { $unset: { slotKey: '' } }),
+      }
+    );
+    if (modifiedCount === 0) continue;
+    if (outcome === 'no-show') {
+      await countNoShow(appointment);
+      result.noShows++;
+    } else {
+      result.completed++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Close every day with open appointments from `from` up to (not including)
+ * today, then clear yesterday's queues.
+ * @param {string} [options.from] - first day to close; default CATCH_UP_DAYS ago
+ * @param {string} [options.through] - last day to close, before today; default yesterday
+ */
+export async function runDayClosing({ from, through } = {}) {
+  const today = localDate();
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  const last = through || localDate(yesterday);
+  const earliest = new Date();
+  earliest.setDate(earliest.getDate() - CATCH_UP_DAYS);
+  const first = from || localDate(earliest);
+  if (last >= today) throw new Error('Only days before today can be closed');
+
+  const dates = await Appointment.distinct('date', {
+    date: { $gte: first, $lte: last },
+    status: { $in: ACTIVE_STATUSES },
+  });
+  const days = [];
+  for (const date of dates.sort()) {
+    days.push(await closeAppointmentDay(date));
+  }
+
+  const todayStart = new Date();
+  todayStart.setHours(0, 0, 0, 0);
+  const clearedQueueEntries = await clearStaleQueueEntries(todayStart);
+
+  return {
+    days,
+    completed: days.reduce((sum, d) => sum + d.completed, 0),
+    noShows: days.reduce((sum, d) => sum + d.noShows, 0),
+    clearedQueueEntries,
+  };
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * No-show rate over the appointments that were due to happen (completed or
+ * missed); cancellations are counted but not part of the rate.
+ */
+export const attendanceRates = (tally) => ({
+  ...tally,
+  noShowRate: percent(tally.noShows, tally.completed + tally.noShows),
+});
+
+// Counts of each outcome, grouped by `id` (null for one overall group)
+const tallyGroup = (id) => ({
+  $group: {
+    _id: id,
+    completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+    noShows: { $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] } },
+    cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+    lateCancellations: { $sum: { $cond: [{ $eq: ['$cancellation.late', true] }, 1, 0] } },
+    lastNoShowDate: { $max: { $cond: [{ $eq: ['$status', 'no-show'] }, '$date', null] } },
+  },
+});
+const tallyOf = ({ completed, noShows, cancelled, lateCancellations }) => ({ completed, noShows, cancelled, lateCancellations });
+
+/**
+ * Attendance for appointments dated between two days (inclusive): overall,
+ * per doctor, and the patients with at least `minNoShows` no-shows, most
+ * first. Each doctor and patient also carries their all-time no-show count.
+ */
+export async function buildAttendanceReport({ from, to, minNoShows = 1 }) {
+  const match = { date: { $gte: from, $lte: to }, status: { $in: ['completed', 'no-show', 'cancelled'] } };
+  const [[overall], doctorRows, patientRows] = await Promise.all([
+    Appointment.aggregate([{ $match: match }, tallyGroup(null)]),
+    Appointment.aggregate([{ $match: match }, tallyGroup('$doctorId')]),
+    Appointment.aggregate([
+      { $match: match },
+      tallyGroup('$patientId'),
+      { $match: { noShows: { $gte: minNoShows } } },
+      { $sort: { noShows: -1, lastNoShowDate: -1 } },
+    ]),
+  ]);
+
+  const [doctors, patients] = await Promise.all([
+    User.find({ _id: { $in: doctorRows.map(r => r._id) } }).select('name department attendance').lean(),
+    Patient.find({ _id: { $in: patientRows.map(r => r._id) } })
+      .select('firstName lastName patientNo patientType phone attendance').lean(),
+  ]);
+  const doctorsById = new Map(doctors.map(d => [String(d._id), d]));
+  const patientsById = new Map(patients.map(p => [String(p._id), p]));
+
+  return {
+    from,
+    to,
+    overall: attendanceRates(overall ? tallyOf(overall) : { completed: 0, noShows: 0, cancelled: 0, lateCancellations: 0 }),
+    byDoctor: doctorRows
+      .map(r => {
+        const doctor = doctorsById.get(String(r._id));
+        return {
+          doctorId: r._id,
+          doctor: doctor?.name || 'Unknown',
+          department: doctor?.department,
+          ...attendanceRates(tallyOf(r)),
+          totalNoShows: doctor?.attendance?.noShows || 0,
+        };
+      })
+      .sort((a, b) => b.noShows - a.noShows),
+    patients: patientRows.map(r => {
+      const patient = patientsById.get(String(r._id));
+      return {
+        patientId: r._id,
+        patientNo: patient?.patientNo,
+        patientName: patient ? `${patient.firstName} ${patient.lastName}` : 'Unknown',
+        patientType: patient?.patientType,
+        phone: patient?.phone || '',
+        ...attendanceRates(tallyOf(r)),
+        lastNoShowDate: r.lastNoShowDate,
+        totalNoShows: patient?.attendance?.noShows || 0,
+      };
+    }),
+  };
+}
@@ -0,0 +1,85 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * File storage for patient documents.
+ *
+ * DOCUMENT_STORAGE selects the backend: 'disk' (default) writes under
+ * DOCUMENT_UPLOAD_DIR (default uploads/documents in the project), 'gridfs'
+ * keeps files in the database's `documents` bucket so they are backed up with
+ * it. Each stored file is described by { backend, key }, and reads go to the
+ * backend the file was written to, so switching backends keeps old files
+ * readable.
+ */
+
+const projectRoot = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const getStorageBackend = () => (process.env.DOCUMENT_STORAGE === 'gridfs' ? 'gridfs' : 'disk');
+
+const getUploadDir = () => path.resolve(projectRoot, process.env.DOCUMENT_UPLOAD_DIR || 'uploads/documents');
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'documents' });
+
+// Keys are generated here, but check anyway that one can't leave the upload directory
+const diskPath = (key) => {
+  const root = getUploadDir();
+  const full = path.resolve(root, key);
+  if (!full.startsWith(root + path.sep)) throw new Error(`Invalid document key: ${key}`);
+  return full;
+};
+
+/**
+ * Store a file.
+ * @param {Buffer} buffer
+ * @param {object} options - extension (with dot), mimeType, metadata for GridFS
+ * @returns {Promise<{ backend: string, key: string, mimeType: string, size: number }>}
+ */
+export async function saveFile(buffer, { extension = '', mimeType, metadata = {} }) {
+  const backend = getStorageBackend();
+
+  if (backend === 'gridfs') {
+    const upload = getBucket().openUploadStream(`${uuidv4()}${extension}`, { metadata: { ...metadata, mimeType } });
+    await new Promise((resolve, reject) => {
+      upload.on('finish', resolve);
+      upload.on('error', reject);
+      upload.end(buffer);
+    });
+    return { backend, key: String(upload.id), mimeType, size: buffer.length };
+  }
+
+  // One folder per month keeps directories small
+  const month = new Date().toISOString().slice(0, 7);
+  const key = `${month}/${uuidv4()}${extension}`;
+  const full = diskPath(key);
+  await fs.promises.mkdir(path.dirname(full), { recursive: true });
+  await fs.promises.writeFile(full, buffer, { flag: 'wx' });
+  return { backend, key, mimeType, size: buffer.length };
+}
+
+/**
+ * Readable stream of a stored file.
+ */
+export function openFile({ backend, key }) {
+  if (backend === 'gridfs') {
+    return getBucket().openDownloadStream(new mongoose.Types.ObjectId(key));
+  }
+  return fs.createReadStream(diskPath(key));
+}
+
+/**
+ * Delete a stored file. Missing files are ignored.
+ */
+export async function removeFile({ backend, key }) {
+  try {
+    if (backend === 'gridfs') {
+      await getBucket().delete(new mongoose.Types.ObjectId(key));
+    } else {
+      await fs.promises.unlink(diskPath(key));
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT' && !/FileNotFound|File not found/i.test(err.message)) throw err;
+  }
+}
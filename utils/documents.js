@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Appointment from '../models/Appointment.js';
+import Prescription from '../models/Prescription.js';
+import LabRequest from '../models/LabRequest.js';
+import RadiologyRequest from '../models/RadiologyRequest.js';
+import Referral from '../models/Referral.js';
+import WardPatient from '../models/WardPatient.js';
+import PatientDocument from '../models/PatientDocument.js';
+import { saveFile, removeFile } from './documentStorage.js';
+
+/**
+ * Patient documents: scanned IDs, consent forms, outside reports and the like.
+ *
+ * Only PDFs and common image formats are accepted, and the file's first bytes
+ * must match its declared type, so a renamed executable can't be stored as a
+ * "scan". Images get a 256px JPEG thumbnail for listings.
+ */
+
+export const DOCUMENT_TYPES = [
+  'cnic', 'consent_form', 'discharge_summary', 'outside_report', 'referral_letter', 'lab_report', 'radiology_image', 'insurance', 'other',
+];
+
+// Encounter type -> model holding it
+export const ENCOUNTER_MODELS = {
+  appointment: Appointment,
+  prescription: Prescription,
+  lab_request: LabRequest,
+  radiology_request: RadiologyRequest,
+  referral: Referral,
+  admission: WardPatient,
+};
+
+// Accepted MIME type -> extension and leading bytes
+export const ALLOWED_FILE_TYPES = {
+  'application/pdf': { extension: '.pdf', magic: [[0x25, 0x50, 0x44, 0x46]] },
+  'image/jpeg': { extension: '.jpg', magic: [[0xff, 0xd8, 0xff]] },
+  'image/png': { extension: '.png', magic: [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]] },
+  'image/webp': { extension: '.webp', magic: [[0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50]] },
+  'image/tiff': { extension: '.tif', magic: [[0x49, 0x49, 0x2a, 0x00], [0x4d, 0x4d, 0x00, 0x2a]] },
+};
+
+export const MAX_TAGS = 10;
+const THUMBNAIL_SIZE = 256;
+
+export const getMaxDocumentBytes = () => (Number(process.env.DOCUMENT_MAX_SIZE_MB) || 20) * 1024 * 1024;
+
+/** True when the buffer starts with the signature of the declared MIME type. */
+export function matchesFileType(buffer, mimeType) {
+  const type = ALLOWED_FILE_TYPES[mimeType];
+  if (!type || !buffer) return false;
+  return type.magic.some(bytes => bytes.length <= buffer.length && bytes.every((b, i) => b === null || buffer[i] === b));
+}
+
+/** Lowercase, de-duplicated tags from an array or a comma-separated string. */
+export function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Validate document fields from a request body (multipart fields are strings).
+ * @param {boolean} partial - only validate the fields present (updates)
+ * @returns {{ value?: object, error?: string }}
+ */
+export function normalizeDocumentInput(body = {}, { partial = false } = {}) {
+  const value = {};
+  if (!partial || body.type !== undefined) {
+    if (!DOCUMENT_TYPES.includes(body.type)) return { error: `type must be one of ${DOCUMENT_TYPES.join(', ')}` };
+    value.type = body.type;
+  }
+  if (body.title !== undefined) {
+    const title = String(body.title || '').trim();
+    if (!title) return { error: 'title cannot be empty' };
+    if (title.length > 200) return { error: 'title must be 200 characters or fewer' };
+    value.title = title;
+  }
+  if (body.tags !== undefined) {
+    const tags = normalizeTags(body.tags);
+    if (tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags` };
+    if (tags.some(t => t.length > 40)) return { error: 'Tags must be 40 characters or fewer' };
+    value.tags = tags;
+  }
+  if (body.encounterType !== undefined || body.encounterId !== undefined) {
+    if (!body.encounterType && !body.encounterId) {
+      value.encounterType = undefined;
+      value.encounterId = undefined;
+    } else if (!ENCOUNTER_MODELS[body.encounterType] || !body.encounterId) {
+      return { error: `encounterType (${Object.keys(ENCOUNTER_MODELS).join(', ')}) and encounterId go together` };
+    } else if (!mongoose.Types.ObjectId.isValid(body.encounterId)) {
+      return { error: 'Invalid encounterId' };
+    } else {
+      value.encounterType = body.encounterType;
+      value.encounterId = body.encounterId;
+    }
+  }
+  return { value };
+}
+
+/**
+ * The encounter, if it exists and belongs to the patient.
+ */
+export async function findEncounter(encounterType, encounterId, patientId) {
+  const model = ENCOUNTER_MODELS[encounterType];
+  if (!model) return null;
+  return model.findOne({ _id: encounterId, patientId }).select('_id').lean();
+}
+
+async function makeThumbnail(buffer) {
+  try {
+    return await sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+  } catch (err) {
+    console.warn('⚠️ [DOCUMENT] Could not make a thumbnail:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Store an uploaded file and its record. The stored files are removed again
+ * if the record can't be saved.
+ * @param {object} upload - multer file: buffer, mimetype, originalname
+ * @param {object} fields - patientId, uploadedBy and normalizeDocumentInput's value
+ */
+export async function createPatientDocument(upload, fields) {
+  const { extension } = ALLOWED_FILE_TYPES[upload.mimetype];
+  const metadata = { patientId: String(fields.patientId) };
+
+  const file = await saveFile(upload.buffer, { extension, mimeType: upload.mimetype, metadata });
+  let thumbnail;
+  try {
+    if (upload.mimetype.startsWith('image/')) {
+      const preview = await makeThumbnail(upload.buffer);
+      if (preview) thumbnail = await saveFile(preview, { extension: '.jpg', mimeType: 'image/jpeg', metadata: { ...metadata, thumbnail: true } });
+    }
+
+    return await PatientDocument.create({
+      ...fields,
+      title: fields.title || upload.originalname,
+      originalName: upload.originalname,
+      sha256: crypto.createHash('sha256').update(upload.buffer).digest('hex'),
+      file,
+      thumbnail,
+    });
+  } catch (err) {
+    await Promise.all([file, thumbnail].filter(Boolean).map(stored => removeFile(stored).catch(() => {})));
+    throw err;
+  }
+}
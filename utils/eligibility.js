@@ -0,0 +1,208 @@
+import EligibilityRecord from '../models/EligibilityRecord.js';
+import EligibilityImport from '../models/EligibilityImport.js';
+import Patient from '../models/Patient.js';
+import { parseCsv, parseCsvDate, resolveColumns } from './csv.js';
+import { ASF_TYPES } from './pricing.js';
+
+/**
+ * ASF entitlement checks against the eligibility roster.
+ *
+ * ASF and ASF_FAMILY patients get free or concessional rates only while the
+ * force number they were registered under is on the roster, not dismissed,
+ * within its valid-until date and, for children, under the dependent age
+ * limit. Until a roster has been imported nobody is flagged, so existing
+ * billing carries on unchanged.
+ */
+
+export const ROSTER_STATUSES = ['serving', 'retired', 'dismissed'];
+
+// Outcomes stored on patients and invoices
+export const ENTITLEMENT_STATUSES = ['not_applicable', 'unverified', 'verified', 'not_found', 'dismissed', 'lapsed', 'age_limit'];
+
+// Outcomes that still get ASF rates
+export const ENTITLED_STATUSES = ['not_applicable', 'unverified', 'verified'];
+
+const getChildAgeLimit = () => Number(process.env.ELIGIBILITY_CHILD_AGE_LIMIT) || 18;
+
+export const normalizeForceNo = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const ageOn = (dateOfBirth, asOf) => {
+  const dob = new Date(dateOfBirth);
+  if (Number.isNaN(dob.getTime())) return null;
+  let age = asOf.getFullYear() - dob.getFullYear();
+  const birthdayPassed = asOf.getMonth() > dob.getMonth()
+    || (asOf.getMonth() === dob.getMonth() && asOf.getDate() >= dob.getDate());
+  if (!birthdayPassed) age -= 1;
+  return age;
+};
+
+// Accepted header spellings, after normalizeHeader
+const COLUMNS = {
+  forceNo: ['forceno', 'forcenumber', 'force', 'serviceno'],
+  name: ['name', 'fullname'],
+  status: ['status'],
+  validUntil: ['validuntil', 'validupto', 'expiry', 'expirydate', 'validtill'],
+};
+
+/**
+ * Read a roster CSV. Every problem is reported with its line number so the
+ * file can be fixed and re-imported in one go.
+ * @returns {{ records: object[], errors: Array<{ line: number, message: string }> }}
+ */
+export function parseEligibilityCsv(text) {
+  const { headers, rows } = parseCsv(text);
+  const column = resolveColumns(headers, COLUMNS);
+
+  const missing = ['forceNo', 'name', 'status'].filter(f => !column[f]);
+  if (missing.length > 0) {
+    return { records: [], errors: [{ line: 1, message: `Missing column(s): ${missing.join(', ')}` }] };
+  }
+
+  const records = [];
+  const errors = [];
+  const seen = new Map();
+  for (const { line, values } of rows) {
+    const forceNo = values[column.forceNo];
+    const forceNoKey = normalizeForceNo(forceNo);
+    const name = values[column.name];
+    const status = String(values[column.status] || '').toLowerCase();
+    const validUntil = column.validUntil ? parseCsvDate(values[column.validUntil]) : undefined;
+
+    const problems = [];
+    if (!forceNoKey) problems.push('force number is required');
+    if (!name) problems.push('name is required');
+    if (!ROSTER_STATUSES.includes(status)) problems.push(`status must be ${ROSTER_STATUSES.join(', ')}`);
+    if (validUntil === null) problems.push('valid-until date must be YYYY-MM-DD or DD/MM/YYYY');
+    if (forceNoKey && seen.has(forceNoKey)) problems.push(`force number ${forceNo} repeats line ${seen.get(forceNoKey)}`);
+
+    if (problems.length > 0) {
+      errors.push({ line, message: problems.join('; ') });
+      continue;
+    }
+    seen.set(forceNoKey, line);
+    records.push({ forceNo: forceNo.trim(), forceNoKey, name, status, validUntil });
+  }
+  return { records, errors };
+}
+
+/**
+ * Decide a patient's entitlement from their roster record.
+ * @param {object} patient - patientType, dateOfBirth, relationToHead
+ * @param {object|null} record - the roster record for the patient's force number
+ * @returns {{ status: string, entitled: boolean, reasons: string[] }}
+ */
+export function evaluateEntitlement(patient, record, { rosterLoaded = true, asOf = new Date(), childAgeLimit = getChildAgeLimit() } = {}) {
+  if (!ASF_TYPES.includes(patient.patientType)) {
+    return { status: 'not_applicable', entitled: true, reasons: [] };
+  }
+  if (!rosterLoaded) {
+    return { status: 'unverified', entitled: true, reasons: ['No eligibility roster has been imported'] };
+  }
+  if (!record) {
+    return { status: 'not_found', entitled: false, reasons: [`Force No ${patient.forceNo || '(none)'} is not on the eligibility roster`] };
+  }
+
+  const failures = [];
+  if (record.status === 'dismissed') {
+    failures.push(['dismissed', `Force No ${record.forceNo} (${record.name}) is dismissed`]);
+  }
+  if (record.validUntil) {
+    const validUntil = new Date(record.validUntil);
+    const lastValidDay = new Date(validUntil.getUTCFullYear(), validUntil.getUTCMonth(), validUntil.getUTCDate(), 23, 59, 59, 999);
+    if (lastValidDay < asOf) {
+      failures.push(['lapsed', `Entitlement lapsed on ${validUntil.toISOString().slice(0, 10)}`]);
+    }
+  }
+  if (patient.patientType === 'ASF_FAMILY' && patient.relationToHead === 'child') {
+    const age = ageOn(patient.dateOfBirth, asOf);
+    if (age !== null && age >= childAgeLimit) {
+      failures.push(['age_limit', `Dependent child is ${age}, at or over the age limit of ${childAgeLimit}`]);
+    }
+  }
+
+  if (failures.length === 0) return { status: 'verified', entitled: true, reasons: [] };
+  return { status: failures[0][0], entitled: false, reasons: failures.map(([, reason]) => reason) };
+}
+
+/**
+ * Check a patient against the roster now.
+ * @returns {Promise<{ status, entitled, reasons, recordId }>}
+ */
+export async function verifyEntitlement(patient) {
+  if (!ASF_TYPES.includes(patient.patientType)) return { ...evaluateEntitlement(patient, null), recordId: null };
+
+  const forceNoKey = normalizeForceNo(patient.forceNo);
+  const [record, rosterSize] = await Promise.all([
+    forceNoKey ? EligibilityRecord.findOne({ forceNoKey }).lean() : null,
+    EligibilityRecord.estimatedDocumentCount(),
+  ]);
+  return { ...evaluateEntitlement(patient, record, { rosterLoaded: rosterSize > 0 }), recordId: record?._id || null };
+}
+
+// What is stored on the patient and shown at the front desk
+export const entitlementSnapshot = (result) => ({
+  status: result.status,
+  reasons: result.reasons,
+  recordId: result.recordId,
+  checkedAt: new Date(),
+});
+
+/**
+ * Patient type to price a service at. ASF patients whose entitlement can't be
+ * verified are charged private rates, and the invoice records why.
+ * @returns {Promise<{ pricingType: string, entitlement: object, invoiceFields: object }>}
+ */
+export async function resolvePricing(patient) {
+  if (!patient || !ASF_TYPES.includes(patient.patientType)) {
+    return { pricingType: patient?.patientType, entitlement: null, invoiceFields: {} };
+  }
+
+  const entitlement = await verifyEntitlement(patient);
+  const pricingType = entitlement.entitled ? patient.patientType : 'CIVILIAN';
+
+  // Keep the front-desk flag current
+  if (patient._id && patient.entitlement?.status !== entitlement.status) {
+    await Patient.updateOne({ _id: patient._id }, { $set: { entitlement: entitlementSnapshot(entitlement) } });
+  }
+  if (!entitlement.entitled) {
+    console.warn(`⚠️ [ELIGIBILITY] ${patient.patientNo} billed at private rates: ${entitlement.reasons.join('; ')}`);
+  }
+
+  return {
+    pricingType,
+    entitlement,
+    invoiceFields: { pricedAs: pricingType, entitlement: { status: entitlement.status, reasons: entitlement.reasons } },
+  };
+}
+
+/**
+ * Load parsed roster records. Existing force numbers are updated, new ones
+ * added; with `replace`, force numbers missing from this file are removed.
+ */
+export async function importEligibilityRoster(records, { replace = false, fileName = '', importedBy } = {}) {
+  const batch = await EligibilityImport.create({ fileName, replace, rows: records.length, importedBy });
+
+  const result = records.length > 0
+    ? await EligibilityRecord.bulkWrite(records.map(r => ({
+      updateOne: {
+        filter: { forceNoKey: r.forceNoKey },
+        update: {
+          $set: { forceNo: r.forceNo, name: r.name, status: r.status, validUntil: r.validUntil ?? null, importId: batch._id },
+        },
+        upsert: true,
+      },
+    })))
+    : { upsertedCount: 0, modifiedCount: 0 };
+
+  let removed = 0;
+  if (replace) {
+    const deletion = await EligibilityRecord.deleteMany({ forceNoKey: { $nin: records.map(r => r.forceNoKey) } });
+    removed = deletion.deletedCount;
+  }
+
+  batch.created = result.upsertedCount;
+  batch.updated = result.modifiedCount;
+  batch.removed = removed;
+  await batch.save();
+  return batch;
+}
@@ -0,0 +1,244 @@
+import Appointment from '../models/Appointment.js';
+import Prescription from '../models/Prescription.js';
+import User from '../models/User.js';
+import { nextSequence } from './sequence.js';
+import { isValidDate, localDate } from './roster.js';
+
+/**
+ * Follow-up visits asked for on a prescription.
+ *
+ * The doctor gives an interval ("2 weeks") or a date, and a tentative
+ * appointment with the same doctor is created for the due date. It holds no
+ * slot and has no invoice until reception books it. Each follow-up records
+ * the prescription and visit it came from, so we can see whether patients
+ * came back, on time, and to the same doctor.
+ */
+
+export const FOLLOW_UP_UNITS = ['days', 'weeks', 'months'];
+const MAX_FOLLOW_UP_DAYS = 365;
+
+// How late a follow-up visit can be and still count as on time
+export const getFollowUpWindowDays = () => {
+  const days = Number(process.env.FOLLOW_UP_WINDOW_DAYS);
+  return Number.isInteger(days) && days >= 0 ? days : 7;
+};
+
+// Calendar arithmetic on YYYY-MM-DD strings
+export function addToDate(date, { value, unit }) {
+  const d = new Date(`${date}T00:00:00Z`);
+  if (unit === 'months') {
+    const day = d.getUTCDate();
+    d.setUTCDate(1);
+    d.setUTCMonth(d.getUTCMonth() + value);
+    // 31 Jan + 1 month is the end of February, not 3 March
+    const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+    d.setUTCDate(Math.min(day, lastDay));
+  } else {
+    d.setUTCDate(d.getUTCDate() + value * (unit === 'weeks' ? 7 : 1));
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+/** "2 weeks", "10 days", "1 month" -> { value, unit }, or null. */
+export function parseInterval(text) {
+  const match = String(text || '').trim().match(/^(\d+)\s*(day|week|month)s?$/i);
+  if (!match) return null;
+  return { value: Number(match[1]), unit: `${match[2].toLowerCase()}s` };
+}
+
+/**
+ * Validate a follow-up from a request body: an interval string ("2 weeks"),
+ * { value, unit }, or { date }, each optionally with notes.
+ * @returns {{ followUp?: { interval?, dueDate, notes }, error?: string }}
+ */
+export function normalizeFollowUp(input, { today = localDate() } = {}) {
+  const body = typeof input === 'string' ? { after: input } : (input || {});
+  const notes = String(body.notes || '').trim();
+  let interval;
+  let dueDate;
+
+  if (body.date) {
+    if (!isValidDate(body.date)) return { error: 'followUp.date must be YYYY-MM-DD' };
+    dueDate = body.date;
+  } else {
+    interval = body.after ? parseInterval(body.after) : { value: Number(body.value), unit: body.unit };
+    if (!interval || !Number.isInteger(interval.value) || interval.value < 1 || !FOLLOW_UP_UNITS.includes(interval.unit)) {
+      return { error: `followUp needs a date, or an interval such as "2 weeks" (${FOLLOW_UP_UNITS.join(', ')})` };
+    }
+    dueDate = addToDate(today, interval);
+  }
+
+  if (dueDate <= today) return { error: 'A follow-up must be due after today' };
+  if (dueDate > addToDate(today, { value: MAX_FOLLOW_UP_DAYS, unit: 'days' })) {
+    return { error: `A follow-up can be at most ${MAX_FOLLOW_UP_DAYS} days ahead` };
+  }
+  if (notes.length > 500) return { error: 'followUp.notes must be 500 characters or fewer' };
+  return { followUp: { ...(interval && { interval }), dueDate, notes } };
+}
+
+/**
+ * Create the tentative appointment for a prescription's follow-up.
+ * @param {object} options.originAppointment - the visit the prescription belongs to, if any
+ */
+export async function createFollowUpAppointment({ prescription, doctor, originAppointment }) {
+  const appointment = new Appointment({
+    appointmentNo: await nextSequence('appointment'),
+    patientId: prescription.patientId,
+    doctorId: doctor._id,
+    roomNo: doctor.roomNo || originAppointment?.roomNo || undefined,
+    date: prescription.followUp.dueDate,
+    status: 'tentative',
+    reason: `Follow-up: ${prescription.diagnosis}`,
+    followUp: {
+      prescriptionId: prescription._id,
+      originAppointmentId: originAppointment?._id,
+      originDoctorId: prescription.doctorId,
+      dueDate: prescription.followUp.dueDate,
+      notes: prescription.followUp.notes,
+    },
+  });
+  await appointment.save();
+  return appointment;
+}
+
+/**
+ * Follow-ups still waiting to be booked that are due within `days` of today,
+ * overdue ones first.
+ */
+export async function buildFollowUpWorklist({ days = 7, doctorId, today = localDate() } = {}) {
+  const filter = {
+    status: 'tentative',
+    'followUp.prescriptionId': { $exists: true },
+    'followUp.dueDate': { $lte: addToDate(today, { value: days, unit: 'days' }) },
+  };
+  if (doctorId) filter.doctorId = doctorId;
+
+  const followUps = await Appointment.find(filter)
+    .sort({ 'followUp.dueDate': 1 })
+    .populate('patientId', 'firstName lastName patientNo patientType phone')
+    .populate('doctorId', 'name department')
+    .populate('followUp.prescriptionId', 'rxNo diagnosis createdAt')
+    .lean();
+
+  return followUps.map(a => {
+    const overdueDays = Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${a.followUp.dueDate}T00:00:00Z`)) / 86400000);
+    return {
+      id: a._id,
+      appointmentNo: a.appointmentNo,
+      patientId: a.patientId?._id,
+      patientName: a.patientId ? `${a.patientId.firstName} ${a.patientId.lastName}` : 'Unknown',
+      patientNo: a.patientId?.patientNo,
+      patientType: a.patientId?.patientType,
+      phone: a.patientId?.phone || '',
+      doctorId: a.doctorId?._id,
+      doctor: a.doctorId?.name,
+      department: a.doctorId?.department,
+      dueDate: a.followUp.dueDate,
+      overdue: overdueDays > 0,
+      overdueDays: Math.max(0, overdueDays),
+      notes: a.followUp.notes || '',
+      prescription: a.followUp.prescriptionId ? {
+        id: a.followUp.prescriptionId._id,
+        rxNo: a.followUp.prescriptionId.rxNo,
+        diagnosis: a.followUp.prescriptionId.diagnosis,
+        writtenAt: a.followUp.prescriptionId.createdAt,
+      } : null,
+    };
+  });
+}
+
+/**
+ * Where a follow-up stands: attended, booked (not yet happened), pending
+ * (tentative, not yet due), overdue (tentative, past due), missed (no-show)
+ * or cancelled.
+ */
+export function followUpOutcome(appointment, today = localDate()) {
+  switch (appointment.status) {
+    case 'completed': return 'attended';
+    case 'no-show': return 'missed';
+    case 'cancelled': return 'cancelled';
+    case 'tentative': return appointment.followUp.dueDate < today ? 'overdue' : 'pending';
+    default: return 'booked';
+  }
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+/**
+ * Continuity figures for a set of follow-up appointments. Attendance is over
+ * the follow-ups that have run their course (attended, missed, cancelled or
+ * overdue); continuity and timeliness are over the attended ones.
+ */
+export function summarizeContinuity(followUps, { today = localDate(), windowDays = getFollowUpWindowDays() } = {}) {
+  const blank = () => ({
+    total: 0, attended: 0, booked: 0, pending: 0, overdue: 0, missed: 0, cancelled: 0, sameDoctor: 0, onTime: 0,
+  });
+  const add = (tally, appointment) => {
+    const outcome = followUpOutcome(appointment, today);
+    tally.total++;
+    tally[outcome]++;
+    if (outcome === 'attended') {
+      if (String(appointment.doctorId?._id || appointment.doctorId) === String(appointment.followUp.originDoctorId)) tally.sameDoctor++;
+      if (appointment.date <= addToDate(appointment.followUp.dueDate, { value: windowDays, unit: 'days' })) tally.onTime++;
+    }
+  };
+  const rates = (tally) => ({
+    ...tally,
+    attendanceRate: percent(tally.attended, tally.attended + tally.missed + tally.cancelled + tally.overdue),
+    continuityRate: percent(tally.sameDoctor, tally.attended),
+    onTimeRate: percent(tally.onTime, tally.attended),
+  });
+
+  const overall = blank();
+  const byDoctor = new Map();
+  for (const appointment of followUps) {
+    add(overall, appointment);
+    const key = String(appointment.followUp.originDoctorId);
+    if (!byDoctor.has(key)) byDoctor.set(key, blank());
+    add(byDoctor.get(key), appointment);
+  }
+
+  return {
+    overall: rates(overall),
+    byDoctor: [...byDoctor].map(([doctorId, tally]) => ({ doctorId, ...rates(tally) })),
+  };
+}
+
+/**
+ * Continuity of care for follow-ups due between two dates (inclusive).
+ */
+export async function buildContinuityReport({ from, to, today = localDate() }) {
+  const followUps = await Appointment.find({
+    'followUp.prescriptionId': { $exists: true },
+    'followUp.dueDate': { $gte: from, $lte: to },
+  }).select('status date doctorId followUp').lean();
+
+  const windowDays = getFollowUpWindowDays();
+  const summary = summarizeContinuity(followUps, { today, windowDays });
+  const doctors = await User.find({ _id: { $in: summary.byDoctor.map(d => d.doctorId) } }).select('name department').lean();
+  const names = new Map(doctors.map(d => [String(d._id), d]));
+
+  return {
+    from,
+    to,
+    windowDays,
+    ...summary,
+    byDoctor: summary.byDoctor
+      .map(d => ({ ...d, doctor: names.get(d.doctorId)?.name || 'Unknown', department: names.get(d.doctorId)?.department }))
+      .sort((a, b) => b.total - a.total),
+  };
+}
+
+/**
+ * The prescription and originating visit behind a follow-up appointment.
+ */
+export async function findFollowUpOrigin(appointment) {
+  if (!appointment.followUp?.prescriptionId) return null;
+  const [prescription, origin] = await Promise.all([
+    Prescription.findById(appointment.followUp.prescriptionId).select('rxNo diagnosis doctorId createdAt').populate('doctorId', 'name').lean(),
+    appointment.followUp.originAppointmentId
+      ? Appointment.findById(appointment.followUp.originAppointmentId).select('appointmentNo date time doctorId status').lean()
+      : null,
+  ]);
+  return { prescription, appointment: origin, dueDate: appointment.followUp.dueDate, notes: appointment.followUp.notes || '' };
+}
@@ -1,4 +1,4 @@
-import { verifyToken, checkRole } from '../middleware/auth.js';
+import { verifyToken, requirePermission } from '../middleware/auth.js';
 
 export const getUserData = (userId, users) => {
   return users.find(u => u.id === userId);
@@ -0,0 +1,70 @@
+/**
+ * Household (ASF family) rules.
+ *
+ * A household is every patient sharing a householdId. One member is the head
+ * (relationToHead 'self'); everyone else's relation is relative to the head.
+ * householdId stays the same when the head changes.
+ */
+
+export const HOUSEHOLD_RELATIONS = ['self', 'spouse', 'child', 'parent', 'sibling', 'other'];
+
+const MAX_PER_RELATION = { spouse: 1, parent: 2 };
+
+const displayName = (m) => `${m.firstName || ''} ${m.lastName || ''}`.trim() || m.patientNo;
+const dob = (m) => (m.dateOfBirth ? new Date(m.dateOfBirth) : null);
+
+/**
+ * Check a household as it would be after a change.
+ * @param {object[]} members - patients with relationToHead, isHouseholdHead, dateOfBirth
+ * @returns {string[]} problems; empty when the household is consistent
+ */
+export function validateHousehold(members) {
+  const errors = [];
+  const heads = members.filter(m => m.isHouseholdHead);
+  if (heads.length !== 1) {
+    errors.push(`A household needs exactly one head (found ${heads.length})`);
+    return errors;
+  }
+  const [head] = heads;
+  if (head.relationToHead !== 'self') {
+    errors.push('The head\'s relation must be "self"');
+  }
+
+  const others = members.filter(m => m !== head);
+  for (const m of others) {
+    if (!HOUSEHOLD_RELATIONS.includes(m.relationToHead) || m.relationToHead === 'self') {
+      errors.push(`${displayName(m)} needs a relation to the head (${HOUSEHOLD_RELATIONS.filter(r => r !== 'self').join(', ')})`);
+    }
+  }
+
+  for (const [relation, max] of Object.entries(MAX_PER_RELATION)) {
+    const holders = others.filter(m => m.relationToHead === relation);
+    if (holders.length > max) {
+      errors.push(`A household can have at most ${max} ${relation}${max > 1 ? 's' : ''} (${holders.map(displayName).join(', ')})`);
+    }
+  }
+
+  const headDob = dob(head);
+  if (headDob) {
+    for (const m of others) {
+      const memberDob = dob(m);
+      if (!memberDob) continue;
+      if (m.relationToHead === 'child' && memberDob <= headDob) {
+        errors.push(`${displayName(m)} is recorded as a child but is not younger than the head`);
+      }
+      if (m.relationToHead === 'parent' && memberDob >= headDob) {
+        errors.push(`${displayName(m)} is recorded as a parent but is not older than the head`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// The household-related fields of a patient, for audit snapshots
+export const householdSnapshot = (p) => ({
+  householdId: p.householdId,
+  relationToHead: p.relationToHead,
+  isHouseholdHead: p.isHouseholdHead,
+  familyHead: p.familyHead ? String(p.familyHead) : null,
+});
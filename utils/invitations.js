@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+import Invitation from '../models/Invitation.js';
+import { hashToken } from './sessionHelper.js';
+import { buildFrontendLink, sendMail, mailTemplates } from './mailer.js';
+
+/**
+ * Staff invitation tokens.
+ *
+ * The raw token only ever leaves the server in the invitation email;
+ * the Invitation document keeps its sha256 hash.
+ */
+
+const getInviteExpireDays = () => Number(process.env.INVITE_EXPIRE_DAYS) || 7;
+
+export const inviteExpiryDate = () => new Date(Date.now() + getInviteExpireDays() * 24 * 60 * 60 * 1000);
+
+export const generateInviteToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+export const buildInviteLink = (token) => buildFrontendLink('/accept-invite', token);
+
+export async function sendInvitationEmail(invite, token) {
+  const message = mailTemplates.invitation({
+    name: invite.name,
+    role: invite.role,
+    link: buildInviteLink(token),
+    expiresAt: invite.expiresAt,
+  });
+  return sendMail({ to: invite.email, ...message });
+}
+
+/**
+ * @returns {'pending'|'accepted'|'revoked'|'expired'}
+ */
+export const effectiveInviteStatus = (invite) => {
+  if (invite.status === 'pending' && invite.expiresAt <= new Date()) return 'expired';
+  return invite.status;
+};
+
+/**
+ * Look up a still-redeemable invitation by its raw token.
+ */
+export async function findOpenInvitation(token) {
+  if (!token || typeof token !== 'string') return null;
+  return Invitation.findOne({
+    tokenHash: hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+export const mapInvitation = (i) => ({
+  id: i._id,
+  email: i.email,
+  name: i.name,
+  role: i.role,
+  department: i.department,
+  roomNo: i.roomNo,
+  userId: i.userId,
+  status: effectiveInviteStatus(i),
+  expiresAt: i.expiresAt,
+  invitedBy: i.invitedBy,
+  sendCount: i.sendCount,
+  lastSentAt: i.lastSentAt,
+  acceptedAt: i.acceptedAt || null,
+  revokedAt: i.revokedAt || null,
+  createdAt: i.createdAt,
+});
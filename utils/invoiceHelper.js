@@ -1,47 +1,37 @@
-import Invoice from '../models/Invoice.js';
+import { nextSequence } from './sequence.js';
 
 /**
- * Generate a unique, collision-free invoice number.
- * Format: INV-{YEAR}-{SEQUENCE}  e.g. INV-2026-00042
- *
- * Uses findOne + sort to get the MAX existing number for the current year,
- * then increments by 1.  Includes a retry loop to handle rare race conditions.
+ * Generate a unique invoice number from the 'invoice' sequence.
+ * Default format: INV-{YEAR}-{SEQUENCE}  e.g. INV-2026-00042
  */
-export async function generateInvoiceNo(maxRetries = 3) {
-  const year = new Date().getFullYear();
-  const prefix = `INV-${year}-`;
-
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    // Find the invoice with the highest number for this year
-    const lastInvoice = await Invoice.findOne(
-      { invoiceNo: { $regex: `^INV-${year}-` } },
-      { invoiceNo: 1 },
-      { sort: { invoiceNo: -1 } }
-    );
-
-    let nextNum = 1;
-    if (lastInvoice && lastInvoice.invoiceNo) {
-      const match = lastInvoice.invoiceNo.match(/INV-\d{4}-(\d+)/);
-      if (match) {
-        nextNum = parseInt(match[1], 10) + 1;
-      }
-    }
-
-    const invoiceNo = `${prefix}${String(nextNum).padStart(5, '0')}`;
+export async function generateInvoiceNo() {
+  return nextSequence('invoice');
+}
 
-    // Verify uniqueness before returning (handles edge cases)
-    const exists = await Invoice.findOne({ invoiceNo });
-    if (!exists) {
-      return invoiceNo;
-    }
+// Statuses of invoices that no longer count as revenue or as owed
+export const REVERSED_PAYMENT_STATUSES = ['void', 'credited'];
 
-    // If collision occurred, try the next number
-    console.warn(`⚠️ Invoice number ${invoiceNo} already exists, retrying (attempt ${attempt + 1}/${maxRetries})...`);
-  }
+/**
+ * Reverse an invoice whose service won't happen. An unpaid invoice is voided;
+ * one with money paid against it is credited, the paid amount being owed back
+ * to the patient. Either way netAmount becomes 0 so revenue and balances drop
+ * it, and the original amount is kept in `reversal`. Not saved here.
+ * @returns {'void'|'credit'|null} null when the invoice was already reversed
+ */
+export function reverseInvoice(invoice, { reason, userId }) {
+  if (REVERSED_PAYMENT_STATUSES.includes(invoice.paymentStatus)) return null;
 
-  // Fallback: use timestamp-based number to guarantee uniqueness
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const fallback = `${prefix}T${timestamp}`;
-  console.warn(`⚠️ Using fallback invoice number: ${fallback}`);
-  return fallback;
+  const paid = Number(invoice.amountPaid) || 0;
+  const kind = paid > 0 ? 'credit' : 'void';
+  invoice.reversal = {
+    kind,
+    originalNetAmount: invoice.netAmount,
+    creditAmount: paid,
+    reason,
+    by: userId,
+    at: new Date(),
+  };
+  invoice.netAmount = 0;
+  invoice.paymentStatus = kind === 'credit' ? 'credited' : 'void';
+  return kind;
 }
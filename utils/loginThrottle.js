@@ -0,0 +1,135 @@
+import LoginThrottle from '../models/LoginThrottle.js';
+
+/**
+ * Failed-login tracking per account and per client IP.
+ *
+ * Each key allows `max` failures inside a sliding window; the next failure
+ * locks it. Every further lock within the memory period doubles the lock
+ * duration, up to LOGIN_MAX_LOCK_MINUTES.
+ */
+
+const getConfig = () => ({
+  accountMax: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  ipMax: Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  windowMinutes: Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15,
+  baseLockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 5,
+  maxLockMinutes: Number(process.env.LOGIN_MAX_LOCK_MINUTES) || 24 * 60,
+});
+
+// Lock levels are forgotten after a day without failures
+const MEMORY_MS = 24 * 60 * 60 * 1000;
+
+export const accountKey = (email) => `account:${String(email || '').trim().toLowerCase()}`;
+export const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+const keysFor = ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push({ key: accountKey(email), scope: 'account' });
+  if (ip) keys.push({ key: ipKey(ip), scope: 'ip' });
+  return keys;
+};
+
+/**
+ * @returns {Date|null} the latest lock expiry among the account and IP, if any is locked
+ */
+export async function getActiveLock({ email, ip }) {
+  const keys = keysFor({ email, ip }).map(k => k.key);
+  const locked = await LoginThrottle.find({ key: { $in: keys }, lockUntil: { $gt: new Date() } })
+    .sort({ lockUntil: -1 })
+    .limit(1);
+  return locked.length > 0 ? locked[0].lockUntil : null;
+}
+
+/**
+ * Count a failed attempt against one key. Every step is a single atomic
+ * update, so parallel failures can't overwrite each other's counts.
+ * @returns {Promise<Date|null>} lock expiry if the key is now locked
+ */
+async function countFailure(key, scope, max, config, now) {
+  // A failure after the window has passed starts a new one
+  const windowStart = new Date(now.getTime() - config.windowMinutes * 60 * 1000);
+  await LoginThrottle.updateOne(
+    { key, windowStartedAt: { $lte: windowStart } },
+    { $set: { failures: 0, windowStartedAt: now } }
+  );
+
+  const increment = () => LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { lastFailureAt: now },
+      $max: { expiresAt: new Date(now.getTime() + MEMORY_MS) },
+      $setOnInsert: { scope, windowStartedAt: now },
+    },
+    { upsert: true, new: true }
+  );
+  let entry;
+  try {
+    entry = await increment();
+  } catch (err) {
+    // Two first failures upserting at once: the loser retries as an update
+    if (err.code !== 11000) throw err;
+    entry = await increment();
+  }
+  if (entry.failures < max) return null;
+
+  // Only the failure that reaches the limit at this lock level applies the lock
+  const lockMinutes = Math.min(config.baseLockMinutes * 2 ** entry.lockLevel, config.maxLockMinutes);
+  const lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+  const locked = await LoginThrottle.findOneAndUpdate(
+    { key, lockLevel: entry.lockLevel, failures: { $gte: max } },
+    {
+      $set: { failures: 0, windowStartedAt: now, lockUntil, expiresAt: new Date(lockUntil.getTime() + MEMORY_MS) },
+      $inc: { lockLevel: 1 },
+    },
+    { new: true }
+  );
+  if (locked) {
+    console.warn(`🔒 [AUTH] ${scope} locked for ${lockMinutes} min: ${key}`);
+    return locked.lockUntil;
+  }
+
+  // A parallel failure applied the lock first
+  const current = await LoginThrottle.findOne({ key }).select('lockUntil');
+  return current?.lockUntil > now ? current.lockUntil : null;
+}
+
+/**
+ * Count a failed attempt against both the account and the IP.
+ * @returns {Date|null} lock expiry if this failure caused a lock
+ */
+export async function recordLoginFailure({ email, ip }) {
+  const config = getConfig();
+  const now = new Date();
+  let lockedUntil = null;
+
+  for (const { key, scope } of keysFor({ email, ip })) {
+    const max = scope === 'account' ? config.accountMax : config.ipMax;
+    const lockUntil = await countFailure(key, scope, max, config, now);
+    if (lockUntil && (!lockedUntil || lockUntil > lockedUntil)) lockedUntil = lockUntil;
+  }
+
+  return lockedUntil;
+}
+
+/**
+ * Reset the account counter after a successful login.
+ * The IP counter is left alone so one valid login can't reset an attacker's budget.
+ */
+export async function clearLoginFailures(email) {
+  await LoginThrottle.deleteOne({ key: accountKey(email) });
+}
+
+export async function unlockAccount(email) {
+  const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+}
+
+export async function unlockIp(ip) {
+  const result = await LoginThrottle.deleteOne({ key: ipKey(ip) });
+  return result.deletedCount > 0;
+}
+
+export async function listActiveLocks() {
+  return LoginThrottle.find({ lockUntil: { $gt: new Date() } }).sort({ lockUntil: -1 });
+}
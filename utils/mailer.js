@@ -0,0 +1,100 @@
+import OutboxMessage from '../models/OutboxMessage.js';
+
+/**
+ * Outgoing mail.
+ *
+ * Every message is recorded in the outbox collection. By default nothing
+ * leaves the server, which keeps development and tests offline; a real
+ * transport (SMTP, an HTTP mail API, ...) can be plugged in at startup with
+ * setMailTransport({ name, send: async (message) => {} }).
+ */
+
+let transport = null;
+
+export function setMailTransport(customTransport) {
+  if (customTransport && typeof customTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = customTransport;
+}
+
+/**
+ * Record a message and hand it to the configured transport.
+ * Never throws: delivery failures are logged and stored on the outbox entry.
+ * @returns {object|null} the outbox entry, or null if it could not be stored
+ */
+export async function sendMail({ to, subject, text = '', html = '', template = '' }) {
+  let entry;
+  try {
+    entry = await OutboxMessage.create({
+      to,
+      subject,
+      text,
+      html,
+      template,
+      transport: transport?.name || 'outbox',
+    });
+  } catch (err) {
+    console.error('❌ [MAIL] Could not store outbox message:', err.message);
+    return null;
+  }
+
+  if (!transport) {
+    console.log(`📬 [MAIL] Stored in outbox: "${subject}" → ${to}`);
+    return entry;
+  }
+
+  try {
+    await transport.send({ to, subject, text, html });
+    entry.status = 'sent';
+    entry.sentAt = new Date();
+  } catch (err) {
+    console.error(`❌ [MAIL] Delivery via ${entry.transport} failed:`, err.message);
+    entry.status = 'failed';
+    entry.error = err.message;
+  }
+  await entry.save();
+  return entry;
+}
+
+const frontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+export const buildFrontendLink = (path, token) => `${frontendUrl()}${path}?token=${token}`;
+
+export const mailTemplates = {
+  invitation: ({ name, role, link, expiresAt }) => ({
+    template: 'invitation',
+    subject: 'You have been invited to Smart Hospital',
+    text: [
+      `Hello ${name},`,
+      '',
+      `You have been invited to join Smart Hospital as ${role}.`,
+      `Set your password here: ${link}`,
+      '',
+      `This link expires on ${expiresAt.toUTCString()}.`,
+    ].join('\n'),
+  }),
+  passwordReset: ({ name, link, expiresAt }) => ({
+    template: 'password_reset',
+    subject: 'Reset your Smart Hospital password',
+    text: [
+      `Hello ${name},`,
+      '',
+      'We received a request to reset your password.',
+      `Choose a new one here: ${link}`,
+      '',
+      `This link can be used once and expires on ${expiresAt.toUTCString()}.`,
+      'If you did not request this, you can ignore this email.',
+    ].join('\n'),
+  }),
+  passwordChanged: ({ name }) => ({
+    template: 'password_changed',
+    subject: 'Your Smart Hospital password was changed',
+    text: [
+      `Hello ${name},`,
+      '',
+      'Your password was just changed and all other sessions were signed out.',
+      'If this was not you, contact your administrator immediately.',
+    ].join('\n'),
+  }),
+};
@@ -0,0 +1,77 @@
+import bcrypt from 'bcryptjs';
+
+/**
+ * Password policy and reuse check.
+ *
+ * PASSWORD_MIN_LENGTH (default 8) and PASSWORD_HISTORY_SIZE (default 5, the
+ * number of previous passwords that may not be reused) are read from env.
+ */
+
+const getMinLength = () => Number(process.env.PASSWORD_MIN_LENGTH) || 8;
+const getHistorySize = () => {
+  const size = Number(process.env.PASSWORD_HISTORY_SIZE);
+  return Number.isInteger(size) && size >= 0 ? size : 5;
+};
+
+/**
+ * @returns {string[]} policy violations; empty when the password is acceptable
+ */
+export function validatePassword(password, { email, name } = {}) {
+  const errors = [];
+  const value = typeof password === 'string' ? password : '';
+  const minLength = getMinLength();
+
+  if (value.length < minLength) errors.push(`Password must be at least ${minLength} characters`);
+  if (!/[a-z]/.test(value)) errors.push('Password must contain a lowercase letter');
+  if (!/[A-Z]/.test(value)) errors.push('Password must contain an uppercase letter');
+  if (!/[0-9]/.test(value)) errors.push('Password must contain a number');
+
+  const lower = value.toLowerCase();
+  const localPart = String(email || '').split('@')[0].toLowerCase();
+  if (localPart.length >= 3 && lower.includes(localPart)) {
+    errors.push('Password must not contain your email address');
+  }
+  const nameParts = String(name || '').toLowerCase().split(/\s+/).filter(p => p.length >= 3);
+  if (nameParts.some(part => lower.includes(part))) {
+    errors.push('Password must not contain your name');
+  }
+
+  return errors;
+}
+
+/**
+ * Check a candidate against the current password and the stored history.
+ * The user must be loaded with `+passwordHistory`.
+ */
+export async function isPasswordReused(user, candidate) {
+  const hashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidate, hash)) return true;
+  }
+  return false;
+}
+
+/**
+ * Set a new password, moving the current hash into the history.
+ * The pre-save hook hashes the new value; the caller saves the user.
+ */
+export function applyNewPassword(user, newPassword) {
+  const historySize = getHistorySize();
+  if (user.password && historySize > 0) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, historySize);
+  }
+  user.password = newPassword;
+  user.passwordChangedAt = new Date();
+}
+
+/**
+ * Run the policy and reuse checks together.
+ * @returns {string[]} errors to return to the client
+ */
+export async function checkNewPassword(user, candidate) {
+  const errors = validatePassword(candidate, { email: user.email, name: user.name });
+  if (errors.length === 0 && (await isPasswordReused(user, candidate))) {
+    errors.push('Password was used recently; choose a different one');
+  }
+  return errors;
+}
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import { hashToken, getClientIp } from './sessionHelper.js';
+import { buildFrontendLink, sendMail, mailTemplates } from './mailer.js';
+
+/**
+ * Single-use, expiring password reset tokens.
+ * The raw token is only sent by email; the collection stores its hash.
+ */
+
+const getResetExpireMinutes = () => Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+// Ignore repeat requests for the same account within this window
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Issue a reset token for a user and email the link.
+ * @returns {boolean} false when skipped because a token was issued moments ago
+ */
+export async function issuePasswordReset(user, req) {
+  const recent = await PasswordResetToken.findOne({
+    userId: user._id,
+    usedAt: null,
+    createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_MS) },
+  });
+  if (recent) return false;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + getResetExpireMinutes() * 60 * 1000);
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    requestedIp: getClientIp(req),
+    expiresAt,
+  });
+
+  const message = mailTemplates.passwordReset({
+    name: user.name,
+    link: buildFrontendLink('/reset-password', token),
+    expiresAt,
+  });
+  await sendMail({ to: user.email, ...message });
+  return true;
+}
+
+export async function findUsableResetToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  return PasswordResetToken.findOne({
+    tokenHash: hashToken(token),
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+/**
+ * Mark a token used. Atomic, so concurrent requests can't both redeem it.
+ * Every other outstanding token of the same user is invalidated too.
+ * @returns {object|null} the claimed token
+ */
+export async function consumeResetToken(resetToken) {
+  const claimed = await PasswordResetToken.findOneAndUpdate(
+    { _id: resetToken._id, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (claimed) {
+    await PasswordResetToken.updateMany(
+      { userId: claimed.userId, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+  }
+  return claimed;
+}
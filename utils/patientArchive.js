@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import Appointment from '../models/Appointment.js';
+import WardPatient from '../models/WardPatient.js';
+import Invoice from '../models/Invoice.js';
+import { PATIENT_LINKS } from './patientDuplicates.js';
+import { localDate } from './roster.js';
+import { REVERSED_PAYMENT_STATUSES } from './invoiceHelper.js';
+
+/**
+ * Patient archival and the retention policy for archived records.
+ *
+ * Archiving replaces deletion: the record and everything linked to it stay,
+ * but it drops out of lists and search and can't take new encounters. An
+ * archived patient becomes eligible for permanent purge once
+ *   - it has been archived for PATIENT_PURGE_MIN_ARCHIVED_DAYS (default 365),
+ *   - PATIENT_RETENTION_YEARS (default 10) have passed since the later of its
+ *     last recorded activity and its 18th birthday, and
+ *   - nothing is owed on its invoices.
+ */
+
+export const getRetentionPolicy = () => ({
+  retentionYears: Number(process.env.PATIENT_RETENTION_YEARS) || 10,
+  minArchivedDays: Number(process.env.PATIENT_PURGE_MIN_ARCHIVED_DAYS) || 365,
+});
+
+const addYears = (date, years) => {
+  const d = new Date(date);
+  d.setFullYear(d.getFullYear() + years);
+  return d;
+};
+
+export const archivedPatientMessage = (patient) =>
+  `Patient ${patient.patientNo} is archived; restore the record before recording new encounters`;
+
+/**
+ * The archived patient with this id, or null when the patient is active,
+ * missing or the id is malformed (callers handle those themselves).
+ */
+export async function findArchivedPatient(patientId) {
+  if (!mongoose.Types.ObjectId.isValid(patientId)) return null;
+  return Patient.findOne({ _id: patientId, archivedAt: { $ne: null } }).select('patientNo archivedAt');
+}
+
+/**
+ * Reasons a patient can't be archived right now.
+ * @returns {Promise<string[]>}
+ */
+export async function getArchiveBlockers(patient) {
+  const [members, admission, upcoming] = await Promise.all([
+    patient.isHouseholdHead && patient.householdId
+      ? Patient.countDocuments({ householdId: patient.householdId, _id: { $ne: patient._id }, archivedAt: null })
+      : 0,
+    WardPatient.findOne({ patientId: patient._id, status: 'admitted' }).select('ward bed'),
+    Appointment.find({ patientId: patient._id, status: { $in: ['tentative', 'scheduled'] }, date: { $gte: localDate() } })
+      .select('appointmentNo date').sort({ date: 1 }).limit(10),
+  ]);
+
+  const blockers = [];
+  if (members > 0) {
+    blockers.push(`Head of household ${patient.householdId} with ${members} other member(s); make another member head first`);
+  }
+  if (admission) blockers.push(`Currently admitted (${admission.ward}, bed ${admission.bed})`);
+  if (upcoming.length > 0) {
+    blockers.push(`Upcoming appointments: ${upcoming.map(a => `${a.appointmentNo} on ${a.date}`).join(', ')}`);
+  }
+  return blockers;
+}
+
+/**
+ * Whether one archived patient may be purged.
+ * @param {object} record - archivedAt, lastActivity, dateOfBirth, outstanding
+ * @returns {{ eligible: boolean, retainUntil: Date, reasons: string[] }}
+ */
+export function retentionStatus({ archivedAt, lastActivity, dateOfBirth, outstanding = 0 }, policy = getRetentionPolicy(), asOf = new Date()) {
+  const adulthood = dateOfBirth ? addYears(dateOfBirth, 18) : null;
+  const retainFrom = adulthood && adulthood > lastActivity ? adulthood : lastActivity;
+  const retainUntil = addYears(retainFrom, policy.retentionYears);
+  const archivedUntil = new Date(new Date(archivedAt).getTime() + policy.minArchivedDays * 24 * 60 * 60 * 1000);
+
+  const reasons = [];
+  if (archivedUntil > asOf) reasons.push(`Archived less than ${policy.minArchivedDays} days`);
+  if (retainUntil > asOf) reasons.push(`Retained until ${retainUntil.toISOString().slice(0, 10)}`);
+  if (outstanding > 0) reasons.push(`Outstanding balance of ${outstanding}`);
+
+  return { eligible: reasons.length === 0, retainUntil, reasons };
+}
+
+/**
+ * Every archived patient with its retention status.
+ */
+export async function buildRetentionReport({ eligibleOnly = false, asOf = new Date() } = {}) {
+  const policy = getRetentionPolicy();
+  const patients = await Patient.find({ archivedAt: { $ne: null } })
+    .select('patientNo firstName lastName dateOfBirth createdAt archivedAt archiveReason')
+    .sort({ archivedAt: 1 })
+    .lean();
+  const ids = patients.map(p => p._id);
+
+  // Latest change to anything linked to each patient
+  const lastActivity = new Map(patients.map(p => [String(p._id), p.createdAt]));
+  const latestPerLink = await Promise.all(PATIENT_LINKS.map(({ model }) => model.aggregate([
+    { $match: { patientId: { $in: ids } } },
+    { $group: { _id: '$patientId', latest: { $max: '$updatedAt' } } },
+  ])));
+  for (const { _id, latest } of latestPerLink.flat()) {
+    const key = String(_id);
+    if (latest && latest > lastActivity.get(key)) lastActivity.set(key, latest);
+  }
+
+  const balances = await Invoice.aggregate([
+    { $match: { patientId: { $in: ids }, paymentStatus: { $nin: ['paid', ...REVERSED_PAYMENT_STATUSES] } } },
+    {
+      $group: {
+        _id: '$patientId',
+        outstanding: { $sum: { $max: [{ $subtract: ['$netAmount', { $ifNull: ['$amountPaid', 0] }] }, 0] } },
+      },
+    },
+  ]);
+  const outstanding = new Map(balances.map(b => [String(b._id), b.outstanding]));
+
+  const rows = patients.map(p => {
+    const record = {
+      archivedAt: p.archivedAt,
+      lastActivity: lastActivity.get(String(p._id)),
+      dateOfBirth: p.dateOfBirth,
+      outstanding: outstanding.get(String(p._id)) || 0,
+    };
+    return {
+      id: p._id,
+      patientNo: p.patientNo,
+      name: `${p.firstName} ${p.lastName}`,
+      archiveReason: p.archiveReason || '',
+      ...record,
+      ...retentionStatus(record, policy, asOf),
+    };
+  });
+
+  return {
+    policy,
+    asOf,
+    archived: rows.length,
+    eligible: rows.filter(r => r.eligible).length,
+    patients: eligibleOnly ? rows.filter(r => r.eligible) : rows,
+  };
+}
@@ -0,0 +1,208 @@
+import Patient from '../models/Patient.js';
+import PatientAlias from '../models/PatientAlias.js';
+import Appointment from '../models/Appointment.js';
+import AppointmentSeries from '../models/AppointmentSeries.js';
+import Prescription from '../models/Prescription.js';
+import Vitals from '../models/Vitals.js';
+import CareNote from '../models/CareNote.js';
+import LabRequest from '../models/LabRequest.js';
+import RadiologyRequest from '../models/RadiologyRequest.js';
+import Invoice from '../models/Invoice.js';
+import WardPatient from '../models/WardPatient.js';
+import Referral from '../models/Referral.js';
+import Allergy from '../models/Allergy.js';
+import Problem from '../models/Problem.js';
+import PatientDocument from '../models/PatientDocument.js';
+import Queue from '../models/Queue.js';
+
+/**
+ * Duplicate patient detection and merging.
+ *
+ * Candidates are scored on CNIC, phone, and name plus date of birth;
+ * DUPLICATE_MIN_SCORE (default 40) is the score from which a match is
+ * reported and registration asks for confirmation.
+ */
+
+export const DUPLICATE_WEIGHTS = {
+  cnic: 60,
+  name_dob: 45,
+  first_name_dob: 25,
+  phone: 20,
+  name: 15,
+};
+
+export const getDuplicateMinScore = () => Number(process.env.DUPLICATE_MIN_SCORE) || 40;
+
+const digits = (value) => String(value || '').replace(/\D/g, '');
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+// Compare the national part so 0300-1234567 and +92 300 1234567 match
+const normalizePhone = (value) => digits(value).slice(-10);
+
+/**
+ * Score how likely `candidate` is the same person as `input`.
+ * @returns {{ score: number, reasons: string[] }}
+ */
+export function scoreDuplicate(input, candidate) {
+  const reasons = [];
+
+  const cnic = digits(input.cnic);
+  if (cnic.length >= 13 && cnic === digits(candidate.cnic)) reasons.push('cnic');
+
+  const phone = normalizePhone(input.phone);
+  if (phone.length >= 10 && phone === normalizePhone(candidate.phone)) reasons.push('phone');
+
+  const sameFirst = normalizeName(input.firstName) !== '' && normalizeName(input.firstName) === normalizeName(candidate.firstName);
+  const sameLast = normalizeName(input.lastName) !== '' && normalizeName(input.lastName) === normalizeName(candidate.lastName);
+  const sameDob = Boolean(input.dateOfBirth) && String(input.dateOfBirth).slice(0, 10) === String(candidate.dateOfBirth || '').slice(0, 10);
+
+  if (sameFirst && sameLast && sameDob) reasons.push('name_dob');
+  else if (sameFirst && sameDob) reasons.push('first_name_dob'); // e.g. surname changed after marriage
+  else if (sameFirst && sameLast) reasons.push('name');
+
+  const score = Math.min(100, reasons.reduce((sum, r) => sum + DUPLICATE_WEIGHTS[r], 0));
+  return { score, reasons };
+}
+
+// Regex matching the digits in order with any separators between them
+const digitsPattern = (value) => value.split('').join('\\D*');
+
+/**
+ * Existing patients that may be the same person, best match first.
+ * @param {object} input - firstName, lastName, dateOfBirth, cnic, phone
+ * @param {object} [options.excludeId] - leave this patient out (checking an existing record)
+ */
+export async function findDuplicateCandidates(input, { excludeId, minScore = getDuplicateMinScore() } = {}) {
+  const or = [];
+  const cnic = digits(input.cnic);
+  if (cnic.length >= 13) or.push({ cnic: { $regex: `^\\D*${digitsPattern(cnic)}\\D*$` } });
+  const phone = normalizePhone(input.phone);
+  if (phone.length >= 10) or.push({ phone: { $regex: `${digitsPattern(phone)}\\D*$` } });
+  if (input.dateOfBirth) or.push({ dateOfBirth: String(input.dateOfBirth).slice(0, 10) });
+  if (input.firstName && input.lastName) {
+    const escape = (v) => String(v).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    or.push({
+      firstName: { $regex: `^${escape(input.firstName)}$`, $options: 'i' },
+      lastName: { $regex: `^${escape(input.lastName)}$`, $options: 'i' },
+    });
+  }
+  if (or.length === 0) return [];
+
+  const filter = { $or: or };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const patients = await Patient.find(filter).limit(200);
+
+  return patients
+    .map(p => ({ patient: p, ...scoreDuplicate(input, p) }))
+    .filter(c => c.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 10);
+}
+
+// Collections holding a patientId, with the denormalised patient number field if any
+export const PATIENT_LINKS = [
+  { name: 'appointments', model: Appointment },
+  { name: 'appointmentSeries', model: AppointmentSeries },
+  { name: 'prescriptions', model: Prescription, numberField: 'mrNo' },
+  { name: 'vitals', model: Vitals },
+  { name: 'careNotes', model: CareNote },
+  { name: 'labRequests', model: LabRequest, numberField: 'mrNo' },
+  { name: 'radiologyRequests', model: RadiologyRequest, numberField: 'mrNo' },
+  { name: 'invoices', model: Invoice, numberField: 'patientNo' },
+  { name: 'wardStays', model: WardPatient, numberField: 'patientNo' },
+  { name: 'referrals', model: Referral },
+  { name: 'allergies', model: Allergy },
+  { name: 'problems', model: Problem },
+  { name: 'documents', model: PatientDocument },
+];
+
+// Survivor fields filled from the duplicate when the survivor has none
+const FILLABLE_FIELDS = ['forceNo', 'dateOfBirth', 'bloodGroup', 'cnic', 'phone', 'email', 'address', 'city', 'allergies', 'existingConditions'];
+
+/**
+ * Reasons `duplicate` can't be merged away. A household head with other
+ * members, archived ones included, would leave them without a head.
+ * @returns {Promise<string[]>}
+ */
+export async function getMergeBlockers(duplicate) {
+  const householdOr = [{ familyHead: duplicate._id }];
+  if (duplicate.isHouseholdHead && duplicate.householdId) householdOr.push({ householdId: duplicate.householdId });
+  const members = await Patient.countDocuments({ $or: householdOr, _id: { $ne: duplicate._id } });
+
+  const blockers = [];
+  if (members > 0) {
+    blockers.push(`Head of household ${duplicate.householdId} with ${members} other member(s); make another member head first, or merge the other way round`);
+  }
+  return blockers;
+}
+
+/**
+ * Merge `duplicate` into `survivor`: re-point every linked record, fill blank
+ * survivor fields, leave a PatientAlias tombstone and delete the duplicate.
+ * Check getMergeBlockers first.
+ * @returns {Promise<{ moved: object, filledFields: string[], alias: object }>}
+ */
+export async function mergePatients(survivor, duplicate, { reason = '', mergedBy } = {}) {
+  // Tombstone first, so the old number resolves even if a later step fails
+  const alias = await PatientAlias.create({
+    patientNo: duplicate.patientNo,
+    patientId: survivor._id,
+    mergedPatientId: duplicate._id,
+    reason,
+    snapshot: duplicate.toObject(),
+    mergedBy,
+  });
+
+  const moved = {};
+  for (const { name, model, numberField } of PATIENT_LINKS) {
+    const set = { patientId: survivor._id };
+    if (numberField) set[numberField] = survivor.patientNo;
+    const result = await model.updateMany({ patientId: duplicate._id }, { $set: set });
+    moved[name] = result.modifiedCount;
+  }
+
+  const queueResult = await Queue.updateMany(
+    { 'patients.patientId': duplicate._id },
+    { $set: { 'patients.$[entry].patientId': survivor._id, 'patients.$[entry].patientNo': survivor.patientNo } },
+    { arrayFilters: [{ 'entry.patientId': duplicate._id }] }
+  );
+  moved.queues = queueResult.modifiedCount;
+
+  // Earlier merges into the duplicate now point at the survivor
+  await PatientAlias.updateMany({ patientId: duplicate._id }, { $set: { patientId: survivor._id } });
+
+  const filledFields = [];
+  for (const field of FILLABLE_FIELDS) {
+    if (!survivor[field] && duplicate[field]) {
+      survivor[field] = duplicate[field];
+      filledFields.push(field);
+    }
+  }
+  if (!survivor.emergencyContact?.name && duplicate.emergencyContact?.name) {
+    survivor.emergencyContact = duplicate.emergencyContact;
+    filledFields.push('emergencyContact');
+  }
+  // The duplicate's no-shows came with its appointments
+  if (duplicate.attendance?.noShows) {
+    survivor.attendance.noShows = (survivor.attendance?.noShows || 0) + duplicate.attendance.noShows;
+    if (!survivor.attendance.lastNoShowDate || duplicate.attendance.lastNoShowDate > survivor.attendance.lastNoShowDate) {
+      survivor.attendance.lastNoShowDate = duplicate.attendance.lastNoShowDate;
+    }
+  }
+  await survivor.save();
+
+  await Patient.deleteOne({ _id: duplicate._id });
+
+  alias.moved = moved;
+  await alias.save();
+
+  return { moved, filledFields, alias };
+}
+
+/**
+ * Resolve a retired patient _id or patientNo to the alias that replaced it.
+ */
+export async function findAlias({ patientId, patientNo }) {
+  if (patientId) return PatientAlias.findOne({ mergedPatientId: patientId });
+  if (patientNo) return PatientAlias.findOne({ patientNo });
+  return null;
+}
@@ -0,0 +1,278 @@
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import { parseCsv, parseCsvDate, resolveColumns } from './csv.js';
+import { validateRegistration, validateFamilyMember, FORCE_NO_TYPES, HEAD_TYPE_FOR_FAMILY } from './patientRegistration.js';
+import { validateHousehold } from './households.js';
+import { findDuplicateCandidates } from './patientDuplicates.js';
+import { reserveSequence } from './sequence.js';
+import { verifyEntitlement, entitlementSnapshot, normalizeForceNo } from './eligibility.js';
+
+/**
+ * Bulk patient registration from CSV, for onboarding a unit's staff and
+ * dependents in one go.
+ *
+ * Each row is one patient, checked with the single-registration rules. An
+ * ASF row heads its own household; ASF_FAMILY rows join the ASF head with the
+ * same Force No, whether that head is in the file or already registered.
+ * Rows that fail, and the dependents of a head that fails, are reported and
+ * left out; the rest are registered with consecutive patient numbers, each
+ * household's head first.
+ */
+
+export const getMaxImportRows = () => Number(process.env.PATIENT_IMPORT_MAX_ROWS) || 2000;
+
+const GENDERS = ['male', 'female', 'other'];
+
+// Accepted header spellings, after normalizeHeader
+const COLUMNS = {
+  patientType: ['patienttype', 'type'],
+  forceNo: ['forceno', 'forcenumber', 'serviceno'],
+  firstName: ['firstname'],
+  lastName: ['lastname', 'surname'],
+  name: ['name', 'fullname'],
+  gender: ['gender', 'sex'],
+  dateOfBirth: ['dateofbirth', 'dob', 'birthdate'],
+  bloodGroup: ['bloodgroup'],
+  cnic: ['cnic'],
+  phone: ['phone', 'mobile', 'phoneno'],
+  email: ['email'],
+  address: ['address'],
+  city: ['city'],
+  allergies: ['allergies'],
+  existingConditions: ['existingconditions', 'conditions'],
+  relationToHead: ['relationtohead', 'relation'],
+  emergencyContactName: ['emergencycontactname', 'emergencycontact'],
+  emergencyContactPhone: ['emergencycontactphone'],
+  emergencyContactRelation: ['emergencycontactrelation'],
+};
+
+const OPTIONAL_FIELDS = ['bloodGroup', 'cnic', 'phone', 'email', 'address', 'city', 'allergies', 'existingConditions'];
+
+const cnicDigits = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Read the CSV into one entry per row.
+ * @returns {{ rows: Array<{ line, fields, errors: string[], warnings: string[] }>, error?: string }}
+ */
+export function parsePatientCsv(text) {
+  const { headers, rows } = parseCsv(text);
+  const column = resolveColumns(headers, COLUMNS);
+
+  const missing = ['patientType', 'gender'].filter(f => !column[f]);
+  if (!column.name && !(column.firstName && column.lastName)) missing.push('name (or firstName and lastName)');
+  if (missing.length > 0) return { rows: [], error: `Missing column(s): ${missing.join(', ')}` };
+  if (rows.length > getMaxImportRows()) return { rows: [], error: `At most ${getMaxImportRows()} rows can be imported at once` };
+
+  return {
+    rows: rows.map(({ line, values }) => {
+      const cell = (field) => (column[field] ? values[column[field]] : '');
+      const errors = [];
+
+      // A single name column is split like family member names at registration
+      let firstName = cell('firstName');
+      let lastName = cell('lastName');
+      if (!firstName && !lastName && cell('name')) {
+        const [first, ...rest] = cell('name').split(/\s+/);
+        firstName = first;
+        lastName = rest.join(' ') || first;
+      }
+
+      const dob = parseCsvDate(cell('dateOfBirth'));
+      if (dob === null) errors.push('dateOfBirth must be YYYY-MM-DD or DD/MM/YYYY');
+
+      const fields = {
+        patientType: cell('patientType').toUpperCase(),
+        forceNo: cell('forceNo'),
+        firstName,
+        lastName,
+        gender: cell('gender').toLowerCase(),
+        dateOfBirth: dob ? dob.toISOString().slice(0, 10) : undefined,
+        relationToHead: cell('relationToHead').toLowerCase() || undefined,
+        ...Object.fromEntries(OPTIONAL_FIELDS.map(f => [f, cell(f) || undefined])),
+      };
+      if (cell('emergencyContactName') || cell('emergencyContactPhone')) {
+        fields.emergencyContact = {
+          name: cell('emergencyContactName'),
+          phone: cell('emergencyContactPhone'),
+          relation: cell('emergencyContactRelation'),
+        };
+      }
+      return { line, fields, errors, warnings: [] };
+    }),
+  };
+}
+
+/**
+ * Problems with one row on its own.
+ * @returns {string[]}
+ */
+export function checkImportRow(fields) {
+  const errors = [];
+  const invalid = validateRegistration(fields);
+  if (invalid) errors.push(invalid);
+  if (!GENDERS.includes(fields.gender)) errors.push(`gender must be ${GENDERS.join(', ')}`);
+
+  if (fields.patientType === 'ASF_FAMILY') {
+    const memberInvalid = validateFamilyMember(fields);
+    if (memberInvalid) errors.push(memberInvalid);
+  } else if (fields.relationToHead && fields.relationToHead !== 'self') {
+    errors.push('Only ASF_FAMILY rows can be dependents; this row heads its own household');
+  }
+  return errors;
+}
+
+const rowName = (row) => `${row.fields.firstName || ''} ${row.fields.lastName || ''}`.trim();
+
+/**
+ * Validate every row and work out the households. Nothing is written.
+ * @param {object[]} rows - from parsePatientCsv
+ * @param {boolean} options.allowDuplicates - import rows that look like registered patients (reported as warnings)
+ * @returns {Promise<{ rows: object[], households: object[] }>} rows gain errors and warnings;
+ *   each household is { head: row | existing patient, existing: boolean, members: rows }
+ */
+export async function planPatientImport(rows, { allowDuplicates = false } = {}) {
+  for (const row of rows) row.errors.push(...checkImportRow(row.fields));
+
+  // The same person twice in the file
+  const seenCnic = new Map();
+  for (const row of rows) {
+    const cnic = cnicDigits(row.fields.cnic);
+    if (cnic.length < 13) continue;
+    if (seenCnic.has(cnic)) row.errors.push(`CNIC repeats line ${seenCnic.get(cnic)}`);
+    else seenCnic.set(cnic, row.line);
+  }
+
+  // Already registered
+  for (const row of rows.filter(r => r.errors.length === 0)) {
+    const candidates = await findDuplicateCandidates(row.fields);
+    if (candidates.length === 0) continue;
+    const message = `Possible duplicate of ${candidates.slice(0, 3).map(c => `${c.patient.patientNo} (score ${c.score})`).join(', ')}`;
+    (allowDuplicates ? row.warnings : row.errors).push(message);
+  }
+
+  // ASF heads in the file, by Force No
+  const headRows = new Map();
+  for (const row of rows.filter(r => r.fields.patientType === HEAD_TYPE_FOR_FAMILY)) {
+    const key = normalizeForceNo(row.fields.forceNo);
+    if (!key) continue;
+    if (headRows.has(key)) row.errors.push(`Force No ${row.fields.forceNo} repeats line ${headRows.get(key).line}`);
+    else headRows.set(key, row);
+  }
+
+  // Registered ASF heads for the Force Nos in the file
+  const forceNos = [...new Set(rows.filter(r => FORCE_NO_TYPES.includes(r.fields.patientType) && r.fields.forceNo).map(r => r.fields.forceNo))];
+  const existingHeads = forceNos.length > 0
+    ? await Patient.find({ forceNo: { $in: forceNos }, patientType: HEAD_TYPE_FOR_FAMILY, isHouseholdHead: true, archivedAt: null })
+    : [];
+  const existingByKey = new Map(existingHeads.map(p => [normalizeForceNo(p.forceNo), p]));
+
+  for (const [key, row] of headRows) {
+    const registered = existingByKey.get(key);
+    if (registered) row.errors.push(`Force No ${row.fields.forceNo} is already registered to ${registered.patientNo}; import only the dependents`);
+  }
+
+  const households = [];
+  const byKey = new Map();
+  for (const row of rows) {
+    if (row.fields.patientType !== 'ASF_FAMILY') {
+      const household = { head: row, existing: false, members: [] };
+      households.push(household);
+      if (row.fields.patientType === HEAD_TYPE_FOR_FAMILY && headRows.get(normalizeForceNo(row.fields.forceNo)) === row) {
+        byKey.set(normalizeForceNo(row.fields.forceNo), household);
+      }
+      continue;
+    }
+
+    const key = normalizeForceNo(row.fields.forceNo);
+    let household = byKey.get(key);
+    if (!household && existingByKey.has(key)) {
+      household = { head: existingByKey.get(key), existing: true, members: [] };
+      byKey.set(key, household);
+      households.push(household);
+    }
+    if (!household) {
+      row.errors.push(`No ASF head with Force No ${row.fields.forceNo || '(none)'} in this file or already registered`);
+      continue;
+    }
+    household.members.push(row);
+  }
+
+  // A failed head takes its dependents with it. Dependents are then added in
+  // file order, and one whose relation doesn't fit (a second spouse, a child
+  // older than the head) is refused without affecting the others.
+  for (const household of households) {
+    if (!household.existing && household.head.errors.length > 0) {
+      for (const member of household.members) member.errors.push(`Head of household on line ${household.head.line} has errors`);
+      continue;
+    }
+    const members = household.members.filter(m => m.errors.length === 0);
+    if (members.length === 0) continue;
+
+    const accepted = household.existing
+      ? await Patient.find({ householdId: household.head.householdId }).select('firstName lastName patientNo dateOfBirth relationToHead isHouseholdHead').lean()
+      : [{ ...household.head.fields, relationToHead: 'self', isHouseholdHead: true }];
+    const known = new Set(validateHousehold(accepted));
+    for (const member of members) {
+      const candidate = { ...member.fields, isHouseholdHead: false };
+      const problems = validateHousehold([...accepted, candidate]).filter(p => !known.has(p));
+      if (problems.length > 0) {
+        member.errors.push(...problems);
+      } else {
+        accepted.push(candidate);
+      }
+    }
+  }
+
+  return { rows, households };
+}
+
+/**
+ * Register the valid rows of a plan. Patient numbers are reserved in one
+ * block and handed out household by household, head first.
+ * @returns {Promise<Array<{ row, patient }>>}
+ */
+export async function commitPatientImport({ households }) {
+  const ordered = [];
+  for (const household of households) {
+    if (!household.existing && household.head.errors.length === 0) ordered.push({ row: household.head, household });
+    for (const member of household.members) {
+      if (member.errors.length === 0) ordered.push({ row: member, household });
+    }
+  }
+  if (ordered.length === 0) return [];
+
+  const numbers = await reserveSequence('patient', ordered.length);
+  const heads = new Map();
+  const docs = [];
+  for (const [i, { row, household }] of ordered.entries()) {
+    const doc = { ...row.fields, _id: new mongoose.Types.ObjectId(), patientNo: numbers[i] };
+    if (row === household.head) {
+      Object.assign(doc, { householdId: doc.patientNo, relationToHead: 'self', familyHead: null, isHouseholdHead: true });
+      if (doc.patientType === 'CIVILIAN') delete doc.forceNo;
+      heads.set(household, doc);
+    } else {
+      const head = household.existing ? household.head : heads.get(household);
+      Object.assign(doc, { householdId: head.householdId, familyHead: head._id, isHouseholdHead: false });
+    }
+    doc.entitlement = entitlementSnapshot(await verifyEntitlement(doc));
+    docs.push(doc);
+  }
+
+  const inserted = await Patient.insertMany(docs, { ordered: true });
+  return inserted.map((patient, i) => ({ row: ordered[i].row, patient }));
+}
+
+/** The per-row report returned to the client. */
+export const importReport = (rows, registered = []) => {
+  const numbers = new Map(registered.map(({ row, patient }) => [row, patient.patientNo]));
+  return rows.map(row => ({
+    line: row.line,
+    name: rowName(row),
+    patientType: row.fields.patientType,
+    forceNo: row.fields.forceNo || '',
+    status: row.errors.length > 0 ? 'invalid' : (numbers.has(row) ? 'registered' : 'valid'),
+    errors: row.errors,
+    warnings: row.warnings,
+    ...(numbers.has(row) && { patientNo: numbers.get(row) }),
+  }));
+};
@@ -0,0 +1,35 @@
+import { PATIENT_TYPES } from './patientSearch.js';
+import { HOUSEHOLD_RELATIONS } from './households.js';
+
+/**
+ * Field rules for registering a patient, shared by single registration and
+ * the bulk CSV import so both accept exactly the same records.
+ */
+
+// Patient types registered under a serving member's force number
+export const FORCE_NO_TYPES = ['ASF', 'ASF_FAMILY', 'ASF_SCHOOL'];
+
+// Only ASF members register dependents as ASF_FAMILY
+export const HEAD_TYPE_FOR_FAMILY = 'ASF';
+
+/**
+ * @returns {string|null} the first problem, or null when the patient can be registered
+ */
+export function validateRegistration({ patientType, forceNo, firstName, lastName }) {
+  if (!patientType || !PATIENT_TYPES.includes(patientType)) return 'Invalid patient type';
+  if (FORCE_NO_TYPES.includes(patientType) && !forceNo) return 'Force No required for ASF patients';
+  if (!firstName || !lastName) return 'Missing required fields';
+  return null;
+}
+
+/**
+ * A dependent registered with its head.
+ * @returns {string|null}
+ */
+export function validateFamilyMember({ gender, dateOfBirth, bloodGroup, relationToHead }) {
+  if (!gender || !dateOfBirth || !bloodGroup || !relationToHead) return 'Family member is missing required fields';
+  if (!HOUSEHOLD_RELATIONS.includes(relationToHead) || relationToHead === 'self') {
+    return `relationToHead must be one of ${HOUSEHOLD_RELATIONS.filter(r => r !== 'self').join(', ')}`;
+  }
+  return null;
+}
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import Patient from '../models/Patient.js';
+import { buildSearchTerms } from './searchKeys.js';
+
+/**
+ * Ranked, cursor-paginated patient search over the patient_search text index.
+ *
+ * With a query, results are ordered by text score (identifier matches weigh
+ * most, then exact name tokens, then phonetic matches). Without one, newest
+ * registrations come first. Cursors are opaque strings; pass nextCursor back
+ * unchanged to get the following page.
+ */
+
+export const PATIENT_TYPES = ['ASF', 'ASF_FAMILY', 'ASF_SCHOOL', 'ASF_FOUNDATION', 'CIVILIAN'];
+export const DEFAULT_SEARCH_LIMIT = 25;
+export const MAX_SEARCH_LIMIT = 100;
+
+export const encodeCursor = (sortValue, id) =>
+  Buffer.from(JSON.stringify({ k: sortValue instanceof Date ? sortValue.toISOString() : sortValue, id: String(id) })).toString('base64url');
+
+/**
+ * @returns {{ k: number|string, id: string } | null} null when malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (parsed === null || typeof parsed !== 'object' || !mongoose.Types.ObjectId.isValid(parsed.id)) return null;
+    if (typeof parsed.k !== 'number' && typeof parsed.k !== 'string') return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate filters from a query string. Archived patients are left out
+ * unless includeArchived is set.
+ * @returns {{ filter?: object, error?: string }}
+ */
+export function buildPatientFilter({ patientType, city, gender, includeArchived = false } = {}) {
+  const filter = includeArchived ? {} : { archivedAt: null };
+  if (patientType) {
+    if (!PATIENT_TYPES.includes(patientType)) return { error: `patientType must be one of ${PATIENT_TYPES.join(', ')}` };
+    filter.patientType = patientType;
+  }
+  if (gender) {
+    const value = String(gender).toLowerCase();
+    if (!['male', 'female', 'other'].includes(value)) return { error: 'gender must be male, female or other' };
+    filter.gender = value;
+  }
+  if (city) {
+    const escaped = String(city).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filter.city = { $regex: `^${escaped}$`, $options: 'i' };
+  }
+  return { filter };
+}
+
+const pageOf = (rows, pageSize, sortKey) => {
+  const hasMore = rows.length > pageSize;
+  const patients = rows.slice(0, pageSize);
+  const last = patients[patients.length - 1];
+  return { patients, nextCursor: hasMore ? encodeCursor(last[sortKey], last._id) : null };
+};
+
+/**
+ * Browse patients newest first.
+ * @param {object} params - filter (from buildPatientFilter), limit, cursor
+ * @returns {Promise<{ patients: object[], nextCursor: string|null } | { error: string }>}
+ */
+export async function listPatients({ filter = {}, limit, cursor }) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) return { error: 'Invalid cursor' };
+
+  const query = { ...filter };
+  if (after) {
+    const afterDate = new Date(after.k);
+    const afterId = new mongoose.Types.ObjectId(after.id);
+    query.$or = [{ createdAt: { $lt: afterDate } }, { createdAt: afterDate, _id: { $lt: afterId } }];
+  }
+  const rows = await Patient.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean();
+  return pageOf(rows, limit, 'createdAt');
+}
+
+/**
+ * Ranked text search. Each result carries its text score as `score`.
+ * @param {object} params - q, filter (from buildPatientFilter), limit, cursor
+ * @returns {Promise<{ patients: object[], nextCursor: string|null } | { error: string }>}
+ */
+export async function searchPatients({ q, filter = {}, limit = DEFAULT_SEARCH_LIMIT, cursor }) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && (!after || typeof after.k !== 'number')) return { error: 'Invalid cursor' };
+
+  const terms = buildSearchTerms(q);
+  if (terms.length === 0) return { patients: [], nextCursor: null };
+
+  const pipeline = [
+    { $match: { $text: { $search: terms.join(' ') }, ...filter } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+  ];
+  if (after) {
+    const afterId = new mongoose.Types.ObjectId(after.id);
+    pipeline.push({ $match: { $or: [{ score: { $lt: after.k } }, { score: after.k, _id: { $gt: afterId } }] } });
+  }
+  pipeline.push({ $sort: { score: -1, _id: 1 } }, { $limit: limit + 1 }, { $project: { searchKeys: 0 } });
+
+  const rows = await Patient.aggregate(pipeline);
+  return pageOf(rows, limit, 'score');
+}
@@ -0,0 +1,280 @@
+import mongoose from 'mongoose';
+import Appointment from '../models/Appointment.js';
+import Vitals from '../models/Vitals.js';
+import Prescription from '../models/Prescription.js';
+import LabRequest from '../models/LabRequest.js';
+import RadiologyRequest from '../models/RadiologyRequest.js';
+import Invoice from '../models/Invoice.js';
+import Referral from '../models/Referral.js';
+import CareNote from '../models/CareNote.js';
+import Problem from '../models/Problem.js';
+import { toMinutes, localDate } from './roster.js';
+import { REVERSED_PAYMENT_STATUSES } from './invoiceHelper.js';
+import { getActiveAllergies, legacyProblems } from './allergyCheck.js';
+
+/**
+ * A patient's longitudinal record: one newest-first event stream merged from
+ * every collection that holds clinical or billing history.
+ *
+ * Events are ordered by (at, id) descending. A cursor is the (at, id) of the
+ * last event returned, so pages stay stable while new events are recorded.
+ */
+
+const actorName = (user) => (user && typeof user === 'object' ? user.name : undefined);
+
+// Each source: model, timestamp field, populate and a mapper to an event
+const DATED_SOURCES = {
+  vitals: {
+    model: Vitals,
+    field: 'recordedAt',
+    populate: ['nurseId', 'name'],
+    map: (v) => ({
+      title: 'Vitals recorded',
+      summary: [
+        v.bloodPressure && `BP ${v.bloodPressure}`,
+        v.pulse != null && `Pulse ${v.pulse}`,
+        v.temperature != null && `Temp ${v.temperature}`,
+        v.spo2 != null && `SpO2 ${v.spo2}%`,
+      ].filter(Boolean).join(', '),
+      by: actorName(v.nurseId),
+      details: { appointmentId: v.appointmentId, notes: v.notes || '' },
+    }),
+  },
+  prescription: {
+    model: Prescription,
+    field: 'createdAt',
+    populate: ['doctorId', 'name'],
+    map: (p) => ({
+      ref: p.rxNo,
+      title: p.diagnosis ? `Prescription: ${p.diagnosis}` : 'Prescription',
+      summary: (p.medicines || []).map(m => [m.name, m.dosage, m.frequency].filter(Boolean).join(' ')).join('; '),
+      status: p.status,
+      by: actorName(p.doctorId),
+      details: { appointmentId: p.appointmentId, labTests: p.labTests || [], radiologyTests: p.radiologyTests || [] },
+    }),
+  },
+  lab: {
+    model: LabRequest,
+    field: 'requestDate',
+    populate: ['doctorId', 'name'],
+    map: (l) => ({
+      ref: l.requestNo,
+      title: `Lab: ${l.test}`,
+      status: l.status,
+      by: actorName(l.doctorId),
+      details: { result: l.result ?? null },
+    }),
+  },
+  radiology: {
+    model: RadiologyRequest,
+    field: 'requestDate',
+    populate: ['doctorId', 'name'],
+    map: (r) => ({
+      ref: r.requestNo,
+      title: `Radiology: ${r.testType}`,
+      status: r.status,
+      by: actorName(r.doctorId),
+      details: { report: r.report ?? null },
+    }),
+  },
+  invoice: {
+    model: Invoice,
+    field: 'createdAt',
+    map: (i) => ({
+      ref: i.invoiceNo,
+      title: `${i.source} invoice`,
+      summary: `Net ${i.netAmount}, paid ${i.amountPaid || 0}`,
+      status: i.paymentStatus,
+      details: { netAmount: i.netAmount, amountPaid: i.amountPaid || 0 },
+    }),
+  },
+  referral: {
+    model: Referral,
+    field: 'date',
+    map: (r) => ({
+      ref: r.referralNo,
+      title: `Referred to ${r.referredTo}`,
+      summary: r.diagnosis,
+      status: r.status,
+      by: r.referringDoctorName || undefined,
+      details: { urgency: r.urgency, reasonForReferral: r.reasonForReferral || '' },
+    }),
+  },
+  care_note: {
+    model: CareNote,
+    field: 'createdAt',
+    populate: ['nurseId', 'name'],
+    map: (n) => ({ title: 'Care note', summary: n.note, by: actorName(n.nurseId) }),
+  },
+};
+
+export const TIMELINE_TYPES = ['appointment', ...Object.keys(DATED_SOURCES)];
+
+/**
+ * When an appointment takes place, in server-local time like bookings.
+ * Unparseable times sort to the start of the day.
+ */
+export function appointmentAt({ date, time }) {
+  const [year, month, day] = String(date || '').split('-').map(Number);
+  if (!year || !month || !day) return null;
+  const minutes = toMinutes(time) ?? 0;
+  return new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+}
+
+export const encodeTimelineCursor = (at, id) =>
+  Buffer.from(JSON.stringify({ at: new Date(at).toISOString(), id: String(id) })).toString('base64url');
+
+/**
+ * @returns {{ at: Date, id: string } | null} null when malformed
+ */
+export function decodeTimelineCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const at = new Date(parsed?.at);
+    if (Number.isNaN(at.getTime()) || !mongoose.Types.ObjectId.isValid(parsed.id)) return null;
+    return { at, id: String(parsed.id) };
+  } catch {
+    return null;
+  }
+}
+
+// Newest first; ObjectId hex strings compare in creation order
+const compareEvents = (a, b) => (b.at - a.at) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
+const isAfterCursor = (event, after) =>
+  !after || event.at < after.at || (event.at.getTime() === after.at.getTime() && event.id < after.id);
+
+const inRange = (at, { from, to }) => (!from || at >= from) && (!to || at <= to);
+
+async function datedEvents(type, patientId, { from, to, after }, limit) {
+  const { model, field, populate, map } = DATED_SOURCES[type];
+  const query = { patientId };
+  if (from || to) {
+    query[field] = {};
+    if (from) query[field].$gte = from;
+    if (to) query[field].$lte = to;
+  }
+  if (after) {
+    query.$or = [
+      { [field]: { $lt: after.at } },
+      { [field]: after.at, _id: { $lt: new mongoose.Types.ObjectId(after.id) } },
+    ];
+  }
+
+  let find = model.find(query).sort({ [field]: -1, _id: -1 }).limit(limit);
+  if (populate) find = find.populate(...populate);
+  const rows = await find.lean();
+
+  return rows.map(row => ({ type, id: String(row._id), at: row[field], ...map(row) }));
+}
+
+// Appointments keep date and time as strings, so whole days are fetched and
+// ordered in memory
+async function appointmentEvents(patientId, { from, to, after }, limit) {
+  const query = { patientId };
+  const lastDay = [to, after?.at].filter(Boolean).sort((a, b) => a - b)[0];
+  if (from || lastDay) {
+    query.date = {};
+    if (from) query.date.$gte = localDate(from);
+    if (lastDay) query.date.$lte = localDate(lastDay);
+  }
+
+  // Appointments on the cursor's day may already have been returned, so
+  // they don't count towards the limit
+  const fetchLimit = limit + (after ? await Appointment.countDocuments({ patientId, date: localDate(after.at) }) : 0);
+  let rows = await Appointment.find(query).sort({ date: -1 }).limit(fetchLimit).populate('doctorId', 'name').lean();
+  if (rows.length === fetchLimit) {
+    // Complete the oldest day so its appointments can be ordered by time
+    const oldestDay = rows[rows.length - 1].date;
+    const seen = new Set(rows.map(r => String(r._id)));
+    const sameDay = await Appointment.find({ patientId, date: oldestDay }).populate('doctorId', 'name').lean();
+    rows = rows.concat(sameDay.filter(r => !seen.has(String(r._id))));
+  }
+
+  return rows
+    .map(a => ({
+      type: 'appointment',
+      id: String(a._id),
+      at: appointmentAt(a),
+      ref: a.appointmentNo,
+      title: 'Appointment',
+      summary: a.reason || '',
+      status: a.status,
+      by: actorName(a.doctorId),
+      details: { date: a.date, time: a.time, roomNo: a.roomNo || '' },
+    }))
+    .filter(e => e.at && inRange(e.at, { from, to }) && isAfterCursor(e, after));
+}
+
+/**
+ * One page of a patient's timeline.
+ * @param {object} options - types (subset of TIMELINE_TYPES), from/to Dates,
+ *   limit, cursor
+ * @returns {Promise<{ events: object[], nextCursor: string|null } | { error: string }>}
+ */
+export async function getPatientTimeline(patientId, { types = TIMELINE_TYPES, from, to, limit = 50, cursor } = {}) {
+  const after = cursor ? decodeTimelineCursor(cursor) : null;
+  if (cursor && !after) return { error: 'Invalid cursor' };
+
+  const window = { from, to, after };
+  // Every source returns its own newest limit + 1, which is enough to fill
+  // the merged page and tell whether another follows
+  const batches = await Promise.all(types.map(type => (type === 'appointment'
+    ? appointmentEvents(patientId, window, limit + 1)
+    : datedEvents(type, patientId, window, limit + 1))));
+
+  const merged = batches.flat().sort(compareEvents);
+  const events = merged.slice(0, limit);
+  const last = events[events.length - 1];
+  const nextCursor = merged.length > limit ? encodeTimelineCursor(last.at, last.id) : null;
+
+  return { events, nextCursor };
+}
+
+/**
+ * Header shown above the timeline: problems, allergies, latest vitals and
+ * what the patient still owes.
+ */
+export async function getTimelineSummary(patient) {
+  const [problems, allergies, latestVitals, balance] = await Promise.all([
+    Problem.find({ patientId: patient._id, status: 'active' }).sort({ createdAt: -1 }).lean(),
+    getActiveAllergies(patient._id),
+    Vitals.findOne({ patientId: patient._id }).sort({ recordedAt: -1 }).lean(),
+    Invoice.aggregate([
+      { $match: { patientId: patient._id, paymentStatus: { $nin: ['paid', ...REVERSED_PAYMENT_STATUSES] } } },
+      {
+        $group: {
+          _id: null,
+          outstanding: { $sum: { $max: [{ $subtract: ['$netAmount', { $ifNull: ['$amountPaid', 0] }] }, 0] } },
+          invoices: { $sum: 1 },
+        },
+      },
+    ]),
+  ]);
+
+  // Free-text conditions only until the problem list has been started
+  const activeProblems = problems.length > 0
+    ? problems.map(p => ({ id: p._id, condition: p.condition, code: p.code || '', onset: p.onset || null }))
+    : legacyProblems(patient.existingConditions);
+
+  return {
+    activeProblems,
+    allergies: allergies.map(a => ({
+      ...(a._id && { id: a._id }),
+      substance: a.substance,
+      severity: a.severity,
+      reaction: a.reaction || '',
+      ...(a.legacy && { legacy: true }),
+    })),
+    latestVitals: latestVitals && {
+      recordedAt: latestVitals.recordedAt,
+      bloodPressure: latestVitals.bloodPressure || '',
+      pulse: latestVitals.pulse ?? null,
+      temperature: latestVitals.temperature ?? null,
+      spo2: latestVitals.spo2 ?? null,
+      respiratoryRate: latestVitals.respiratoryRate ?? null,
+    },
+    outstandingBalance: balance[0]?.outstanding || 0,
+    unpaidInvoices: balance[0]?.invoices || 0,
+  };
+}
@@ -0,0 +1,245 @@
+import Role from '../models/Role.js';
+
+/**
+ * Central permission registry.
+ *
+ * Routes declare what they need with requirePermission('invoice:update');
+ * which roles hold a permission is data in the Role collection, editable from
+ * /api/admin/roles. The defaults below seed that collection on startup.
+ */
+
+export const PERMISSIONS = {
+  'staff:read': 'View staff directory and profiles',
+  'user:manage': 'Create, update and remove staff accounts, sessions and lockouts',
+  'role:manage': 'Edit roles and their permissions',
+  'report:read': 'View dashboards, analytics and reports',
+  'system:read': 'View system health and activity log',
+  'audit:read': 'View and export the audit trail',
+  'sequence:manage': 'Configure document number formats (patient, invoice, lab numbers, ...)',
+  'department:read': 'View departments',
+  'department:manage': 'Create, update and delete departments',
+  'patient:read': 'View patient records',
+  'patient:create': 'Register patients',
+  'patient:update': 'Edit patient records',
+  'patient:delete': 'Archive and restore patient records, and view the retention report',
+  'patient:merge': 'Review duplicate patients and merge records',
+  'patient:import': 'Register patients in bulk from CSV',
+  'eligibility:read': 'View the ASF eligibility roster and check patient entitlement',
+  'eligibility:manage': 'Import the ASF eligibility roster',
+  'chart:unrestricted': 'Read any patient chart without a care relationship (reads are still logged)',
+  'chart:administrative': "Read any patient's details, appointments and invoices without a care relationship (reads are still logged)",
+  'roster:read': 'View doctor duty rosters and session capacity',
+  'roster:manage': 'Edit doctor duty rosters and exceptions',
+  'appointment:read': 'View appointments',
+  'appointment:create': 'Book appointments',
+  'appointment:update': 'Update appointments and assign queue tokens',
+  'appointment:reschedule': 'Move appointments to another date, time or doctor',
+  'appointment:cancel': 'Cancel appointments, voiding or crediting their OPD invoice',
+  'appointment:delete': 'Delete appointments',
+  'appointment:admin': 'Run the end-of-day closing and bulk appointment archiving',
+  'queue:advance': 'Call, complete and skip patients in room queues',
+  'prescription:read': 'View prescriptions',
+  'prescription:create': 'Write prescriptions',
+  'prescription:update': 'Edit prescriptions',
+  'pharmacy:read': 'View pharmacy worklist and stock',
+  'pharmacy:dispense': 'Dispense prescriptions',
+  'pharmacy:stock': 'Adjust pharmacy stock',
+  'lab:read': 'View lab requests',
+  'lab:request': 'Order lab tests',
+  'lab:result': 'Update lab request status and results',
+  'radiology:read': 'View radiology requests',
+  'radiology:request': 'Order radiology tests',
+  'radiology:report': 'Update radiology request status and reports',
+  'vitals:read': 'View patient vitals',
+  'vitals:record': 'Record and edit vitals',
+  'carenote:read': 'View nursing care notes',
+  'carenote:write': 'Write nursing care notes',
+  'allergy:manage': 'Record and update patient allergies',
+  'problem:manage': "Maintain patients' problem lists",
+  'document:read': 'View and download patient documents',
+  'document:upload': 'Upload and re-file patient documents',
+  'document:delete': 'Delete patient documents and view deleted ones',
+  'ward:read': 'View admitted patients',
+  'ward:manage': 'Admit and discharge ward patients',
+  'invoice:read': 'View invoices',
+  'invoice:create': 'Create invoices',
+  'invoice:update': 'Record invoice payments',
+  'invoice:discount': 'Change invoice discounts',
+  'pricing:read': 'View service price lists',
+  'revenue:read': 'View revenue summaries',
+  'inventory:read': 'View inventory, stock alerts and analytics',
+  'inventory:manage': 'Add, edit, dispose of and delete inventory items',
+  'referral:read': 'View referrals',
+  'referral:create': 'Create referrals',
+  'referral:update': 'Update referrals',
+  'referral:delete': 'Delete referrals',
+};
+
+const EVERYONE = ['staff:read', 'department:read', 'roster:read'];
+
+export const DEFAULT_ROLES = {
+  admin: {
+    label: 'Administrator',
+    permissions: Object.keys(PERMISSIONS),
+  },
+  receptionist: {
+    label: 'Receptionist',
+    permissions: [
+      ...EVERYONE,
+      'patient:read', 'patient:create', 'patient:update', 'chart:administrative', 'eligibility:read',
+      'document:read', 'document:upload',
+      'appointment:read', 'appointment:create', 'appointment:update', 'appointment:delete',
+      'appointment:reschedule', 'appointment:cancel',
+      'queue:advance',
+      'prescription:read', 'lab:read', 'radiology:read',
+      'ward:read', 'ward:manage',
+      'invoice:read', 'invoice:create', 'invoice:update', 'invoice:discount',
+      'pricing:read', 'revenue:read',
+      'referral:read', 'referral:update',
+    ],
+  },
+  doctor: {
+    label: 'Doctor',
+    permissions: [
+      ...EVERYONE,
+      'patient:read', 'patient:update',
+      'appointment:read', 'appointment:create', 'appointment:update', 'appointment:reschedule',
+      'queue:advance',
+      'prescription:read', 'prescription:create', 'prescription:update',
+      'pharmacy:read',
+      'lab:read', 'lab:request', 'lab:result',
+      'radiology:read', 'radiology:request', 'radiology:report',
+      'vitals:read', 'carenote:read', 'ward:manage',
+      'allergy:manage', 'problem:manage', 'document:read', 'document:upload',
+      'invoice:create', 'inventory:read',
+      'referral:read', 'referral:create', 'referral:update',
+    ],
+  },
+  nurse: {
+    label: 'Nurse',
+    permissions: [
+      ...EVERYONE,
+      'patient:read', 'appointment:read', 'appointment:update', 'queue:advance',
+      'prescription:read', 'pharmacy:read', 'lab:read', 'radiology:read',
+      'vitals:read', 'vitals:record', 'carenote:read', 'carenote:write', 'allergy:manage',
+      'document:read', 'document:upload',
+      'ward:read', 'ward:manage', 'inventory:read', 'referral:read',
+    ],
+  },
+  pharmacy: {
+    label: 'Pharmacy',
+    permissions: [
+      ...EVERYONE,
+      'patient:read', 'chart:unrestricted', 'prescription:read', 'prescription:update',
+      'pharmacy:read', 'pharmacy:dispense', 'pharmacy:stock', 'inventory:read', 'allergy:manage',
+    ],
+  },
+  laboratory: {
+    label: 'Laboratory',
+    permissions: [...EVERYONE, 'patient:read', 'chart:unrestricted', 'lab:read', 'lab:result', 'document:read', 'document:upload'],
+  },
+  radiologist: {
+    label: 'Radiologist',
+    permissions: [...EVERYONE, 'patient:read', 'chart:unrestricted', 'radiology:read', 'radiology:report', 'document:read', 'document:upload'],
+  },
+  billing: {
+    label: 'Billing',
+    permissions: [
+      ...EVERYONE,
+      'patient:read', 'chart:administrative', 'eligibility:read', 'appointment:read',
+      'invoice:read', 'invoice:create', 'invoice:update', 'invoice:discount',
+      'pricing:read', 'revenue:read',
+    ],
+  },
+  inventory: {
+    label: 'Inventory',
+    permissions: [...EVERYONE, 'inventory:read', 'inventory:manage'],
+  },
+};
+
+// Permissions that must stay on the admin role so nobody can lock themselves out
+export const PROTECTED_ADMIN_PERMISSIONS = ['role:manage', 'user:manage'];
+
+const CACHE_TTL_MS = 60 * 1000;
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+export function invalidatePermissionCache() {
+  roleCache = null;
+}
+
+async function loadRoles() {
+  if (roleCache && Date.now() - roleCacheLoadedAt < CACHE_TTL_MS) {
+    return roleCache;
+  }
+  const roles = await Role.find().select('name permissions requireTwoFactor').lean();
+  roleCache = new Map(roles.map(r => [
+    r.name,
+    { permissions: new Set(r.permissions), requireTwoFactor: Boolean(r.requireTwoFactor) },
+  ]));
+  roleCacheLoadedAt = Date.now();
+  return roleCache;
+}
+
+export async function getRolePermissions(roleName) {
+  const roles = await loadRoles();
+  if (roles.has(roleName)) return roles.get(roleName).permissions;
+  // Fall back to the built-in defaults until the Role collection is seeded
+  return new Set(DEFAULT_ROLES[roleName]?.permissions || []);
+}
+
+export async function hasPermission(roleName, permission) {
+  const granted = await getRolePermissions(roleName);
+  return granted.has(permission);
+}
+
+export async function roleRequiresTwoFactor(roleName) {
+  const roles = await loadRoles();
+  if (roles.has(roleName)) return roles.get(roleName).requireTwoFactor;
+  return Boolean(DEFAULT_ROLES[roleName]?.requireTwoFactor);
+}
+
+export async function roleExists(roleName) {
+  const roles = await loadRoles();
+  return roles.has(roleName) || Boolean(DEFAULT_ROLES[roleName]);
+}
+
+export const unknownPermissions = (permissions) => permissions.filter(p => !PERMISSIONS[p]);
+
+/**
+ * Create missing built-in roles and grant newly introduced default permissions.
+ * Permissions an admin removed from a role are not re-added, and defaults that
+ * were withdrawn are taken back from roles they were seeded to.
+ */
+export async function seedDefaultRoles() {
+  let created = 0;
+  let updated = 0;
+
+  for (const [name, def] of Object.entries(DEFAULT_ROLES)) {
+    const role = await Role.findOne({ name });
+    if (!role) {
+      await Role.create({
+        name,
+        label: def.label,
+        permissions: def.permissions,
+        seededPermissions: def.permissions,
+        requireTwoFactor: Boolean(def.requireTwoFactor),
+        isSystem: true,
+      });
+      created += 1;
+      continue;
+    }
+
+    const newDefaults = def.permissions.filter(p => !role.seededPermissions.includes(p));
+    const withdrawn = role.seededPermissions.filter(p => !def.permissions.includes(p));
+    if (newDefaults.length > 0 || withdrawn.length > 0) {
+      role.permissions = [...new Set([...role.permissions, ...newDefaults])].filter(p => !withdrawn.includes(p));
+      role.seededPermissions = [...new Set([...role.seededPermissions, ...newDefaults])].filter(p => !withdrawn.includes(p));
+      await role.save();
+      updated += 1;
+    }
+  }
+
+  invalidatePermissionCache();
+  return { created, updated };
+}
@@ -56,7 +56,7 @@ export const OPD_CHARGES = {
  */
 // Only ASF Staff & Family get concessional (asf) rates for Lab & Radiology
 // ASF_SCHOOL & ASF_FOUNDATION pay PVT rates (except OPD token)
-const ASF_TYPES = ['ASF', 'ASF_FAMILY'];
+export const ASF_TYPES = ['ASF', 'ASF_FAMILY'];
 
 export function getLabTestPrice(testName, patientType) {
   const pricing = LAB_TEST_PRICES[testName];
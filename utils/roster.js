@@ -0,0 +1,276 @@
+import DutyRoster from '../models/DutyRoster.js';
+import Appointment from '../models/Appointment.js';
+
+/**
+ * Doctor duty rosters and session capacity.
+ *
+ * A roster holds weekly sessions (day, start, end, room, capacity) plus
+ * per-date exceptions that replace the weekly sessions for that day. Booked
+ * counts are always computed from appointments, so there is no counter to
+ * drift when a step fails.
+ *
+ * Each session is divided into `capacity` bookable slots of equal length,
+ * so a 09:00-13:00 session for 20 patients has a slot every 12 minutes.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Appointments in these states no longer hold a place in the session
+const RELEASED_STATUSES = ['cancelled', 'no-show'];
+
+export const isValidTime = (time) => TIME_PATTERN.test(String(time || ''));
+
+export const isValidDate = (date) => DATE_PATTERN.test(String(date || '')) && !Number.isNaN(new Date(`${date}T00:00:00Z`).getTime());
+
+/**
+ * Minutes since midnight for "HH:mm" or "h:mm AM/PM" (the format appointments
+ * get when the time is auto-filled); null when unparseable.
+ */
+export function toMinutes(time) {
+  const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})(?:\s*([AaPp])\.?[Mm]\.?)?$/);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59) return null;
+  if (match[3]) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3].toLowerCase() === 'p' ? 12 : 0);
+  } else if (hours > 23) {
+    return null;
+  }
+  return hours * 60 + minutes;
+}
+
+// "HH:mm" for minutes since midnight
+export const fromMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+export const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Server-local date and time, which is what the front desk books against
+export const localDate = (d = new Date()) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+export const localTime = (d = new Date()) =>
+  `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+
+/**
+ * Validate and normalise a list of sessions.
+ * @param {boolean} weekly - sessions carry a dayOfWeek
+ * @returns {{ sessions?: object[], error?: string }}
+ */
+export function normalizeSessions(input, { weekly = true, defaultRoomNo = '' } = {}) {
+  if (!Array.isArray(input)) return { error: 'sessions must be an array' };
+
+  const sessions = [];
+  for (const [i, raw] of input.entries()) {
+    const label = `Session ${i + 1}`;
+    const session = {
+      startTime: String(raw?.startTime || ''),
+      endTime: String(raw?.endTime || ''),
+      roomNo: String(raw?.roomNo || defaultRoomNo || '').trim(),
+      capacity: Number(raw?.capacity),
+    };
+    if (weekly) {
+      session.dayOfWeek = Number(raw?.dayOfWeek);
+      if (!Number.isInteger(session.dayOfWeek) || session.dayOfWeek < 0 || session.dayOfWeek > 6) {
+        return { error: `${label}: dayOfWeek must be 0 (Sunday) to 6 (Saturday)` };
+      }
+    }
+    if (!TIME_PATTERN.test(session.startTime) || !TIME_PATTERN.test(session.endTime)) {
+      return { error: `${label}: startTime and endTime must be HH:mm` };
+    }
+    if (toMinutes(session.startTime) >= toMinutes(session.endTime)) {
+      return { error: `${label}: endTime must be after startTime` };
+    }
+    if (!session.roomNo) return { error: `${label}: roomNo is required` };
+    if (!Number.isInteger(session.capacity) || session.capacity < 1) {
+      return { error: `${label}: capacity must be a positive whole number` };
+    }
+    sessions.push(session);
+  }
+
+  // A doctor can't be in two sessions at once
+  const byDay = new Map();
+  for (const s of sessions) {
+    const key = weekly ? s.dayOfWeek : 'date';
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(s);
+  }
+  for (const daySessions of byDay.values()) {
+    daySessions.sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+    for (let i = 1; i < daySessions.length; i++) {
+      if (toMinutes(daySessions[i].startTime) < toMinutes(daySessions[i - 1].endTime)) {
+        return { error: `Sessions ${daySessions[i - 1].startTime}-${daySessions[i - 1].endTime} and ${daySessions[i].startTime}-${daySessions[i].endTime} overlap` };
+      }
+    }
+  }
+
+  return { sessions };
+}
+
+/**
+ * The sessions a roster schedules on a date, earliest first. A matching
+ * exception replaces the weekly pattern entirely.
+ */
+export function sessionsForDate(roster, date) {
+  if (!roster) return [];
+  const exception = roster.exceptions?.find(e => e.date === date);
+  const day = dayOfWeek(date);
+  const sessions = exception
+    ? exception.sessions
+    : (roster.sessions || []).filter(s => s.dayOfWeek === day);
+
+  return sessions
+    .map(s => ({ startTime: s.startTime, endTime: s.endTime, roomNo: s.roomNo, capacity: s.capacity }))
+    .sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+}
+
+// The session whose [start, end) contains the time, if any
+export function findSessionAt(sessions, time) {
+  const minutes = toMinutes(time);
+  if (minutes === null) return null;
+  return sessions.find(s => toMinutes(s.startTime) <= minutes && minutes < toMinutes(s.endTime)) || null;
+}
+
+/**
+ * Attach booked and remaining counts to each doctor's sessions on a date.
+ * @param {object[]} rosters
+ * @returns {Promise<Map<string, object[]>>} doctorId -> sessions with booked/remaining
+ */
+export async function getDaySchedules(rosters, date) {
+  const schedules = new Map();
+  if (rosters.length === 0) return schedules;
+
+  const counts = await Appointment.aggregate([
+    {
+      $match: {
+        doctorId: { $in: rosters.map(r => r.doctorId?._id || r.doctorId) },
+        date,
+        status: { $nin: RELEASED_STATUSES },
+        sessionStart: { $ne: null },
+      },
+    },
+    { $group: { _id: { doctorId: '$doctorId', sessionStart: '$sessionStart' }, count: { $sum: 1 } } },
+  ]);
+  const countMap = new Map(counts.map(c => [`${c._id.doctorId}:${c._id.sessionStart}`, c.count]));
+
+  for (const roster of rosters) {
+    const doctorId = String(roster.doctorId?._id || roster.doctorId);
+    schedules.set(doctorId, sessionsForDate(roster, date).map(s => {
+      const booked = countMap.get(`${doctorId}:${s.startTime}`) || 0;
+      return { ...s, booked, remaining: Math.max(0, s.capacity - booked) };
+    }));
+  }
+  return schedules;
+}
+
+export async function getDaySchedule(roster, date) {
+  const schedules = await getDaySchedules([roster], date);
+  return schedules.get(String(roster.doctorId?._id || roster.doctorId)) || [];
+}
+
+/**
+ * The bookable slots of a session, { time, endTime } in HH:mm. Slots are at
+ * least a minute long, so a session shorter in minutes than its capacity has
+ * fewer slots than places.
+ */
+export function sessionSlots(session) {
+  const start = toMinutes(session.startTime);
+  const length = toMinutes(session.endTime) - start;
+  const slotLength = Math.max(1, Math.floor(length / session.capacity));
+  const count = Math.min(session.capacity, Math.floor(length / slotLength));
+  return Array.from({ length: count }, (_, i) => ({
+    time: fromMinutes(start + i * slotLength),
+    endTime: fromMinutes(start + (i + 1) * slotLength),
+  }));
+}
+
+/**
+ * Add each session's slots to a day schedule. A slot is available when no
+ * active appointment holds it, the session has places left and, with `now`
+ * (minutes since midnight, for today), it hasn't already ended.
+ * @param {object[]} schedule - sessions with booked/remaining from getDaySchedule
+ * @param {Set<string>} taken - slot start times held by appointments
+ */
+export function withSlots(schedule, taken, now = null) {
+  return schedule.map(s => ({
+    ...s,
+    slots: sessionSlots(s).map(slot => {
+      const isTaken = taken.has(slot.time);
+      const past = now !== null && toMinutes(slot.endTime) <= now;
+      return { ...slot, taken: isTaken, past, available: !isTaken && !past && s.remaining > 0 };
+    }),
+  }));
+}
+
+/**
+ * A doctor's sessions on a date with booked counts and slots.
+ * @param {object} [options.held] - { date, sessionStart, time } already held by
+ *   the appointment being moved, so it doesn't count against itself
+ */
+export async function getDaySlots(roster, date, { held } = {}) {
+  const doctorId = roster.doctorId?._id || roster.doctorId;
+  const holds = held?.date === date;
+  const schedule = (await getDaySchedule(roster, date)).map(s => (
+    holds && held.sessionStart === s.startTime
+      ? { ...s, booked: s.booked - 1, remaining: s.remaining + 1 }
+      : s
+  ));
+
+  const booked = await Appointment.find({ doctorId, date, slotKey: { $type: 'string' } }).select('time').lean();
+  const taken = new Set(booked.map(a => a.time));
+  if (holds) taken.delete(held.time);
+
+  return withSlots(schedule, taken, date === localDate() ? toMinutes(localTime()) : null);
+}
+
+export const slotKey = (doctorId, date, time) => `${doctorId}:${date}:${time}`;
+
+/**
+ * Pick the roster slot an appointment books into. With a time it must be the
+ * start of a free slot; without one the earliest free slot is used, which for
+ * today is the current or next one. Doctors with no roster have no slots and
+ * are not capacity-limited.
+ *
+ * @param {object} [options.held] - see getDaySlots
+ * @returns {Promise<{ session: object|null, slot: object|null } | { error: string, status: number }>}
+ */
+export async function reserveRosterSession(doctorId, date, time, { held } = {}) {
+  const roster = await DutyRoster.findOne({ doctorId });
+  if (!roster) return { session: null, slot: null };
+
+  const schedule = await getDaySlots(roster, date, { held });
+  if (schedule.length === 0) {
+    return { status: 409, error: 'Doctor is not on duty on this date' };
+  }
+
+  if (!time) {
+    for (const session of schedule) {
+      const slot = session.slots.find(s => s.available);
+      if (slot) return { session, slot };
+    }
+    return { status: 409, error: 'No free slots in the doctor\'s sessions on this date' };
+  }
+
+  const session = findSessionAt(schedule, time);
+  if (!session) {
+    const hours = schedule.map(s => `${s.startTime}-${s.endTime}`).join(', ');
+    return { status: 409, error: `Doctor is not on duty at ${time}. Sessions on ${date}: ${hours}` };
+  }
+  if (session.remaining <= 0) {
+    return { status: 409, error: `Session ${session.startTime}-${session.endTime} is fully booked (${session.capacity})` };
+  }
+
+  const slot = session.slots.find(s => s.time === fromMinutes(toMinutes(time)));
+  if (!slot) {
+    return { status: 409, error: `${time} is not a slot start. Free slots in ${session.startTime}-${session.endTime}: ${session.slots.filter(s => s.available).map(s => s.time).join(', ') || 'none'}` };
+  }
+  if (slot.taken) {
+    return { status: 409, error: `The ${slot.time} slot is already booked` };
+  }
+  if (slot.past) {
+    return { status: 409, error: `The ${slot.time} slot has already passed` };
+  }
+  return { session, slot };
+}
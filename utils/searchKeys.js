@@ -0,0 +1,83 @@
+/**
+ * Search keys for patients.
+ *
+ * Names are matched both literally and by a phonetic key tolerant of the
+ * spelling variants common in transliterated Urdu names (Muhammad /
+ * Mohammed, Ayesha / Aisha, Qasim / Kasim, Usman / Osman). Identifiers
+ * (patientNo, forceNo, CNIC, phone) are reduced to lowercase letters and
+ * digits so formatting doesn't matter.
+ */
+
+// Applied in order; multi-letter sounds first
+const PHONETIC_RULES = [
+  [/kh/g, 'k'], [/gh/g, 'g'], [/ph/g, 'f'], [/sh/g, 's'], [/ch/g, 'c'],
+  [/th/g, 't'], [/dh/g, 'd'], [/bh/g, 'b'], [/q/g, 'k'], [/ck/g, 'k'],
+  [/w/g, 'v'], [/x/g, 'ks'],
+];
+
+/**
+ * Phonetic key of one name token: an initial vowel becomes 'a', later vowels,
+ * y and a final h are dropped, and repeated letters collapse.
+ */
+export function phoneticKey(token) {
+  let word = String(token || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!word) return '';
+  for (const [pattern, replacement] of PHONETIC_RULES) word = word.replace(pattern, replacement);
+
+  const first = /[aeiou]/.test(word[0]) ? 'a' : word[0];
+  const rest = word.slice(1).replace(/h$/, '').replace(/[aeiouy]/g, '');
+  return (first + rest).replace(/(.)\1+/g, '$1');
+}
+
+export const nameTokens = (value) =>
+  String(value || '').toLowerCase().split(/[^a-z]+/).filter(t => t.length >= 2);
+
+const alnum = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const digits = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * The derived searchKeys stored on a patient.
+ */
+export function buildPatientSearchKeys(patient) {
+  const ids = new Set();
+  if (patient.patientNo) {
+    ids.add(alnum(patient.patientNo));
+    if (digits(patient.patientNo)) ids.add(digits(patient.patientNo));
+  }
+  if (patient.forceNo) ids.add(alnum(patient.forceNo));
+  if (digits(patient.cnic).length >= 5) ids.add(digits(patient.cnic));
+  if (digits(patient.phone).length >= 7) ids.add(digits(patient.phone).slice(-10));
+
+  const names = nameTokens(`${patient.firstName || ''} ${patient.lastName || ''}`);
+  return {
+    ids: [...ids].filter(Boolean),
+    names: [...new Set(names)],
+    phonetic: [...new Set(names.map(phoneticKey).filter(Boolean))],
+  };
+}
+
+/**
+ * Turn a free-text query into terms for the patient text index.
+ */
+export function buildSearchTerms(query) {
+  const terms = new Set();
+  const text = String(query || '').trim();
+  // A phone or CNIC typed with spaces is one identifier
+  const tokens = /^[\d\s+()-]+$/.test(text) ? [text] : text.split(/\s+/);
+  for (const raw of tokens) {
+    const token = alnum(raw);
+    if (!token) continue;
+    if (/\d/.test(token)) {
+      terms.add(token);
+      const tokenDigits = digits(raw);
+      if (tokenDigits.length >= 10) terms.add(tokenDigits.slice(-10)); // phone typed with country code
+      if (tokenDigits && tokenDigits !== token) terms.add(tokenDigits);
+    } else {
+      for (const name of nameTokens(raw)) {
+        terms.add(name);
+        terms.add(phoneticKey(name));
+      }
+    }
+  }
+  return [...terms].filter(Boolean);
+}
@@ -75,8 +75,6 @@ export async function seedTestUsers() {
           phone: '0300-0000000',
           avatar: `https://i.pravatar.cc/150?img=${Math.floor(Math.random() * 70)}`,
           status: 'active',
-          available_slots: 10,
-          max_slots: 10,
         });
 
         await newUser.save();
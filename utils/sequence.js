@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.js';
+import SequenceFormat from '../models/SequenceFormat.js';
+
+/**
+ * Document-number sequences (patients, appointments, appointment series,
+ * prescriptions, lab and radiology requests, referrals, invoices, households).
+ *
+ * Numbers come from an atomic $inc on the counters collection, so concurrent
+ * requests never get the same number and deleted documents never free one up.
+ * Formats default to the ones below and can be overridden per type from
+ * /api/admin/sequences.
+ */
+
+// model/field are used to line counters up with numbers already in the database
+export const DEFAULT_SEQUENCES = {
+  patient: { label: 'Patient (MR) number', model: 'Patient', field: 'patientNo', prefix: 'PAT', includeYear: false, padding: 6, resetYearly: false, start: 1001 },
+  appointment: { label: 'Appointment number', model: 'Appointment', field: 'appointmentNo', prefix: 'APT', includeYear: false, padding: 3, resetYearly: false, start: 1 },
+  prescription: { label: 'Prescription number', model: 'Prescription', field: 'rxNo', prefix: 'RX', includeYear: false, padding: 6, resetYearly: false, start: 456789 },
+  lab: { label: 'Lab request number', model: 'LabRequest', field: 'requestNo', prefix: 'LAB', includeYear: true, padding: 4, resetYearly: true, start: 1 },
+  radiology: { label: 'Radiology request number', model: 'RadiologyRequest', field: 'requestNo', prefix: 'RAD', includeYear: true, padding: 4, resetYearly: true, start: 1 },
+  referral: { label: 'Referral number', model: 'Referral', field: 'referralNo', prefix: 'REF', includeYear: true, padding: 3, resetYearly: true, start: 1 },
+  invoice: { label: 'Invoice number', model: 'Invoice', field: 'invoiceNo', prefix: 'INV', includeYear: true, padding: 5, resetYearly: true, start: 1 },
+  series: { label: 'Appointment series number', model: 'AppointmentSeries', field: 'seriesNo', prefix: 'SER', includeYear: false, padding: 4, resetYearly: false, start: 1 },
+  household: { label: 'Household ID (for households split off an existing one)', model: 'Patient', field: 'householdId', prefix: 'HH', includeYear: false, padding: 6, resetYearly: false, start: 1 },
+};
+
+export const FORMAT_FIELDS = ['prefix', 'includeYear', 'padding', 'resetYearly', 'start'];
+
+const CACHE_TTL_MS = 60 * 1000;
+let formatCache = null;
+let formatCacheLoadedAt = 0;
+
+export function invalidateSequenceCache() {
+  formatCache = null;
+}
+
+/**
+ * Effective format for every type: defaults merged with admin overrides.
+ * @returns {Promise<Object<string, object>>}
+ */
+export async function getSequenceFormats() {
+  if (formatCache && Date.now() - formatCacheLoadedAt < CACHE_TTL_MS) {
+    return formatCache;
+  }
+  const overrides = await SequenceFormat.find().lean();
+  const formats = {};
+  for (const [type, def] of Object.entries(DEFAULT_SEQUENCES)) {
+    const override = overrides.find(o => o.type === type);
+    formats[type] = { ...def };
+    if (override) {
+      for (const field of FORMAT_FIELDS) formats[type][field] = override[field];
+    }
+  }
+  formatCache = formats;
+  formatCacheLoadedAt = Date.now();
+  return formats;
+}
+
+/**
+ * Validate a format change.
+ * @returns {string[]} problems; empty when acceptable
+ */
+export function validateSequenceFormat({ prefix, padding, start }) {
+  const errors = [];
+  if (!/^[A-Z0-9]{1,10}$/.test(String(prefix || ''))) {
+    errors.push('prefix must be 1-10 uppercase letters or digits');
+  }
+  if (!Number.isInteger(padding) || padding < 1 || padding > 12) {
+    errors.push('padding must be a whole number from 1 to 12');
+  }
+  if (!Number.isInteger(start) || start < 0) {
+    errors.push('start must be a whole number of 0 or more');
+  }
+  return errors;
+}
+
+// Counters reset yearly are keyed per year; others run forever
+export const counterKey = (type, format, year) => (format.resetYearly ? `${type}:${year}` : type);
+
+/**
+ * Render sequence value n (1-based) as a document number.
+ */
+export function formatSequence(format, n, year) {
+  const number = String(format.start + n - 1).padStart(format.padding, '0');
+  return [format.prefix, format.includeYear ? year : null, number].filter(v => v !== null).join('-');
+}
+
+// Regex source matching numbers of `format` issued in `year`, capturing the number
+const sequencePattern = (format, year) => {
+  const escaped = format.prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return format.includeYear ? `^${escaped}-${year}-(\\d+)$` : `^${escaped}-(\\d+)$`;
+};
+
+/**
+ * Inverse of formatSequence: the 1-based sequence value for a document
+ * number issued in `year`, or null if it doesn't match the format.
+ */
+export function parseSequence(format, value, year) {
+  const match = String(value || '').match(new RegExp(sequencePattern(format, year)));
+  if (!match) return null;
+  return Number(match[1]) - format.start + 1;
+}
+
+/**
+ * Reserve `count` consecutive numbers of a type.
+ * @returns {Promise<string[]>}
+ */
+export async function reserveSequence(type, count = 1) {
+  const formats = await getSequenceFormats();
+  const format = formats[type];
+  if (!format) throw new Error(`Unknown sequence type: ${type}`);
+
+  const year = new Date().getFullYear();
+  const key = counterKey(type, format, year);
+
+  let counter;
+  try {
+    counter = await Counter.findOneAndUpdate({ key }, { $inc: { seq: count } }, { new: true, upsert: true });
+  } catch (err) {
+    // Two first-ever increments can race on the upsert; the loser just retries
+    if (err.code !== 11000) throw err;
+    counter = await Counter.findOneAndUpdate({ key }, { $inc: { seq: count } }, { new: true });
+  }
+
+  const first = counter.seq - count + 1;
+  return Array.from({ length: count }, (_, i) => formatSequence(format, first + i, year));
+}
+
+/**
+ * Each type's format with its current counter and the next number it will issue.
+ */
+export async function describeSequences() {
+  const formats = await getSequenceFormats();
+  const year = new Date().getFullYear();
+  const keys = Object.entries(formats).map(([type, format]) => counterKey(type, format, year));
+  const counters = await Counter.find({ key: { $in: keys } }).lean();
+  const seqByKey = new Map(counters.map(c => [c.key, c.seq]));
+
+  return Object.entries(formats).map(([type, format]) => {
+    const seq = seqByKey.get(counterKey(type, format, year)) || 0;
+    return {
+      type,
+      label: format.label,
+      ...Object.fromEntries(FORMAT_FIELDS.map(f => [f, format[f]])),
+      current: seq,
+      next: formatSequence(format, seq + 1, year),
+    };
+  });
+}
+
+export async function nextSequence(type) {
+  const [value] = await reserveSequence(type, 1);
+  return value;
+}
+
+/**
+ * Move each counter past the highest number already used in its collection,
+ * so switching from countDocuments() numbering (or changing a format back)
+ * can't hand out a number that exists. Counters are never moved backwards.
+ */
+export async function syncSequenceCounters(types = Object.keys(DEFAULT_SEQUENCES)) {
+  invalidateSequenceCache();
+  const formats = await getSequenceFormats();
+  const year = new Date().getFullYear();
+  const synced = {};
+
+  for (const type of types) {
+    const format = formats[type];
+    const Model = mongoose.model(format.model);
+    const pattern = sequencePattern(format, year);
+    // Only the largest number is needed; compared as numbers, so APT-1000 beats APT-999
+    const [top] = await Model.aggregate([
+      { $match: { [format.field]: { $regex: pattern } } },
+      {
+        $project: {
+          n: {
+            $let: {
+              vars: { found: { $regexFind: { input: `$${format.field}`, regex: pattern } } },
+              in: { $toLong: { $arrayElemAt: ['$$found.captures', 0] } },
+            },
+          },
+        },
+      },
+      { $group: { _id: null, max: { $max: '$n' } } },
+    ]);
+    const highest = top ? Math.max(Number(top.max) - format.start + 1, 0) : 0;
+
+    const key = counterKey(type, format, year);
+    await Counter.updateOne({ key }, { $max: { seq: highest } }, { upsert: true });
+    synced[type] = highest;
+  }
+
+  return synced;
+}
@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+
+/**
+ * Access/refresh token handling backed by the Session collection.
+ *
+ * Access tokens are short-lived JWTs carrying the session id (`sid`);
+ * verifyToken rejects them as soon as their session is revoked.
+ * Refresh tokens look like `{sessionId}.{secret}` and are rotated on every use.
+ */
+
+// Read lazily: routes are imported before server.js runs dotenv.config()
+export const getJwtSecret = () => process.env.JWT_SECRET || 'your_jwt_secret_key_change_in_production';
+const getAccessTokenExpire = () => process.env.JWT_ACCESS_EXPIRE || '15m';
+const getRefreshTokenDays = () => Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+const MAX_PREVIOUS_HASHES = 20;
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// req.ip follows X-Forwarded-For only when a trusted proxy is configured
+// (TRUST_PROXY in server.js), so clients can't pick their own address
+export const getClientIp = (req) => req.ip || req.socket?.remoteAddress || '';
+
+const refreshExpiryDate = () => new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000);
+
+export const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, role: user.role, name: user.name, sid: sessionId },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenExpire() }
+  );
+};
+
+/**
+ * Open a new session for a user and issue its first token pair.
+ */
+export async function createSession(user, req) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent: req.headers['user-agent'] || '',
+    ip: getClientIp(req),
+    expiresAt: refreshExpiryDate(),
+  });
+
+  return {
+    session,
+    token: generateAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Presenting an already-rotated refresh token revokes the whole session,
+ * since it means the token was copied.
+ * @returns {{ session, refreshToken: string } | { error: string }}
+ */
+export async function rotateSession(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  const presentedHash = hashToken(secret);
+  const newSecret = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newSecret),
+        lastUsedAt: new Date(),
+        ip: getClientIp(req),
+        expiresAt: refreshExpiryDate(),
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_HASHES } },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: `${session._id}.${newSecret}` };
+  }
+
+  const reused = await Session.findOne({ _id: sessionId, previousTokenHashes: presentedHash, revokedAt: null });
+  if (reused) {
+    reused.revokedAt = new Date();
+    reused.revokedReason = 'token_reuse';
+    await reused.save();
+    console.warn('🚨 [AUTH] Refresh token reuse detected, session revoked:', sessionId);
+  }
+
+  return { error: 'Invalid or expired refresh token' };
+}
+
+/**
+ * Verify an access token and make sure its session is still live.
+ * @returns {object|null} decoded token payload, or null when rejected
+ */
+export async function authenticateAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getJwtSecret());
+  } catch (err) {
+    return null;
+  }
+
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid).select('userId revokedAt expiresAt');
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+  if (session.userId.toString() !== String(decoded.id)) return null;
+
+  return decoded;
+}
+
+export async function revokeSession(sessionId, reason, revokedBy) {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } },
+    { new: true }
+  );
+}
+
+/**
+ * Revoke every live session of a user, optionally keeping one (e.g. the caller's own).
+ * @returns {number} sessions revoked
+ */
+export async function revokeUserSessions(userId, reason, { revokedBy, exceptSessionId } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason, revokedBy },
+  });
+  return result.modifiedCount;
+}
+
+export const mapSession = (s, currentSessionId) => ({
+  id: s._id,
+  userAgent: s.userAgent,
+  ip: s.ip,
+  createdAt: s.createdAt,
+  lastUsedAt: s.lastUsedAt,
+  expiresAt: s.expiresAt,
+  revokedAt: s.revokedAt || null,
+  revokedReason: s.revokedReason || null,
+  current: currentSessionId ? s._id.toString() === String(currentSessionId) : false,
+});
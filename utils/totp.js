@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+
+/**
+ * RFC 6238 time-based one-time passwords (SHA-1, 30 s step, 6 digits),
+ * compatible with Google Authenticator, Authy, Microsoft Authenticator etc.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_STEP_SECONDS = 30;
+const DEFAULT_DIGITS = 6;
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * @returns {string} a new random base32 secret (160 bits)
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const timeStep = (time = Date.now(), stepSeconds = DEFAULT_STEP_SECONDS) =>
+  Math.floor(time / 1000 / stepSeconds);
+
+/**
+ * HOTP value for a counter (RFC 4226).
+ */
+export function generateHotp(secret, counter, digits = DEFAULT_DIGITS) {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+export const generateTotp = (secret, time = Date.now(), { digits = DEFAULT_DIGITS, stepSeconds = DEFAULT_STEP_SECONDS } = {}) =>
+  generateHotp(secret, timeStep(time, stepSeconds), digits);
+
+/**
+ * Check a code against the current step and `window` steps either side (clock drift).
+ * @returns {number|null} the matching time step, so callers can reject replays, or null
+ */
+export function verifyTotp(secret, code, { time = Date.now(), window = 1, digits = DEFAULT_DIGITS, stepSeconds = DEFAULT_STEP_SECONDS } = {}) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) return null;
+
+  const current = timeStep(time, stepSeconds);
+  for (let offset = -window; offset <= window; offset += 1) {
+    const candidate = generateHotp(secret, current + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return current + offset;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// provisioning URI; render it as a QR code for authenticator apps.
+ */
+export function buildOtpAuthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * One-time recovery codes formatted as xxxxx-xxxxx.
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+export const normalizeRecoveryCode = (code) => String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
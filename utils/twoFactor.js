@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getJwtSecret, hashToken } from './sessionHelper.js';
+import { roleRequiresTwoFactor } from './permissions.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} from './totp.js';
+
+/**
+ * Two-factor login state on User.twoFactor.
+ *
+ * After the password step, login hands out a short-lived challenge token
+ * instead of a session. The challenge is redeemed with a TOTP or recovery code
+ * (purpose '2fa'), or - for users who must use 2FA but haven't enrolled yet -
+ * used to enrol and then log in (purpose '2fa_enroll').
+ */
+
+const CHALLENGE_TYPE = '2fa_challenge';
+const CHALLENGE_EXPIRE = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Smart Hospital';
+const getEncryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TWO_FACTOR_ENCRYPTION_KEY || getJwtSecret()).digest();
+
+// Secrets select:false; load them with this when verifying codes
+export const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes';
+
+export function encryptSecret(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+export function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+export async function isTwoFactorRequired(user) {
+  return Boolean(user.twoFactor?.required) || (await roleRequiresTwoFactor(user.role));
+}
+
+export const issueChallengeToken = (user, purpose) =>
+  jwt.sign({ id: user._id, purpose, typ: CHALLENGE_TYPE }, getJwtSecret(), { expiresIn: CHALLENGE_EXPIRE });
+
+/**
+ * @returns {object|null} decoded challenge, or null if invalid, expired or for another purpose
+ */
+export function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(String(token || ''), getJwtSecret());
+    if (decoded.typ !== CHALLENGE_TYPE || decoded.purpose !== purpose) return null;
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Generate a new secret awaiting confirmation. The caller saves the user.
+ */
+export function startEnrollment(user) {
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  return {
+    secret,
+    otpauthUri: buildOtpAuthUri({ secret, accountName: user.email, issuer: getIssuer() }),
+  };
+}
+
+const hashRecoveryCodes = (codes) => codes.map(code => hashToken(normalizeRecoveryCode(code)));
+
+/**
+ * Confirm enrolment with a code from the authenticator app.
+ * @returns {string[]|null} fresh recovery codes (shown once), or null if the code is wrong
+ */
+export function activateEnrollment(user, code) {
+  if (!user.twoFactor.pendingSecret) return null;
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodeHashes = hashRecoveryCodes(recoveryCodes);
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  return recoveryCodes;
+}
+
+/**
+ * Check a TOTP code or a recovery code; a used recovery code is removed.
+ * The caller saves the user.
+ * @returns {'totp'|'recovery_code'|null} the method that succeeded
+ */
+export function verifySecondFactor(user, { code, recoveryCode }) {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+    if (step === null || step <= user.twoFactor.lastUsedStep) return null;
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = user.twoFactor.recoveryCodeHashes.indexOf(hash);
+    if (index === -1) return null;
+    user.twoFactor.recoveryCodeHashes.splice(index, 1);
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+/**
+ * Replace all recovery codes. The caller saves the user.
+ * @returns {string[]} the new codes (shown once)
+ */
+export function regenerateRecoveryCodes(user) {
+  const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  user.twoFactor.recoveryCodeHashes = hashRecoveryCodes(recoveryCodes);
+  return recoveryCodes;
+}
+
+/**
+ * Remove enrolment (user disable or admin reset). The caller saves the user.
+ */
+export function clearTwoFactor(user) {
+  user.twoFactor.enabled = false;
+  user.twoFactor.secret = undefined;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodeHashes = [];
+  user.twoFactor.lastUsedStep = 0;
+  user.twoFactor.enabledAt = undefined;
+}
+
+export const mapTwoFactorStatus = (user, required) => ({
+  enabled: Boolean(user.twoFactor?.enabled),
+  required,
+  enforcedForUser: Boolean(user.twoFactor?.required),
+  enabledAt: user.twoFactor?.enabledAt || null,
+  recoveryCodesRemaining: user.twoFactor?.recoveryCodeHashes?.length ?? null,
+});
@@ -0,0 +1,127 @@
+import User from '../models/User.js';
+import Appointment from '../models/Appointment.js';
+import Queue from '../models/Queue.js';
+import DutyRoster from '../models/DutyRoster.js';
+import { getDailyTokenNumber, generateOPDToken } from './tokenUtils.js';
+import { sessionsForDate, findSessionAt } from './roster.js';
+
+/**
+ * Staff lifecycle: pending → active ⇄ suspended → deactivated.
+ *
+ * Users are never hard-deleted, so historic appointments, prescriptions,
+ * queues and lab requests keep resolving their author.
+ */
+
+// Tentative follow-ups are included so they move with the doctor's other patients
+export const OPEN_APPOINTMENT_STATUSES = ['tentative', 'scheduled', 'vitals_recorded'];
+const OPEN_QUEUE_STATUSES = ['waiting', 'vitals_recorded', 'serving'];
+
+/**
+ * Count a doctor's unfinished work.
+ */
+export async function findOpenWork(doctorId) {
+  const [appointments, queues] = await Promise.all([
+    Appointment.countDocuments({ doctorId, status: { $in: OPEN_APPOINTMENT_STATUSES } }),
+    Queue.find({ doctorId }).select('patients.status'),
+  ]);
+  const queuePatients = queues.reduce(
+    (sum, q) => sum + q.patients.filter(p => OPEN_QUEUE_STATUSES.includes(p.status)).length,
+    0
+  );
+  return { appointments, queuePatients, total: appointments + queuePatients };
+}
+
+/**
+ * Check that a user can take over another doctor's patients.
+ * @returns {{ doctor } | { error: string }}
+ */
+export async function resolveReassignTarget(reassignTo, fromUserId) {
+  if (String(reassignTo) === String(fromUserId)) {
+    return { error: 'Cannot reassign work to the same doctor' };
+  }
+  const doctor = await User.findById(reassignTo).catch(() => null);
+  if (!doctor || doctor.role !== 'doctor' || doctor.status !== 'active') {
+    return { error: 'reassignTo must be an active doctor' };
+  }
+  if (!doctor.roomNo) {
+    return { error: 'The doctor to reassign to has no room assigned' };
+  }
+  return { doctor };
+}
+
+/**
+ * Move a doctor's open appointments and waiting queue patients to another doctor.
+ * Queue patients get a new token in the target room, in their original order.
+ * @returns {{ appointments: number, queuePatients: number }}
+ */
+export async function reassignDoctorWork(fromDoctor, toDoctor) {
+  // Reassignment is not capacity-checked, but moved appointments are counted
+  // in whichever of the new doctor's roster sessions their time falls into.
+  // They give up their slot, which was the old doctor's.
+  const [openAppointments, targetRoster] = await Promise.all([
+    Appointment.find({ doctorId: fromDoctor._id, status: { $in: OPEN_APPOINTMENT_STATUSES } }).select('date time'),
+    DutyRoster.findOne({ doctorId: toDoctor._id }),
+  ]);
+  if (openAppointments.length > 0) {
+    await Appointment.bulkWrite(openAppointments.map(a => ({
+      updateOne: {
+        filter: { _id: a._id },
+        update: {
+          $set: {
+            doctorId: toDoctor._id,
+            roomNo: toDoctor.roomNo,
+            sessionStart: findSessionAt(sessionsForDate(targetRoster, a.date), a.time)?.startTime || null,
+          },
+          $unset: { slotKey: 1 },
+        },
+      },
+    })));
+  }
+
+  const sourceQueues = await Queue.find({ doctorId: fromDoctor._id });
+  let movedPatients = [];
+  for (const queue of sourceQueues) {
+    const moving = queue.patients.filter(p => OPEN_QUEUE_STATUSES.includes(p.status));
+    if (moving.length === 0) continue;
+
+    queue.patients = queue.patients.filter(p => !OPEN_QUEUE_STATUSES.includes(p.status));
+    queue.currentToken = null;
+    queue.currentPatientIndex = 0;
+    await queue.save();
+    movedPatients = movedPatients.concat(moving);
+  }
+
+  if (movedPatients.length > 0) {
+    let target = await Queue.findOne({ roomNo: toDoctor.roomNo });
+    if (!target) {
+      target = new Queue({
+        doctorId: toDoctor._id,
+        roomNo: toDoctor.roomNo,
+        doctorName: toDoctor.name,
+        department: toDoctor.department,
+        status: 'active',
+        patients: [],
+      });
+    }
+
+    movedPatients.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+    for (const p of movedPatients) {
+      const tokenNo = generateOPDToken(toDoctor.roomNo, getDailyTokenNumber(target.patients));
+      target.patients.push({
+        appointmentId: p.appointmentId,
+        tokenNo,
+        patientNo: p.patientNo,
+        patientName: p.patientName,
+        forceNo: p.forceNo,
+        patientId: p.patientId,
+        // Patients being seen by the old doctor wait again for the new one
+        status: p.status === 'serving' ? 'waiting' : p.status,
+        position: target.patients.length,
+      });
+    }
+    await target.save();
+  }
+
+  console.log(`🔁 [USERS] Reassigned ${openAppointments.length} appointments and ${movedPatients.length} queue patients from ${fromDoctor.name} to ${toDoctor.name}`);
+  return { appointments: openAppointments.length, queuePatients: movedPatients.length };
+}